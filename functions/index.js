@@ -5,13 +5,21 @@
  * now with tiered licensing, session management, and full lint compliance.
  */
 
+const crypto = require("crypto");
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {onDocumentCreated} = require("firebase-functions/v2/firestore");
+const {AsyncLocalStorage} = require("async_hooks");
 
 admin.initializeApp();
 const db = admin.firestore();
 
+// Holds the actor and request ID of the API request being handled, so that
+// log entries can be attributed without threading them through every
+// handler.
+const requestContext = new AsyncLocalStorage();
+
 // ===================================================================
 //
 //  SECURITY AND AUTHORIZATION
@@ -74,10 +82,30 @@ async function getAuthContextFromIdToken(req) {
 //
 // ===================================================================
 
-exports.api = functions.https.onRequest(async (req, res) => {
+// Each request runs in its own requestContext, which the handler fills in
+// with the caller once their token is verified.
+exports.api = functions.https.onRequest((req, res) => {
+  const context = {
+    requestId: crypto.randomUUID(),
+    action: req.body.action || req.query.action,
+    authContext: null,
+    sessionId: null,
+  };
+  return requestContext.run(context, () => handleApiRequest(req, res, context));
+});
+
+/**
+ * Authorizes an API request, runs its action and sends the response.
+ * @param {object} req The HTTP request.
+ * @param {object} res The HTTP response.
+ * @param {object} context The request's requestContext store.
+ * @return {Promise<void>}
+ */
+async function handleApiRequest(req, res, context) {
   res.set("Access-Control-Allow-Origin", "*");
   res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.set("Access-Control-Allow-Headers",
+      "Content-Type, Authorization, X-Session-Id");
 
   if (req.method === "OPTIONS") {
     res.status(204).send("");
@@ -86,10 +114,28 @@ exports.api = functions.https.onRequest(async (req, res) => {
 
   const action = req.body.action || req.query.action;
   const params = req.method === "POST" ? req.body : req.query;
+  let auditTargets = null;
 
   try {
-    const authContext = await getAuthContextFromIdToken(req);
+    const userAuthContext = await getAuthContextFromIdToken(req);
+    // Actions on an incident shared by another agency run as its owner.
+    const authContext = await resolveSharedIncidentContext(
+        action, params, userAuthContext);
     const customerId = authContext.customerId;
+    context.authContext = authContext;
+    context.sessionId = req.get("X-Session-Id") || params.sessionId || null;
+    if (isAuditedAction(action)) {
+      auditTargets = await readAuditTargets(action, params);
+    }
+    // Runs after the audit read, so a rejected write lands in the trail.
+    if (TACTICAL_WRITE_ACTIONS.includes(action)) {
+      await assertIncidentCommander(action, params, authContext);
+    }
+    // Board actions queued while the client was offline are replayed with
+    // the time it last heard from the server.
+    if (params.offlineSyncedAt) {
+      await assertNoOfflineConflicts(action, params);
+    }
     const logMsg =
       `Request authorized for user UID: ${authContext.uid} ` +
       `on customerId: ${customerId}`;
@@ -119,6 +165,12 @@ exports.api = functions.https.onRequest(async (req, res) => {
         break;
 
       // --- EXISTING ACTIONS (alphabetized for clarity) ---
+      case "acknowledgeTimeMilestone":
+        result = await acknowledgeTimeMilestone(params, authContext);
+        break;
+      case "acknowledgeUnitPar":
+        result = await acknowledgeUnitPar(params, customerId);
+        break;
       case "addCommonGroup":
         result = await addCommonGroup(params, customerId);
         break;
@@ -134,6 +186,9 @@ exports.api = functions.https.onRequest(async (req, res) => {
       case "addUnitType":
         result = await addUnitType(params, customerId);
         break;
+      case "addWebhookSubscription":
+        result = await addWebhookSubscription(params, customerId);
+        break;
       case "adminGetAllUsers":
         result = await getAllUsers(params, authContext);
         break;
@@ -149,18 +204,36 @@ exports.api = functions.https.onRequest(async (req, res) => {
       case "assignUnitsToGroup":
         result = await assignUnitsToGroup(params, customerId);
         break;
+      case "checkUnitsIntoStaging":
+        result = await checkUnitsIntoStaging(params, customerId);
+        break;
       case "clearGroupParent":
         result = await clearGroupParent(params, customerId);
         break;
+      case "clearMayday":
+        result = await clearMayday(params, authContext);
+        break;
       case "clearGroupSupervisor":
         result = await clearGroupSupervisor(params, customerId);
         break;
       case "closeIncident":
         result = await closeIncident(params, authContext);
         break;
+      case "closeStagingArea":
+        result = await closeStagingArea(params, customerId);
+        break;
       case "createGroupForIncident":
         result = await createGroupForIncident(params, customerId);
         break;
+      case "createStagingArea":
+        result = await createStagingArea(params, customerId);
+        break;
+      case "declareEvacuation":
+        result = await declareEvacuation(params, authContext);
+        break;
+      case "declareMayday":
+        result = await declareMayday(params, authContext);
+        break;
       case "deleteCommonGroup":
         result = await deleteCommonGroup(params, customerId);
         break;
@@ -179,21 +252,45 @@ exports.api = functions.https.onRequest(async (req, res) => {
       case "deleteUnitType":
         result = await deleteUnitType(params, customerId);
         break;
+      case "deleteWebhookSubscription":
+        result = await deleteWebhookSubscription(params, customerId);
+        break;
       case "disbandGroup":
         result = await disbandGroup(params, customerId);
         break;
+      case "endEvacuation":
+        result = await endEvacuation(params, authContext);
+        break;
+      case "exportCustomerConfig":
+        result = await exportCustomerConfig(params, customerId);
+        break;
+      case "exportIncidentReport":
+        result = await exportIncidentReport(params, customerId);
+        break;
+      case "exportUnits":
+        result = await exportUnits(params, customerId);
+        break;
+      case "generateIcsForm":
+        result = await generateIcsForm(params, customerId);
+        break;
       case "getActiveIncidents":
         result = await getActiveIncidents(params, customerId);
         break;
       case "getAllAvailableUnitsGroupedByDept":
-        result = await getAllAvailableUnitsGroupedByDept(customerId);
+        result = await getAllAvailableUnitsGroupedByDept(params, customerId);
         break;
       case "getClosedIncidents":
         result = await getClosedIncidents(params, customerId);
         break;
+      case "getAuditTrail":
+        result = await getAuditTrail(params, customerId);
+        break;
       case "getCommonGroups":
         result = await getCollectionData("commonGroups", customerId);
         break;
+      case "getCadIntegration":
+        result = await getCadIntegration(params, customerId);
+        break;
       case "getDepartments":
         result = await getDepartments(customerId);
         break;
@@ -203,15 +300,33 @@ exports.api = functions.https.onRequest(async (req, res) => {
       case "getIncidentDetails":
         result = await getIncidentDetails(params, customerId);
         break;
+      case "getIncidentReplay":
+        result = await getIncidentReplay(params, customerId);
+        break;
+      case "getIncidentReport":
+        result = await getIncidentReport(params, customerId);
+        break;
+      case "getIncidentShares":
+        result = await getIncidentShares(params, customerId);
+        break;
       case "getInitialData":
         result = await getInitialData(authContext);
         break;
+      case "getSharedIncidents":
+        result = await getSharedIncidents(params, customerId);
+        break;
       case "getSettings":
         result = await getSettings(params, customerId);
         break;
+      case "getRehabUnitsForIncident":
+        result = await getRehabUnitsForIncident(params, customerId);
+        break;
       case "getSplitUnitsForIncident":
         result = await getSplitUnitsForIncident(params, customerId);
         break;
+      case "getStagingAreasForIncident":
+        result = await getStagingAreasForIncident(params, customerId);
+        break;
       case "getTemplates":
         result = await getTemplates(params, customerId);
         break;
@@ -221,24 +336,54 @@ exports.api = functions.https.onRequest(async (req, res) => {
       case "getUnitsGroupedByStation":
         result = await getUnitsGroupedByStation(params, customerId);
         break;
+      case "getWebhookDeliveries":
+        result = await getWebhookDeliveries(params, customerId);
+        break;
+      case "getWebhookSubscriptions":
+        result = await getWebhookSubscriptions(params, customerId);
+        break;
+      case "importCustomerConfig":
+        result = await importCustomerConfig(params, authContext);
+        break;
+      case "importUnits":
+        result = await importUnits(params, authContext);
+        break;
       case "moveMultipleUnits":
         result = await moveMultipleUnits(params, customerId);
         break;
       case "moveUnitToNewGroup":
         result = await moveUnitToNewGroup(params, customerId);
         break;
+      case "moveUnitsToRehab":
+        result = await moveUnitsToRehab(params, customerId);
+        break;
       case "releaseMultipleUnits":
         result = await releaseMultipleUnits(params, customerId);
         break;
       case "releaseUnitToAvailable":
         result = await releaseUnitToAvailable(params, customerId);
         break;
+      case "replayWebhookDelivery":
+        result = await replayWebhookDelivery(params, customerId);
+        break;
+      case "revokeIncidentShare":
+        result = await revokeIncidentShare(params, authContext);
+        break;
+      case "rotateCadApiKey":
+        result = await rotateCadApiKey(params, customerId);
+        break;
       case "setGroupParent":
         result = await setGroupParent(params, customerId);
         break;
       case "setGroupSupervisor":
         result = await setGroupSupervisor(params, customerId);
         break;
+      case "setUnitStatus":
+        result = await setUnitStatus(params, customerId);
+        break;
+      case "shareIncident":
+        result = await shareIncident(params, authContext);
+        break;
       case "splitMultipleUnits":
         result = await splitMultipleUnits(params, customerId);
         break;
@@ -251,12 +396,27 @@ exports.api = functions.https.onRequest(async (req, res) => {
       case "startParTimer":
         result = await startParTimer(params, customerId);
         break;
+      case "startUnitAirTimer":
+        result = await startUnitAirTimer(params, customerId);
+        break;
       case "stopParTimer":
         result = await stopParTimer(params, customerId);
         break;
+      case "stopUnitAirTimer":
+        result = await stopUnitAirTimer(params, customerId);
+        break;
+      case "undoTacticalAction":
+        result = await undoTacticalAction(params, authContext);
+        break;
       case "unsplitUnit":
         result = await unsplitUnit(params, customerId);
         break;
+      case "updateBenchmarkSets":
+        result = await updateBenchmarkSets(params, customerId);
+        break;
+      case "updateCadUnitMap":
+        result = await updateCadUnitMap(params, customerId);
+        break;
       case "updateCommonGroup":
         result = await updateCommonGroup(params, customerId);
         break;
@@ -269,18 +429,36 @@ exports.api = functions.https.onRequest(async (req, res) => {
       case "updateGroupOrder":
         result = await updateGroupOrder(params, customerId);
         break;
+      case "updateIncidentBenchmark":
+        result = await updateIncidentBenchmark(params, authContext);
+        break;
+      case "updateMayday":
+        result = await updateMayday(params, authContext);
+        break;
+      case "updateRehabVitals":
+        result = await updateRehabVitals(params, customerId);
+        break;
       case "updateSettings":
         result = await updateSettings(params, customerId);
         break;
+      case "updateStagingArea":
+        result = await updateStagingArea(params, customerId);
+        break;
       case "updateTemplate":
         result = await updateTemplate(params, customerId);
         break;
       case "updateUnitInMaster":
         result = await updateUnitInMaster(params, customerId);
         break;
+      case "updateUnitRoster":
+        result = await updateUnitRoster(params, customerId);
+        break;
       case "updateUnitType":
         result = await updateUnitType(params, customerId);
         break;
+      case "updateWebhookSubscription":
+        result = await updateWebhookSubscription(params, customerId);
+        break;
       case "requestIncidentCommand":
         result = await requestIncidentCommand(params, authContext);
         break;
@@ -293,9 +471,21 @@ exports.api = functions.https.onRequest(async (req, res) => {
       default:
         throw new Error("Invalid action specified.");
     }
-    res.status(200).json({success: true, data: result});
+    if (authContext.actingCustomerId) {
+      await logMutualAidAction(action, params, authContext);
+    }
+    if (auditTargets) {
+      await writeAuditEvent({params, before: auditTargets, result});
+    }
+    // Clients keep serverTime to mark when they last heard from the server.
+    res.status(200).json({
+      success: true, data: result, serverTime: new Date().toISOString(),
+    });
   } catch (error) {
     console.error(`API Error on action "${action}":`, error);
+    if (auditTargets) {
+      await writeAuditEvent({params, before: auditTargets, error});
+    }
     if (error instanceof functions.https.HttpsError) {
       const status = error.httpErrorCode.status;
       // Create object first to satisfy object-curly-spacing rule
@@ -306,7 +496,7 @@ exports.api = functions.https.onRequest(async (req, res) => {
       res.status(500).json(responseJson);
     }
   }
-});
+}
 
 // ===================================================================
 //
@@ -524,7 +714,7 @@ async function takeIncidentCommand(params, authContext) {
   const incidentsRef = db.collection("incidents");
   const incidentRef = incidentsRef.doc(incidentId);
 
-  return db.runTransaction(async (transaction) => {
+  const result = await db.runTransaction(async (transaction) => {
     const [customerDoc, incidentDoc] = await Promise.all([
       transaction.get(customerRef),
       transaction.get(incidentRef),
@@ -576,6 +766,16 @@ async function takeIncidentCommand(params, authContext) {
 
     return {status: "command_granted"};
   });
+
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "COMMAND_TAKEN",
+    details: `${authContext.name} took command.`,
+    metadata: {commanderUid: uid, sessionId},
+  });
+
+  return result;
 }
 
 /**
@@ -842,6 +1042,8 @@ async function reestablishCommand(params, authContext) {
 
 /**
  * A generic helper to create a timestamped log entry in the `incidentLog`.
+ * Each entry is also sent to the customer's webhook subscriptions. During an
+ * API request, the entry records who made it (see getAuditActor).
  * @param {object} logData The data for the log entry.
  * @param {string} logData.customerId The customer ID.
  * @param {string} logData.incidentId The incident ID.
@@ -855,10 +1057,445 @@ async function logIncidentAction(logData) {
     console.error("Skipping log action due to missing required data.");
     return;
   }
-  await db.collection("incidentLog").add({
+  const entry = {
     timestamp: new Date(),
+    actor: getAuditActor(),
     ...logData,
+  };
+  await db.collection("incidentLog").add(entry);
+  await queueWebhookEvent(entry);
+}
+
+// --- Audit Trail ---
+
+/**
+ * The incident-related documents an action's parameters name. Their fields
+ * are read before and after the action to record what it changed.
+ */
+const AUDIT_TARGET_PARAMS = {
+  incidentId: "incidents",
+  groupId: "groups",
+  newGroupId: "groups",
+  childGroupId: "groups",
+  parentGroupId: "groups",
+  groupIds: "groups",
+  unitId: "units",
+  unitIds: "units",
+  parentUnitId: "units",
+  stagingAreaId: "stagingAreas",
+  departmentId: "departments",
+  unitTypeId: "unitTypes",
+  templateId: "templates",
+  subscriptionId: "webhookSubscriptions",
+};
+
+// The library actions reuse groupId for a common group.
+const AUDIT_TARGET_OVERRIDES = {
+  updateCommonGroup: {groupId: "commonGroups"},
+  deleteCommonGroup: {groupId: "commonGroups"},
+};
+
+// Parameters and document fields that are never written to the trail.
+const AUDIT_REDACTED_FIELDS = [
+  "adminCode", "apiKey", "keyHash", "newPassword", "secret",
+];
+
+/**
+ * Whether an API action changes data and so belongs in the audit trail.
+ * Reads, exports and session keep-alives do not.
+ * @param {string} action The API action.
+ * @return {boolean} True if the action is audited.
+ */
+function isAuditedAction(action) {
+  const unaudited = [
+    "adminGetAllUsers", "checkSessionStatus", "generateIcsForm",
+    "sessionHeartbeat",
+  ];
+  return !!action && !/^(get|export)/.test(action) &&
+    !unaudited.includes(action);
+}
+
+/**
+ * Gets the actor of the API request being handled, for attributing log
+ * entries. Outside a request (scheduled jobs, the CAD endpoint), or before
+ * the caller is verified, there is none.
+ * @return {object|null} The {uid, name, sessionId, requestId} of the caller,
+ *     plus actingCustomerId and actingAgency for mutual aid.
+ */
+function getAuditActor() {
+  const store = requestContext.getStore();
+  if (!store || !store.authContext) return null;
+  const {authContext, sessionId, requestId} = store;
+  const actor = {uid: authContext.uid, name: authContext.name, sessionId,
+    requestId};
+  if (authContext.actingCustomerId) {
+    actor.actingCustomerId = authContext.actingCustomerId;
+    actor.actingAgency = authContext.actingAgency;
+  }
+  return actor;
+}
+
+/**
+ * Copies a value for the audit trail, dropping secrets and serializing
+ * timestamps.
+ * @param {object} data The parameters or document fields.
+ * @return {object} The copy.
+ */
+function redactForAudit(data) {
+  return serializeForExport(Object.fromEntries(Object.entries(data)
+      .filter(([field]) => !AUDIT_REDACTED_FIELDS.includes(field))));
+}
+
+/**
+ * Finds the documents an action's parameters name.
+ * @param {string} action The API action.
+ * @param {object} [params] The request parameters.
+ * @return {Map<string, object>} The document references, keyed by
+ *     "collection/id".
+ */
+function getAuditTargetRefs(action, params = {}) {
+  const paramCollections =
+    {...AUDIT_TARGET_PARAMS, ...AUDIT_TARGET_OVERRIDES[action]};
+  const refs = new Map();
+  Object.entries(paramCollections).forEach(([param, collection]) => {
+    if (!params[param] || typeof params[param] === "object") return;
+    String(params[param]).split(",").filter(Boolean).forEach((id) => {
+      const ref = db.collection(collection).doc(id.trim());
+      refs.set(ref.path, ref);
+    });
+  });
+  return refs;
+}
+
+/**
+ * Reads the documents an action's parameters name.
+ * @param {string} action The API action.
+ * @param {object} params The request parameters.
+ * @return {Promise<Map<string, object>>} The document data, or null for a
+ *     missing document, keyed by "collection/id".
+ */
+async function readAuditTargets(action, params) {
+  const refs = getAuditTargetRefs(action, params);
+  if (refs.size === 0) return new Map();
+  const docs = await db.getAll(...refs.values());
+  return new Map(docs.map((doc) => [doc.ref.path,
+    doc.exists ? doc.data() : null]));
+}
+
+/**
+ * Lists the fields that differ between two reads of the same documents.
+ * @param {Map<string, object>} before The documents before the action.
+ * @param {Map<string, object>} after The documents after the action.
+ * @return {Array<object>} {path, before, after} for each changed document,
+ *     with only the changed fields. A deleted document has after null.
+ */
+function diffAuditTargets(before, after) {
+  const changes = [];
+  before.forEach((beforeData, path) => {
+    const afterData = after.get(path) || null;
+    if (!beforeData && !afterData) return;
+    const fields = new Set([
+      ...Object.keys(beforeData || {}),
+      ...Object.keys(afterData || {}),
+    ]);
+    const changed = [...fields].filter((field) =>
+      !AUDIT_REDACTED_FIELDS.includes(field) &&
+      JSON.stringify(serializeForExport(beforeData?.[field])) !==
+        JSON.stringify(serializeForExport(afterData?.[field])));
+    if (changed.length === 0) return;
+    const pick = (data) => data ?
+      redactForAudit(Object.fromEntries(changed
+          .map((field) => [field, data[field] ?? null]))) :
+      null;
+    changes.push({path, before: pick(beforeData), after: pick(afterData)});
+  });
+  return changes;
+}
+
+/**
+ * Writes the audit event for an API action once it has finished. Failures
+ * are recorded too, without changes. Writing the event never fails the
+ * request.
+ * @param {object} audit The action's audit record.
+ * @param {object} audit.params The request parameters.
+ * @param {Map<string, object>} audit.before The documents from
+ *     readAuditTargets, read before the action ran.
+ * @param {object} [audit.result] The action's result, if it succeeded.
+ * @param {Error} [audit.error] The error, if it failed.
+ * @return {Promise<void>}
+ */
+async function writeAuditEvent(audit) {
+  const {params, before, result, error} = audit;
+  const {action, authContext} = requestContext.getStore();
+  try {
+    const after = error ?
+      before :
+      await readAuditTargets(action, params);
+    const incidentId = params.incidentId || [...before.values()]
+        .map((data) => data && (data.incidentId || data.statusIncidentId))
+        .find(Boolean) || null;
+    const requestParams = {...params};
+    delete requestParams.action;
+    await db.collection("auditLog").add({
+      timestamp: new Date(),
+      customerId: authContext.customerId,
+      incidentId,
+      action,
+      outcome: error ? "error" : "success",
+      errorMessage: error ? error.message : null,
+      actor: getAuditActor(),
+      params: redactForAudit(summarizeAuditParams(requestParams)),
+      targetPaths: [...getAuditTargetRefs(action, params).keys()],
+      changes: diffAuditTargets(before, after),
+      createdId: result && typeof result.id === "string" ? result.id : null,
+    });
+  } catch (auditError) {
+    console.error(`Failed to write audit event for "${action}":`, auditError);
+  }
+}
+
+/**
+ * Writes the audit event for a change made outside the API, such as a PAR
+ * expired by the scheduler or a CAD dispatch, so the trail (and the offline
+ * conflict check that reads it) sees every writer. Writing the event never
+ * fails the caller.
+ * @param {object} audit The event.
+ * @param {string} audit.customerId The customer whose data changed.
+ * @param {string} audit.incidentId The incident the change belongs to.
+ * @param {string} audit.action A name for the change, e.g. "cadDispatch".
+ * @param {string} audit.actorName Who made it, e.g. "CAD".
+ * @param {object} audit.params The IDs it acted on, named as API parameters.
+ * @param {Array<object>} audit.changes {path, before, after} for each
+ *     changed document, as from diffAuditTargets.
+ * @return {Promise<void>}
+ */
+async function writeSystemAuditEvent(audit) {
+  const {customerId, incidentId, action, actorName, params, changes} = audit;
+  try {
+    await db.collection("auditLog").add({
+      timestamp: new Date(),
+      customerId,
+      incidentId,
+      action,
+      outcome: "success",
+      errorMessage: null,
+      actor: {uid: null, name: actorName, sessionId: null, requestId: null},
+      params,
+      targetPaths: [...getAuditTargetRefs(action, params).keys()],
+      changes: changes.map((change) => ({
+        path: change.path,
+        before: redactForAudit(change.before),
+        after: redactForAudit(change.after),
+      })),
+      createdId: null,
+    });
+  } catch (auditError) {
+    console.error(`Failed to write audit event for "${action}":`, auditError);
+  }
+}
+
+/**
+ * Shortens bulky parameters, such as an imported file, to their size.
+ * @param {object} params The request parameters.
+ * @return {object} The parameters to record.
+ */
+function summarizeAuditParams(params) {
+  return Object.fromEntries(Object.entries(params).map(([key, value]) => {
+    if (Array.isArray(value) && value.length > 20) {
+      return [key, `${value.length} items`];
+    }
+    if (value && typeof value === "object" && !Array.isArray(value) &&
+        JSON.stringify(value).length > 2000) {
+      return [key, "(omitted)"];
+    }
+    return [key, value];
+  }));
+}
+
+/**
+ * Fetches the audit trail of an incident, newest first.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<Array<object>>} Up to 200 audit events.
+ */
+async function getAuditTrail(query, customerId) {
+  const {incidentId} = query;
+  if (!incidentId) throw new Error("Incident ID is required.");
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+  const snapshot = await db.collection("auditLog")
+      .where("customerId", "==", customerId)
+      .where("incidentId", "==", incidentId)
+      .orderBy("timestamp", "desc")
+      .limit(200)
+      .get();
+  return snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    timestamp: toIsoString(doc.data().timestamp),
+  }));
+}
+
+// --- Offline Action Replay ---
+
+/**
+ * The group fields each queued board action depends on. If another session
+ * changed one of them after the client last heard from the server, the
+ * action was decided on an out-of-date board. Every action also depends on
+ * the status of the groups it names, since a group may have been disbanded.
+ */
+const OFFLINE_GROUP_CONFLICT_FIELDS = {
+  setGroupSupervisor: ["groupSupervisorUnitId"],
+  clearGroupSupervisor: ["groupSupervisorUnitId"],
+  updateGroupBenchmark: ["benchmarkStatuses"],
+  startParTimer: ["parStatus"],
+  stopParTimer: ["parStatus"],
+  setGroupParent: ["parentGroupId"],
+  clearGroupParent: ["parentGroupId"],
+};
+
+// The most audit events read per query when checking a queued action. More
+// than this on the action's own units and groups since the client went
+// offline is treated as a conflict rather than read through.
+const OFFLINE_CONFLICT_SCAN_LIMIT = 100;
+
+/**
+ * Refuses a board action that was queued while the client was offline if
+ * another session has since acted on one of its units, or changed what it
+ * depends on in one of its groups. The audit trail is the record of who
+ * changed what, so the check reads it; PAR expiry and CAD dispatches are
+ * audited too (writeSystemAuditEvent). Only events naming the action's
+ * units and groups are read, so replaying a long queue on a busy incident
+ * doesn't read the whole trail for every action.
+ * @param {string} action The API action.
+ * @param {object} params The request parameters.
+ * @param {string} params.incidentId The incident the action was queued on.
+ * @param {string} params.offlineSyncedAt The server time of the client's
+ *     last response before it went offline, as an ISO string.
+ * @return {Promise<void>}
+ */
+async function assertNoOfflineConflicts(action, params) {
+  const {incidentId, offlineSyncedAt} = params;
+  const syncedAt = new Date(offlineSyncedAt);
+  if (!incidentId || isNaN(syncedAt.getTime())) {
+    const errorMsg =
+      "Queued actions need their incident ID and a valid offlineSyncedAt.";
+    throw new functions.https.HttpsError("invalid-argument", errorMsg);
+  }
+  const {authContext, sessionId} = requestContext.getStore();
+
+  const targets = getAuditTargetRefs(action, params);
+  const boardPaths = [...targets.keys()].filter((path) =>
+    path.startsWith("units/") || path.startsWith("groups/"));
+  if (boardPaths.length === 0) return;
+  // array-contains-any takes at most 30 values.
+  const pathChunks = [];
+  for (let i = 0; i < boardPaths.length; i += 30) {
+    pathChunks.push(boardPaths.slice(i, i + 30));
+  }
+  const snapshots = await Promise.all(pathChunks.map((paths) =>
+    db.collection("auditLog")
+        .where("customerId", "==", authContext.customerId)
+        .where("incidentId", "==", incidentId)
+        .where("outcome", "==", "success")
+        .where("targetPaths", "array-contains-any", paths)
+        .where("timestamp", ">", syncedAt)
+        .orderBy("timestamp", "desc")
+        .limit(OFFLINE_CONFLICT_SCAN_LIMIT)
+        .get()));
+  const events = snapshots.flatMap((snapshot) =>
+    snapshot.docs.map((doc) => doc.data()));
+  const groupFields =
+    ["status", ...OFFLINE_GROUP_CONFLICT_FIELDS[action] || []];
+  const conflict = events.find((event) => {
+    // System writers (the PAR scheduler, CAD) have no session, so they are
+    // never mistaken for this one.
+    const isOwnSession = Boolean(sessionId) && Boolean(event.actor) &&
+      event.actor.sessionId === sessionId;
+    if (isOwnSession) return false;
+    const actedOnUnit = event.targetPaths.some((path) =>
+      path.startsWith("units/") && targets.has(path));
+    const changedGroup = (event.changes || []).some((change) =>
+      change.path.startsWith("groups/") && targets.has(change.path) &&
+      Object.keys({...change.before, ...change.after})
+          .some((field) => groupFields.includes(field)));
+    return actedOnUnit || changedGroup;
   });
+
+  if (conflict) {
+    const name = conflict.actor ? conflict.actor.name : "Another user";
+    const errorMsg = `${name} changed this on the board (${conflict.action}) ` +
+      "while the action was waiting to be sent.";
+    throw new functions.https.HttpsError("aborted", errorMsg);
+  }
+  if (snapshots.some((snapshot) =>
+    snapshot.size === OFFLINE_CONFLICT_SCAN_LIMIT)) {
+    const errorMsg = "Too much changed on the board while the action was " +
+      "waiting to be sent.";
+    throw new functions.https.HttpsError("aborted", errorMsg);
+  }
+}
+
+// --- Tactical Write Guard ---
+
+// Actions that change the board of an incident. Only the commanding session
+// may run them. Mayday stays open to anyone on the incident, and the command
+// and sharing actions carry their own checks.
+const TACTICAL_WRITE_ACTIONS = [
+  "acknowledgeTimeMilestone", "acknowledgeUnitPar", "applyTemplateToIncident",
+  "assignUnitsToGroup", "checkUnitsIntoStaging", "clearGroupParent",
+  "clearGroupSupervisor", "closeStagingArea", "createGroupForIncident",
+  "createStagingArea", "declareEvacuation", "disbandGroup", "endEvacuation",
+  "moveMultipleUnits", "moveUnitToNewGroup", "moveUnitsToRehab",
+  "releaseMultipleUnits", "releaseUnitToAvailable", "setGroupParent",
+  "setGroupSupervisor", "setUnitStatus", "splitMultipleUnits", "splitUnit",
+  "startParTimer", "startUnitAirTimer", "stopParTimer", "stopUnitAirTimer",
+  "undoTacticalAction", "unsplitUnit", "updateGroupBenchmark",
+  "updateGroupOrder", "updateIncidentBenchmark", "updateRehabVitals",
+  "updateStagingArea", "updateUnitRoster",
+];
+
+/**
+ * Refuses a tactical write unless the caller holds command of every incident
+ * it targets from this session. A mutual-aid agency acting under an "assign"
+ * share has been granted its writes by the owner, so it is let through. An
+ * action that targets no incident, such as a status change on a unit at
+ * home, is not guarded. There is no delegation within a customer: another
+ * user gets write access by requesting command (requestIncidentCommand).
+ * @param {string} action The API action.
+ * @param {object} params The request parameters.
+ * @param {object} authContext The authorization context.
+ * @return {Promise<void>}
+ */
+async function assertIncidentCommander(action, params, authContext) {
+  if (authContext.actingCustomerId) return;
+  const {sessionId} = requestContext.getStore();
+  const incidentIds = [...await getActionIncidentIds(params)];
+  const incidentDocs = incidentIds.length ?
+    await db.getAll(...incidentIds.map((id) =>
+      db.collection("incidents").doc(id))) :
+    [];
+  // Another customer's incident is left to the handler's ownership check.
+  const notCommanded = incidentDocs.find((doc) => doc.exists &&
+    doc.data().customerId === authContext.customerId &&
+    (doc.data().commanderUid !== authContext.uid || !sessionId ||
+      doc.data().commanderSessionId !== sessionId));
+  if (!notCommanded) return;
+
+  console.warn("Tactical write rejected:", JSON.stringify({
+    action,
+    incidentId: notCommanded.id,
+    uid: authContext.uid,
+    sessionId,
+    commanderUid: notCommanded.data().commanderUid || null,
+  }));
+  // Not "permission-denied": the client signs out on a 403, and the caller
+  // is still signed in, just not in command.
+  const errorMsg = notCommanded.data().commanderUid === authContext.uid ?
+    "You command this incident from another device. Re-establish " +
+      "command here to change the board." :
+    "Only the incident commander can change the board.";
+  throw new functions.https.HttpsError("failed-precondition", errorMsg);
 }
 
 /**
@@ -900,6 +1537,24 @@ async function getAndVerifyDoc(collectionName, docId, customerId) {
   return {ref: docRef, data: data};
 }
 
+/**
+ * Reads a group and verifies that it belongs to the customer and is part of
+ * the given incident, so an action on one incident cannot reach the groups
+ * of another.
+ * @param {string} groupId The ID of the group.
+ * @param {string} incidentId The incident the action is on.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The group reference and data.
+ */
+async function getAndVerifyIncidentGroup(groupId, incidentId, customerId) {
+  const group = await getAndVerifyDoc("groups", groupId, customerId);
+  if (group.data.incidentId !== incidentId) {
+    const errorMsg = "This group is not part of this incident.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  return group;
+}
+
 /**
  * Fetches the latest data for a single incident.
  * @param {object} params The request params.
@@ -943,6 +1598,7 @@ async function getIncidentDetails(params, customerId) {
     ...data,
     startTime: startTime,
     commanderSessionId: data.commanderSessionId || null,
+    benchmarks: serializeForExport(data.benchmarks || {}),
   };
 
   return incidentDetails;
@@ -963,6 +1619,7 @@ async function getInitialData(authContext) {
     templates,
     activeIncidents,
     settings,
+    sharedIncidents,
   ] = await Promise.all([
     getDepartments(customerId),
     getCollectionData("unitTypes", customerId),
@@ -970,6 +1627,7 @@ async function getInitialData(authContext) {
     getCollectionData("templates", customerId),
     getActiveIncidents({}, customerId),
     getSettings({}, customerId),
+    getSharedIncidents({}, customerId),
   ]);
 
   return {
@@ -980,6 +1638,7 @@ async function getInitialData(authContext) {
     commonGroups,
     templates,
     activeIncidents,
+    sharedIncidents,
     settings,
     planLevel,
   };
@@ -1184,6 +1843,8 @@ async function getUnitsGroupedByStation(query, customerId) {
   return result;
 }
 
+const BASIC_PLAN_UNIT_LIMIT = 50;
+
 /**
  * Adds a new unit to the master list for a customer.
  * Now takes the full authContext to check for planLevel limits.
@@ -1195,6 +1856,7 @@ async function addUnitToMaster(query, authContext) {
   const {customerId, planLevel} = authContext;
   const {
     departmentId, unit, unitTypeId, unitName, status, notes, stationName,
+    roster,
   } = query;
   if (!departmentId || !unit || !unitTypeId || !unitName || !status) {
     throw new Error("All required fields must be provided.");
@@ -1203,7 +1865,7 @@ async function addUnitToMaster(query, authContext) {
     const unitsRef = db.collection("units");
     const unitsQuery = unitsRef.where("customerId", "==", customerId);
     const unitsSnapshot = await unitsQuery.get();
-    if (unitsSnapshot.size >= 50) {
+    if (unitsSnapshot.size >= BASIC_PLAN_UNIT_LIMIT) {
       const errorMsg = "Unit limit reached. Upgrade to add more units.";
       throw new functions.https.HttpsError("permission-denied", errorMsg);
     }
@@ -1216,6 +1878,7 @@ async function addUnitToMaster(query, authContext) {
     status,
     notes: notes ? notes.trim() : null,
     stationName: stationName ? stationName.trim() : null,
+    roster: parseRoster(roster),
     customerId,
     isSplit: false,
     splitStatus: "Original",
@@ -1242,6 +1905,7 @@ async function updateUnitInMaster(query, customerId) {
     status,
     notes,
     stationName,
+    roster,
   } = query;
 
   // This long `if` statement was violating the max-len rule.
@@ -1254,17 +1918,29 @@ async function updateUnitInMaster(query, customerId) {
     throw new Error(errorMsg);
   }
 
-  const {ref} = await getAndVerifyDoc("units", unitId, customerId);
+  const {ref, data: unitData} =
+    await getAndVerifyDoc("units", unitId, customerId);
+  let statusUpdate = {};
+  if (status !== unitData.status) {
+    if (!UNIT_STATUSES_OFF_INCIDENT.includes(unitData.status || "Available")) {
+      const errorMsg = `${unitData.unit} is ${unitData.status}. Release it ` +
+        "from its incident before changing its master status.";
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+    statusUpdate = getUnitStatusUpdate(unitData, status, new Date(), null);
+  }
 
   const updatedData = {
     departmentId,
     unit: unit.trim().toUpperCase(),
     unitTypeId,
     unitName: unitName.trim(),
-    status,
+    ...statusUpdate,
     notes: notes ? notes.trim() : null,
     stationName: stationName ? stationName.trim() : null,
   };
+  // Older clients do not send a roster; leave the saved one alone.
+  if (roster !== undefined) updatedData.roster = parseRoster(roster);
   await ref.update(updatedData);
   return {id: unitId, ...updatedData};
 }
@@ -1283,65 +1959,704 @@ async function deleteUnitFromMaster(query, customerId) {
   return {message: "Unit deleted successfully."};
 }
 
-
-// --- Library (Common Group & Template) Management ---
+/**
+ * The columns of the unit CSV export, in order. The import maps its columns
+ * onto the same fields.
+ */
+const UNIT_CSV_COLUMNS = [
+  {field: "unit", header: "Unit"},
+  {field: "unitName", header: "Unit Name"},
+  {field: "department", header: "Department"},
+  {field: "unitType", header: "Unit Type"},
+  {field: "status", header: "Status"},
+  {field: "stationName", header: "Station"},
+  {field: "notes", header: "Notes"},
+  {field: "roster", header: "Roster"},
+];
+
+const MAX_UNIT_IMPORT_ROWS = 500;
 
 /**
- * Adds a new common group for a customer.
+ * Exports the customer's master unit list as a CSV file that importUnits
+ * accepts back.
  * @param {object} query The request query parameters.
  * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} The new common group document.
+ * @return {Promise<object>} An object with a `files` array of
+ *     {fileName, mimeType, content}, as exportIncidentReport.
  */
-async function addCommonGroup(query, customerId) {
-  const {name, color} = query;
-  if (!name) throw new Error("A group name is required.");
-  const newGroupData = {
-    name: name.trim(),
-    color: color || "#6c757d",
-    customerId,
+async function exportUnits(query, customerId) {
+  const [depts, unitTypes, units] = await Promise.all([
+    getCollectionData("departments", customerId),
+    getCollectionData("unitTypes", customerId),
+    getCollectionData("units", customerId),
+  ]);
+  const deptNames = new Map(depts.map((d) => [d.id, d.departmentName]));
+  const typeNames = new Map(unitTypes.map((t) => [t.id, t.typeName]));
+
+  const rows = units
+      .filter((unit) => !unit.isSplit)
+      .map((unit) => ({
+        ...unit,
+        department: deptNames.get(unit.departmentId) || "",
+        unitType: typeNames.get(unit.unitTypeId) || "",
+        roster: (unit.roster || []).join(", "),
+      }))
+      .sort((a, b) => a.department.localeCompare(b.department) ||
+        (a.unit || "").localeCompare(b.unit || ""))
+      .map((unit) => UNIT_CSV_COLUMNS.map(({field}) => unit[field]));
+  return {
+    files: [{
+      fileName: "units.csv",
+      mimeType: "text/csv",
+      content: toCsv(UNIT_CSV_COLUMNS.map(({header}) => header), rows),
+    }],
   };
-  const docRef = await db.collection("commonGroups").add(newGroupData);
-  return {id: docRef.id, ...newGroupData};
 }
 
 /**
- * Updates a common group and performs a cascading update to any templates
- * that use the old group name. This version correctly orders reads and writes.
- * @param {object} query The request query parameters.
- * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} A success message.
+ * Works out the write for one imported row. A row whose designator matches
+ * an existing unit updates it; fields the file leaves out or blank keep
+ * their saved value, except the optional text fields, which a blank cell
+ * clears.
+ * @param {object} row The mapped row, keyed by UNIT_CSV_COLUMNS field.
+ * @param {object} lookups The department, unit type and unit lookups.
+ * @return {object} Either {error} or {unitData, existing}.
  */
-async function updateCommonGroup(query, customerId) {
-  const {groupId, name, color} = query;
-  if (!groupId || !name || !name.trim()) {
-    throw new Error("Group ID and a new Name are required.");
+function resolveUnitImportRow(row, lookups) {
+  const cell = (field) =>
+    row[field] === undefined || row[field] === null ?
+      undefined :
+      String(row[field]).trim();
+  const designator = (cell("unit") || "").toUpperCase();
+  if (!designator) return {error: "Unit designator is required."};
+  const existing = lookups.unitsByDesignator.get(designator);
+
+  const resolveName = (field, map, label) => {
+    const value = cell(field);
+    if (!value) {
+      return existing ?
+        {id: existing[`${field}Id`]} :
+        {error: `${label} is required.`};
+    }
+    const id = map.get(value.toLowerCase());
+    return id ? {id} : {error: `Unknown ${label.toLowerCase()} "${value}".`};
+  };
+  const dept = resolveName("department", lookups.deptIds, "Department");
+  if (dept.error) return dept;
+  const unitType = resolveName("unitType", lookups.typeIds, "Unit type");
+  if (unitType.error) return unitType;
+
+  const unitName = cell("unitName") || (existing && existing.unitName);
+  if (!unitName) return {error: "Unit name is required."};
+  const status = cell("status") ||
+    (existing ? existing.status || "Available" : "Available");
+  if (!UNIT_STATUSES_OFF_INCIDENT.includes(status)) {
+    return {error: `Status must be one of: ${
+      UNIT_STATUSES_OFF_INCIDENT.join(", ")}.`};
   }
-  const newName = name.trim();
-  const newColor = color || "#6c757d";
 
-  const groupRef = db.collection("commonGroups").doc(groupId);
-  const templatesRef = db.collection("templates");
+  const unitData = {
+    departmentId: dept.id,
+    unit: designator,
+    unitTypeId: unitType.id,
+    unitName,
+    status,
+  };
+  ["stationName", "notes"].forEach((field) => {
+    const value = cell(field);
+    if (value !== undefined) unitData[field] = value || null;
+  });
+  const roster = cell("roster");
+  if (roster !== undefined) unitData.roster = parseRoster(roster);
+  return {unitData, existing};
+}
 
-  return db.runTransaction(async (transaction) => {
-    // --- STEP 1: ALL READS MUST HAPPEN FIRST ---
-    const groupDoc = await transaction.get(groupRef);
+/**
+ * Imports master units from a CSV file the browser has already parsed and
+ * mapped. Rows are matched to existing units on the unit designator. With
+ * dryRun (the default) nothing is written and the result is a preview; a
+ * real run writes every row in one batch, and only if no row has an error.
+ * @param {object} query The request body.
+ * @param {Array<object>} query.rows The rows, keyed by UNIT_CSV_COLUMNS field.
+ * @param {boolean} [query.dryRun=true] Preview the import without writing.
+ * @param {object} authContext The full authorization context.
+ * @return {Promise<object>} With {creates, updates, unchanged, errors,
+ *     applied}. creates and updates list {row, unit, unitName}; errors list
+ *     {row, message}; row is the line number in the file.
+ */
+async function importUnits(query, authContext) {
+  const {customerId, planLevel} = authContext;
+  const {rows} = query;
+  const dryRun = query.dryRun !== false;
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error("The file has no units to import.");
+  }
+  if (rows.length > MAX_UNIT_IMPORT_ROWS) {
+    const errorMsg =
+      `Import at most ${MAX_UNIT_IMPORT_ROWS} units from one file.`;
+    throw new functions.https.HttpsError("invalid-argument", errorMsg);
+  }
 
-    if (!groupDoc.exists) {
-      throw new Error("Common Group not found.");
+  const [depts, unitTypes, units] = await Promise.all([
+    getCollectionData("departments", customerId),
+    getCollectionData("unitTypes", customerId),
+    getCollectionData("units", customerId),
+  ]);
+  const deptIds = new Map();
+  depts.forEach((dept) => {
+    [dept.departmentName, dept.abbreviation].filter(Boolean)
+        .forEach((name) => deptIds.set(name.toLowerCase(), dept.id));
+  });
+  const lookups = {
+    deptIds,
+    typeIds: new Map(unitTypes
+        .map((type) => [(type.typeName || "").toLowerCase(), type.id])),
+    unitsByDesignator: new Map(units
+        .filter((unit) => !unit.isSplit)
+        .map((unit) => [(unit.unit || "").toUpperCase(), unit])),
+  };
+
+  const result = {creates: [], updates: [], unchanged: 0, errors: []};
+  const writes = [];
+  const seenDesignators = new Set();
+  const now = new Date();
+  rows.forEach((row, index) => {
+    // Line 1 of the file is the header.
+    const rowNumber = index + 2;
+    const {error, unitData, existing} = resolveUnitImportRow(row, lookups);
+    if (error) {
+      result.errors.push({row: rowNumber, message: error});
+      return;
     }
-    const groupData = groupDoc.data();
-    if (groupData.customerId !== customerId) {
-      // Corrected for max-len
-      const errorMsg = "Access denied to Common Group document.";
-      throw new functions.https.HttpsError("permission-denied", errorMsg);
+    if (seenDesignators.has(unitData.unit)) {
+      const message = `${unitData.unit} appears more than once in the file.`;
+      result.errors.push({row: rowNumber, message});
+      return;
     }
+    seenDesignators.add(unitData.unit);
+    const summary = {
+      row: rowNumber,
+      unit: unitData.unit,
+      unitName: unitData.unitName,
+    };
 
-    const oldName = groupData.name;
+    if (!existing) {
+      result.creates.push(summary);
+      writes.push({ref: db.collection("units").doc(), data: {
+        stationName: null,
+        notes: null,
+        roster: [],
+        ...unitData,
+        customerId,
+        isSplit: false,
+        splitStatus: "Original",
+        parentUnitId: null,
+      }});
+      return;
+    }
 
-    // Only search for templates if the name is actually changing.
-    let templatesToUpdate = [];
-    if (oldName !== newName) {
-      const templatesQuery = templatesRef
+    const {status, ...fields} = unitData;
+    const currentStatus = existing.status || "Available";
+    const changed = Object.keys(fields).some((field) =>
+      JSON.stringify(fields[field]) !==
+        JSON.stringify(existing[field] === undefined ? null : existing[field]));
+    if (!changed && status === currentStatus) {
+      result.unchanged += 1;
+      return;
+    }
+    let statusUpdate = {};
+    if (status !== currentStatus) {
+      if (!UNIT_STATUSES_OFF_INCIDENT.includes(currentStatus)) {
+        const message = `${existing.unit} is ${currentStatus}. Release it ` +
+          "from its incident before changing its master status.";
+        result.errors.push({row: rowNumber, message});
+        return;
+      }
+      statusUpdate = getUnitStatusUpdate(existing, status, now, null);
+    }
+    result.updates.push(summary);
+    writes.push({
+      ref: db.collection("units").doc(existing.id),
+      data: {...fields, ...statusUpdate},
+      isUpdate: true,
+    });
+  });
+
+  const newUnitCount = units.length + result.creates.length;
+  if (planLevel === "Basic" && newUnitCount > BASIC_PLAN_UNIT_LIMIT) {
+    result.errors.push({
+      row: null,
+      message: `This import would bring you to ${newUnitCount} units. ` +
+        `The Basic plan allows ${BASIC_PLAN_UNIT_LIMIT}.`,
+    });
+  }
+
+  if (dryRun) return {...result, applied: false};
+  if (result.errors.length > 0) {
+    const errorMsg = "The file has errors. Fix them and preview it again.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  const batch = db.batch();
+  writes.forEach(({ref, data, isUpdate}) => {
+    if (isUpdate) {
+      batch.update(ref, data);
+    } else {
+      batch.set(ref, data);
+    }
+  });
+  await batch.commit();
+  return {...result, applied: true};
+}
+
+/**
+ * Normalizes a crew roster into a list of member names.
+ * @param {string|Array<string>|undefined} roster The roster as a list, or
+ *     as a string with one member per line or comma.
+ * @return {Array<string>} The trimmed, non-empty member names.
+ */
+function parseRoster(roster) {
+  if (!roster) return [];
+  const names = Array.isArray(roster) ? roster : String(roster).split(/[\n,]/);
+  return names.map((name) => String(name).trim()).filter(Boolean);
+}
+
+/**
+ * Divides a crew between the two halves of a split unit. The A subunit
+ * takes the first half, including the odd member out.
+ * @param {Array<string>} roster The crew riding on the unit being split.
+ * @return {Array<Array<string>>} The [A, B] rosters.
+ */
+function divideRoster(roster) {
+  const splitAt = Math.ceil(roster.length / 2);
+  return [roster.slice(0, splitAt), roster.slice(splitAt)];
+}
+
+/**
+ * Sets the crew riding on a unit. With an incident, the roster applies to
+ * the unit's current assignment on that incident only; otherwise, or when
+ * saveAsShiftRoster is set, it becomes the unit's shift roster, which is
+ * copied onto each new assignment.
+ * @param {object} query The request body (sent via POST).
+ * @param {string} query.unitId The ID of the unit.
+ * @param {Array<string>} query.roster The member names.
+ * @param {string} [query.incidentId] The incident the roster applies to.
+ * @param {boolean} [query.saveAsShiftRoster] Also update the shift roster.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The saved roster.
+ */
+async function updateUnitRoster(query, customerId) {
+  const {unitId, incidentId, saveAsShiftRoster} = query;
+  if (!unitId) throw new Error("Unit ID is required.");
+  const roster = parseRoster(query.roster);
+  const {ref: unitRef, data: unitData} =
+    await getAndVerifyUnit(unitId, customerId, query.incidentId);
+
+  const batch = db.batch();
+  if (incidentId) {
+    await getAndVerifyDoc("incidents", incidentId, customerId);
+    const snapshot = await db.collection("assignments")
+        .where("customerId", "==", customerId)
+        .where("incidentId", "==", incidentId)
+        .where("unitId", "==", unitId)
+        .where("releaseTime", "==", null)
+        .limit(1).get();
+    if (snapshot.empty) {
+      throw new Error("Could not find an active assignment for this unit.");
+    }
+    batch.update(snapshot.docs[0].ref, {roster});
+    batch.set(db.collection("unitActionLogs").doc(), {
+      customerId,
+      incidentId,
+      unitId,
+      action: "roster",
+      timestamp: new Date(),
+      details: `${unitData.unit} crew set to ${roster.length}: ` +
+        (roster.join(", ") || "none"),
+    });
+  }
+  if (!incidentId || saveAsShiftRoster) {
+    batch.update(unitRef, {roster});
+  }
+
+  await batch.commit();
+  return {roster};
+}
+
+/**
+ * The statuses a unit may move to from each status. "Assigned" is only
+ * entered through a group assignment, and a unit leaves its group whenever
+ * it moves to any other status.
+ */
+const UNIT_STATUS_TRANSITIONS = {
+  "Available": [
+    "Dispatched", "En Route", "On Scene", "Staged", "Assigned",
+    "Out of Service",
+  ],
+  "Dispatched": [
+    "En Route", "On Scene", "Staged", "Assigned", "Available",
+    "Out of Service",
+  ],
+  "En Route": [
+    "On Scene", "Staged", "Assigned", "Available", "Out of Service",
+  ],
+  "On Scene": [
+    "Staged", "Assigned", "Rehab", "Available", "Out of Service",
+  ],
+  "Staged": [
+    "On Scene", "Assigned", "Rehab", "Available", "Out of Service",
+  ],
+  "Assigned": [
+    "On Scene", "Staged", "Rehab", "Available", "Out of Service",
+  ],
+  "Rehab": [
+    "On Scene", "Staged", "Assigned", "Available", "Out of Service",
+  ],
+  "Out of Service": ["Available"],
+};
+
+/** Statuses in which a unit is not working any incident. */
+const UNIT_STATUSES_OFF_INCIDENT = ["Available", "Out of Service"];
+
+/**
+ * Validates a unit status change and builds the fields to write on the unit.
+ * While a unit works an incident, `incidentStatusTimes` records when it
+ * entered each status so the times can be copied onto its assignments.
+ * @param {object} unitData The unit document data as last read.
+ * @param {string} newStatus The status the unit is moving to.
+ * @param {Date} now The time of the change.
+ * @param {string|null} incidentId The incident the unit is working, if any.
+ * @return {object} The unit fields to update.
+ * @throws {functions.https.HttpsError} If the transition is not allowed, or
+ *     the unit is leaving rehab before its rest period is over.
+ */
+function getUnitStatusUpdate(unitData, newStatus, now, incidentId) {
+  if (!UNIT_STATUS_TRANSITIONS[newStatus]) {
+    throw new Error(`Invalid unit status: ${newStatus}.`);
+  }
+  const currentStatus = unitData.status || "Available";
+  if (!UNIT_STATUS_TRANSITIONS[currentStatus].includes(newStatus)) {
+    const errorMsg =
+      `${unitData.unit} cannot go from ${currentStatus} to ${newStatus}.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  const isOffIncident = UNIT_STATUSES_OFF_INCIDENT.includes(newStatus);
+  const restUntil = unitData.rehab?.restUntil?.toDate();
+  if (currentStatus === "Rehab" && !isOffIncident && restUntil > now) {
+    const restMinutes = Math.ceil((restUntil - now) / 60000);
+    const errorMsg = `${unitData.unit} must rest in rehab for another ` +
+      `${restMinutes} minute(s).`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  // Leaving Staged always leaves the staging area, and leaving Rehab ends the
+  // rehab record; checkUnitsIntoStaging and moveUnitsToRehab set them. A
+  // unit that stops working also comes off air.
+  if (isOffIncident) {
+    return {
+      status: newStatus,
+      statusTime: now,
+      statusIncidentId: null,
+      incidentStatusTimes: {},
+      stagingAreaId: null,
+      rehab: null,
+      airTimer: null,
+    };
+  }
+  const isSameIncident = unitData.statusIncidentId === incidentId;
+  return {
+    status: newStatus,
+    statusTime: now,
+    statusIncidentId: incidentId,
+    incidentStatusTimes: {
+      ...(isSameIncident ? unitData.incidentStatusTimes : {}),
+      [newStatus]: now,
+    },
+    stagingAreaId: null,
+    rehab: null,
+    // Only assigned units work on air.
+    airTimer: newStatus === "Assigned" ? unitData.airTimer || null : null,
+  };
+}
+
+/**
+ * Builds the unitActionLogs entry for a status change on an incident. A unit
+ * that leaves its assignment while on air also has its time on air recorded.
+ * @param {object} change The status change.
+ * @param {string} change.unitId The unit's ID.
+ * @param {object} change.unitData The unit document data before the change.
+ * @param {string} change.newStatus The status the unit moved to.
+ * @param {Date} change.now The time of the change.
+ * @param {string} change.incidentId The incident the change belongs to.
+ * @param {string} change.customerId The authenticated customer's ID.
+ * @return {object} The log document data.
+ */
+function buildUnitStatusLog(change) {
+  const {unitId, unitData, newStatus, now, incidentId, customerId} = change;
+  const fromStatus = unitData.status || "Available";
+  const log = {
+    customerId,
+    incidentId,
+    unitId,
+    action: "status",
+    fromStatus,
+    toStatus: newStatus,
+    timestamp: now,
+    details: `${unitData.unit}: ${fromStatus} to ${newStatus}`,
+  };
+  if (unitData.airTimer && newStatus !== "Assigned") {
+    log.airMinutes = getAirMinutes(unitData.airTimer, now);
+    log.details += ` (off air after ${log.airMinutes} min)`;
+  }
+  return log;
+}
+
+/**
+ * Reads a document inside a transaction and verifies that it belongs to the
+ * customer, like getAndVerifyDoc.
+ * @param {object} transaction The Firestore transaction.
+ * @param {string} collectionName The name of the collection.
+ * @param {string} docId The ID of the document.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The document reference and data.
+ */
+async function getAndVerifyDocInTransaction(
+    transaction, collectionName, docId, customerId) {
+  const docRef = db.collection(collectionName).doc(docId);
+  const doc = await transaction.get(docRef);
+  if (!doc.exists) {
+    throw new Error(`${collectionName} document not found.`);
+  }
+  const data = doc.data();
+  if (data.customerId !== customerId) {
+    const errorMsg = `Access denied to ${collectionName} document.`;
+    throw new functions.https.HttpsError("permission-denied", errorMsg);
+  }
+  return {ref: docRef, data: data};
+}
+
+/**
+ * Reads the group units are being put in inside a transaction, verifying it
+ * like getAndVerifyIncidentGroup and that it has not been disbanded.
+ * @param {object} transaction The Firestore transaction.
+ * @param {string} groupId The ID of the group.
+ * @param {string} incidentId The incident the action is on.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The group reference and data.
+ */
+async function getAndVerifyTargetGroupInTransaction(
+    transaction, groupId, incidentId, customerId) {
+  const group = await getAndVerifyDocInTransaction(
+      transaction, "groups", groupId, customerId);
+  if (group.data.incidentId !== incidentId) {
+    const errorMsg = "This group is not part of this incident.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  if (group.data.status === "Disbanded") {
+    const errorMsg = `${group.data.groupName} has been disbanded.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  return group;
+}
+
+/**
+ * Reads a unit and verifies that the customer may work it. Besides its own
+ * units, a customer may work the units of an agency it has invited with
+ * "assign" access to the incident (see shareIncident).
+ * @param {function(object): Promise<object>} read Reads a document reference.
+ * @param {string} unitId The ID of the unit.
+ * @param {string} customerId The customer that owns the incident.
+ * @param {string} [incidentId] The incident the unit is being worked on;
+ *     defaults to the incident the unit is already working.
+ * @return {Promise<object>} The unit reference and data.
+ */
+async function readAndVerifyUnit(read, unitId, customerId, incidentId) {
+  const unitRef = db.collection("units").doc(unitId);
+  const unitDoc = await read(unitRef);
+  if (!unitDoc.exists) throw new Error("units document not found.");
+  const data = unitDoc.data();
+  if (data.customerId === customerId) return {ref: unitRef, data};
+
+  const shareIncidentId = incidentId || data.statusIncidentId;
+  const shareDoc = shareIncidentId ?
+    await read(getIncidentShareRef(shareIncidentId, data.customerId)) :
+    null;
+  const share = shareDoc && shareDoc.exists ? shareDoc.data() : null;
+  if (!share || share.ownerCustomerId !== customerId ||
+      share.status !== "Active" || share.accessLevel !== "assign") {
+    const errorMsg = "Access denied to units document.";
+    throw new functions.https.HttpsError("permission-denied", errorMsg);
+  }
+  return {ref: unitRef, data};
+}
+
+/**
+ * Gets a unit the customer may work, like getAndVerifyDoc.
+ * @param {string} unitId The ID of the unit.
+ * @param {string} customerId The customer that owns the incident.
+ * @param {string} [incidentId] The incident the unit is being worked on.
+ * @return {Promise<object>} The unit reference and data.
+ */
+function getAndVerifyUnit(unitId, customerId, incidentId) {
+  return readAndVerifyUnit((ref) => ref.get(), unitId, customerId, incidentId);
+}
+
+/**
+ * Gets a unit the customer may work inside a transaction.
+ * @param {object} transaction The Firestore transaction.
+ * @param {string} unitId The ID of the unit.
+ * @param {string} customerId The customer that owns the incident.
+ * @param {string} [incidentId] The incident the unit is being worked on.
+ * @return {Promise<object>} The unit reference and data.
+ */
+function getAndVerifyUnitInTransaction(
+    transaction, unitId, customerId, incidentId) {
+  return readAndVerifyUnit((ref) => transaction.get(ref),
+      unitId, customerId, incidentId);
+}
+
+/**
+ * Builds the query for a unit's open assignment on any incident.
+ * @param {string} unitId The unit's ID.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {object} The Firestore query.
+ */
+function getActiveAssignmentQuery(unitId, customerId) {
+  return db.collection("assignments")
+      .where("customerId", "==", customerId)
+      .where("unitId", "==", unitId)
+      .where("releaseTime", "==", null)
+      .limit(1);
+}
+
+/**
+ * Moves a unit to a new status outside of a group assignment, e.g. when it
+ * is dispatched, arrives on scene or goes to rehab. If the unit is in a
+ * group, its assignment ends. Runs in a transaction so the change is
+ * checked against the unit's current status.
+ * @param {object} query The request query parameters.
+ * @param {string} query.unitId The ID of the unit.
+ * @param {string} query.status The new status.
+ * @param {string} [query.incidentId] The incident, required for every
+ *     status except Available and Out of Service.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function setUnitStatus(query, customerId) {
+  const {unitId, status} = query;
+  if (!unitId || !status) throw new Error("Unit ID and status are required.");
+  if (status === "Assigned") {
+    throw new Error("Units are assigned by adding them to a group.");
+  }
+  if (status === "Rehab") {
+    return moveUnitsToRehab(
+        {incidentId: query.incidentId, unitIds: unitId}, customerId);
+  }
+  const isOffIncident = UNIT_STATUSES_OFF_INCIDENT.includes(status);
+  if (!isOffIncident && !query.incidentId) {
+    throw new Error(`An incident is required to set a unit to ${status}.`);
+  }
+
+  await db.runTransaction(async (transaction) => {
+    const {ref: unitRef, data: unitData} = await getAndVerifyUnitInTransaction(
+        transaction, unitId, customerId, query.incidentId);
+    if (unitData.parentUnitId && isOffIncident) {
+      const errorMsg = `${unitData.unit} is a subunit and must be ` +
+        "re-formed first.";
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+    const activeSnapshot = await transaction.get(
+        getActiveAssignmentQuery(unitId, customerId));
+
+    const now = new Date();
+    const incidentId = query.incidentId || unitData.statusIncidentId || null;
+    if (!isOffIncident) {
+      await getAndVerifyDocInTransaction(
+          transaction, "incidents", incidentId, customerId);
+    }
+    const unitUpdate =
+      getUnitStatusUpdate(unitData, status, now, query.incidentId || null);
+
+    if (!activeSnapshot.empty) {
+      const assignment = activeSnapshot.docs[0];
+      transaction.update(assignment.ref, {
+        releaseTime: now,
+        notes: `Status changed to ${status}`,
+        statusTimes: {...assignment.data().statusTimes, [status]: now},
+      });
+    }
+    transaction.update(unitRef, unitUpdate);
+    if (incidentId) {
+      transaction.set(db.collection("unitActionLogs").doc(),
+          buildUnitStatusLog({
+            unitId, unitData, newStatus: status, now, incidentId, customerId,
+          }));
+    }
+  });
+
+  return {message: `Unit status set to ${status}.`};
+}
+
+
+// --- Library (Common Group & Template) Management ---
+
+/**
+ * Adds a new common group for a customer.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The new common group document.
+ */
+async function addCommonGroup(query, customerId) {
+  const {name, color, benchmarkSetId} = query;
+  if (!name) throw new Error("A group name is required.");
+  const newGroupData = {
+    name: name.trim(),
+    color: color || "#6c757d",
+    benchmarkSetId: benchmarkSetId || null,
+    customerId,
+  };
+  const docRef = await db.collection("commonGroups").add(newGroupData);
+  return {id: docRef.id, ...newGroupData};
+}
+
+/**
+ * Updates a common group and performs a cascading update to any templates
+ * that use the old group name. This version correctly orders reads and writes.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function updateCommonGroup(query, customerId) {
+  const {groupId, name, color, benchmarkSetId} = query;
+  if (!groupId || !name || !name.trim()) {
+    throw new Error("Group ID and a new Name are required.");
+  }
+  const newName = name.trim();
+  const newColor = color || "#6c757d";
+
+  const groupRef = db.collection("commonGroups").doc(groupId);
+  const templatesRef = db.collection("templates");
+
+  return db.runTransaction(async (transaction) => {
+    // --- STEP 1: ALL READS MUST HAPPEN FIRST ---
+    const groupDoc = await transaction.get(groupRef);
+
+    if (!groupDoc.exists) {
+      throw new Error("Common Group not found.");
+    }
+    const groupData = groupDoc.data();
+    if (groupData.customerId !== customerId) {
+      // Corrected for max-len
+      const errorMsg = "Access denied to Common Group document.";
+      throw new functions.https.HttpsError("permission-denied", errorMsg);
+    }
+
+    const oldName = groupData.name;
+
+    // Only search for templates if the name is actually changing.
+    let templatesToUpdate = [];
+    if (oldName !== newName) {
+      const templatesQuery = templatesRef
           .where("customerId", "==", customerId)
           .where("groups", "array-contains", oldName);
       const templatesSnapshot = await transaction.get(templatesQuery);
@@ -1349,7 +2664,11 @@ async function updateCommonGroup(query, customerId) {
     }
 
     // --- STEP 2: ALL WRITES HAPPEN AFTER ALL READS ---
-    transaction.update(groupRef, {name: newName, color: newColor});
+    transaction.update(groupRef, {
+      name: newName,
+      color: newColor,
+      benchmarkSetId: benchmarkSetId || null,
+    });
 
     if (templatesToUpdate.length > 0) {
       templatesToUpdate.forEach((doc) => {
@@ -1599,6 +2918,13 @@ async function startNewIncident(query, authContext) {
     commanderSessionId: sessionId,
   };
   const docRef = await db.collection("incidents").add(newIncidentData);
+  await logIncidentAction({
+    customerId,
+    incidentId: docRef.id,
+    eventType: "INCIDENT_STARTED",
+    details: `Incident ${numberToSave} started by ${authContext.name}.`,
+    metadata: {commanderUid: uid},
+  });
   const startTime = newIncidentData.startTime.toISOString();
   return {
     id: docRef.id,
@@ -1632,6 +2958,13 @@ async function closeIncident(params, authContext) {
   const now = new Date();
   const batch = db.batch();
   const unitsRef = db.collection("units");
+  const closeLog = {
+    customerId,
+    incidentId,
+    eventType: "INCIDENT_CLOSED",
+    details: `Incident closed by ${authContext.name}.`,
+    metadata: {closedBy: uid},
+  };
 
   const assignQuery = db.collection("assignments")
       .where("customerId", "==", customerId)
@@ -1639,6 +2972,83 @@ async function closeIncident(params, authContext) {
       .where("releaseTime", "==", null);
   const assignSnapshot = await assignQuery.get();
 
+  // Units still responding, staged or in rehab have no assignment to end
+  // but are returned to service with the rest.
+  const offIncident = {
+    status: "Available",
+    statusTime: now,
+    statusIncidentId: null,
+    incidentStatusTimes: {},
+    stagingAreaId: null,
+    rehab: null,
+    airTimer: null,
+  };
+  const assignedIds = new Set(assignSnapshot.docs.map((d) => d.data().unitId));
+  // Not scoped by customer: mutual-aid units working the incident are
+  // returned to service as well.
+  const [
+    workingUnitsSnapshot,
+    stagingAreasSnapshot,
+    openParLogsSnapshot,
+    groupsSnapshot,
+  ] = await Promise.all([
+    unitsRef
+        .where("statusIncidentId", "==", incidentId)
+        .get(),
+    getActiveStagingAreasQuery(incidentId, customerId).get(),
+    db.collection("parLogs")
+        .where("customerId", "==", customerId)
+        .where("incidentId", "==", incidentId)
+        .where("status", "in", ["Active", "Expired"])
+        .get(),
+    db.collection("groups")
+        .where("customerId", "==", customerId)
+        .where("incidentId", "==", incidentId)
+        .get(),
+  ]);
+  stagingAreasSnapshot.forEach((doc) => {
+    batch.update(doc.ref, {status: "Closed", closedAt: now});
+  });
+  // A PAR still running is closed with the incident rather than left for
+  // checkoverduepars to mark overdue. It was never acknowledged, so
+  // parAckTime stays empty.
+  openParLogsSnapshot.forEach((doc) => {
+    batch.update(doc.ref, {status: "Closed", closedTime: now});
+  });
+  groupsSnapshot.forEach((doc) => {
+    if (["Active", "Expired"].includes(doc.data().parStatus)) {
+      batch.update(doc.ref, {
+        parStatus: "Idle",
+        parStartTime: null,
+        parOverdueTime: null,
+        parExpectedUnitIds: [],
+        parUnitResponses: {},
+      });
+    }
+  });
+  // A running air timer cleared with the unit is logged as stopped. A split
+  // parent can be read twice, so each unit is logged once.
+  const airStoppedIds = new Set();
+  const logAirStop = (unitDoc) => {
+    if (!unitDoc.data().airTimer || airStoppedIds.has(unitDoc.id)) return;
+    airStoppedIds.add(unitDoc.id);
+    batch.set(db.collection("unitActionLogs").doc(), buildAirStopLog({
+      unitId: unitDoc.id,
+      unitData: unitDoc.data(),
+      now,
+      incidentId,
+      customerId,
+      reason: "incident closed",
+    }));
+  };
+  workingUnitsSnapshot.forEach((doc) => {
+    if (!assignedIds.has(doc.id) && !doc.data().parentUnitId &&
+        doc.data().status !== "Out of Service") {
+      batch.update(doc.ref, offIncident);
+      logAirStop(doc);
+    }
+  });
+
   if (assignSnapshot.empty) {
     batch.update(incidentRef, {
       status: "Closed",
@@ -1647,6 +3057,7 @@ async function closeIncident(params, authContext) {
       commanderSessionId: null,
     });
     await batch.commit();
+    await logIncidentAction(closeLog);
     return {message: "Incident closed successfully."};
   }
 
@@ -1672,7 +3083,8 @@ async function closeIncident(params, authContext) {
     );
     const parentUnitsSnapshot = await parentUnitsQuery.get();
     parentUnitsSnapshot.forEach((doc) => {
-      batch.update(doc.ref, {isSplit: false, status: "Available"});
+      batch.update(doc.ref, {isSplit: false, ...offIncident});
+      logAirStop(doc);
     });
   }
 
@@ -1686,10 +3098,12 @@ async function closeIncident(params, authContext) {
     const unitId = doc.data().unitId;
     const isParent = parentIds.has(unitId);
     const isSubunit = subunitIds.has(unitId);
+    const unitDoc = assignedUnitsSnapshot.docs.find((d) => d.id === unitId);
+    if (isSubunit && unitDoc) logAirStop(unitDoc);
     if (!isParent && !isSubunit) {
-      const unitDoc = assignedUnitsSnapshot.docs.find((d) => d.id === unitId);
       if (unitDoc && unitDoc.data().status !== "Out of Service") {
-        batch.update(unitsRef.doc(unitId), {status: "Available"});
+        batch.update(unitsRef.doc(unitId), offIncident);
+        logAirStop(unitDoc);
       }
     }
   });
@@ -1701,6 +3115,7 @@ async function closeIncident(params, authContext) {
     commanderSessionId: null,
   });
   await batch.commit();
+  await logIncidentAction(closeLog);
 
   const successMsg =
     "Incident closed, all units released, and split units reformed.";
@@ -1731,24 +3146,18 @@ async function applyTemplateToIncident(query, customerId) {
   const batch = db.batch();
   const groupsRef = db.collection("groups");
   const creationTime = new Date();
+  const getBenchmarksFor = await getBenchmarkSetResolver(customerId);
 
   groupsToCreate.forEach((groupName, index) => {
     const newGroupRef = groupsRef.doc();
-    batch.set(newGroupRef, {
+    batch.set(newGroupRef, buildNewGroupData({
       incidentId,
       groupName,
-      status: "Active",
-      creationTime,
       displayOrder: index,
-      fireBenchmark: "Pending",
-      searchBenchmark: "Pending",
-      extensionBenchmark: "Pending",
-      groupSupervisorUnitId: null,
-      parentGroupId: null,
-      parStartTime: null,
-      parStatus: "Idle",
+      creationTime,
+      benchmarks: getBenchmarksFor(groupName),
       customerId,
-    });
+    }));
   });
 
   await batch.commit();
@@ -1759,17 +3168,36 @@ async function applyTemplateToIncident(query, customerId) {
 // --- Group & Assignment Management ---
 
 /**
- * Fetches available units and groups them into a flat list.
+ * Fetches the units that can be assigned and groups them into a flat list:
+ * every Available unit, plus units already working the given incident
+ * without a group (dispatched, en route, on scene, staged or in rehab).
+ * @param {object} query The request query parameters.
+ * @param {string} [query.incidentId] The incident being worked.
  * @param {string} customerId The authenticated customer's ID.
  * @return {Promise<object>} An object containing the assembled hierarchy.
  */
-async function getAllAvailableUnitsGroupedByDept(customerId) {
+async function getAllAvailableUnitsGroupedByDept(query, customerId) {
+  const {incidentId} = query;
+  const partners = incidentId ?
+    await getIncidentPartners(incidentId, customerId, "assign") :
+    [];
   const [depts, allUnits] = await Promise.all([
     getDepartments(customerId),
-    getCollectionData("units", customerId),
+    getIncidentUnits(incidentId, customerId, partners),
   ]);
-
-  const availableUnits = allUnits.filter((u) => u.status === "Available");
+  // Mutual-aid units are listed under their own agency's departments.
+  const partnerDepts = await Promise.all(partners.map(async (partner) =>
+    (await getDepartments(partner.customerId)).map((dept) => ({
+      ...dept,
+      departmentName: `${partner.partnerName}: ${dept.departmentName}`,
+      isMutualAid: true,
+    }))));
+
+  // Units checked into a staging area or resting in rehab are listed in
+  // their own panels.
+  const availableUnits = allUnits.filter((u) => u.status === "Available" ||
+    (incidentId && u.statusIncidentId === incidentId &&
+      !["Assigned", "Rehab"].includes(u.status) && !u.stagingAreaId));
 
   const unitsByDeptId = availableUnits.reduce((acc, unit) => {
     const key = unit.departmentId;
@@ -1780,7 +3208,7 @@ async function getAllAvailableUnitsGroupedByDept(customerId) {
     return acc;
   }, {});
 
-  const groupedResult = depts
+  const groupedResult = [...depts, ...partnerDepts.flat()]
       .map((dept) => {
         const unitsForDept = unitsByDeptId[dept.id] || [];
         dept.units = unitsForDept.sort(
@@ -1819,27 +3247,24 @@ async function getGroupsForIncident(query, customerId) {
       .where("customerId", "==", customerId)
       .where("incidentId", "==", incidentId)
       .where("releaseTime", "==", null).get();
-  const unitsQuery = db.collection("units")
-      .where("customerId", "==", customerId).get();
   const commonGroupsQuery = db.collection("commonGroups")
       .where("customerId", "==", customerId).get();
 
   const [
     groupsSnapshot,
     assignmentsSnapshot,
-    unitsSnapshot,
+    units,
     commonGroupsSnapshot,
   ] = await Promise.all([
     groupsQuery,
     assignmentsQuery,
-    unitsQuery,
+    getIncidentUnits(incidentId, customerId),
     commonGroupsQuery,
   ]);
 
   if (groupsSnapshot.empty) return [];
 
-  const unitIdDataPairs = unitsSnapshot.docs.map((d) => [d.id, d.data()]);
-  const masterUnitsMap = new Map(unitIdDataPairs);
+  const masterUnitsMap = new Map(units.map((unit) => [unit.id, unit]));
   const colorNamePairs = commonGroupsSnapshot.docs.map((d) => [
     d.data().name,
     d.data().color,
@@ -1858,12 +3283,24 @@ async function getGroupsForIncident(query, customerId) {
     const group = {id: doc.id, ...doc.data()};
     group.units = (assignmentsByGroup.get(group.id) || []).map((assignment) => {
       const unitDetails = masterUnitsMap.get(assignment.unitId) || {};
+      // The assignment's roster is the crew riding on this incident, which
+      // may differ from the unit's shift roster.
+      const roster = parseRoster(assignment.roster);
       return {
         ...unitDetails,
         unitId: assignment.unitId,
         assignmentTime: assignment.assignmentTime.toDate().toISOString(),
+        roster,
+        personnelCount: roster.length,
+        statusTimes: serializeForExport(assignment.statusTimes || {}),
+        airTimer: unitDetails.airTimer ? {
+          startTime: toIsoString(unitDetails.airTimer.startTime),
+          cylinderMinutes: unitDetails.airTimer.cylinderMinutes,
+        } : null,
       };
     });
+    group.personnelCount = group.units
+        .reduce((total, unit) => total + unit.personnelCount, 0);
     if (group.groupSupervisorUnitId) {
       const sup = masterUnitsMap.get(group.groupSupervisorUnitId);
       group.groupSupervisorName = sup ? sup.unit : "Unknown";
@@ -1873,38 +3310,80 @@ async function getGroupsForIncident(query, customerId) {
     group.supervisorAssignmentTime =
       group.supervisorAssignmentTime?.toDate().toISOString();
     group.parStartTime = group.parStartTime?.toDate().toISOString();
+    group.parOverdueTime = group.parOverdueTime?.toDate().toISOString();
+    group.benchmarks = getGroupBenchmarks(group).map((benchmark) => ({
+      ...benchmark,
+      stateTimes: serializeForExport(benchmark.stateTimes),
+    }));
+    delete group.benchmarkStateTimes;
+    group.parUnitResponses = Object.fromEntries(
+        Object.entries(group.parUnitResponses || {}).map(([id, r]) => [
+          id,
+          {...r, ackTime: r.ackTime.toDate().toISOString()},
+        ]));
     return group;
   });
 }
 
 /**
- * Creates a new group for an incident for a customer.
- * @param {object} query The request query parameters.
- * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} The new group document.
+ * Builds the document for a newly created group, with every benchmark in its
+ * first state and no supervisor, parent or PAR running. The benchmark
+ * definitions are copied onto the group so later edits to the customer's
+ * benchmark sets do not change groups already on a board.
+ * @param {object} fields The group's identifying fields.
+ * @param {string} fields.incidentId The ID of the incident.
+ * @param {string} fields.groupName The group name.
+ * @param {number} fields.displayOrder The group's position on the board.
+ * @param {Date} fields.creationTime When the group was created.
+ * @param {Array<object>} fields.benchmarks The group's benchmark
+ *     definitions, from getBenchmarkSetResolver.
+ * @param {string} fields.customerId The authenticated customer's ID.
+ * @return {object} The group document data.
  */
-async function createGroupForIncident(query, customerId) {
-  const {incidentId, groupName, displayOrder} = query;
-  if (!incidentId || !groupName) {
-    throw new Error("Incident ID and Group Name are required.");
-  }
-  await getAndVerifyDoc("incidents", incidentId, customerId);
-
-  const newGroupData = {
+function buildNewGroupData(fields) {
+  const {
+    incidentId, groupName, displayOrder, creationTime, benchmarks, customerId,
+  } = fields;
+  return {
     incidentId,
-    groupName: groupName.trim(),
+    groupName,
     status: "Active",
-    creationTime: new Date(),
-    displayOrder: displayOrder ? parseInt(displayOrder, 10) : 99,
-    fireBenchmark: "Pending",
-    searchBenchmark: "Pending",
-    extensionBenchmark: "Pending",
+    creationTime,
+    displayOrder,
+    benchmarkDefinitions: benchmarks,
+    benchmarkStatuses: Object.fromEntries(
+        benchmarks.map((benchmark) => [benchmark.key, benchmark.states[0]])),
+    benchmarkStateTimes: {},
     groupSupervisorUnitId: null,
     parentGroupId: null,
     parStartTime: null,
     parStatus: "Idle",
     customerId,
   };
+}
+
+/**
+ * Creates a new group for an incident for a customer.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The new group document.
+ */
+async function createGroupForIncident(query, customerId) {
+  const {incidentId, groupName, displayOrder} = query;
+  if (!incidentId || !groupName) {
+    throw new Error("Incident ID and Group Name are required.");
+  }
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+  const getBenchmarksFor = await getBenchmarkSetResolver(customerId);
+
+  const newGroupData = buildNewGroupData({
+    incidentId,
+    groupName: groupName.trim(),
+    displayOrder: displayOrder ? parseInt(displayOrder, 10) : 99,
+    creationTime: new Date(),
+    benchmarks: getBenchmarksFor(groupName.trim()),
+    customerId,
+  });
   const docRef = await db.collection("groups").add(newGroupData);
 
   return {
@@ -1926,27 +3405,68 @@ async function assignUnitsToGroup(query, customerId) {
     throw new Error("All parameters are required.");
   }
   await getAndVerifyDoc("incidents", incidentId, customerId);
-  await getAndVerifyDoc("groups", groupId, customerId);
 
   const unitIdArray = unitIds.split(",");
-  const batch = db.batch();
-  for (const unitId of unitIdArray) {
-    await getAndVerifyDoc("units", unitId, customerId);
-    const newAssignmentRef = db.collection("assignments").doc();
-    batch.set(newAssignmentRef, {
-      incidentId,
-      groupId,
-      unitId,
-      assignmentTime: new Date(),
-      releaseTime: null,
-      notes: "Assigned to group",
+  // The unit reads and the open-assignment checks run in the transaction, so
+  // a unit assigned from another device at the same moment is rejected here
+  // instead of ending up in two groups.
+  await db.runTransaction(async (transaction) => {
+    await getAndVerifyTargetGroupInTransaction(
+        transaction, groupId, incidentId, customerId);
+    const units = await Promise.all(unitIdArray.map((unitId) =>
+      getAndVerifyUnitInTransaction(
+          transaction, unitId, customerId, incidentId)));
+    const activeSnapshots = await Promise.all(unitIdArray.map((unitId) =>
+      transaction.get(getActiveAssignmentQuery(unitId, customerId))));
+
+    const now = new Date();
+    const undoUnits = [];
+    units.forEach(({ref: unitRef, data: unitData}, index) => {
+      if (!activeSnapshots[index].empty) {
+        const errorMsg = `${unitData.unit} is already assigned to a group.`;
+        throw new functions.https.HttpsError("failed-precondition", errorMsg);
+      }
+      const unitUpdate =
+        getUnitStatusUpdate(unitData, "Assigned", now, incidentId);
+      const assignmentRef = db.collection("assignments").doc();
+      undoUnits.push({
+        unitId: unitRef.id,
+        assignmentId: assignmentRef.id,
+        unitState: getUnitStatusState(unitData),
+      });
+      transaction.set(assignmentRef, {
+        incidentId,
+        groupId,
+        unitId: unitRef.id,
+        assignmentTime: now,
+        releaseTime: null,
+        notes: "Assigned to group",
+        roster: unitData.roster || [],
+        statusTimes: unitUpdate.incidentStatusTimes,
+        customerId,
+      });
+      transaction.update(unitRef, unitUpdate);
+      transaction.set(db.collection("unitActionLogs").doc(),
+          buildUnitStatusLog({
+            unitId: unitRef.id,
+            unitData,
+            newStatus: "Assigned",
+            now,
+            incidentId,
+            customerId,
+          }));
+    });
+    const unitNames = units.map(({data}) => data.unit).join(", ");
+    addUndoEntry(transaction, {
       customerId,
+      incidentId,
+      action: "assignUnitsToGroup",
+      description: `Assign ${unitNames}`,
+      inverse: {units: undoUnits},
+      now,
     });
-    const unitRef = db.collection("units").doc(unitId);
-    batch.update(unitRef, {status: "Assigned"});
-  }
+  });
 
-  await batch.commit();
   return {message: `${unitIdArray.length} unit(s) assigned successfully.`};
 }
 
@@ -1962,46 +3482,100 @@ async function moveUnitToNewGroup(query, customerId) {
     throw new Error("All parameters are required.");
   }
   await getAndVerifyDoc("incidents", incidentId, customerId);
-  await getAndVerifyDoc("units", unitId, customerId);
-  await getAndVerifyDoc("groups", newGroupId, customerId);
-
-  const assignmentsRef = db.collection("assignments");
-  const snapshot = await assignmentsRef
-      .where("customerId", "==", customerId)
-      .where("incidentId", "==", incidentId)
-      .where("unitId", "==", unitId)
-      .where("releaseTime", "==", null)
-      .limit(1).get();
-
-  if (snapshot.empty) {
-    throw new Error("Could not find an active assignment for this unit.");
-  }
-  const oldAssignmentDoc = snapshot.docs[0];
-  if (oldAssignmentDoc.data().groupId === newGroupId) {
-    return {message: "Unit is already in the target group."};
-  }
 
-  const batch = db.batch();
-  batch.update(oldAssignmentDoc.ref, {
-    releaseTime: new Date(),
-    notes: "Moved to new group",
-  });
+  // Read and written together, so two devices moving the unit at once can't
+  // both close the same assignment and leave it in two groups.
+  const isMoved = await db.runTransaction(async (transaction) => {
+    const {data: newGroupData} = await getAndVerifyTargetGroupInTransaction(
+        transaction, newGroupId, incidentId, customerId);
+    const {data: unitData} = await getAndVerifyUnitInTransaction(
+        transaction, unitId, customerId, incidentId);
+    const snapshot = await transaction.get(
+        getActiveAssignmentQuery(unitId, customerId));
+
+    const oldAssignmentDoc = snapshot.docs[0];
+    if (!oldAssignmentDoc ||
+        oldAssignmentDoc.data().incidentId !== incidentId) {
+      throw new Error("Could not find an active assignment for this unit.");
+    }
+    if (oldAssignmentDoc.data().groupId === newGroupId) return false;
 
-  const newAssignmentRef = db.collection("assignments").doc();
-  batch.set(newAssignmentRef, {
-    incidentId,
-    groupId: newGroupId,
-    unitId,
-    assignmentTime: new Date(),
-    releaseTime: null,
-    notes: "Assigned via move",
-    customerId,
+    const now = new Date();
+    transaction.update(oldAssignmentDoc.ref, {
+      releaseTime: now,
+      notes: "Moved to new group",
+    });
+    const newAssignmentRef = db.collection("assignments").doc();
+    transaction.set(newAssignmentRef, {
+      incidentId,
+      groupId: newGroupId,
+      unitId,
+      assignmentTime: now,
+      releaseTime: null,
+      notes: "Assigned via move",
+      roster: oldAssignmentDoc.data().roster || [],
+      statusTimes: oldAssignmentDoc.data().statusTimes || {},
+      customerId,
+    });
+    addUndoEntry(transaction, {
+      customerId,
+      incidentId,
+      action: "moveUnitToNewGroup",
+      description: `Move ${unitData.unit} to ${newGroupData.groupName}`,
+      inverse: {moves: [{
+        fromAssignmentId: oldAssignmentDoc.id,
+        fromNotes: oldAssignmentDoc.data().notes || null,
+        toAssignmentId: newAssignmentRef.id,
+      }]},
+      now,
+    });
+    return true;
   });
 
-  await batch.commit();
+  if (!isMoved) return {message: "Unit is already in the target group."};
   return {message: `Unit ${unitId} moved successfully.`};
 }
 
+/**
+ * Adds the writes that release a unit from an incident: its open assignment
+ * ends and the unit becomes Available. Units that are Out of Service keep
+ * that status.
+ * @param {object} writer The Firestore transaction or batch.
+ * @param {object} release The release details.
+ * @param {object} release.unitRef The unit document reference.
+ * @param {object} release.unitData The unit document data.
+ * @param {object} [release.assignmentDoc] The unit's open assignment.
+ * @param {string} release.notes The note recorded on the assignment.
+ * @param {Date} release.now The release time.
+ * @param {string} release.incidentId The incident the unit is leaving.
+ * @param {string} release.customerId The authenticated customer's ID.
+ */
+function addUnitReleaseWrites(writer, release) {
+  const {unitRef, unitData, assignmentDoc, notes, now} = release;
+  if (assignmentDoc) {
+    writer.update(assignmentDoc.ref, {
+      releaseTime: now,
+      notes,
+      statusTimes: {...assignmentDoc.data().statusTimes, Available: now},
+    });
+  }
+  if (unitData.status === "Out of Service") return;
+  if (!assignmentDoc && unitData.status === "Available") {
+    const errorMsg = `${unitData.unit} has already been released.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  writer.update(unitRef,
+      getUnitStatusUpdate(unitData, "Available", now, null));
+  writer.set(db.collection("unitActionLogs").doc(), buildUnitStatusLog({
+    unitId: unitRef.id,
+    unitData,
+    newStatus: "Available",
+    now,
+    incidentId: release.incidentId,
+    customerId: release.customerId,
+  }));
+}
+
 /**
  * Releases a unit to be available for a customer after verifying ownership.
  * @param {object} query The request query parameters.
@@ -2014,29 +3588,40 @@ async function releaseUnitToAvailable(query, customerId) {
     throw new Error("Incident and Unit IDs are required.");
   }
   await getAndVerifyDoc("incidents", incidentId, customerId);
-  const {data: unitData, ref: unitRef} =
-    await getAndVerifyDoc("units", unitId, customerId);
-
-  const snapshot = await db.collection("assignments")
-      .where("customerId", "==", customerId)
-      .where("incidentId", "==", incidentId)
-      .where("unitId", "==", unitId)
-      .where("releaseTime", "==", null)
-      .limit(1).get();
 
-  const batch = db.batch();
-  if (!snapshot.empty) {
-    batch.update(snapshot.docs[0].ref, {
-      releaseTime: new Date(),
-      notes: "Released to available",
+  await db.runTransaction(async (transaction) => {
+    const {data: unitData, ref: unitRef} = await getAndVerifyUnitInTransaction(
+        transaction, unitId, customerId, incidentId);
+    const snapshot = await transaction.get(db.collection("assignments")
+        .where("customerId", "==", customerId)
+        .where("incidentId", "==", incidentId)
+        .where("unitId", "==", unitId)
+        .where("releaseTime", "==", null)
+        .limit(1));
+    const assignmentDoc = snapshot.docs[0];
+    const now = new Date();
+    addUnitReleaseWrites(transaction, {
+      unitRef, unitData, assignmentDoc,
+      notes: "Released to available", now, incidentId,
+      customerId,
     });
-  }
-
-  if (unitData.status !== "Out of Service") {
-    batch.update(unitRef, {status: "Available"});
-  }
+    addUndoEntry(transaction, {
+      customerId,
+      incidentId,
+      action: "releaseUnitToAvailable",
+      description: `Release ${unitData.unit}`,
+      inverse: {
+        unitId,
+        unitState: getUnitStatusState(unitData),
+        assignmentId: assignmentDoc ? assignmentDoc.id : null,
+        assignmentNotes: assignmentDoc ? assignmentDoc.data().notes : null,
+        assignmentStatusTimes:
+          assignmentDoc ? assignmentDoc.data().statusTimes || {} : null,
+      },
+      now,
+    });
+  });
 
-  await batch.commit();
   return {message: "Unit released to available pool."};
 }
 
@@ -2056,13 +3641,29 @@ async function setGroupSupervisor(query, customerId) {
   const {ref: groupRef, data: groupData} =
     await getAndVerifyDoc("groups", groupId, customerId);
   const {data: unitData} =
-    await getAndVerifyDoc("units", unitId, customerId);
+    await getAndVerifyUnit(unitId, customerId);
 
   // Update the live state of the group document.
-  await groupRef.update({
+  const now = new Date();
+  const batch = db.batch();
+  batch.update(groupRef, {
     groupSupervisorUnitId: unitId,
-    supervisorAssignmentTime: new Date(),
+    supervisorAssignmentTime: now,
+  });
+  addUndoEntry(batch, {
+    customerId,
+    incidentId,
+    action: "setGroupSupervisor",
+    description: `Set ${unitData.unit} as ${groupData.groupName} supervisor`,
+    inverse: {
+      groupId,
+      unitId,
+      previousUnitId: groupData.groupSupervisorUnitId || null,
+      previousTime: groupData.supervisorAssignmentTime || null,
+    },
+    now,
   });
+  await batch.commit();
 
   // Create a permanent log of the action.
   // This block is now formatted to be under 80 characters per line.
@@ -2138,38 +3739,47 @@ async function clearGroupSupervisor(query, customerId) {
  * @return {Promise<object>} A success message.
  */
 async function updateGroupBenchmark(query, customerId) {
-  const {groupId, benchmarkName, newStatus} = query;
-  if (!groupId || !benchmarkName || !newStatus) {
+  const {groupId, newStatus} = query;
+  // Older clients send the legacy field name as benchmarkName.
+  const benchmarkKey = query.benchmarkKey || query.benchmarkName;
+  if (!groupId || !benchmarkKey || !newStatus) {
     throw new Error("All parameters are required.");
   }
   const {ref: groupRef, data: groupData} =
     await getAndVerifyDoc("groups", groupId, customerId);
 
-  const validBenchmarks = [
-    "fireBenchmark",
-    "searchBenchmark",
-    "extensionBenchmark",
-  ];
-  if (!validBenchmarks.includes(benchmarkName)) {
+  const benchmark = getGroupBenchmarks(groupData)
+      .find((b) => b.key === benchmarkKey);
+  if (!benchmark) {
     throw new Error("Invalid benchmark name.");
   }
+  if (!benchmark.states.includes(newStatus)) {
+    throw new Error("Invalid benchmark status.");
+  }
 
   // Update the live state of the group document with timestamps.
   const now = new Date();
-  const groupUpdateData = {[benchmarkName]: newStatus};
-  if (newStatus === "Started") {
-    groupUpdateData[`${benchmarkName}StartTime`] = now;
-  }
-  if (newStatus === "Completed") {
-    groupUpdateData[`${benchmarkName}CompletionTime`] = now;
+  if (groupData.benchmarkDefinitions) {
+    // Only this benchmark's fields are written, so concurrent updates to
+    // other benchmarks aren't lost. States are free text, hence FieldPath.
+    const {FieldPath} = admin.firestore;
+    await groupRef.update(
+        new FieldPath("benchmarkStatuses", benchmarkKey), newStatus,
+        new FieldPath("benchmarkStateTimes", benchmarkKey, newStatus), now);
+  } else {
+    const groupUpdateData = {[benchmarkKey]: newStatus};
+    if (newStatus === "Started") {
+      groupUpdateData[`${benchmarkKey}StartTime`] = now;
+    }
+    if (newStatus === "Completed") {
+      groupUpdateData[`${benchmarkKey}CompletionTime`] = now;
+    }
+    await groupRef.update(groupUpdateData);
   }
-  await groupRef.update(groupUpdateData);
 
   // Create a permanent log of the action.
-  // This block is now formatted to be under 80 characters per line.
-  const friendlyBenchmarkName = benchmarkName.replace("Benchmark", "");
   const details =
-    `Benchmark '${friendlyBenchmarkName}' for group ` +
+    `Benchmark '${benchmark.label}' for group ` +
     `${groupData.groupName} set to ${newStatus}.`;
   await logIncidentAction({
     customerId,
@@ -2179,7 +3789,8 @@ async function updateGroupBenchmark(query, customerId) {
     metadata: {
       groupId,
       groupName: groupData.groupName,
-      benchmark: friendlyBenchmarkName,
+      benchmarkKey,
+      benchmark: benchmark.label,
       status: newStatus,
     },
   });
@@ -2199,42 +3810,66 @@ async function moveMultipleUnits(query, customerId) {
     throw new Error("All parameters are required.");
   }
   await getAndVerifyDoc("incidents", incidentId, customerId);
-  await getAndVerifyDoc("groups", newGroupId, customerId);
 
   const unitIdArray = unitIds.split(",");
-  const now = new Date();
-  const batch = db.batch();
   const assignmentsRef = db.collection("assignments");
+  // As in moveUnitToNewGroup, the open assignments are read and replaced in
+  // one transaction.
+  await db.runTransaction(async (transaction) => {
+    const {data: newGroupData} = await getAndVerifyTargetGroupInTransaction(
+        transaction, newGroupId, incidentId, customerId);
+    const units = await Promise.all(unitIdArray.map((unitId) =>
+      getAndVerifyUnitInTransaction(
+          transaction, unitId, customerId, incidentId)));
+    const activeSnapshots = await Promise.all(unitIdArray.map((unitId) =>
+      transaction.get(getActiveAssignmentQuery(unitId, customerId))));
 
-  for (const unitId of unitIdArray) {
-    await getAndVerifyDoc("units", unitId, customerId);
-    const snapshot = await assignmentsRef
-        .where("customerId", "==", customerId)
-        .where("incidentId", "==", incidentId)
-        .where("unitId", "==", unitId)
-        .where("releaseTime", "==", null)
-        .limit(1).get();
-
-    if (!snapshot.empty) {
-      const oldAssignmentDoc = snapshot.docs[0];
-      batch.update(oldAssignmentDoc.ref, {
+    const now = new Date();
+    const moves = [];
+    const movedUnitNames = [];
+    units.forEach(({data: unitData}, index) => {
+      const oldAssignmentDoc = activeSnapshots[index].docs[0];
+      if (!oldAssignmentDoc ||
+          oldAssignmentDoc.data().incidentId !== incidentId) {
+        return;
+      }
+      const unitId = unitIdArray[index];
+      transaction.update(oldAssignmentDoc.ref, {
         releaseTime: now,
         notes: "Moved via multi-unit move",
       });
       const newAssignmentRef = assignmentsRef.doc();
-      batch.set(newAssignmentRef, {
+      transaction.set(newAssignmentRef, {
         incidentId,
         groupId: newGroupId,
         unitId,
         assignmentTime: now,
         releaseTime: null,
         notes: "Assigned via multi-unit move",
+        roster: oldAssignmentDoc.data().roster || [],
+        statusTimes: oldAssignmentDoc.data().statusTimes || {},
         customerId,
       });
-    }
-  }
+      moves.push({
+        fromAssignmentId: oldAssignmentDoc.id,
+        fromNotes: oldAssignmentDoc.data().notes || null,
+        toAssignmentId: newAssignmentRef.id,
+      });
+      movedUnitNames.push(unitData.unit);
+    });
 
-  await batch.commit();
+    if (moves.length > 0) {
+      addUndoEntry(transaction, {
+        customerId,
+        incidentId,
+        action: "moveMultipleUnits",
+        description:
+          `Move ${movedUnitNames.join(", ")} to ${newGroupData.groupName}`,
+        inverse: {moves},
+        now,
+      });
+    }
+  });
   return {message: `${unitIdArray.length} units moved successfully.`};
 }
 
@@ -2255,7 +3890,6 @@ async function releaseMultipleUnits(query, customerId) {
 
   const unitIdArray = unitIds.split(",");
   const now = new Date();
-  const batch = db.batch();
   const assignmentsRef = db.collection("assignments");
 
   // --- THE FIX IS HERE: SERVER-SIDE VALIDATION ---
@@ -2279,804 +3913,5055 @@ async function releaseMultipleUnits(query, customerId) {
   // --- END OF FIX ---
 
 
-  // If validation passes, proceed with the original release logic.
-  for (const unitId of unitIdArray) {
-    const {ref: unitRef} = await getAndVerifyDoc("units", unitId, customerId);
-    const snapshot = await assignmentsRef
-        .where("customerId", "==", customerId)
-        .where("incidentId", "==", incidentId)
-        .where("unitId", "==", unitId)
-        .where("releaseTime", "==", null)
-        .limit(1).get();
-
-    if (!snapshot.empty) {
-      batch.update(snapshot.docs[0].ref, {
-        releaseTime: now,
-        notes: "Released via multi-unit release",
+  // If validation passes, release every unit in one transaction.
+  await db.runTransaction(async (transaction) => {
+    const units = await Promise.all(unitIdArray.map((unitId) =>
+      getAndVerifyUnitInTransaction(
+          transaction, unitId, customerId, incidentId)));
+    const snapshots = await Promise.all(unitIdArray.map((unitId) =>
+      transaction.get(assignmentsRef
+          .where("customerId", "==", customerId)
+          .where("incidentId", "==", incidentId)
+          .where("unitId", "==", unitId)
+          .where("releaseTime", "==", null)
+          .limit(1))));
+    units.forEach(({ref: unitRef, data: unitData}, index) => {
+      addUnitReleaseWrites(transaction, {
+        unitRef, unitData, assignmentDoc: snapshots[index].docs[0],
+        notes: "Released via multi-unit release", now, incidentId,
+        customerId,
       });
-    }
-    batch.update(unitRef, {status: "Available"});
-  }
-
-  await batch.commit();
+    });
+  });
   const successMsg = `${unitIdArray.length} units released successfully.`;
   return {message: successMsg};
 }
 
 
-// --- Settings Management ---
+// --- Tactical Undo ---
+
+// How long a tactical action can still be undone.
+const UNDO_WINDOW_MINUTES = 10;
 
 /**
- * Fetches the settings for a specific customer.
- * @param {object} query The request query parameters.
- * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} The customer's settings document.
+ * The unit fields a status change rewrites (see getUnitStatusUpdate). Undo
+ * puts them back as they were.
  */
-async function getSettings(query, customerId) {
-  const settingsRef = db.collection("settings").doc(customerId);
-  const doc = await settingsRef.get();
-  if (!doc.exists) {
-    return {parTimerDurationMinutes: 10}; // Default settings
-  }
-  return doc.data();
-}
+const UNIT_STATUS_STATE_FIELDS = [
+  "status", "statusTime", "statusIncidentId", "incidentStatusTimes",
+  "stagingAreaId", "rehab", "airTimer",
+];
 
 /**
- * Updates the settings for a specific customer.
- * @param {object} query The request query parameters.
- * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} A success message.
+ * Copies the status fields of a unit before a tactical action changes them.
+ * @param {object} unitData The unit document data.
+ * @return {object} The fields, with null for any that are unset.
  */
-async function updateSettings(query, customerId) {
-  const {parTimerDurationMinutes} = query;
-  if (!parTimerDurationMinutes ||
-      isNaN(parseInt(parTimerDurationMinutes, 10))) {
-    throw new Error("PAR timer duration must be a valid number.");
-  }
-  const settingsRef = db.collection("settings").doc(customerId);
-  await settingsRef.set({
-    parTimerDurationMinutes: parseInt(parTimerDurationMinutes, 10),
-  }, {merge: true});
-  return {message: "Settings updated successfully."};
+function getUnitStatusState(unitData) {
+  return Object.fromEntries(UNIT_STATUS_STATE_FIELDS.map((field) =>
+    [field, unitData[field] === undefined ? null : unitData[field]]));
 }
 
 /**
- * Starts the PAR timer for a group and creates a new, active log entry.
- * @param {object} query The request query parameters.
- * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} The updated group data.
+ * Adds a tacticalUndo entry to a batch or transaction, alongside the writes
+ * of the action it can reverse, so the two are saved together.
+ * @param {object} writer The Firestore batch or transaction.
+ * @param {object} entry The undo entry.
+ * @param {string} entry.customerId The customer that owns the incident.
+ * @param {string} entry.incidentId The incident the action was taken on.
+ * @param {string} entry.action The API action, a key of UNDO_HANDLERS.
+ * @param {string} entry.description A short description for the toast and
+ *     the incident log, e.g. "Move E1 to Roof".
+ * @param {object} entry.inverse What the undo handler needs to reverse it.
+ * @param {Date} entry.now The time of the action.
  */
-async function startParTimer(query, customerId) {
-  const {groupId} = query;
-  if (!groupId) throw new Error("Group ID is required.");
-
-  // Verify the user owns the group they are trying to modify.
-  const {ref: groupRef, data: groupData} =
-    await getAndVerifyDoc("groups", groupId, customerId);
-
-  const now = new Date();
-  const batch = db.batch();
-
-  // 1. Update the group document for the live UI state.
-  const groupUpdateData = {
-    parStatus: "Active",
-    parStartTime: now,
-  };
-  batch.update(groupRef, groupUpdateData);
-
-  // 2. Create a new log document in the parLogs collection.
-  const newLogRef = db.collection("parLogs").doc();
-  batch.set(newLogRef, {
-    customerId,
-    incidentId: groupData.incidentId,
-    groupId: groupId,
-    groupName: groupData.groupName, // Denormalize for easier reporting
-    parStartTime: now,
-    parAckTime: null, // Acknowledgment time is not yet known
-    durationSeconds: null,
-    status: "Active", // Mark this log as the currently active one
+function addUndoEntry(writer, entry) {
+  const {now, ...fields} = entry;
+  writer.set(db.collection("tacticalUndo").doc(), {
+    ...fields,
+    status: "Pending",
+    createdAt: now,
   });
-
-  await batch.commit();
-
-  return {
-    ...groupUpdateData,
-    parStartTime: now.toISOString(),
-  };
 }
 
 /**
- * Stops the PAR timer on a group, finds the active log, and updates it
- * with the acknowledgment time and duration.
- * @param {object} query The request query parameters.
- * @param {string} query.groupId The ID of the group to stop the timer for.
- * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} A success message.
+ * Throws when the board no longer looks the way an action left it, e.g. the
+ * unit has since been moved again, so undoing it would clobber later work.
+ * @param {boolean} condition Whether the state still matches.
+ * @param {string} what What changed, for the error message.
  */
-async function stopParTimer(query, customerId) {
-  const {groupId} = query;
-  if (!groupId) {
-    throw new Error("Group ID is required.");
+function assertUndoable(condition, what) {
+  if (!condition) {
+    const errorMsg = `Can't undo: ${what} has changed since.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
   }
+}
 
-  // We only need the 'ref' from this call, not the 'data', so we only
-  // destructure what is necessary to avoid unused variable errors.
-  const {ref: groupRef} =
-    await getAndVerifyDoc("groups", groupId, customerId);
-
-  const now = new Date();
-  const batch = db.batch();
-
-  // 1. Update the group document to reset the live UI state.
-  batch.update(groupRef, {
-    parStatus: "Idle",
-    parStartTime: null,
+/**
+ * Restores a unit's status fields and logs the change as a status change.
+ * @param {object} transaction The Firestore transaction.
+ * @param {object} unitDoc The unit document snapshot.
+ * @param {object} unitState The fields from getUnitStatusState.
+ * @param {object} context The {incidentId, customerId, now} of the undo.
+ */
+function restoreUnitStatusState(transaction, unitDoc, unitState, context) {
+  transaction.update(unitDoc.ref, unitState);
+  const log = buildUnitStatusLog({
+    unitId: unitDoc.id,
+    unitData: unitDoc.data(),
+    newStatus: unitState.status || "Available",
+    ...context,
   });
+  transaction.set(db.collection("unitActionLogs").doc(),
+      {...log, details: `${log.details} (undo)`});
+}
 
-  // 2. Find the active log entry for this group to update it.
-  const logQuery = db.collection("parLogs")
-      .where("customerId", "==", customerId)
-      .where("groupId", "==", groupId)
-      .where("status", "==", "Active")
-      .limit(1);
+/**
+ * Finds the unit's open assignment in the same group as one an action
+ * recorded. Undo reopens assignments as new documents, so after an earlier
+ * undo the recorded one may have been closed and replaced.
+ * @param {object} transaction The Firestore transaction.
+ * @param {object} assignmentDoc The recorded assignment document snapshot.
+ * @param {string} customerId The ID of the customer.
+ * @return {Promise<object>} The open assignment document snapshot.
+ */
+async function getOpenAssignmentForUndo(
+    transaction, assignmentDoc, customerId) {
+  assertUndoable(assignmentDoc.exists, "the unit's assignment");
+  const {unitId, groupId} = assignmentDoc.data();
+  const snapshot = await transaction.get(
+      getActiveAssignmentQuery(unitId, customerId));
+  const openDoc = snapshot.docs[0];
+  assertUndoable(openDoc && openDoc.data().groupId === groupId,
+      "the unit's assignment");
+  return openDoc;
+}
 
-  const logSnapshot = await logQuery.get();
+/**
+ * Puts a unit back in the group of an earlier assignment. A new assignment
+ * starting now is created, so the closed one keeps its real release time.
+ * @param {object} transaction The Firestore transaction.
+ * @param {object} assignmentData The earlier assignment's data.
+ * @param {object} fields The notes and statusTimes of the new assignment.
+ * @param {Date} now The time of the undo.
+ */
+function addReopenedAssignment(transaction, assignmentData, fields, now) {
+  transaction.set(db.collection("assignments").doc(), {
+    incidentId: assignmentData.incidentId,
+    groupId: assignmentData.groupId,
+    unitId: assignmentData.unitId,
+    assignmentTime: now,
+    releaseTime: null,
+    notes: fields.notes || "Assignment restored",
+    roster: assignmentData.roster || [],
+    statusTimes: fields.statusTimes || {},
+    customerId: assignmentData.customerId,
+  });
+}
 
-  if (!logSnapshot.empty) {
-    const activeLogDoc = logSnapshot.docs[0];
-    const startTime = activeLogDoc.data().parStartTime.toDate();
-    const durationMs = now.getTime() - startTime.getTime();
-    const durationSeconds = Math.round(durationMs / 1000);
+/**
+ * Reverses group moves by closing the unit's assignment in the new group and
+ * starting a new one in the old group, which carries on with the crew's
+ * latest status times.
+ * @param {object} transaction The Firestore transaction.
+ * @param {object} inverse The {moves} recorded by the move.
+ * @param {object} context The {customerId, now} of the undo.
+ * @return {Promise<function(): void>} Adds the writes to the transaction.
+ */
+async function undoGroupMoves(transaction, inverse, context) {
+  const assignments = db.collection("assignments");
+  const pairs = await Promise.all(inverse.moves.map(async (move) => {
+    const [fromDoc, toDoc] = await Promise.all([
+      transaction.get(assignments.doc(move.fromAssignmentId)),
+      transaction.get(assignments.doc(move.toAssignmentId)),
+    ]);
+    const openDoc =
+      await getOpenAssignmentForUndo(transaction, toDoc, context.customerId);
+    return {move, fromDoc, openDoc};
+  }));
+  return () => pairs.forEach(({move, fromDoc, openDoc}) => {
+    transaction.update(openDoc.ref,
+        {releaseTime: context.now, notes: "Move undone"});
+    addReopenedAssignment(transaction, fromDoc.data(), {
+      notes: move.fromNotes,
+      statusTimes: openDoc.data().statusTimes,
+    }, context.now);
+  });
+}
 
-    // 3. Update the log with the acknowledgment time and final status.
-    batch.update(activeLogDoc.ref, {
-      parAckTime: now,
-      durationSeconds: durationSeconds,
-      status: "Acknowledged",
+/**
+ * Reverses each undoable action. A handler does its reads and checks first,
+ * as a transaction requires, and returns a function that adds the writes.
+ */
+const UNDO_HANDLERS = {
+  async assignUnitsToGroup(transaction, inverse, context) {
+    const docs = await Promise.all(inverse.units.map(
+        async ({unitId, assignmentId}) => {
+          const [unitDoc, assignmentDoc] = await Promise.all([
+            transaction.get(db.collection("units").doc(unitId)),
+            transaction.get(db.collection("assignments").doc(assignmentId)),
+          ]);
+          const openDoc = await getOpenAssignmentForUndo(
+              transaction, assignmentDoc, context.customerId);
+          return [unitDoc, openDoc];
+        }));
+    docs.forEach(([unitDoc]) => {
+      assertUndoable(unitDoc.exists && unitDoc.data().status === "Assigned",
+          "a unit's status");
     });
-  } else {
-    // This can happen if PAR was started before logging feature was added.
-    // It's safe to just log a warning and continue.
-    const warnMsg = `Could not find an active PAR log for group ID: ${groupId}`;
-    console.warn(warnMsg);
-  }
-
-  await batch.commit();
-  return {message: "PAR timer stopped and logged successfully."};
-}
+    return () => docs.forEach(([unitDoc, openDoc], index) => {
+      transaction.update(openDoc.ref,
+          {releaseTime: context.now, notes: "Assignment undone"});
+      restoreUnitStatusState(
+          transaction, unitDoc, inverse.units[index].unitState, context);
+    });
+  },
+  moveUnitToNewGroup: undoGroupMoves,
+  moveMultipleUnits: undoGroupMoves,
+  async releaseUnitToAvailable(transaction, inverse, context) {
+    const unitDoc =
+      await transaction.get(db.collection("units").doc(inverse.unitId));
+    const activeSnapshot = await transaction.get(
+        getActiveAssignmentQuery(inverse.unitId, context.customerId));
+    const assignmentDoc = inverse.assignmentId ? await transaction.get(
+        db.collection("assignments").doc(inverse.assignmentId)) : null;
+    // Releasing an out-of-service unit only closes its assignment.
+    const wasOutOfService = inverse.unitState.status === "Out of Service";
+    assertUndoable(unitDoc.exists, "the unit");
+    const unitData = unitDoc.data();
+    assertUndoable(activeSnapshot.empty && (wasOutOfService ||
+        (unitData.status === "Available" && !unitData.statusIncidentId)),
+    "the unit's status");
+    return () => {
+      if (assignmentDoc && assignmentDoc.exists) {
+        addReopenedAssignment(transaction, assignmentDoc.data(), {
+          notes: inverse.assignmentNotes,
+          statusTimes: inverse.assignmentStatusTimes,
+        }, context.now);
+      }
+      if (!wasOutOfService) {
+        restoreUnitStatusState(
+            transaction, unitDoc, inverse.unitState, context);
+      }
+    };
+  },
+  async setGroupSupervisor(transaction, inverse) {
+    const groupRef = db.collection("groups").doc(inverse.groupId);
+    const groupDoc = await transaction.get(groupRef);
+    assertUndoable(groupDoc.exists &&
+        groupDoc.data().groupSupervisorUnitId === inverse.unitId,
+    "the group's supervisor");
+    return () => transaction.update(groupRef, {
+      groupSupervisorUnitId: inverse.previousUnitId,
+      supervisorAssignmentTime: inverse.previousTime,
+    });
+  },
+  async setGroupParent(transaction, inverse) {
+    const childRef = db.collection("groups").doc(inverse.childGroupId);
+    const childDoc = await transaction.get(childRef);
+    assertUndoable(childDoc.exists &&
+        childDoc.data().parentGroupId === inverse.parentGroupId,
+    "the group's parent");
+    return () => transaction.update(childRef,
+        {parentGroupId: inverse.previousParentGroupId});
+  },
+  async disbandGroup(transaction, inverse, context) {
+    const groupRef = db.collection("groups").doc(inverse.groupId);
+    const groupDoc = await transaction.get(groupRef);
+    assertUndoable(groupDoc.exists && groupDoc.data().status === "Disbanded",
+        "the group");
+    // disbandTime stays as the record of when the group was disbanded.
+    return () => transaction.update(groupRef,
+        {status: inverse.previousStatus, reactivatedTime: context.now});
+  },
+};
 
 /**
- * Fetches all split-off subunits for a given incident.
- * This version uses a more robust query to find both old and new subunits.
- * @param {object} query The request query parameters.
- * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<Array<object>>} A list of subunit documents.
+ * Reverts the most recent tactical action on an incident that has not been
+ * undone yet, within UNDO_WINDOW_MINUTES. Repeated calls walk back through
+ * earlier actions. The reversal runs in one transaction and is refused if
+ * the board has changed in a way that conflicts with it.
+ * @param {object} query The request body.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {object} authContext The authorization context.
+ * @return {Promise<object>} A message naming the action that was undone.
  */
-async function getSplitUnitsForIncident(query, customerId) {
+async function undoTacticalAction(query, authContext) {
   const {incidentId} = query;
+  const {uid, customerId, name} = authContext;
   if (!incidentId) throw new Error("Incident ID is required.");
+
+  // assertIncidentCommander has already checked the caller holds command.
   await getAndVerifyDoc("incidents", incidentId, customerId);
 
-  // --- THIS IS THE CORRECTED QUERY ---
-  // Instead of checking for splitStatus, we now check for the existence
-  // of a parentUnitId. This will correctly find subunits created with
-  // both the old and new code.
-  const snapshot = await db.collection("units")
-      .where("customerId", "==", customerId)
-      .where("parentUnitId", "!=", null)
-      .get();
-  // --- END OF CORRECTED QUERY ---
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - UNDO_WINDOW_MINUTES * 60 * 1000);
+  const entry = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(db.collection("tacticalUndo")
+        .where("customerId", "==", customerId)
+        .where("incidentId", "==", incidentId)
+        .where("status", "==", "Pending")
+        .orderBy("createdAt", "desc")
+        .limit(1));
+    const undoDoc = snapshot.docs[0];
+    if (!undoDoc || undoDoc.data().createdAt.toDate() < cutoff) {
+      const errorMsg = "There is no recent board action to undo.";
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+    const undo = undoDoc.data();
+    const addWrites = await UNDO_HANDLERS[undo.action](
+        transaction, undo.inverse, {incidentId, customerId, now});
+    addWrites();
+    transaction.update(undoDoc.ref,
+        {status: "Undone", undoneAt: now, undoneByUid: uid});
+    return {id: undoDoc.id, ...undo};
+  });
 
-  if (snapshot.empty) return [];
-  return snapshot.docs.map((doc) => ({id: doc.id, ...doc.data()}));
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "ACTION_UNDONE",
+    details: `${name} undid: ${entry.description}.`,
+    // The restored values let an incident replay show the undo.
+    metadata: {
+      action: entry.action, undoId: entry.id, uid, inverse: entry.inverse,
+    },
+  });
+  return {message: `Undid: ${entry.description}.`};
 }
 
+
+// --- Settings Management ---
+
 /**
- * Splits a single unit into two subunits.
- * This version uses a resilient check for old data.
+ * Fetches the settings for a specific customer.
  * @param {object} query The request query parameters.
  * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} A success message.
+ * @return {Promise<object>} The customer's settings document.
  */
-async function splitUnit(query, customerId) {
-  const {unitId, groupId, incidentId} = query;
-  if (!unitId || !groupId || !incidentId) {
-    throw new Error("Unit, Group, and Incident IDs are required.");
+async function getSettings(query, customerId) {
+  const settingsRef = db.collection("settings").doc(customerId);
+  const doc = await settingsRef.get();
+  if (!doc.exists) {
+    // Default settings
+    return {
+      parTimerDurationMinutes: 10,
+      timeMilestoneMinutes: DEFAULT_TIME_MILESTONE_MINUTES,
+      ...DEFAULT_REHAB_SETTINGS,
+      ...DEFAULT_AIR_SETTINGS,
+    };
   }
+  return {
+    timeMilestoneMinutes: DEFAULT_TIME_MILESTONE_MINUTES,
+    ...DEFAULT_REHAB_SETTINGS,
+    ...DEFAULT_AIR_SETTINGS,
+    ...doc.data(),
+  };
+}
 
-  const {ref: originalUnitRef, data: originalUnitData} =
-    await getAndVerifyDoc("units", unitId, customerId);
+/**
+ * Elapsed-time reminders, in minutes from the start of an incident, used
+ * until a customer configures their own.
+ */
+const DEFAULT_TIME_MILESTONE_MINUTES = [10, 20, 30];
 
-  // --- START: THIS IS THE CORRECTED VALIDATION ---
-  // We now treat a missing splitStatus as "Original" for the check.
-  if (
-    originalUnitData.isSplit ||
-    (originalUnitData.splitStatus ?? "Original") !== "Original"
-  ) {
-    throw new Error("This unit cannot be split.");
-  }
-  // --- END: THIS IS THE CORRECTED VALIDATION ---
+/**
+ * Work/rest cycle defaults: a unit is flagged for rotation after working
+ * `rehabWorkTimeMinutes` in a group, and must rest `rehabRestMinutes` in
+ * rehab before it can go back to work.
+ */
+const DEFAULT_REHAB_SETTINGS = {
+  rehabWorkTimeMinutes: 40,
+  rehabRestMinutes: 20,
+};
 
-  const now = new Date();
-  const batch = db.batch();
+/**
+ * SCBA air timer defaults: the rated duration of a cylinder, and the
+ * percentages of it used at which the board alerts a crew to turn around.
+ */
+const DEFAULT_AIR_SETTINGS = {
+  scbaCylinderMinutes: 30,
+  scbaAlertPercents: [50, 75],
+};
 
-  // 1. Mark original unit as split
-  batch.update(originalUnitRef, {isSplit: true});
+/**
+ * Parses a list of numbers given as an array or a comma-separated string,
+ * dropping blanks and duplicates.
+ * @param {string|Array<number>} value The list to parse.
+ * @return {Array<number>} The numbers in ascending order.
+ */
+function parseNumberList(value) {
+  const numbers = (Array.isArray(value) ? value : String(value).split(","))
+      .map((item) => String(item).trim())
+      .filter(Boolean)
+      .map(Number);
+  return [...new Set(numbers)].sort((a, b) => a - b);
+}
 
-  // 2. Create subunit A
-  const subunitAData = {
-    ...originalUnitData,
-    unit: `${originalUnitData.unit}-A`,
-    splitStatus: "Subunit",
-    parentUnitId: unitId,
-    isSplit: false,
-  };
-  const subunitARef = db.collection("units").doc();
-  batch.set(subunitARef, subunitAData);
+/**
+ * The benchmarks every group had before benchmark sets existed. They are the
+ * default when a customer has not defined a set, and describe older groups
+ * that store each status in a top-level field (e.g. `fireBenchmark`).
+ */
+const DEFAULT_BENCHMARKS = [
+  {key: "fireBenchmark", label: "Fire"},
+  {key: "searchBenchmark", label: "Search"},
+  {key: "extensionBenchmark", label: "Extension"},
+].map((benchmark) => ({
+  ...benchmark,
+  states: ["Pending", "Started", "Completed"],
+}));
 
-  // 3. Create subunit B
-  const subunitBData = {
-    ...originalUnitData,
-    unit: `${originalUnitData.unit}-B`,
-    splitStatus: "Subunit",
-    parentUnitId: unitId,
-    isSplit: false,
-  };
-  const subunitBRef = db.collection("units").doc();
-  batch.set(subunitBRef, subunitBData);
+/**
+ * Lists a group's benchmarks with their current status and the time each
+ * state was last entered, for both benchmark-set groups and older groups.
+ * @param {object} group The group document data.
+ * @return {Array<object>} Benchmarks as {key, label, states, status,
+ *     stateTimes}.
+ */
+function getGroupBenchmarks(group) {
+  if (group.benchmarkDefinitions) {
+    const statuses = group.benchmarkStatuses || {};
+    const stateTimes = group.benchmarkStateTimes || {};
+    return group.benchmarkDefinitions.map((benchmark) => ({
+      ...benchmark,
+      status: statuses[benchmark.key] || benchmark.states[0],
+      stateTimes: stateTimes[benchmark.key] || {},
+    }));
+  }
+  return DEFAULT_BENCHMARKS.map((benchmark) => {
+    const stateTimes = {};
+    const startTime = group[`${benchmark.key}StartTime`];
+    const completionTime = group[`${benchmark.key}CompletionTime`];
+    if (startTime) stateTimes.Started = startTime;
+    if (completionTime) stateTimes.Completed = completionTime;
+    return {
+      ...benchmark,
+      status: group[benchmark.key] || "Pending",
+      stateTimes,
+    };
+  });
+}
 
-  // 4. End assignment for original unit
-  const assignRef = db.collection("assignments");
-  const oldAssignSnap = await assignRef.where("unitId", "==", unitId)
-      .where("releaseTime", "==", null).limit(1).get();
-  if (!oldAssignSnap.empty) {
-    batch.update(oldAssignSnap.docs[0].ref, {
-      releaseTime: now,
-      notes: "Unit split",
-    });
+/**
+ * Loads a customer's benchmark sets and returns a lookup that picks the
+ * benchmarks for a new group: the set linked to the common group of the same
+ * name, then the customer's default set, then DEFAULT_BENCHMARKS.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<function(string): Array<object>>} The lookup, by group
+ *     name.
+ */
+async function getBenchmarkSetResolver(customerId) {
+  const [settings, commonGroups] = await Promise.all([
+    getSettings({}, customerId),
+    getCollectionData("commonGroups", customerId),
+  ]);
+  const setsById = new Map((settings.benchmarkSets || [])
+      .map((set) => [set.id, set.benchmarks]));
+  const setIdByGroupName = new Map(commonGroups
+      .map((group) => [group.name, group.benchmarkSetId]));
+
+  return (groupName) => setsById.get(setIdByGroupName.get(groupName)) ||
+    setsById.get(settings.defaultBenchmarkSetId) ||
+    DEFAULT_BENCHMARKS;
+}
+
+/**
+ * Validates and saves a customer's benchmark sets. Each benchmark gets a key
+ * derived from its label, which is what group statuses and log entries are
+ * stored under.
+ * @param {object} query The request body (sent via POST).
+ * @param {Array<object>} query.benchmarkSets The sets, each as {id, name,
+ *     isDefault, benchmarks: [{label, states}]}. New sets have no ID.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The saved sets and default set ID.
+ */
+async function updateBenchmarkSets(query, customerId) {
+  const {benchmarkSets} = query;
+  if (!Array.isArray(benchmarkSets)) {
+    throw new Error("Benchmark sets must be provided as a list.");
   }
 
-  // 5. Create new assignments for subunits
-  const assignA = {
-    incidentId: incidentId,
-    groupId: groupId,
-    unitId: subunitARef.id,
-    assignmentTime: now,
-    releaseTime: null,
-    notes: "Split from parent",
-    customerId: customerId,
-  };
-  batch.set(assignRef.doc(), assignA);
+  const invalid = (message) =>
+    new functions.https.HttpsError("invalid-argument", message);
+  const toKey = (label) => label
+      .replace(/[^A-Za-z0-9 ]/g, "")
+      .split(" ")
+      .filter(Boolean)
+      .map((word, index) => index === 0 ?
+        word.toLowerCase() :
+        word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join("");
+
+  const sets = benchmarkSets.map((set) => {
+    const name = (set.name || "").trim();
+    if (!name) throw invalid("Every benchmark set needs a name.");
+    if (!Array.isArray(set.benchmarks) || set.benchmarks.length === 0) {
+      throw invalid(`Benchmark set "${name}" needs at least one benchmark.`);
+    }
 
-  const assignB = {
-    incidentId: incidentId,
-    groupId: groupId,
-    unitId: subunitBRef.id,
-    assignmentTime: now,
-    releaseTime: null,
-    notes: "Split from parent",
-    customerId: customerId,
-  };
-  batch.set(assignRef.doc(), assignB);
+    const usedKeys = new Set();
+    const benchmarks = set.benchmarks.map((benchmark) => {
+      const label = (benchmark.label || "").trim();
+      const states = (benchmark.states || [])
+          .map((state) => String(state).trim())
+          .filter(Boolean);
+      if (!label || !toKey(label)) {
+        throw invalid(`Benchmark set "${name}" has a benchmark without ` +
+          "a usable label.");
+      }
+      if (states.length < 2 || new Set(states).size !== states.length) {
+        throw invalid(`Benchmark "${label}" needs at least two distinct ` +
+          "states.");
+      }
+      let key = toKey(label);
+      for (let suffix = 2; usedKeys.has(key); suffix++) {
+        key = `${toKey(label)}${suffix}`;
+      }
+      usedKeys.add(key);
+      return {key, label, states};
+    });
 
-  // 6. Log the action
-  const logRef = db.collection("unitActionLogs").doc();
-  const part1 = `Split into ${subunitAData.unit}`;
-  const logDetails = `${part1} and ${subunitBData.unit}`;
-  batch.set(logRef, {
-    customerId: customerId,
-    incidentId: incidentId,
-    unitId: unitId,
-    action: "split",
-    timestamp: now,
-    details: logDetails,
+    const id = set.id || db.collection("settings").doc().id;
+    return {id, name, benchmarks, isDefault: set.isDefault === true};
   });
 
-  await batch.commit();
+  const defaultSet = sets.find((set) => set.isDefault);
+  const defaultBenchmarkSetId = defaultSet ? defaultSet.id : null;
+  sets.forEach((set) => delete set.isDefault);
 
-  return {message: "Unit split successfully."};
+  await db.collection("settings").doc(customerId).set({
+    benchmarkSets: sets,
+    defaultBenchmarkSetId,
+  }, {merge: true});
+  return {benchmarkSets: sets, defaultBenchmarkSetId};
 }
 
 /**
- * Reforms a split unit, removing subunits and reassigning the original.
+ * Updates the settings for a specific customer. Only the settings present in
+ * the query are changed.
  * @param {object} query The request query parameters.
+ * @param {string} [query.parTimerDurationMinutes] The PAR timer duration.
+ * @param {string|Array<number>} [query.timeMilestoneMinutes] Elapsed-time
+ *     reminders in minutes, as a list or a comma-separated string.
+ * @param {string} [query.rehabWorkTimeMinutes] Work time before a unit is
+ *     flagged for rotation to rehab.
+ * @param {string} [query.rehabRestMinutes] Minimum rest in rehab.
+ * @param {string} [query.scbaCylinderMinutes] Default SCBA cylinder duration.
+ * @param {string|Array<number>} [query.scbaAlertPercents] Percentages of a
+ *     cylinder at which to alert for turnaround.
  * @param {string} customerId The authenticated customer's ID.
  * @return {Promise<object>} A success message.
  */
-async function unsplitUnit(query, customerId) {
-  const {parentUnitId, newGroupId, incidentId} = query;
-  if (!parentUnitId || !newGroupId || !incidentId) {
-    throw new Error("Parent Unit, New Group, and Incident IDs are required.");
+async function updateSettings(query, customerId) {
+  const {parTimerDurationMinutes, timeMilestoneMinutes} = query;
+  const settingsUpdate = {};
+
+  if (parTimerDurationMinutes !== undefined) {
+    if (!parTimerDurationMinutes ||
+        isNaN(parseInt(parTimerDurationMinutes, 10))) {
+      throw new Error("PAR timer duration must be a valid number.");
+    }
+    settingsUpdate.parTimerDurationMinutes =
+      parseInt(parTimerDurationMinutes, 10);
   }
 
-  const {ref: parentUnitRef} = await getAndVerifyDoc(
-      "units",
-      parentUnitId,
-      customerId,
-  );
-  const now = new Date();
-  const batch = db.batch();
+  if (timeMilestoneMinutes !== undefined) {
+    const milestones = parseNumberList(timeMilestoneMinutes);
+    if (milestones.some((m) => !Number.isInteger(m) || m <= 0)) {
+      throw new Error("Time milestones must be whole numbers of minutes.");
+    }
+    settingsUpdate.timeMilestoneMinutes = milestones;
+  }
 
-  // 1. Find and delete subunits
-  const subunitsSnap = await db.collection("units")
-      .where("parentUnitId", "==", parentUnitId).get();
-  const subunitIds = [];
-  subunitsSnap.forEach((doc) => {
-    subunitIds.push(doc.id);
-    batch.delete(doc.ref);
-  });
+  ["rehabWorkTimeMinutes", "rehabRestMinutes", "scbaCylinderMinutes"]
+      .forEach((key) => {
+        if (query[key] === undefined) return;
+        const minutes = Number(query[key]);
+        if (!Number.isInteger(minutes) || minutes <= 0) {
+          throw new Error("Rehab and air times must be whole numbers of " +
+            "minutes.");
+        }
+        settingsUpdate[key] = minutes;
+      });
 
-  // 2. End assignments for the subunits
-  if (subunitIds.length > 0) {
-    const assignSnap = await db.collection("assignments")
-        .where("unitId", "in", subunitIds)
-        .where("releaseTime", "==", null).get();
-    assignSnap.forEach((doc) => {
-      batch.update(doc.ref, {releaseTime: now, notes: "Unit reformed"});
-    });
+  if (query.scbaAlertPercents !== undefined) {
+    const percents = parseNumberList(query.scbaAlertPercents);
+    if (percents.some((p) => !Number.isInteger(p) || p <= 0 || p >= 100)) {
+      throw new Error("Air alerts must be whole percentages below 100.");
+    }
+    settingsUpdate.scbaAlertPercents = percents;
   }
 
-  // 3. Un-mark the parent unit and make it available
-  batch.update(parentUnitRef, {isSplit: false, status: "Available"});
+  if (Object.keys(settingsUpdate).length === 0) {
+    throw new Error("No settings were provided.");
+  }
+  const settingsRef = db.collection("settings").doc(customerId);
+  await settingsRef.set(settingsUpdate, {merge: true});
+  return {message: "Settings updated successfully."};
+}
 
-  // 4. Create new assignment for the parent unit in the selected group
-  const newAssignRef = db.collection("assignments").doc();
-  // Corrected indentation, spacing, and trailing comma on this block
-  batch.set(newAssignRef, {
-    incidentId,
-    groupId: newGroupId,
-    unitId: parentUnitId,
-    assignmentTime: now,
-    releaseTime: null,
-    notes: "Reformed from subunits",
-    customerId,
-  });
-  batch.update(parentUnitRef, {status: "Assigned"}); // Re-assign parent
+// --- Configuration Backup & Restore ---
+
+const CUSTOMER_CONFIG_VERSION = 1;
+
+// Firestore allows 500 writes in one batch.
+const MAX_BATCH_WRITES = 450;
+
+/**
+ * The master fields of a unit. Everything else on a unit document is live
+ * incident state, which a configuration backup leaves out.
+ */
+const UNIT_CONFIG_FIELDS = [
+  "departmentId", "unit", "unitTypeId", "unitName", "status", "notes",
+  "stationName", "roster",
+];
+
+/**
+ * Commits writes in as many batches as they need.
+ * @param {Array<function(object): void>} writes Each adds one write to the
+ *     batch it is given.
+ * @return {Promise<void>}
+ */
+async function commitWritesInBatches(writes) {
+  for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    writes.slice(start, start + MAX_BATCH_WRITES)
+        .forEach((write) => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Copies the listed fields of a document, dropping its customer.
+ * @param {object} data The document data, including its id.
+ * @param {Array<string>} [fields] The fields to keep; all by default.
+ * @return {object} The fields, ready for a configuration document.
+ */
+function toConfigRecord(data, fields) {
+  const entries = fields ?
+    fields.map((field) => [field, data[field] === undefined ?
+      null :
+      data[field]]) :
+    Object.entries(data).filter(([field]) => field !== "customerId");
+  return {id: data.id, ...Object.fromEntries(entries)};
+}
+
+/**
+ * Exports the customer's configuration as a versioned JSON document:
+ * departments, unit types, master units, common groups, templates and
+ * settings. Units keep the IDs of their department and unit type, which
+ * importCustomerConfig remaps. Split subunits and live incident state are
+ * left out, as are the CAD and webhook integrations.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} An object with a `files` array of
+ *     {fileName, mimeType, content}, as exportIncidentReport.
+ */
+async function exportCustomerConfig(query, customerId) {
+  const [
+    customerDoc,
+    departments,
+    unitTypes,
+    units,
+    commonGroups,
+    templates,
+    settingsDoc,
+  ] = await Promise.all([
+    db.collection("customers").doc(customerId).get(),
+    getCollectionData("departments", customerId),
+    getCollectionData("unitTypes", customerId),
+    getCollectionData("units", customerId),
+    getCollectionData("commonGroups", customerId),
+    getCollectionData("templates", customerId),
+    db.collection("settings").doc(customerId).get(),
+  ]);
+
+  const config = {
+    exportType: "customerConfig",
+    exportVersion: CUSTOMER_CONFIG_VERSION,
+    exportedAt: new Date().toISOString(),
+    sourceCustomerId: customerId,
+    primaryDepartmentId: customerDoc.exists ?
+      customerDoc.data().primaryDepartmentId || null :
+      null,
+    departments: departments.map((dept) => toConfigRecord(dept)),
+    unitTypes: unitTypes.map((type) => toConfigRecord(type)),
+    units: units
+        .filter((unit) => !unit.isSplit)
+        .map((unit) => {
+          const record = toConfigRecord(unit, UNIT_CONFIG_FIELDS);
+          if (!UNIT_STATUSES_OFF_INCIDENT.includes(record.status)) {
+            record.status = "Available";
+          }
+          return record;
+        }),
+    commonGroups: commonGroups.map((group) => toConfigRecord(group)),
+    templates: templates.map((template) => toConfigRecord(template)),
+    settings: settingsDoc.exists ? settingsDoc.data() : null,
+  };
+
+  const date = config.exportedAt.slice(0, 10);
+  return {
+    files: [{
+      fileName: `config-${customerId}-${date}.json`,
+      mimeType: "application/json",
+      content: JSON.stringify(serializeForExport(config), null, 2),
+    }],
+  };
+}
+
+/**
+ * Checks a configuration document before anything is written, and returns
+ * its collections with defaults for any that are missing.
+ * @param {object} config The document from exportCustomerConfig.
+ * @return {object} The validated configuration.
+ */
+function validateCustomerConfig(config) {
+  const invalid = (message) =>
+    new functions.https.HttpsError("invalid-argument", message);
+  if (!config || config.exportType !== "customerConfig") {
+    throw invalid("This is not a configuration export.");
+  }
+  if (config.exportVersion !== CUSTOMER_CONFIG_VERSION) {
+    throw invalid(`Configuration version ${config.exportVersion} is not ` +
+      `supported. Expected version ${CUSTOMER_CONFIG_VERSION}.`);
+  }
+  const collections = [
+    "departments", "unitTypes", "units", "commonGroups", "templates",
+  ];
+  collections.forEach((name) => {
+    if (config[name] !== undefined && !Array.isArray(config[name])) {
+      throw invalid(`"${name}" must be a list.`);
+    }
+  });
+  const validated = {...config};
+  collections.forEach((name) => {
+    validated[name] = config[name] || [];
+  });
+
+  const deptIds = new Set(validated.departments.map((dept) => dept.id));
+  const typeIds = new Set(validated.unitTypes.map((type) => type.id));
+  const designators = new Set();
+  validated.units.forEach((unit) => {
+    const designator = String(unit.unit || "").trim().toUpperCase();
+    if (!designator) throw invalid("Every unit needs a designator.");
+    if (designators.has(designator)) {
+      throw invalid(`Unit ${designator} appears more than once.`);
+    }
+    designators.add(designator);
+    if (!deptIds.has(unit.departmentId)) {
+      throw invalid(`Unit ${designator} refers to a department that is ` +
+        "not in the configuration.");
+    }
+    if (!typeIds.has(unit.unitTypeId)) {
+      throw invalid(`Unit ${designator} refers to a unit type that is ` +
+        "not in the configuration.");
+    }
+  });
+  const required = [
+    ["departments", "departmentName"],
+    ["unitTypes", "typeName"],
+    ["commonGroups", "name"],
+    ["templates", "templateName"],
+  ];
+  required.forEach(([name, field]) => {
+    if (validated[name].some((record) => !record[field])) {
+      throw invalid(`Every entry in "${name}" needs a ${field}.`);
+    }
+    // Records are matched to existing ones by this field.
+    const keys = validated[name]
+        .map((record) => String(record[field]).trim().toLowerCase());
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+      throw invalid(`"${duplicate}" appears more than once in "${name}".`);
+    }
+  });
+  return validated;
+}
+
+/**
+ * Imports a configuration document from exportCustomerConfig, such as a
+ * backup or a copy of another tenant's setup.
+ *
+ * Records are matched to existing ones by name (department name, unit type
+ * name, unit designator, group name, template name). Matches are updated in
+ * place and keep their IDs, so closed incidents still resolve their units;
+ * the rest are created with new IDs, and the department and unit type
+ * references of the units are remapped. In "merge" mode nothing is deleted,
+ * and a unit working an incident keeps its live status. In "replace" mode,
+ * existing records missing from the configuration are deleted, which is
+ * refused while any incident is active.
+ *
+ * The whole configuration is validated before anything is written, but the
+ * writes are committed in several batches and so are not atomic. Deletes go
+ * last, so an import that fails part way has only added or updated records.
+ * @param {object} query The request body.
+ * @param {object} query.config The configuration document.
+ * @param {string} query.mode "merge" or "replace".
+ * @param {object} authContext The full authorization context.
+ * @return {Promise<object>} Per collection, the {created, updated, deleted}
+ *     counts.
+ */
+async function importCustomerConfig(query, authContext) {
+  const {customerId, planLevel} = authContext;
+  const {mode} = query;
+  if (!["merge", "replace"].includes(mode)) {
+    const errorMsg = "Mode must be 'merge' or 'replace'.";
+    throw new functions.https.HttpsError("invalid-argument", errorMsg);
+  }
+  const config = validateCustomerConfig(query.config);
+  const isReplace = mode === "replace";
+
+  if (isReplace) {
+    const activeIncidents = await getActiveIncidents({}, customerId);
+    if (activeIncidents.length > 0) {
+      const errorMsg = "Close all active incidents before replacing the " +
+        "configuration.";
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+  }
+  if (planLevel === "Basic") {
+    const existingUnits = isReplace ?
+      [] :
+      await getCollectionData("units", customerId);
+    const existing = new Set(existingUnits
+        .map((unit) => (unit.unit || "").toUpperCase()));
+    const newUnits = config.units.filter((unit) =>
+      !existing.has(String(unit.unit).trim().toUpperCase())).length;
+    if (existingUnits.length + newUnits > BASIC_PLAN_UNIT_LIMIT) {
+      const errorMsg = "This configuration would exceed the Basic plan " +
+        `limit of ${BASIC_PLAN_UNIT_LIMIT} units.`;
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+  }
+
+  const writes = [];
+  const deletes = [];
+  const summary = {
+    mode,
+    isAtomic: false,
+    note: "The import is written in several batches. If it fails part way, " +
+      "some records may already be updated; run it again to finish.",
+  };
+  const idMaps = {};
+
+  // Each collection is matched on its natural key. Units come after the
+  // departments and unit types they refer to.
+  const collections = [
+    {name: "departments", key: "departmentName"},
+    {name: "unitTypes", key: "typeName"},
+    {name: "units", key: "unit", fields: UNIT_CONFIG_FIELDS},
+    {name: "commonGroups", key: "name"},
+    {name: "templates", key: "templateName"},
+  ];
+  for (const {name, key, fields} of collections) {
+    const existing = await getCollectionData(name, customerId);
+    const normalize = (value) => String(value || "").trim().toLowerCase();
+    const existingByKey = new Map();
+    existing
+        .filter((record) => !record.isSplit)
+        .forEach((record) =>
+          existingByKey.set(normalize(record[key]), record));
+    const matchedIds = new Set();
+
+    idMaps[name] = new Map();
+    summary[name] = {created: 0, updated: 0, deleted: 0};
+    config[name].forEach((record) => {
+      const {id: sourceId, ...data} = toConfigRecord(record, fields);
+      if (name === "units") {
+        data.unit = String(data.unit).trim().toUpperCase();
+        data.departmentId = idMaps.departments.get(data.departmentId);
+        data.unitTypeId = idMaps.unitTypes.get(data.unitTypeId);
+        data.roster = parseRoster(data.roster);
+        if (!UNIT_STATUSES_OFF_INCIDENT.includes(data.status)) {
+          data.status = "Available";
+        }
+      }
+      const match = existingByKey.get(normalize(data[key]));
+      if (match) {
+        if (name === "units" &&
+            !UNIT_STATUSES_OFF_INCIDENT.includes(match.status || "Available")) {
+          delete data.status;
+        }
+        idMaps[name].set(sourceId, match.id);
+        matchedIds.add(match.id);
+        summary[name].updated += 1;
+        const ref = db.collection(name).doc(match.id);
+        // Replace overwrites the record, except that a unit keeps its
+        // non-configuration fields (status times, split state).
+        writes.push((batch) => (isReplace && name !== "units" ?
+          batch.set(ref, {...data, customerId}) :
+          batch.update(ref, data)));
+        return;
+      }
+      const ref = db.collection(name).doc();
+      const newData = {...data, customerId};
+      if (name === "units") {
+        Object.assign(newData, {
+          isSplit: false,
+          splitStatus: "Original",
+          parentUnitId: null,
+        });
+      }
+      idMaps[name].set(sourceId, ref.id);
+      summary[name].created += 1;
+      writes.push((batch) => batch.set(ref, newData));
+    });
+
+    if (isReplace) {
+      existing
+          .filter((record) => !matchedIds.has(record.id))
+          .forEach((record) => {
+            summary[name].deleted += 1;
+            deletes.push((batch) =>
+              batch.delete(db.collection(name).doc(record.id)));
+          });
+    }
+  }
+
+  if (config.settings) {
+    const settingsRef = db.collection("settings").doc(customerId);
+    writes.push((batch) =>
+      batch.set(settingsRef, config.settings, {merge: !isReplace}));
+  }
+  const primaryDepartmentId =
+    idMaps.departments.get(config.primaryDepartmentId);
+  if (primaryDepartmentId) {
+    const customerRef = db.collection("customers").doc(customerId);
+    writes.push((batch) => batch.update(customerRef, {primaryDepartmentId}));
+  }
+
+  await commitWritesInBatches([...writes, ...deletes]);
+  return summary;
+}
+
+/**
+ * Adds the writes that start a PAR on a group to a batch: the group's live
+ * PAR state, and a new active parLogs entry listing the units that are
+ * expected to report.
+ * @param {object} batch The Firestore write batch.
+ * @param {object} group The group as {ref, id, data}.
+ * @param {Array<string>} expectedUnitIds Units assigned when the PAR began.
+ * @param {Date} now The PAR start time.
+ * @param {object} [extraLogFields={}] Additional fields for the log entry.
+ * @return {object} The fields set on the group document.
+ */
+function addParStartWrites(
+    batch, group, expectedUnitIds, now, extraLogFields = {}) {
+  const groupUpdateData = {
+    parStatus: "Active",
+    parStartTime: now,
+    parOverdueTime: null,
+    parExpectedUnitIds: expectedUnitIds,
+    parUnitResponses: {},
+  };
+  batch.update(group.ref, groupUpdateData);
+
+  batch.set(db.collection("parLogs").doc(), {
+    customerId: group.data.customerId,
+    incidentId: group.data.incidentId,
+    groupId: group.id,
+    groupName: group.data.groupName, // Denormalize for easier reporting
+    parStartTime: now,
+    parAckTime: null, // Acknowledgment time is not yet known
+    durationSeconds: null,
+    status: "Active", // Mark this log as the currently active one
+    expectedUnitIds,
+    unitResponses: {},
+    ...extraLogFields,
+  });
+  return groupUpdateData;
+}
+
+/**
+ * Adds the writes that complete a group's PAR: the group is reset to idle
+ * and its open log, if there is one, is marked acknowledged.
+ * @param {object} writer A write batch or transaction.
+ * @param {object} groupRef The group document reference.
+ * @param {object|null} logDoc The group's open parLogs document.
+ * @param {Date} now The acknowledgment time.
+ * @param {string} completedBy "group" for a whole-group acknowledgment, or
+ *     "units" when every expected unit reported.
+ * @param {object} [extraLogFields={}] Additional fields for the log entry.
+ */
+function addParCompletionWrites(
+    writer, groupRef, logDoc, now, completedBy, extraLogFields = {}) {
+  writer.update(groupRef, {
+    parStatus: "Idle",
+    parStartTime: null,
+    parOverdueTime: null,
+    parExpectedUnitIds: [],
+    parUnitResponses: {},
+  });
+  if (!logDoc) return;
+
+  const startTime = logDoc.data().parStartTime.toDate();
+  const durationMs = now.getTime() - startTime.getTime();
+  writer.update(logDoc.ref, {
+    parAckTime: now,
+    durationSeconds: Math.round(durationMs / 1000),
+    status: "Acknowledged",
+    completedBy,
+    ...extraLogFields,
+  });
+}
+
+/**
+ * Builds the query for a group's open PAR log, whether it is still running
+ * or has been marked overdue.
+ * @param {string} groupId The ID of the group.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {object} The Firestore query.
+ */
+function getOpenParLogQuery(groupId, customerId) {
+  return db.collection("parLogs")
+      .where("customerId", "==", customerId)
+      .where("groupId", "==", groupId)
+      .where("status", "in", ["Active", "Expired"])
+      .limit(1);
+}
+
+/**
+ * Starts the PAR timer for a group and creates a new, active log entry.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The updated group data.
+ */
+async function startParTimer(query, customerId) {
+  const {groupId} = query;
+  if (!groupId) throw new Error("Group ID is required.");
+
+  // Verify the user owns the group they are trying to modify.
+  const {ref: groupRef, data: groupData} =
+    await getAndVerifyDoc("groups", groupId, customerId);
+
+  // The units assigned right now are the crews expected to report.
+  const assignmentsSnapshot = await db.collection("assignments")
+      .where("customerId", "==", customerId)
+      .where("groupId", "==", groupId)
+      .where("releaseTime", "==", null)
+      .get();
+  const expectedUnitIds = assignmentsSnapshot.docs
+      .map((doc) => doc.data().unitId);
+
+  const now = new Date();
+  const batch = db.batch();
+  const groupUpdateData = addParStartWrites(batch, {
+    ref: groupRef,
+    id: groupId,
+    data: groupData,
+  }, expectedUnitIds, now);
+  await batch.commit();
+  await queueWebhookEvent({
+    customerId,
+    incidentId: groupData.incidentId,
+    eventType: "PAR_STARTED",
+    timestamp: now,
+    details: `PAR started for ${groupData.groupName}.`,
+    metadata: {groupId, expectedUnitIds},
+  });
+
+  return {
+    ...groupUpdateData,
+    parStartTime: now.toISOString(),
+  };
+}
+
+/**
+ * Stops the PAR timer on a group, finds the active log, and updates it
+ * with the acknowledgment time and duration.
+ * @param {object} query The request query parameters.
+ * @param {string} query.groupId The ID of the group to stop the timer for.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function stopParTimer(query, customerId) {
+  const {groupId} = query;
+  if (!groupId) {
+    throw new Error("Group ID is required.");
+  }
+
+  const {ref: groupRef, data: groupData} =
+    await getAndVerifyDoc("groups", groupId, customerId);
+
+  const now = new Date();
+  const batch = db.batch();
+  const logSnapshot = await getOpenParLogQuery(groupId, customerId).get();
+
+  if (logSnapshot.empty) {
+    // This can happen if PAR was started before logging feature was added.
+    // It's safe to just log a warning and continue.
+    const warnMsg = `Could not find an active PAR log for group ID: ${groupId}`;
+    console.warn(warnMsg);
+  }
+  const logDoc = logSnapshot.empty ? null : logSnapshot.docs[0];
+  addParCompletionWrites(batch, groupRef, logDoc, now, "group");
+
+  await batch.commit();
+  await queueParAcknowledgedEvent(groupId, groupData, customerId, now);
+  await recordEvacuationAcknowledgement(
+      groupData.incidentId, groupId, customerId);
+  return {message: "PAR timer stopped and logged successfully."};
+}
+
+/**
+ * Records one unit's PAR response (its personnel count) inside a running
+ * group PAR. When every unit that was assigned at the start of the PAR has
+ * reported, the group's PAR is completed as if stopParTimer had been called.
+ * @param {object} query The request query parameters.
+ * @param {string} query.groupId The ID of the group running the PAR.
+ * @param {string} query.unitId The ID of the reporting unit.
+ * @param {string} query.personnelCount The number of personnel reported.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} Whether the group's PAR is now complete.
+ */
+async function acknowledgeUnitPar(query, customerId) {
+  const {groupId, unitId} = query;
+  const personnelCount = parseInt(query.personnelCount, 10);
+  if (!groupId || !unitId || isNaN(personnelCount) || personnelCount < 0) {
+    const errorMsg =
+      "Group ID, Unit ID and a valid personnel count are required.";
+    throw new functions.https.HttpsError("invalid-argument", errorMsg);
+  }
+
+  const {ref: groupRef, data: groupData} =
+    await getAndVerifyDoc("groups", groupId, customerId);
+  const logQuery = getOpenParLogQuery(groupId, customerId);
+  const now = new Date();
+  const response = {ackTime: now, personnelCount};
+
+  const isComplete = await db.runTransaction(async (transaction) => {
+    const [groupDoc, logSnapshot] = await Promise.all([
+      transaction.get(groupRef),
+      transaction.get(logQuery),
+    ]);
+    const group = groupDoc.data();
+    if (!["Active", "Expired"].includes(group.parStatus)) {
+      const errorMsg = "No PAR is running for this group.";
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+    const expectedUnitIds = group.parExpectedUnitIds || [];
+    if (!expectedUnitIds.includes(unitId)) {
+      const errorMsg = "This unit was not in the group when the PAR started.";
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+
+    const responses = {...group.parUnitResponses, [unitId]: response};
+    const allReported = expectedUnitIds.every((id) => responses[id]);
+    const logDoc = logSnapshot.empty ? null : logSnapshot.docs[0];
+    const logResponseField = {[`unitResponses.${unitId}`]: response};
+
+    if (allReported) {
+      addParCompletionWrites(
+          transaction, groupRef, logDoc, now, "units", logResponseField);
+    } else {
+      transaction.update(groupRef, {[`parUnitResponses.${unitId}`]: response});
+      if (logDoc) transaction.update(logDoc.ref, logResponseField);
+    }
+    return allReported;
+  });
+
+  if (isComplete) {
+    await queueParAcknowledgedEvent(groupId, groupData, customerId, now);
+    await recordEvacuationAcknowledgement(
+        groupData.incidentId, groupId, customerId);
+  }
+  return {isComplete};
+}
+
+/**
+ * Sends a PAR_ACKNOWLEDGED webhook event. PARs are recorded in parLogs
+ * rather than the incident log, so they are queued directly.
+ * @param {string} groupId The ID of the group.
+ * @param {object} groupData The group document data.
+ * @param {string} customerId The authenticated customer's ID.
+ * @param {Date} now The acknowledgment time.
+ * @return {Promise<void>}
+ */
+function queueParAcknowledgedEvent(groupId, groupData, customerId, now) {
+  return queueWebhookEvent({
+    customerId,
+    incidentId: groupData.incidentId,
+    eventType: "PAR_ACKNOWLEDGED",
+    timestamp: now,
+    details: `PAR acknowledged for ${groupData.groupName}.`,
+    metadata: {groupId},
+  });
+}
+
+/**
+ * Declares an emergency evacuation: starts a PAR on every active group at
+ * once and records an incident-wide roll call that is complete when each of
+ * those groups has acknowledged its PAR.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {object} authContext The authorization context.
+ * @return {Promise<object>} The roll call's group count and deadline.
+ */
+async function declareEvacuation(query, authContext) {
+  const {incidentId} = query;
+  const {uid, customerId, name} = authContext;
+  if (!incidentId) throw new Error("Incident ID is required.");
+
+  const {ref: incidentRef, data: incidentData} =
+    await getAndVerifyDoc("incidents", incidentId, customerId);
+  if (incidentData.status !== "Active") {
+    const errorMsg =
+      "An evacuation can only be declared on an active incident.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  if (incidentData.evacuation && incidentData.evacuation.active) {
+    const errorMsg = "An evacuation is already in progress for this incident.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  const [
+    groupsSnapshot,
+    activeParLogsSnapshot,
+    assignmentsSnapshot,
+    settings,
+  ] = await Promise.all([
+    db.collection("groups")
+        .where("customerId", "==", customerId)
+        .where("incidentId", "==", incidentId)
+        .where("status", "==", "Active")
+        .get(),
+    db.collection("parLogs")
+        .where("customerId", "==", customerId)
+        .where("incidentId", "==", incidentId)
+        .where("status", "in", ["Active", "Expired"])
+        .get(),
+    db.collection("assignments")
+        .where("customerId", "==", customerId)
+        .where("incidentId", "==", incidentId)
+        .where("releaseTime", "==", null)
+        .get(),
+    getSettings({}, customerId),
+  ]);
+  if (groupsSnapshot.empty) {
+    const errorMsg = "There are no active groups to evacuate.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  const now = new Date();
+  const parMinutes = settings.parTimerDurationMinutes || 10;
+  const batch = db.batch();
+
+  // A PAR already running (or overdue) on a group is replaced by the
+  // evacuation PAR, so each group has exactly one open log for stopParTimer
+  // to close.
+  activeParLogsSnapshot.forEach((doc) => {
+    batch.update(doc.ref, {status: "Superseded"});
+  });
+
+  const unitIdsByGroup = new Map();
+  assignmentsSnapshot.forEach((doc) => {
+    const {groupId, unitId} = doc.data();
+    if (!unitIdsByGroup.has(groupId)) unitIdsByGroup.set(groupId, []);
+    unitIdsByGroup.get(groupId).push(unitId);
+  });
+
+  const groupNames = {};
+  groupsSnapshot.forEach((doc) => {
+    groupNames[doc.id] = doc.data().groupName;
+    addParStartWrites(batch, {ref: doc.ref, id: doc.id, data: doc.data()},
+        unitIdsByGroup.get(doc.id) || [], now, {isEvacuation: true});
+  });
+
+  const evacuation = {
+    active: true,
+    declaredAt: now,
+    declaredByUid: uid,
+    declaredByName: name,
+    deadline: new Date(now.getTime() + parMinutes * 60000),
+    groupIds: Object.keys(groupNames),
+    groupNames,
+    acknowledgedGroupIds: [],
+    allClearAt: null,
+    endedAt: null,
+  };
+  batch.update(incidentRef, {evacuation});
+  await batch.commit();
+
+  const groupCount = evacuation.groupIds.length;
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "EVACUATION_DECLARED",
+    details: `Evacuation ordered by ${name}. PAR started on ` +
+      `${groupCount} group(s).`,
+    metadata: {groupIds: evacuation.groupIds},
+  });
+
+  return {groupCount, deadline: evacuation.deadline.toISOString()};
+}
+
+/**
+ * Marks a group as accounted for in the incident's evacuation roll call, if
+ * one is running, and closes the roll call once every group has reported.
+ * @param {string} incidentId The ID of the incident.
+ * @param {string} groupId The ID of the group that acknowledged its PAR.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<void>}
+ */
+async function recordEvacuationAcknowledgement(
+    incidentId, groupId, customerId) {
+  const incidentRef = db.collection("incidents").doc(incidentId);
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const incidentDoc = await transaction.get(incidentRef);
+    const evacuation = incidentDoc.exists && incidentDoc.data().evacuation;
+    if (!evacuation || !evacuation.active ||
+        !evacuation.groupIds.includes(groupId) ||
+        evacuation.acknowledgedGroupIds.includes(groupId)) {
+      return null;
+    }
+
+    const acknowledged = [...evacuation.acknowledgedGroupIds, groupId];
+    const isComplete =
+      evacuation.groupIds.every((id) => acknowledged.includes(id));
+    const updates = {"evacuation.acknowledgedGroupIds": acknowledged};
+    if (isComplete) {
+      updates["evacuation.active"] = false;
+      updates["evacuation.allClearAt"] = new Date();
+    }
+    transaction.update(incidentRef, updates);
+    return {evacuation, isComplete};
+  });
+
+  if (!outcome) return;
+  const groupName = outcome.evacuation.groupNames[groupId] || "Unknown group";
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "EVACUATION_GROUP_ACCOUNTED",
+    details: `${groupName} accounted for during evacuation.`,
+    metadata: {groupId},
+  });
+  if (outcome.isComplete) {
+    const seconds = Math.round(
+        (Date.now() - outcome.evacuation.declaredAt.toMillis()) / 1000);
+    await logIncidentAction({
+      customerId,
+      incidentId,
+      eventType: "EVACUATION_ALL_CLEAR",
+      details: `All groups accounted for ${seconds}s after evacuation.`,
+      metadata: {groupIds: outcome.evacuation.groupIds},
+    });
+  }
+}
+
+/**
+ * Ends an evacuation roll call before every group has reported, leaving any
+ * outstanding PARs running on their group cards.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {object} authContext The authorization context.
+ * @return {Promise<object>} A success message.
+ */
+async function endEvacuation(query, authContext) {
+  const {incidentId} = query;
+  const {customerId, name} = authContext;
+  if (!incidentId) throw new Error("Incident ID is required.");
+
+  // assertIncidentCommander has already checked the caller holds command.
+  const {ref: incidentRef, data: incidentData} =
+    await getAndVerifyDoc("incidents", incidentId, customerId);
+  const evacuation = incidentData.evacuation;
+  if (!evacuation || !evacuation.active) {
+    const errorMsg = "There is no evacuation in progress for this incident.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  await incidentRef.update({
+    "evacuation.active": false,
+    "evacuation.endedAt": new Date(),
+  });
+  const outstandingGroupIds = evacuation.groupIds
+      .filter((id) => !evacuation.acknowledgedGroupIds.includes(id));
+  const outstanding = outstandingGroupIds
+      .map((id) => evacuation.groupNames[id]);
+  const outstandingText = outstanding.length > 0 ?
+    ` Outstanding: ${outstanding.join(", ")}.` :
+    "";
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "EVACUATION_ENDED",
+    details: `Evacuation roll call ended by ${name}.${outstandingText}`,
+    metadata: {outstandingGroupIds},
+  });
+
+  return {message: "Evacuation ended."};
+}
+
+/**
+ * Fetches all split-off subunits for a given incident.
+ * This version uses a more robust query to find both old and new subunits.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<Array<object>>} A list of subunit documents.
+ */
+async function getSplitUnitsForIncident(query, customerId) {
+  const {incidentId} = query;
+  if (!incidentId) throw new Error("Incident ID is required.");
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+
+  // --- THIS IS THE CORRECTED QUERY ---
+  // Instead of checking for splitStatus, we now check for the existence
+  // of a parentUnitId. This will correctly find subunits created with
+  // both the old and new code.
+  const snapshot = await db.collection("units")
+      .where("customerId", "==", customerId)
+      .where("parentUnitId", "!=", null)
+      .get();
+  // --- END OF CORRECTED QUERY ---
+
+  if (snapshot.empty) return [];
+  return snapshot.docs.map((doc) => ({id: doc.id, ...doc.data()}));
+}
+
+/**
+ * Splits a single unit into two subunits.
+ * This version uses a resilient check for old data.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function splitUnit(query, customerId) {
+  const {unitId, groupId, incidentId} = query;
+  if (!unitId || !groupId || !incidentId) {
+    throw new Error("Unit, Group, and Incident IDs are required.");
+  }
+
+  const {ref: originalUnitRef, data: originalUnitData} =
+    await getAndVerifyDoc("units", unitId, customerId);
+
+  // --- START: THIS IS THE CORRECTED VALIDATION ---
+  // We now treat a missing splitStatus as "Original" for the check.
+  if (
+    originalUnitData.isSplit ||
+    (originalUnitData.splitStatus ?? "Original") !== "Original"
+  ) {
+    throw new Error("This unit cannot be split.");
+  }
+  // --- END: THIS IS THE CORRECTED VALIDATION ---
+
+  const assignRef = db.collection("assignments");
+  const oldAssignSnap = await assignRef.where("unitId", "==", unitId)
+      .where("releaseTime", "==", null).limit(1).get();
+  // The crew riding on this incident is divided between the subunits.
+  const [rosterA, rosterB] = divideRoster(oldAssignSnap.empty ?
+    parseRoster(originalUnitData.roster) :
+    parseRoster(oldAssignSnap.docs[0].data().roster));
+  const oldStatusTimes = oldAssignSnap.empty ?
+    {} :
+    oldAssignSnap.docs[0].data().statusTimes || {};
+
+  const now = new Date();
+  const batch = db.batch();
+
+  // 1. Mark original unit as split
+  batch.update(originalUnitRef, {isSplit: true});
+
+  // 2. Create subunit A
+  const subunitAData = {
+    ...originalUnitData,
+    unit: `${originalUnitData.unit}-A`,
+    splitStatus: "Subunit",
+    parentUnitId: unitId,
+    isSplit: false,
+    roster: rosterA,
+  };
+  const subunitARef = db.collection("units").doc();
+  batch.set(subunitARef, subunitAData);
+
+  // 3. Create subunit B
+  const subunitBData = {
+    ...originalUnitData,
+    unit: `${originalUnitData.unit}-B`,
+    splitStatus: "Subunit",
+    parentUnitId: unitId,
+    isSplit: false,
+    roster: rosterB,
+  };
+  const subunitBRef = db.collection("units").doc();
+  batch.set(subunitBRef, subunitBData);
+
+  // 4. End assignment for original unit
+  if (!oldAssignSnap.empty) {
+    batch.update(oldAssignSnap.docs[0].ref, {
+      releaseTime: now,
+      notes: "Unit split",
+    });
+  }
+
+  // 5. Create new assignments for subunits
+  const assignA = {
+    incidentId: incidentId,
+    groupId: groupId,
+    unitId: subunitARef.id,
+    assignmentTime: now,
+    releaseTime: null,
+    notes: "Split from parent",
+    roster: rosterA,
+    statusTimes: oldStatusTimes,
+    customerId: customerId,
+  };
+  batch.set(assignRef.doc(), assignA);
+
+  const assignB = {
+    incidentId: incidentId,
+    groupId: groupId,
+    unitId: subunitBRef.id,
+    assignmentTime: now,
+    releaseTime: null,
+    notes: "Split from parent",
+    roster: rosterB,
+    statusTimes: oldStatusTimes,
+    customerId: customerId,
+  };
+  batch.set(assignRef.doc(), assignB);
+
+  // 6. Log the action
+  const logRef = db.collection("unitActionLogs").doc();
+  const part1 = `Split into ${subunitAData.unit}`;
+  const logDetails = `${part1} and ${subunitBData.unit}`;
+  batch.set(logRef, {
+    customerId: customerId,
+    incidentId: incidentId,
+    unitId: unitId,
+    action: "split",
+    timestamp: now,
+    details: logDetails,
+  });
+
+  await batch.commit();
+
+  return {message: "Unit split successfully."};
+}
+
+/**
+ * Reforms a split unit, removing subunits and reassigning the original.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function unsplitUnit(query, customerId) {
+  const {parentUnitId, newGroupId, incidentId} = query;
+  if (!parentUnitId || !newGroupId || !incidentId) {
+    throw new Error("Parent Unit, New Group, and Incident IDs are required.");
+  }
+
+  const {ref: parentUnitRef, data: parentUnitData} = await getAndVerifyDoc(
+      "units",
+      parentUnitId,
+      customerId,
+  );
+  const now = new Date();
+  const batch = db.batch();
+
+  // 1. Find and delete subunits, logging any air timer still running as
+  // stopped so the report keeps their time on air
+  const subunitsSnap = await db.collection("units")
+      .where("parentUnitId", "==", parentUnitId).get();
+  const subunitIds = [];
+  subunitsSnap.forEach((doc) => {
+    subunitIds.push(doc.id);
+    batch.delete(doc.ref);
+    if (doc.data().airTimer) {
+      batch.set(db.collection("unitActionLogs").doc(), buildAirStopLog({
+        unitId: doc.id,
+        unitData: doc.data(),
+        now,
+        incidentId,
+        customerId,
+        reason: "unit reformed",
+      }));
+    }
+  });
+
+  // 2. End assignments for the subunits, bringing their crews back together
+  const roster = [];
+  if (subunitIds.length > 0) {
+    const assignSnap = await db.collection("assignments")
+        .where("unitId", "in", subunitIds)
+        .where("releaseTime", "==", null).get();
+    assignSnap.forEach((doc) => {
+      roster.push(...parseRoster(doc.data().roster));
+      batch.update(doc.ref, {releaseTime: now, notes: "Unit reformed"});
+    });
+  }
+
+  // 3. Un-mark the parent unit; it goes straight back into a group below
+
+  // 4. Create new assignment for the parent unit in the selected group
+  const newAssignRef = db.collection("assignments").doc();
+  // Corrected indentation, spacing, and trailing comma on this block
+  batch.set(newAssignRef, {
+    incidentId,
+    groupId: newGroupId,
+    unitId: parentUnitId,
+    assignmentTime: now,
+    releaseTime: null,
+    notes: "Reformed from subunits",
+    roster: [...new Set(roster)],
+    statusTimes: {...parentUnitData.incidentStatusTimes, Assigned: now},
+    customerId,
+  });
+  batch.update(parentUnitRef, {
+    isSplit: false,
+    status: "Assigned",
+    statusTime: now,
+    statusIncidentId: incidentId,
+    incidentStatusTimes: {...parentUnitData.incidentStatusTimes, Assigned: now},
+  });
+
+  // 5. Log the action
+  const logRef = db.collection("unitActionLogs").doc();
+  batch.set(logRef, {
+    customerId,
+    incidentId,
+    unitId: parentUnitId,
+    action: "unsplit",
+    timestamp: now,
+    details: "Reformed unit",
+  });
+
+  await batch.commit();
+  return {message: "Unit reformed successfully."};
+}
+
+/**
+ * Splits multiple units into subunits.
+ * This version uses a resilient check for old data.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function splitMultipleUnits(query, customerId) {
+  const {unitIds, groupId, incidentId} = query;
+  if (!unitIds || !groupId || !incidentId) {
+    throw new Error("Unit, Group, and Incident IDs are required.");
+  }
+
+  const unitIdArray = unitIds.split(",");
+  const now = new Date();
+  const batch = db.batch();
+
+  for (const unitId of unitIdArray) {
+    const {ref: originalUnitRef, data: originalUnitData} =
+      await getAndVerifyDoc("units", unitId, customerId);
+
+    // --- START: THIS IS THE CORRECTED VALIDATION ---
+    if (
+      originalUnitData.isSplit ||
+      (originalUnitData.splitStatus ?? "Original") !== "Original"
+    ) {
+      console.warn(`Unit ${unitId} cannot be split. Skipping.`);
+      continue;
+    }
+    // --- END: THIS IS THE CORRECTED VALIDATION ---
+
+    const assignRef = db.collection("assignments");
+    const oldAssignSnap = await assignRef.where("unitId", "==", unitId)
+        .where("releaseTime", "==", null).limit(1).get();
+    const [rosterA, rosterB] = divideRoster(oldAssignSnap.empty ?
+      parseRoster(originalUnitData.roster) :
+      parseRoster(oldAssignSnap.docs[0].data().roster));
+    const oldStatusTimes = oldAssignSnap.empty ?
+      {} :
+      oldAssignSnap.docs[0].data().statusTimes || {};
+
+    // 1. Mark original unit as split
+    batch.update(originalUnitRef, {isSplit: true});
+
+    // 2. Create subunits
+    const subunitAData = {
+      ...originalUnitData,
+      unit: `${originalUnitData.unit}-A`,
+      splitStatus: "Subunit",
+      parentUnitId: unitId,
+      isSplit: false,
+      roster: rosterA,
+    };
+    const subunitARef = db.collection("units").doc();
+    batch.set(subunitARef, subunitAData);
+
+    const subunitBData = {
+      ...originalUnitData,
+      unit: `${originalUnitData.unit}-B`,
+      splitStatus: "Subunit",
+      parentUnitId: unitId,
+      isSplit: false,
+      roster: rosterB,
+    };
+    const subunitBRef = db.collection("units").doc();
+    batch.set(subunitBRef, subunitBData);
+
+    // 3. End assignment for original unit
+    if (!oldAssignSnap.empty) {
+      batch.update(oldAssignSnap.docs[0].ref, {
+        releaseTime: now,
+        notes: "Unit split",
+      });
+    }
+
+    // 4. Create new assignments for subunits
+    const assignA = {
+      incidentId: incidentId,
+      groupId: groupId,
+      unitId: subunitARef.id,
+      assignmentTime: now,
+      releaseTime: null,
+      notes: "Split from parent",
+      roster: rosterA,
+      statusTimes: oldStatusTimes,
+      customerId: customerId,
+    };
+    batch.set(assignRef.doc(), assignA);
+    const assignB = {
+      incidentId: incidentId,
+      groupId: groupId,
+      unitId: subunitBRef.id,
+      assignmentTime: now,
+      releaseTime: null,
+      notes: "Split from parent",
+      roster: rosterB,
+      statusTimes: oldStatusTimes,
+      customerId: customerId,
+    };
+    batch.set(assignRef.doc(), assignB);
+
+    // 5. Log the action
+    const logRef = db.collection("unitActionLogs").doc();
+    const part1 = `Split into ${subunitAData.unit}`;
+    const logDetails = `${part1} and ${subunitBData.unit}`;
+    batch.set(logRef, {
+      customerId: customerId,
+      incidentId: incidentId,
+      unitId: unitId,
+      action: "split",
+      timestamp: now,
+      details: logDetails,
+    });
+  }
+
+  await batch.commit();
+  return {message: "Selected units split successfully."};
+}
+
+/**
+ * Updates the displayOrder for a list of groups in a single transaction.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function updateGroupOrder(query, customerId) {
+  const {incidentId, groupIds} = query;
+  if (!incidentId || !groupIds) {
+    const errorMessage =
+      "Incident ID and an ordered list of Group IDs are required.";
+    throw new Error(errorMessage);
+  }
+
+  // First, verify the user has permission to modify this incident.
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+
+  const groupIdArray = groupIds.split(",");
+  const groups = await Promise.all(groupIdArray.map((groupId) =>
+    getAndVerifyIncidentGroup(groupId, incidentId, customerId)));
+  const batch = db.batch();
+
+  // The new index of each group is its displayOrder.
+  groups.forEach(({ref: groupRef}, index) => {
+    batch.update(groupRef, {displayOrder: index});
+  });
+
+  await batch.commit();
+
+  const successMessage =
+    `Group order updated for ${groupIdArray.length} groups.`;
+  return {message: successMessage};
+}
+
+/**
+ * Sets the parent for a given group.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function setGroupParent(query, customerId) {
+  const {incidentId, childGroupId, parentGroupId} = query;
+  if (!incidentId || !childGroupId || !parentGroupId) {
+    const errorMessage =
+      "Incident, Child Group, and Parent Group IDs are required.";
+    throw new Error(errorMessage);
+  }
+
+  // Verify ownership of all related documents
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+  const {ref: childRef, data: childData} = await getAndVerifyIncidentGroup(
+      childGroupId, incidentId, customerId);
+  const {data: parentData} =
+    await getAndVerifyIncidentGroup(parentGroupId, incidentId, customerId);
+
+  // Update the child document with the parent's ID
+  const batch = db.batch();
+  batch.update(childRef, {parentGroupId: parentGroupId});
+  addUndoEntry(batch, {
+    customerId,
+    incidentId,
+    action: "setGroupParent",
+    description:
+      `Place ${childData.groupName} under ${parentData.groupName}`,
+    inverse: {
+      childGroupId,
+      parentGroupId,
+      previousParentGroupId: childData.parentGroupId || null,
+    },
+    now: new Date(),
+  });
+  await batch.commit();
+
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "GROUP_PARENT_SET",
+    details:
+      `Group ${childData.groupName} placed under ${parentData.groupName}.`,
+    metadata: {
+      groupId: childGroupId,
+      groupName: childData.groupName,
+      parentGroupId,
+      parentGroupName: parentData.groupName,
+    },
+  });
+
+  return {message: "Group parent assigned successfully."};
+}
+
+/**
+ * Clears the parent from a given group, making it a top-level group.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function clearGroupParent(query, customerId) {
+  const {incidentId, childGroupId} = query;
+  if (!incidentId || !childGroupId) {
+    throw new Error("Incident and Child Group IDs are required.");
+  }
+
+  // Verify ownership
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+  const {ref: childRef, data: childData} = await getAndVerifyIncidentGroup(
+      childGroupId, incidentId, customerId);
+
+  // Update the child, setting the parent to null
+  await childRef.update({parentGroupId: null});
+
+  if (childData.parentGroupId) {
+    await logIncidentAction({
+      customerId,
+      incidentId,
+      eventType: "GROUP_PARENT_CLEARED",
+      details: `Group ${childData.groupName} made a top-level group.`,
+      metadata: {
+        groupId: childGroupId,
+        groupName: childData.groupName,
+        parentGroupId: childData.parentGroupId,
+      },
+    });
+  }
+
+  return {message: "Group parent cleared successfully."};
+}
+
+/**
+ * Disbands a group from an incident after verifying it is empty and not a
+ * parent. This action is non-destructive; it marks the group as
+ * "Disbanded" and creates a log entry instead of deleting the document.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function disbandGroup(query, customerId) {
+  const {groupId, incidentId} = query;
+  if (!groupId || !incidentId) {
+    throw new Error("Group ID and Incident ID are required.");
+  }
+
+  // First, verify ownership of the group and incident.
+  const {ref: groupRef, data: groupData} =
+    await getAndVerifyDoc("groups", groupId, customerId);
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+
+  // --- VALIDATION CHECKS ---
+  // 1. Check for assigned units in this group.
+  const assignmentsSnap = await db.collection("assignments")
+      .where("customerId", "==", customerId)
+      .where("groupId", "==", groupId)
+      .where("releaseTime", "==", null)
+      .limit(1)
+      .get();
+  if (!assignmentsSnap.empty) {
+    throw new Error("Cannot disband group. Reassign all units first.");
+  }
+
+  // 2. Check if this group is a parent to any other groups.
+  const childrenSnap = await db.collection("groups")
+      .where("customerId", "==", customerId)
+      .where("parentGroupId", "==", groupId)
+      .limit(1)
+      .get();
+  if (!childrenSnap.empty) {
+    const errorMsg = "Cannot disband group. It is a parent to other groups.";
+    throw new Error(errorMsg);
+  }
+  // --- END: VALIDATION CHECKS ---
+
+  // Instead of deleting, we now update the status.
+  const now = new Date();
+  const batch = db.batch();
+  batch.update(groupRef, {
+    status: "Disbanded",
+    disbandTime: now,
+  });
+  addUndoEntry(batch, {
+    customerId,
+    incidentId,
+    action: "disbandGroup",
+    description: `Disband ${groupData.groupName}`,
+    inverse: {groupId, previousStatus: groupData.status || "Active"},
+    now,
+  });
+  await batch.commit();
+
+  // Create a permanent log of the disband action.
+  const details = "Group " + groupData.groupName + " was disbanded.";
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "GROUP_DISBANDED",
+    details: details,
+    metadata: {groupId, groupName: groupData.groupName},
+  });
+
+  return {message: "Group disbanded successfully."};
+}
+
+/**
+ * Deletes an incident and all of its associated data after verifying admin
+ * authorization and ensuring the incident is closed.
+ * @param {object} query The request query parameters.
+ * @param {object} authContext The full authorization context.
+ * @return {Promise<object>} A success message.
+ */
+async function deleteIncident(query, authContext) {
+  const {incidentId, adminCode} = query;
+  if (!incidentId || !adminCode) {
+    throw new Error("Incident ID and Admin Code are required.");
+  }
+
+  // Use the secure UID from the token to look up the user's profile.
+  const userRef = db.collection("users").doc(authContext.uid);
+  const userDoc = await userRef.get();
+
+  if (!userDoc.exists || userDoc.data().adminCode !== adminCode) {
+    throw new functions.https.HttpsError(
+        "permission-denied", "Invalid Admin Code.",
+    );
+  }
+
+  // Verify the incident belongs to the customer and is closed.
+  const {ref: incidentRef, data: incidentData} =
+    await getAndVerifyDoc("incidents", incidentId, authContext.customerId);
+  if (incidentData.status !== "Closed") {
+    // --- THE FIX IS HERE ---
+    const errorMsg =
+      "Cannot delete an active incident. It must be closed first.";
+    throw new Error(errorMsg);
+    // --- END OF FIX ---
+  }
+
+  // Prepare a batch to delete all associated data.
+  const batch = db.batch();
+  const collectionsToDeleteFrom = [
+    "groups", "assignments", "parLogs", "unitActionLogs",
+  ];
+  for (const collectionName of collectionsToDeleteFrom) {
+    const snapshot = await db.collection(collectionName)
+        .where("incidentId", "==", incidentId)
+        .where("customerId", "==", authContext.customerId)
+        .get();
+    if (!snapshot.empty) {
+      snapshot.forEach((doc) => batch.delete(doc.ref));
+    }
+  }
+
+  batch.delete(incidentRef);
+  await batch.commit();
+
+  const successMsg = "Incident and all associated data deleted successfully.";
+  return {message: successMsg};
+}
+
+// --- Mayday Management ---
+
+const MAYDAY_LUNAR_FIELDS = [
+  "location", "unitId", "name", "assignment", "resourcesNeeded",
+];
+
+/**
+ * Reads the LUNAR (location, unit, name, assignment, resources needed)
+ * fields from a request, ignoring any that were not supplied.
+ * @param {object} query The request query parameters.
+ * @return {object} The supplied LUNAR fields, trimmed.
+ */
+function getLunarFields(query) {
+  const fields = {};
+  MAYDAY_LUNAR_FIELDS.forEach((field) => {
+    if (typeof query[field] === "string") fields[field] = query[field].trim();
+  });
+  return fields;
+}
+
+/**
+ * Resolves the unit designator for a LUNAR unit ID, if one was given.
+ * @param {string} unitId The unit ID, or an empty value.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<string|null>} The unit designator, or null.
+ */
+async function getLunarUnitName(unitId, customerId) {
+  if (!unitId) return null;
+  const {data} = await getAndVerifyUnit(unitId, customerId);
+  return data.unit;
+}
+
+/**
+ * Builds the RIT group for a Mayday without saving it. The name comes from
+ * the customer's common groups so the group picks up their RIT color,
+ * falling back to "RIT".
+ * @param {string} incidentId The ID of the incident.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The group's {ref, groupName, data}.
+ */
+async function buildRitGroup(incidentId, customerId) {
+  const commonGroups = await getCollectionData("commonGroups", customerId);
+  const ritCommonGroup = commonGroups.find((cg) =>
+    /\bRIT\b|rapid intervention/i.test(cg.name || ""));
+  const groupName = ritCommonGroup ? ritCommonGroup.name : "RIT";
+  const getBenchmarksFor = await getBenchmarkSetResolver(customerId);
+
+  const data = buildNewGroupData({
+    incidentId,
+    groupName,
+    displayOrder: -1,
+    creationTime: new Date(),
+    benchmarks: getBenchmarksFor(groupName),
+    customerId,
+  });
+  return {ref: db.collection("groups").doc(), groupName, data};
+}
+
+/**
+ * Creates the RIT group for a Mayday; see buildRitGroup.
+ * @param {string} incidentId The ID of the incident.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The new group's {id, groupName}.
+ */
+async function createRitGroup(incidentId, customerId) {
+  const {ref, groupName, data} = await buildRitGroup(incidentId, customerId);
+  await ref.set(data);
+  return {id: ref.id, groupName};
+}
+
+/**
+ * Declares a Mayday from a group card. The incident is flagged so every
+ * viewer's incident listener raises the alert; LUNAR details are optional
+ * here and can be filled in afterwards with updateMayday.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} query.groupId The group the Mayday was declared from.
+ * @param {string} [query.createRitGroup] "true" to create a RIT group.
+ * @param {object} authContext The authorization context.
+ * @return {Promise<object>} The new Mayday record.
+ */
+async function declareMayday(query, authContext) {
+  const {incidentId, groupId} = query;
+  const {uid, customerId, name} = authContext;
+  if (!incidentId || !groupId) {
+    throw new Error("Incident ID and Group ID are required.");
+  }
+
+  const {data: groupData} =
+    await getAndVerifyIncidentGroup(groupId, incidentId, customerId);
+
+  const lunar = {
+    location: "",
+    unitId: groupData.groupSupervisorUnitId || "",
+    name: "",
+    assignment: groupData.groupName,
+    resourcesNeeded: "",
+    ...getLunarFields(query),
+  };
+  const mayday = {
+    active: true,
+    groupId,
+    ...lunar,
+    unitName: await getLunarUnitName(lunar.unitId, customerId),
+    declaredAt: new Date(),
+    declaredByUid: uid,
+    declaredByName: name,
+    ritGroupId: null,
+    clearedAt: null,
+    clearedByUid: null,
+  };
+  const ritGroup = query.createRitGroup === "true" ?
+    await buildRitGroup(incidentId, customerId) :
+    null;
+  if (ritGroup) mayday.ritGroupId = ritGroup.ref.id;
+
+  // Checked and written together, so two declarations at once can't both
+  // pass the check and overwrite each other's record or RIT group.
+  await db.runTransaction(async (transaction) => {
+    const {ref: incidentRef, data: incidentData} =
+      await getAndVerifyDocInTransaction(
+          transaction, "incidents", incidentId, customerId);
+    if (incidentData.status !== "Active") {
+      const errorMsg = "A Mayday can only be declared on an active incident.";
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+    if (incidentData.mayday && incidentData.mayday.active) {
+      const errorMsg = "A Mayday is already in progress for this incident.";
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+    if (ritGroup) transaction.set(ritGroup.ref, ritGroup.data);
+    transaction.update(incidentRef, {mayday});
+  });
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "MAYDAY_DECLARED",
+    details: `MAYDAY declared from ${groupData.groupName} by ${name}.`,
+    metadata: {groupId, ...lunar, ritGroupId: mayday.ritGroupId},
+  });
+
+  return {...mayday, declaredAt: mayday.declaredAt.toISOString()};
+}
+
+/**
+ * Records LUNAR details for the active Mayday and, if requested, creates the
+ * RIT group when one does not exist yet.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} [query.createRitGroup] "true" to create a RIT group.
+ * @param {object} authContext The authorization context.
+ * @return {Promise<object>} A success message.
+ */
+async function updateMayday(query, authContext) {
+  const {incidentId} = query;
+  const {customerId, name} = authContext;
+  if (!incidentId) throw new Error("Incident ID is required.");
+
+  const {ref: incidentRef, data: incidentData} =
+    await getAndVerifyDoc("incidents", incidentId, customerId);
+  const mayday = incidentData.mayday;
+  if (!mayday || !mayday.active) {
+    const errorMsg = "There is no active Mayday for this incident.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  const lunar = getLunarFields(query);
+  const updates = {};
+  Object.entries(lunar).forEach(([field, value]) => {
+    updates[`mayday.${field}`] = value;
+  });
+  if (lunar.unitId !== undefined) {
+    updates["mayday.unitName"] =
+      await getLunarUnitName(lunar.unitId, customerId);
+  }
+
+  let ritGroup = null;
+  if (query.createRitGroup === "true" && !mayday.ritGroupId) {
+    ritGroup = await createRitGroup(incidentId, customerId);
+    updates["mayday.ritGroupId"] = ritGroup.id;
+  }
+  if (Object.keys(updates).length === 0) {
+    return {message: "No Mayday changes to save."};
+  }
+
+  await incidentRef.update(updates);
+  const ritDetails = ritGroup ? ` ${ritGroup.groupName} group created.` : "";
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "MAYDAY_UPDATED",
+    details: `MAYDAY details updated by ${name}.${ritDetails}`,
+    metadata: {...lunar, ritGroupId: ritGroup ? ritGroup.id : null},
+  });
+
+  return {message: "Mayday updated successfully."};
+}
+
+/**
+ * Clears the active Mayday. The record stays on the incident, marked
+ * inactive, so the LUNAR details remain available to the report.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {object} authContext The authorization context.
+ * @return {Promise<object>} A success message.
+ */
+async function clearMayday(query, authContext) {
+  const {incidentId} = query;
+  const {uid, customerId, name} = authContext;
+  if (!incidentId) throw new Error("Incident ID is required.");
+
+  const {ref: incidentRef, data: incidentData} =
+    await getAndVerifyDoc("incidents", incidentId, customerId);
+  // Not "permission-denied", which signs the client out mid-Mayday; see
+  // assertIncidentCommander.
+  const {sessionId} = requestContext.getStore();
+  if (incidentData.commanderUid !== uid || !sessionId ||
+      incidentData.commanderSessionId !== sessionId) {
+    const errorMsg = "Only the active commander can clear a Mayday.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  const mayday = incidentData.mayday;
+  if (!mayday || !mayday.active) {
+    const errorMsg = "There is no active Mayday for this incident.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  const clearedAt = new Date();
+  await incidentRef.update({
+    "mayday.active": false,
+    "mayday.clearedAt": clearedAt,
+    "mayday.clearedByUid": uid,
+  });
+  const minutes = Math.round(
+      (clearedAt.getTime() - mayday.declaredAt.toMillis()) / 60000);
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "MAYDAY_CLEARED",
+    details: `MAYDAY cleared by ${name} after ${minutes} minute(s).`,
+    metadata: {groupId: mayday.groupId, unitId: mayday.unitId},
+  });
+
+  return {message: "Mayday cleared."};
+}
+
+// --- Incident Clock ---
+
+/**
+ * Records that the commander acknowledged an elapsed-time milestone. The
+ * board stops prompting for a milestone once it is in the incident's
+ * acknowledged list.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} query.minutes The milestone, in minutes since the start.
+ * @param {object} authContext The authorization context for the user.
+ * @return {Promise<object>} A success message.
+ */
+async function acknowledgeTimeMilestone(query, authContext) {
+  const {incidentId} = query;
+  const {customerId, name} = authContext;
+  const minutes = parseInt(query.minutes, 10);
+  if (!incidentId || isNaN(minutes)) {
+    throw new Error("Incident ID and milestone minutes are required.");
+  }
+
+  const {ref: incidentRef, data: incidentData} =
+    await getAndVerifyDoc("incidents", incidentId, customerId);
+  if ((incidentData.acknowledgedTimeMilestones || []).includes(minutes)) {
+    return {message: "Milestone already acknowledged."};
+  }
+
+  await incidentRef.update({
+    acknowledgedTimeMilestones:
+      admin.firestore.FieldValue.arrayUnion(minutes),
+  });
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "TIME_MILESTONE",
+    details: `${minutes} minutes elapsed, acknowledged by ${name}.`,
+    metadata: {minutes},
+  });
+
+  return {message: "Milestone acknowledged."};
+}
+
+// --- Incident Benchmarks ---
+
+/**
+ * Milestones that apply to the whole incident rather than a single group.
+ * The command board keeps a matching list to render the command strip.
+ */
+const INCIDENT_BENCHMARKS = [
+  {key: "waterSupply", label: "Water Supply Established"},
+  {key: "ritInPlace", label: "RIT In Place"},
+  {key: "utilitiesSecured", label: "Utilities Secured"},
+  {key: "allClear", label: "All Clear"},
+  {key: "underControl", label: "Under Control"},
+  {key: "lossStop", label: "Loss Stop"},
+];
+
+/**
+ * Lists an incident's benchmarks in checklist order with who completed each
+ * and when.
+ * @param {object} incident The incident document data.
+ * @return {Array<object>} Benchmarks as {key, label, completedAt,
+ *     completedByName}, with nulls for those not yet completed.
+ */
+function getIncidentBenchmarks(incident) {
+  const completed = incident.benchmarks || {};
+  return INCIDENT_BENCHMARKS.map((benchmark) => ({
+    ...benchmark,
+    completedAt: completed[benchmark.key]?.completedAt || null,
+    completedByName: completed[benchmark.key]?.completedByName || null,
+  }));
+}
+
+/**
+ * Marks an incident-level benchmark complete, or clears it if it was checked
+ * by mistake.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} query.benchmarkKey One of the INCIDENT_BENCHMARKS keys.
+ * @param {string} query.isComplete "true" to complete, "false" to clear.
+ * @param {object} authContext The authorization context for the user.
+ * @return {Promise<object>} A success message.
+ */
+async function updateIncidentBenchmark(query, authContext) {
+  const {incidentId, benchmarkKey} = query;
+  const {uid, customerId, name} = authContext;
+  if (!incidentId || !benchmarkKey) {
+    throw new Error("Incident ID and benchmark are required.");
+  }
+  const benchmark = INCIDENT_BENCHMARKS.find((b) => b.key === benchmarkKey);
+  if (!benchmark) throw new Error("Invalid incident benchmark.");
+  const isComplete = query.isComplete === true || query.isComplete === "true";
+
+  const {ref: incidentRef, data: incidentData} =
+    await getAndVerifyDoc("incidents", incidentId, customerId);
+  const wasComplete = Boolean(incidentData.benchmarks?.[benchmarkKey]);
+  if (isComplete === wasComplete) {
+    return {message: "Incident benchmark is already up to date."};
+  }
+
+  const field = `benchmarks.${benchmarkKey}`;
+  if (isComplete) {
+    await incidentRef.update({
+      [field]: {
+        completedAt: new Date(),
+        completedByUid: uid,
+        completedByName: name,
+      },
+    });
+  } else {
+    await incidentRef.update({[field]: admin.firestore.FieldValue.delete()});
+  }
+
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: isComplete ?
+      "INCIDENT_BENCHMARK_COMPLETED" :
+      "INCIDENT_BENCHMARK_CLEARED",
+    details: isComplete ?
+      `${benchmark.label} (by ${name}).` :
+      `${benchmark.label} cleared by ${name}.`,
+    metadata: {benchmarkKey},
+  });
+
+  return {message: "Incident benchmark updated."};
+}
+
+// --- Staging Management ---
+
+const STAGING_LEVELS = ["I", "II"];
+
+/**
+ * Builds the query for an incident's open staging areas.
+ * @param {string} incidentId The ID of the incident.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {object} The Firestore query.
+ */
+function getActiveStagingAreasQuery(incidentId, customerId) {
+  return db.collection("stagingAreas")
+      .where("customerId", "==", customerId)
+      .where("incidentId", "==", incidentId)
+      .where("status", "==", "Active");
+}
+
+/**
+ * Fetches an incident's open staging areas, each with the units checked
+ * into it and when they were staged.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<Array<object>>} The staging areas, oldest first.
+ */
+async function getStagingAreasForIncident(query, customerId) {
+  const {incidentId} = query;
+  if (!incidentId) throw new Error("Incident ID is required.");
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+
+  const [areasSnapshot, stagedUnitsSnapshot] = await Promise.all([
+    getActiveStagingAreasQuery(incidentId, customerId).get(),
+    db.collection("units")
+        .where("customerId", "==", customerId)
+        .where("statusIncidentId", "==", incidentId)
+        .where("status", "==", "Staged")
+        .get(),
+  ]);
+
+  const unitsByArea = new Map();
+  stagedUnitsSnapshot.forEach((doc) => {
+    const unit = doc.data();
+    if (!unit.stagingAreaId) return;
+    if (!unitsByArea.has(unit.stagingAreaId)) {
+      unitsByArea.set(unit.stagingAreaId, []);
+    }
+    unitsByArea.get(unit.stagingAreaId).push({
+      id: doc.id,
+      unit: unit.unit,
+      unitName: unit.unitName,
+      personnelCount: parseRoster(unit.roster).length,
+      stagedAt: toIsoString(unit.incidentStatusTimes?.Staged),
+    });
+  });
+
+  return areasSnapshot.docs
+      .map((doc) => {
+        const area = doc.data();
+        return {
+          id: doc.id,
+          name: area.name,
+          location: area.location,
+          level: area.level,
+          managerName: area.managerName,
+          createdAt: toIsoString(area.createdAt),
+          units: (unitsByArea.get(doc.id) || [])
+              .sort((a, b) =>
+                (a.stagedAt || "").localeCompare(b.stagedAt || "")),
+        };
+      })
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Reads and validates the editable fields of a staging area.
+ * @param {object} query The request query parameters.
+ * @return {object} The normalized {name, location, level, managerName}.
+ */
+function getStagingAreaFields(query) {
+  const name = (query.name || "").trim();
+  if (!name) throw new Error("A staging area name is required.");
+  const level = query.level || "I";
+  if (!STAGING_LEVELS.includes(level)) {
+    throw new Error("Staging level must be I or II.");
+  }
+  return {
+    name,
+    location: (query.location || "").trim() || null,
+    level,
+    managerName: (query.managerName || "").trim() || null,
+  };
+}
+
+/**
+ * Opens a staging area on an incident.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} query.name The staging area name.
+ * @param {string} [query.location] Where the staging area is.
+ * @param {string} [query.level] "I" or "II"; defaults to "I".
+ * @param {string} [query.managerName] The staging manager.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The new staging area.
+ */
+async function createStagingArea(query, customerId) {
+  const {incidentId} = query;
+  if (!incidentId) throw new Error("Incident ID is required.");
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+  const fields = getStagingAreaFields(query);
+
+  const newAreaData = {
+    ...fields,
+    incidentId,
+    customerId,
+    status: "Active",
+    createdAt: new Date(),
+    closedAt: null,
+  };
+  const docRef = await db.collection("stagingAreas").add(newAreaData);
+
+  const managerText = fields.managerName ?
+    `, managed by ${fields.managerName}` :
+    "";
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "STAGING_AREA_CREATED",
+    details: `Level ${fields.level} staging area ${fields.name} ` +
+      `opened${managerText}.`,
+    metadata: {stagingAreaId: docRef.id},
+  });
+
+  return {
+    id: docRef.id,
+    ...newAreaData,
+    createdAt: newAreaData.createdAt.toISOString(),
+  };
+}
+
+/**
+ * Updates a staging area's name, location, level or manager.
+ * @param {object} query The request query parameters.
+ * @param {string} query.stagingAreaId The ID of the staging area.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function updateStagingArea(query, customerId) {
+  const {stagingAreaId} = query;
+  if (!stagingAreaId) throw new Error("Staging area ID is required.");
+  const {ref, data: areaData} =
+    await getAndVerifyDoc("stagingAreas", stagingAreaId, customerId);
+  const fields = getStagingAreaFields(query);
+  await ref.update(fields);
+
+  if (fields.managerName !== areaData.managerName) {
+    await logIncidentAction({
+      customerId,
+      incidentId: areaData.incidentId,
+      eventType: "STAGING_MANAGER_ASSIGNED",
+      details: fields.managerName ?
+        `${fields.managerName} is managing staging area ${fields.name}.` :
+        `Staging area ${fields.name} has no manager.`,
+      metadata: {stagingAreaId},
+    });
+  }
+  return {message: "Staging area updated."};
+}
+
+/**
+ * Closes an empty staging area.
+ * @param {object} query The request query parameters.
+ * @param {string} query.stagingAreaId The ID of the staging area.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function closeStagingArea(query, customerId) {
+  const {stagingAreaId} = query;
+  if (!stagingAreaId) throw new Error("Staging area ID is required.");
+  const {ref, data: areaData} =
+    await getAndVerifyDoc("stagingAreas", stagingAreaId, customerId);
+
+  const stagedUnitsSnapshot = await db.collection("units")
+      .where("customerId", "==", customerId)
+      .where("stagingAreaId", "==", stagingAreaId)
+      .limit(1).get();
+  if (!stagedUnitsSnapshot.empty) {
+    const errorMsg = "Assign or release every unit in staging area " +
+      `${areaData.name} before closing it.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  await ref.update({status: "Closed", closedAt: new Date()});
+  await logIncidentAction({
+    customerId,
+    incidentId: areaData.incidentId,
+    eventType: "STAGING_AREA_CLOSED",
+    details: `Staging area ${areaData.name} closed.`,
+    metadata: {stagingAreaId},
+  });
+  return {message: "Staging area closed."};
+}
+
+/**
+ * Checks units into a staging area. Units in a group leave it, and units
+ * already staged elsewhere on the incident move to this area. Runs in a
+ * transaction so the status checks see each unit's current state.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} query.stagingAreaId The ID of the staging area.
+ * @param {string} query.unitIds Comma-separated unit IDs.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function checkUnitsIntoStaging(query, customerId) {
+  const {incidentId, stagingAreaId, unitIds} = query;
+  if (!incidentId || !stagingAreaId || !unitIds) {
+    throw new Error("All parameters are required.");
+  }
+  const unitIdArray = unitIds.split(",");
+
+  await db.runTransaction(async (transaction) => {
+    const {data: areaData} = await getAndVerifyDocInTransaction(
+        transaction, "stagingAreas", stagingAreaId, customerId);
+    if (areaData.incidentId !== incidentId || areaData.status !== "Active") {
+      const errorMsg = "This staging area is not open on this incident.";
+      throw new functions.https.HttpsError("failed-precondition", errorMsg);
+    }
+    const units = await Promise.all(unitIdArray.map((unitId) =>
+      getAndVerifyUnitInTransaction(
+          transaction, unitId, customerId, incidentId)));
+    const activeSnapshots = await Promise.all(unitIdArray.map((unitId) =>
+      transaction.get(getActiveAssignmentQuery(unitId, customerId))));
+
+    const now = new Date();
+    units.forEach(({ref: unitRef, data: unitData}, index) => {
+      const isStagedHere = unitData.status === "Staged" &&
+        unitData.statusIncidentId === incidentId;
+      if (isStagedHere) {
+        transaction.update(unitRef, {stagingAreaId});
+        return;
+      }
+
+      const unitUpdate =
+        getUnitStatusUpdate(unitData, "Staged", now, incidentId);
+      const assignment = activeSnapshots[index].docs[0];
+      if (assignment) {
+        transaction.update(assignment.ref, {
+          releaseTime: now,
+          notes: `Returned to staging (${areaData.name})`,
+          statusTimes: {...assignment.data().statusTimes, Staged: now},
+        });
+      }
+      transaction.update(unitRef, {...unitUpdate, stagingAreaId});
+      transaction.set(db.collection("unitActionLogs").doc(),
+          buildUnitStatusLog({
+            unitId: unitRef.id,
+            unitData,
+            newStatus: "Staged",
+            now,
+            incidentId,
+            customerId,
+          }));
+    });
+  });
+
+  return {message: `${unitIdArray.length} unit(s) checked into staging.`};
+}
+
+// --- Rehab ---
+
+const REHAB_VITALS_STATUSES = ["Pending", "Cleared", "Recheck", "Medical"];
+
+/**
+ * Fetches the units resting in rehab on an incident.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<Array<object>>} The units, longest in rehab first.
+ */
+async function getRehabUnitsForIncident(query, customerId) {
+  const {incidentId} = query;
+  if (!incidentId) throw new Error("Incident ID is required.");
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+
+  const snapshot = await db.collection("units")
+      .where("customerId", "==", customerId)
+      .where("statusIncidentId", "==", incidentId)
+      .where("status", "==", "Rehab")
+      .get();
+
+  return snapshot.docs
+      .map((doc) => {
+        const unit = doc.data();
+        const rehab = unit.rehab || {};
+        return {
+          id: doc.id,
+          unit: unit.unit,
+          unitName: unit.unitName,
+          personnelCount: parseRoster(unit.roster).length,
+          enteredAt: toIsoString(rehab.enteredAt || unit.statusTime),
+          restUntil: toIsoString(rehab.restUntil),
+          vitalsStatus: rehab.vitalsStatus || "Pending",
+          vitalsCheckedAt: toIsoString(rehab.vitalsCheckedAt),
+        };
+      })
+      .sort((a, b) => (a.enteredAt || "").localeCompare(b.enteredAt || ""));
+}
+
+/**
+ * Moves units into rehab, ending any active assignment. Each unit records
+ * when it entered and the earliest time it may go back to work, from the
+ * customer's `rehabRestMinutes` setting.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} query.unitIds A comma-separated list of unit IDs.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function moveUnitsToRehab(query, customerId) {
+  const {incidentId, unitIds} = query;
+  if (!incidentId || !unitIds) {
+    throw new Error("Incident ID and unit IDs are required.");
+  }
+  const unitIdArray = unitIds.split(",");
+  const {rehabRestMinutes} = await getSettings({}, customerId);
+
+  await db.runTransaction(async (transaction) => {
+    await getAndVerifyDocInTransaction(
+        transaction, "incidents", incidentId, customerId);
+    const units = await Promise.all(unitIdArray.map((unitId) =>
+      getAndVerifyUnitInTransaction(
+          transaction, unitId, customerId, incidentId)));
+    const activeSnapshots = await Promise.all(unitIdArray.map((unitId) =>
+      transaction.get(getActiveAssignmentQuery(unitId, customerId))));
+
+    const now = new Date();
+    const rehab = {
+      enteredAt: now,
+      restUntil: new Date(now.getTime() + rehabRestMinutes * 60000),
+      vitalsStatus: "Pending",
+      vitalsCheckedAt: null,
+    };
+    units.forEach(({ref: unitRef, data: unitData}, index) => {
+      const unitUpdate =
+        getUnitStatusUpdate(unitData, "Rehab", now, incidentId);
+      const assignment = activeSnapshots[index].docs[0];
+      if (assignment) {
+        transaction.update(assignment.ref, {
+          releaseTime: now,
+          notes: "Rotated to rehab",
+          statusTimes: {...assignment.data().statusTimes, Rehab: now},
+        });
+      }
+      transaction.update(unitRef, {...unitUpdate, rehab});
+      transaction.set(db.collection("unitActionLogs").doc(),
+          buildUnitStatusLog({
+            unitId: unitRef.id,
+            unitData,
+            newStatus: "Rehab",
+            now,
+            incidentId,
+            customerId,
+          }));
+    });
+  });
+
+  return {message: `${unitIdArray.length} unit(s) moved to rehab.`};
+}
+
+/**
+ * Records the result of a rehab vitals check on a unit.
+ * @param {object} query The request query parameters.
+ * @param {string} query.unitId The ID of the unit in rehab.
+ * @param {string} query.vitalsStatus One of REHAB_VITALS_STATUSES.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function updateRehabVitals(query, customerId) {
+  const {unitId, vitalsStatus} = query;
+  if (!unitId || !REHAB_VITALS_STATUSES.includes(vitalsStatus)) {
+    throw new Error("Unit ID and a valid vitals status are required.");
+  }
+  const {ref, data} = await getAndVerifyUnit(unitId, customerId);
+  if (data.status !== "Rehab") {
+    const errorMsg = `${data.unit} is not in rehab.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  const now = new Date();
+  const batch = db.batch();
+  batch.update(ref, {
+    "rehab.vitalsStatus": vitalsStatus,
+    "rehab.vitalsCheckedAt": now,
+  });
+  batch.set(db.collection("unitActionLogs").doc(), {
+    customerId,
+    incidentId: data.statusIncidentId,
+    unitId,
+    action: "vitals",
+    vitalsStatus,
+    timestamp: now,
+    details: `${data.unit}: rehab vitals ${vitalsStatus}`,
+  });
+  await batch.commit();
+  return {message: "Vitals status updated."};
+}
+
+// --- SCBA Air Timers ---
+
+/**
+ * Works out how long a unit has been on air, to the nearest minute.
+ * @param {object} airTimer The unit's air timer.
+ * @param {Date} now The time the unit came off air.
+ * @return {number} The minutes on air.
+ */
+function getAirMinutes(airTimer, now) {
+  const startTime = airTimer.startTime.toDate ?
+    airTimer.startTime.toDate() :
+    airTimer.startTime;
+  return Math.round((now - startTime) / 60000);
+}
+
+/**
+ * Builds the unit action log entry for a unit coming off air.
+ * @param {object} entry The entry's fields.
+ * @param {string} entry.unitId The ID of the unit.
+ * @param {object} entry.unitData The unit's data, with its running airTimer.
+ * @param {Date} entry.now The time the unit came off air.
+ * @param {string} entry.incidentId The ID of the incident.
+ * @param {string} entry.customerId The customer the log belongs to.
+ * @param {string} [entry.reason] Why the timer stopped, if not by hand.
+ * @return {object} The log document data.
+ */
+function buildAirStopLog({unitId, unitData, now, incidentId, customerId,
+  reason}) {
+  const airMinutes = getAirMinutes(unitData.airTimer, now);
+  const details = `${unitData.unit}: off air after ${airMinutes} min`;
+  return {
+    customerId,
+    incidentId,
+    unitId,
+    action: "air_stop",
+    airMinutes,
+    timestamp: now,
+    details: reason ? `${details} (${reason})` : details,
+  };
+}
+
+/**
+ * Starts the air timer on an assigned unit. The board counts down from the
+ * cylinder duration and alerts at the customer's turnaround percentages.
+ * @param {object} query The request query parameters.
+ * @param {string} query.unitId The ID of the unit going on air.
+ * @param {string} [query.cylinderMinutes] The cylinder's rated duration;
+ *     defaults to the customer's `scbaCylinderMinutes` setting.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function startUnitAirTimer(query, customerId) {
+  const {unitId} = query;
+  if (!unitId) throw new Error("Unit ID is required.");
+  const [{ref, data}, settings] = await Promise.all([
+    getAndVerifyUnit(unitId, customerId),
+    getSettings({}, customerId),
+  ]);
+  const cylinderMinutes = query.cylinderMinutes ?
+    Number(query.cylinderMinutes) :
+    settings.scbaCylinderMinutes;
+  if (!Number.isInteger(cylinderMinutes) || cylinderMinutes <= 0) {
+    throw new Error("Cylinder duration must be a whole number of minutes.");
+  }
+  if (data.status !== "Assigned") {
+    const errorMsg = `${data.unit} must be assigned to go on air.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  if (data.airTimer) {
+    const errorMsg = `${data.unit} is already on air.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  const now = new Date();
+  const batch = db.batch();
+  batch.update(ref, {airTimer: {startTime: now, cylinderMinutes}});
+  batch.set(db.collection("unitActionLogs").doc(), {
+    customerId,
+    incidentId: data.statusIncidentId,
+    unitId,
+    action: "air_start",
+    cylinderMinutes,
+    timestamp: now,
+    details: `${data.unit}: on air (${cylinderMinutes} min cylinder)`,
+  });
+  await batch.commit();
+  return {message: `${data.unit} is on air.`};
+}
+
+/**
+ * Stops a unit's air timer and logs its time on air.
+ * @param {object} query The request query parameters.
+ * @param {string} query.unitId The ID of the unit coming off air.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function stopUnitAirTimer(query, customerId) {
+  const {unitId} = query;
+  if (!unitId) throw new Error("Unit ID is required.");
+  const {ref, data} = await getAndVerifyUnit(unitId, customerId);
+  if (!data.airTimer) {
+    const errorMsg = `${data.unit} is not on air.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  const now = new Date();
+  const batch = db.batch();
+  batch.update(ref, {airTimer: null});
+  batch.set(db.collection("unitActionLogs").doc(), buildAirStopLog({
+    unitId,
+    unitData: data,
+    now,
+    incidentId: data.statusIncidentId,
+    customerId,
+  }));
+  await batch.commit();
+  return {message: `${data.unit} is off air.`};
+}
+
+// ===================================================================
+//
+//  REPORTING
+//
+// ===================================================================
+
+/**
+ * Converts a Firestore Timestamp (or a plain Date) to an ISO string.
+ * @param {object|Date|null} value The timestamp to convert.
+ * @return {string|null} The ISO string, or null if no value was given.
+ */
+function toIsoString(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === "function" ? value.toDate() : value;
+  return date.toISOString();
+}
+
+/**
+ * Loads an incident together with every record that references it. This is
+ * the shared data source for the report and export actions.
+ * @param {string} incidentId The ID of the incident.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The incident, its related records, and a map of
+ *     the customer's units, plus any partner units they name, keyed by ID.
+ */
+async function getIncidentRecord(incidentId, customerId) {
+  const {ref, data} =
+    await getAndVerifyDoc("incidents", incidentId, customerId);
+
+  const queryForIncident = (collectionName) => db.collection(collectionName)
+      .where("customerId", "==", customerId)
+      .where("incidentId", "==", incidentId)
+      .get();
+
+  const [
+    groupsSnapshot,
+    assignmentsSnapshot,
+    parLogsSnapshot,
+    unitActionLogsSnapshot,
+    incidentLogSnapshot,
+    unitsSnapshot,
+  ] = await Promise.all([
+    queryForIncident("groups"),
+    queryForIncident("assignments"),
+    queryForIncident("parLogs"),
+    queryForIncident("unitActionLogs"),
+    queryForIncident("incidentLog"),
+    db.collection("units").where("customerId", "==", customerId).get(),
+  ]);
+
+  const toRecords = (snapshot) => snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+  const groups = toRecords(groupsSnapshot);
+  const assignments = toRecords(assignmentsSnapshot);
+  const unitActionLogs = toRecords(unitActionLogsSnapshot);
+
+  // Units of agencies the incident is or was shared with belong to those
+  // agencies, so look up every unit the records name that isn't ours.
+  const unitsById = new Map(unitsSnapshot.docs.map((d) => [d.id, d.data()]));
+  const otherUnitIds = new Set([
+    ...assignments.map((assignment) => assignment.unitId),
+    ...unitActionLogs.map((log) => log.unitId),
+    ...groups.map((group) => group.groupSupervisorUnitId),
+  ].filter((unitId) => unitId && !unitsById.has(unitId)));
+  if (otherUnitIds.size > 0) {
+    const unitDocs = await db.getAll(...[...otherUnitIds]
+        .map((unitId) => db.collection("units").doc(unitId)));
+    unitDocs.filter((doc) => doc.exists)
+        .forEach((doc) => unitsById.set(doc.id, doc.data()));
+  }
+
+  return {
+    incident: {id: ref.id, ...data},
+    groups,
+    assignments,
+    parLogs: toRecords(parLogsSnapshot),
+    unitActionLogs,
+    incidentLog: toRecords(incidentLogSnapshot),
+    unitsById,
+  };
+}
+
+/**
+ * Merges the incident log, PAR logs, unit action logs, assignments and group
+ * benchmark timestamps into a single chronological list of events.
+ * @param {object} record The incident record from getIncidentRecord.
+ * @return {Array<object>} Timeline entries sorted oldest first.
+ */
+function buildIncidentTimeline(record) {
+  const {groups, assignments, parLogs, unitActionLogs, incidentLog} = record;
+  const groupNames = new Map(groups.map((g) => [g.id, g.groupName]));
+  const unitLabel = (unitId) => {
+    const unit = record.unitsById.get(unitId);
+    return unit ? unit.unit : "Unknown unit";
+  };
+
+  const timeline = [];
+  const addEntry = (time, source, eventType, details) => {
+    if (!time) return;
+    timeline.push({time: toIsoString(time), source, eventType, details});
+  };
+
+  incidentLog.forEach((entry) => {
+    addEntry(entry.timestamp, "incident", entry.eventType, entry.details);
+  });
+
+  // Benchmark changes have been logged since BENCHMARK_UPDATED was added.
+  // For older groups, fall back to the timestamps kept on the group itself.
+  // Early log entries only carry the lowercase legacy name ("fire"), so
+  // derive the legacy key ("fireBenchmark") for those.
+  const loggedBenchmarks = new Set(incidentLog
+      .filter((entry) => entry.eventType === "BENCHMARK_UPDATED")
+      .map((entry) => {
+        const {groupId, benchmarkKey, benchmark} = entry.metadata;
+        return `${groupId}:${benchmarkKey || `${benchmark}Benchmark`}`;
+      }));
+
+  groups.forEach((group) => {
+    addEntry(group.creationTime, "group", "GROUP_CREATED",
+        `Group ${group.groupName} created.`);
+    getGroupBenchmarks(group).forEach((benchmark) => {
+      if (loggedBenchmarks.has(`${group.id}:${benchmark.key}`)) return;
+      Object.entries(benchmark.stateTimes).forEach(([state, time]) => {
+        addEntry(time, "benchmark", "BENCHMARK_UPDATED",
+            `Benchmark '${benchmark.label}' for group ${group.groupName} ` +
+            `${state}.`);
+      });
+    });
+  });
+
+  assignments.forEach((assignment) => {
+    const unit = unitLabel(assignment.unitId);
+    const groupName = groupNames.get(assignment.groupId) || "Unknown group";
+    addEntry(assignment.assignmentTime, "assignment", "UNIT_ASSIGNED",
+        `${unit} assigned to ${groupName}.`);
+    addEntry(assignment.releaseTime, "assignment", "UNIT_RELEASED",
+        `${unit} left ${groupName} (${assignment.notes || "released"}).`);
+  });
+
+  parLogs.forEach((parLog) => {
+    addEntry(parLog.parStartTime, "par", "PAR_STARTED",
+        `PAR started for ${parLog.groupName}.`);
+    Object.entries(parLog.unitResponses || {}).forEach(([id, response]) => {
+      addEntry(response.ackTime, "par", "PAR_UNIT_ACKNOWLEDGED",
+          `${unitLabel(id)} reported ${response.personnelCount} ` +
+          `personnel for ${parLog.groupName} PAR.`);
+    });
+    addEntry(parLog.parAckTime, "par", "PAR_ACKNOWLEDGED",
+        `PAR acknowledged for ${parLog.groupName} ` +
+        `after ${parLog.durationSeconds}s.`);
+  });
+
+  unitActionLogs.forEach((entry) => {
+    addEntry(entry.timestamp, "unit", `UNIT_${entry.action.toUpperCase()}`,
+        `${unitLabel(entry.unitId)}: ${entry.details}`);
+  });
+
+  return timeline.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Works out who held command of an incident, and from when, using the
+ * command events in the incident log.
+ * @param {Array<object>} incidentLog The incident's log entries.
+ * @return {Promise<Array<object>>} Commanders in order, each with
+ *     {uid, name, since}.
+ */
+async function getIncidentCommanders(incidentLog) {
+  const commanderFieldByEvent = {
+    INCIDENT_STARTED: "commanderUid",
+    COMMAND_TAKEN: "commanderUid",
+    COMMAND_APPROVED: "newCommander",
+  };
+
+  const commandEvents = incidentLog
+      .filter((entry) => commanderFieldByEvent[entry.eventType])
+      .sort((a, b) => a.timestamp.toMillis() - b.timestamp.toMillis());
+
+  const commanders = [];
+  commandEvents.forEach((entry) => {
+    const field = commanderFieldByEvent[entry.eventType];
+    const uid = entry.metadata && entry.metadata[field];
+    const previous = commanders[commanders.length - 1];
+    if (!uid || (previous && previous.uid === uid)) return;
+    commanders.push({uid, since: toIsoString(entry.timestamp)});
+  });
+
+  if (commanders.length === 0) return [];
+
+  const userRefs = commanders.map((c) => db.collection("users").doc(c.uid));
+  const userDocs = await db.getAll(...userRefs);
+  return commanders.map((commander, index) => {
+    const userDoc = userDocs[index];
+    const name = userDoc.exists ? userDoc.data().name : null;
+    return {...commander, name: name || "Unknown User"};
+  });
+}
+
+/**
+ * Builds the full report for a closed incident: header details plus a single
+ * chronological timeline of everything that happened on the board.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the closed incident.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} An object with {incident, timeline}.
+ */
+async function getIncidentReport(query, customerId) {
+  const {incidentId} = query;
+  if (!incidentId) throw new Error("Incident ID is required.");
+
+  const record = await getIncidentRecord(incidentId, customerId);
+  const {incident} = record;
+  if (incident.status !== "Closed") {
+    const errorMsg = "Reports can only be generated for closed incidents.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+
+  const startTime = incident.startTime ? incident.startTime.toDate() : null;
+  const endTime = incident.endTime ? incident.endTime.toDate() : null;
+  const durationMinutes = startTime && endTime ?
+    Math.round((endTime.getTime() - startTime.getTime()) / 60000) :
+    null;
+
+  return {
+    incident: {
+      id: incident.id,
+      incidentNumber: incident.incidentNumber,
+      incidentName: incident.incidentName || null,
+      startTime: toIsoString(startTime),
+      endTime: toIsoString(endTime),
+      durationMinutes,
+      commanders: await getIncidentCommanders(record.incidentLog),
+      benchmarks: getIncidentBenchmarks(incident).map((benchmark) => ({
+        ...benchmark,
+        completedAt: toIsoString(benchmark.completedAt),
+      })),
+    },
+    timeline: buildIncidentTimeline(record),
+  };
+}
+
+/**
+ * How incident log events change a group's board state. Each returns
+ * [groupId, field, value] from the event's metadata, or null. Undone
+ * actions restore the values kept for undoTacticalAction.
+ */
+const GROUP_REPLAY_EVENTS = {
+  GROUP_DISBANDED: ({groupId}) => [groupId, "status", "Disbanded"],
+  GROUP_PARENT_SET: ({groupId, parentGroupId}) =>
+    [groupId, "parentGroupId", parentGroupId],
+  GROUP_PARENT_CLEARED: ({groupId}) => [groupId, "parentGroupId", null],
+  SUPERVISOR_SET: ({groupId, unitId}) =>
+    [groupId, "groupSupervisorUnitId", unitId],
+  SUPERVISOR_CLEARED: ({groupId}) =>
+    [groupId, "groupSupervisorUnitId", null],
+  // Early entries only carry the lowercase legacy name ("fire").
+  BENCHMARK_UPDATED: ({groupId, benchmarkKey, benchmark, status}) =>
+    [groupId, `benchmarks.${benchmarkKey || `${benchmark}Benchmark`}`, status],
+  ACTION_UNDONE: ({action, inverse}) => {
+    if (!inverse) return null;
+    if (action === "disbandGroup") {
+      return [inverse.groupId, "status", inverse.previousStatus];
+    }
+    if (action === "setGroupParent") {
+      return [
+        inverse.childGroupId, "parentGroupId", inverse.previousParentGroupId,
+      ];
+    }
+    if (action === "setGroupSupervisor") {
+      return [
+        inverse.groupId, "groupSupervisorUnitId", inverse.previousUnitId,
+      ];
+    }
+    return null;
+  },
+};
+
+/**
+ * Lists every change to the groups' status, parent, supervisor and
+ * benchmarks from the incident log. Where a group has no logged changes for
+ * a field, because they predate that event being logged, the value the
+ * group document still holds is used from the time it records.
+ * @param {object} record The incident record from getIncidentRecord.
+ * @return {Array<object>} {time, groupId, field, value}, oldest first. field
+ *     is "status", "parentGroupId", "groupSupervisorUnitId" or
+ *     "benchmarks.<key>".
+ */
+function buildGroupReplayChanges(record) {
+  const changes = [];
+  const addChange = (time, groupId, field, value) => {
+    if (!time || !groupId) return;
+    changes.push({time: toIsoString(time), groupId, field, value});
+  };
+
+  record.incidentLog.forEach((entry) => {
+    const toChange = GROUP_REPLAY_EVENTS[entry.eventType];
+    const change = toChange && toChange(entry.metadata || {});
+    if (change) addChange(entry.timestamp, ...change);
+  });
+
+  const logged = new Set(changes.map((c) => `${c.groupId}:${c.field}`));
+  const addFallback = (time, groupId, field, value) => {
+    if (!logged.has(`${groupId}:${field}`)) {
+      addChange(time, groupId, field, value);
+    }
+  };
+  record.groups.forEach((group) => {
+    if (group.disbandTime) {
+      addFallback(group.disbandTime, group.id, "status", "Disbanded");
+    }
+    if (group.parentGroupId) {
+      addFallback(group.creationTime, group.id, "parentGroupId",
+          group.parentGroupId);
+    }
+    if (group.groupSupervisorUnitId) {
+      addFallback(group.supervisorAssignmentTime || group.creationTime,
+          group.id, "groupSupervisorUnitId", group.groupSupervisorUnitId);
+    }
+    getGroupBenchmarks(group).forEach((benchmark) => {
+      Object.entries(benchmark.stateTimes).forEach(([state, time]) => {
+        addFallback(time, group.id, `benchmarks.${benchmark.key}`, state);
+      });
+    });
+  });
+
+  return changes.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Gathers what the client needs to replay an incident's board at any moment:
+ * the groups with their creation times, every assignment with its assign and
+ * release times, the PAR logs, and timed changes to group and command
+ * benchmark state. The client folds these up to the chosen time.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The replay data, with ISO string times.
+ */
+async function getIncidentReplay(query, customerId) {
+  const {incidentId} = query;
+  if (!incidentId) throw new Error("Incident ID is required.");
+
+  const [record, commonGroups] = await Promise.all([
+    getIncidentRecord(incidentId, customerId),
+    getCollectionData("commonGroups", customerId),
+  ]);
+  const {incident} = record;
+  const colorMap = new Map(commonGroups.map((g) => [g.name, g.color]));
+
+  const benchmarkEvents = {
+    INCIDENT_BENCHMARK_COMPLETED: true,
+    INCIDENT_BENCHMARK_CLEARED: false,
+  };
+  const incidentBenchmarkChanges = record.incidentLog
+      .filter((entry) => entry.eventType in benchmarkEvents)
+      .map((entry) => ({
+        time: toIsoString(entry.timestamp),
+        benchmarkKey: entry.metadata.benchmarkKey,
+        isComplete: benchmarkEvents[entry.eventType],
+        completedByName: entry.actor ? entry.actor.name : null,
+      }));
+  const loggedBenchmarkKeys =
+    new Set(incidentBenchmarkChanges.map((c) => c.benchmarkKey));
+  getIncidentBenchmarks(incident).forEach((benchmark) => {
+    if (!benchmark.completedAt || loggedBenchmarkKeys.has(benchmark.key)) {
+      return;
+    }
+    incidentBenchmarkChanges.push({
+      time: toIsoString(benchmark.completedAt),
+      benchmarkKey: benchmark.key,
+      isComplete: true,
+      completedByName: benchmark.completedByName,
+    });
+  });
+  incidentBenchmarkChanges.sort((a, b) => a.time.localeCompare(b.time));
+
+  return {
+    incident: {
+      id: incident.id,
+      incidentNumber: incident.incidentNumber,
+      incidentName: incident.incidentName || null,
+      startTime: toIsoString(incident.startTime),
+      endTime: toIsoString(incident.endTime),
+    },
+    groups: record.groups.map((group) => ({
+      id: group.id,
+      groupName: group.groupName,
+      headerColor: colorMap.get(group.groupName) || "#6c757d",
+      displayOrder: group.displayOrder,
+      creationTime: toIsoString(group.creationTime),
+      benchmarks: getGroupBenchmarks(group)
+          .map(({key, label, states}) => ({key, label, states})),
+    })),
+    groupChanges: buildGroupReplayChanges(record),
+    assignments: record.assignments.map((assignment) => {
+      const unit = record.unitsById.get(assignment.unitId) || {};
+      return {
+        unitId: assignment.unitId,
+        unit: unit.unit || "Unknown unit",
+        parentUnitId: unit.parentUnitId || null,
+        groupId: assignment.groupId,
+        assignmentTime: toIsoString(assignment.assignmentTime),
+        releaseTime: toIsoString(assignment.releaseTime),
+        roster: parseRoster(assignment.roster),
+      };
+    }),
+    parLogs: record.parLogs.map((parLog) => ({
+      groupId: parLog.groupId,
+      parStartTime: toIsoString(parLog.parStartTime),
+      parAckTime: toIsoString(parLog.parAckTime),
+      closedTime: toIsoString(parLog.closedTime),
+      expectedUnitIds: parLog.expectedUnitIds || [],
+      unitResponses: serializeForExport(parLog.unitResponses || {}),
+    })),
+    incidentBenchmarkChanges,
+    timeline: buildIncidentTimeline(record),
+  };
+}
+
+/**
+ * Recursively converts Firestore Timestamps in a value to ISO strings so the
+ * value can be serialized as plain JSON.
+ * @param {*} value The value to convert.
+ * @return {*} The converted value.
+ */
+function serializeForExport(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toDate === "function" || value instanceof Date) {
+    return toIsoString(value);
+  }
+  if (Array.isArray(value)) return value.map(serializeForExport);
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+      key,
+      serializeForExport(v),
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Builds a CSV document, quoting any cell that needs it.
+ * @param {Array<string>} headers The column headers.
+ * @param {Array<Array<*>>} rows The row values, in header order.
+ * @return {string} The CSV text.
+ */
+function toCsv(headers, rows) {
+  const formatCell = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+  };
+  return [headers, ...rows]
+      .map((row) => row.map(formatCell).join(","))
+      .join("\r\n");
+}
+
+/**
+ * Builds the CSV sheets for an incident export: timeline, unit assignments,
+ * PAR cycles and group benchmarks.
+ * @param {object} record The incident record from getIncidentRecord.
+ * @return {Array<object>} One {name, content} entry per sheet.
+ */
+function buildIncidentCsvSheets(record) {
+  const groupNames = new Map(record.groups.map((g) => [g.id, g.groupName]));
+
+  const timelineRows = buildIncidentTimeline(record).map((entry) => [
+    entry.time, entry.source, entry.eventType, entry.details,
+  ]);
+
+  const assignmentRows = record.assignments
+      .sort((a, b) => a.assignmentTime.toMillis() - b.assignmentTime.toMillis())
+      .map((assignment) => {
+        const unit = record.unitsById.get(assignment.unitId) || {};
+        const minutes = assignment.releaseTime ?
+          Math.round((assignment.releaseTime.toMillis() -
+            assignment.assignmentTime.toMillis()) / 60000) :
+          null;
+        return [
+          unit.unit || assignment.unitId,
+          unit.unitName,
+          groupNames.get(assignment.groupId),
+          toIsoString(assignment.assignmentTime),
+          toIsoString(assignment.releaseTime),
+          minutes,
+          parseRoster(assignment.roster).join("; "),
+          Object.entries(assignment.statusTimes || {})
+              .sort((a, b) => a[1].toMillis() - b[1].toMillis())
+              .map(([status, time]) => `${status}: ${toIsoString(time)}`)
+              .join("; "),
+          assignment.notes,
+        ];
+      });
+
+  const unitName = (unitId) => {
+    const unit = record.unitsById.get(unitId);
+    return unit ? unit.unit : unitId;
+  };
+  const parRows = record.parLogs
+      .sort((a, b) => a.parStartTime.toMillis() - b.parStartTime.toMillis())
+      .map((parLog) => {
+        const responses = parLog.unitResponses || {};
+        const reported = Object.entries(responses).map(([id, response]) =>
+          `${unitName(id)}: ${response.personnelCount}`);
+        const missing = (parLog.expectedUnitIds || [])
+            .filter((id) => !responses[id])
+            .map(unitName);
+        return [
+          parLog.groupName,
+          toIsoString(parLog.parStartTime),
+          toIsoString(parLog.parAckTime),
+          toIsoString(parLog.overdueTime),
+          parLog.durationSeconds,
+          parLog.status,
+          reported.join("; "),
+          missing.join("; "),
+        ];
+      });
+
+  const benchmarkRows = getIncidentBenchmarks(record.incident)
+      .map((benchmark) => [
+        "(Incident)",
+        benchmark.label,
+        benchmark.completedAt ? "Completed" : "Pending",
+        benchmark.completedAt ?
+          `Completed: ${toIsoString(benchmark.completedAt)}` :
+          "",
+      ]);
+  record.groups.forEach((group) => {
+    getGroupBenchmarks(group).forEach((benchmark) => {
+      const stateTimes = Object.entries(benchmark.stateTimes)
+          .map(([state, time]) => `${state}: ${toIsoString(time)}`);
+      benchmarkRows.push([
+        group.groupName,
+        benchmark.label,
+        benchmark.status,
+        stateTimes.join("; "),
+      ]);
+    });
+  });
+
+  return [
+    {
+      name: "timeline",
+      content: toCsv(["Time", "Source", "Event", "Details"], timelineRows),
+    },
+    {
+      name: "assignments",
+      content: toCsv([
+        "Unit", "Unit Name", "Group", "Assigned", "Released",
+        "Minutes Assigned", "Crew", "Status Times", "Notes",
+      ], assignmentRows),
+    },
+    {
+      name: "par",
+      content: toCsv([
+        "Group", "PAR Started", "PAR Acknowledged", "PAR Overdue",
+        "Duration Seconds", "Status", "Unit Responses", "Units Not Reported",
+      ], parRows),
+    },
+    {
+      name: "benchmarks",
+      content: toCsv(
+          ["Group", "Benchmark", "Status", "State Times"],
+          benchmarkRows,
+      ),
+    },
+  ];
+}
+
+/**
+ * Exports an incident's complete record, either as a set of CSV sheets or as
+ * a single JSON bundle. The files are built server-side and returned as text
+ * so the browser only has to save them.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident to export.
+ * @param {string} query.format Either "csv" or "json".
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} An object with a `files` array of
+ *     {fileName, mimeType, content}.
+ */
+async function exportIncidentReport(query, customerId) {
+  const {incidentId, format} = query;
+  if (!incidentId || !["csv", "json"].includes(format)) {
+    const errorMsg =
+      "Incident ID and a format of 'csv' or 'json' are required.";
+    throw new functions.https.HttpsError("invalid-argument", errorMsg);
+  }
+
+  const record = await getIncidentRecord(incidentId, customerId);
+  const baseName = `incident-${record.incident.incidentNumber}`
+      .replace(/[^A-Za-z0-9_-]/g, "_");
+
+  if (format === "csv") {
+    const files = buildIncidentCsvSheets(record).map((sheet) => ({
+      fileName: `${baseName}-${sheet.name}.csv`,
+      mimeType: "text/csv",
+      content: sheet.content,
+    }));
+    return {files};
+  }
+
+  const bundle = {
+    exportVersion: 1,
+    exportedAt: new Date().toISOString(),
+    incident: serializeForExport(record.incident),
+    groups: serializeForExport(record.groups),
+    assignments: serializeForExport(record.assignments),
+    parLogs: serializeForExport(record.parLogs),
+    unitActionLogs: serializeForExport(record.unitActionLogs),
+    incidentLog: serializeForExport(record.incidentLog),
+    units: serializeForExport(Object.fromEntries(record.unitsById)),
+    timeline: buildIncidentTimeline(record),
+  };
+  return {
+    files: [{
+      fileName: `${baseName}.json`,
+      mimeType: "application/json",
+      content: JSON.stringify(bundle, null, 2),
+    }],
+  };
+}
+
+// --- ICS Forms ---
+
+const ICS_FORM_TITLES = {
+  "201": "Incident Briefing",
+  "203": "Organization Assignment List",
+  "204": "Assignment List",
+  "211": "Incident Check-In List",
+};
+
+/**
+ * Escapes a value for safe inclusion in generated HTML.
+ * @param {*} value The value to escape.
+ * @return {string} The escaped text.
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) return "";
+  return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+}
+
+/**
+ * Builds an HTML table. Cell values are escaped unless they are wrapped as
+ * {html: "..."}.
+ * @param {Array<string>} headers The column headers.
+ * @param {Array<Array<*>>} rows The row values, in header order.
+ * @param {string} emptyText Text shown when there are no rows.
+ * @return {string} The table markup.
+ */
+function toHtmlTable(headers, rows, emptyText) {
+  if (rows.length === 0) return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+  const formatCell = (value) => value && value.html !== undefined ?
+    value.html :
+    escapeHtml(value);
+  const head = headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("");
+  const body = rows
+      .map((row) => `<tr>${row.map((v) => `<td>${formatCell(v)}</td>`)
+          .join("")}</tr>`)
+      .join("");
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * Works out the organization an ICS form should describe. For an active
+ * incident that is whatever is on the board now; for a closed incident it is
+ * the board as it stood when the incident was closed.
+ * @param {object} record The incident record from getIncidentRecord.
+ * @return {object} The active groups, their current assignments keyed by
+ *     group ID, and a lookup of groups by ID.
+ */
+function getIcsOrganization(record) {
+  const {incident} = record;
+  const closedAt = incident.endTime ? incident.endTime.toMillis() : null;
+  const isCurrent = (assignment) => !assignment.releaseTime ||
+    (closedAt !== null && assignment.releaseTime.toMillis() >= closedAt);
+
+  const groups = record.groups
+      .filter((g) => g.status !== "Disbanded")
+      .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0));
+  const assignmentsByGroup = new Map(groups.map((g) => [g.id, []]));
+  record.assignments.filter(isCurrent).forEach((assignment) => {
+    const list = assignmentsByGroup.get(assignment.groupId);
+    if (list) list.push(assignment);
+  });
+
+  return {
+    groups,
+    assignmentsByGroup,
+    groupsById: new Map(groups.map((g) => [g.id, g])),
+  };
+}
+
+/**
+ * Renders the body of an ICS-201 Incident Briefing.
+ * @param {object} ctx The form context built by generateIcsForm.
+ * @return {string} The form body markup.
+ */
+function renderIcs201(ctx) {
+  const {record, org, formatTime, unitLabel, commanders} = ctx;
+
+  const commanderRows = commanders.map((c) => [c.name, formatTime(c.since)]);
+  const orgRows = org.groups.map((group) => {
+    const units = org.assignmentsByGroup.get(group.id);
+    return [
+      group.groupName,
+      group.groupSupervisorUnitId ?
+        unitLabel(group.groupSupervisorUnitId) :
+        "",
+      units.map((a) => unitLabel(a.unitId)).join(", "),
+    ];
+  });
+  const actionRows = record.incidentLog
+      .sort((a, b) => a.timestamp.toMillis() - b.timestamp.toMillis())
+      .map((entry) => [formatTime(entry.timestamp), entry.details]);
+
+  return `
+    <h2>Incident Commander(s)</h2>
+    ${toHtmlTable(["Name", "Since"], commanderRows, "Not recorded.")}
+    <h2>Current Organization</h2>
+    ${toHtmlTable(["Group", "Supervisor", "Resources"], orgRows,
+      "No groups have been created.")}
+    <h2>Summary of Current Actions</h2>
+    ${toHtmlTable(["Time", "Action"], actionRows, "No actions recorded.")}`;
+}
+
+/**
+ * Renders the body of an ICS-203 Organization Assignment List, following the
+ * parentGroupId hierarchy from the board.
+ * @param {object} ctx The form context built by generateIcsForm.
+ * @return {string} The form body markup.
+ */
+function renderIcs203(ctx) {
+  const {org, unitLabel, commanders} = ctx;
+  const currentCommander = commanders[commanders.length - 1];
+
+  const childrenOf = (parentId) => org.groups.filter((g) => {
+    const hasParent = g.parentGroupId && org.groupsById.has(g.parentGroupId);
+    return parentId ? g.parentGroupId === parentId : !hasParent;
+  });
+
+  const rows = [];
+  const addRows = (group, depth) => {
+    const units = org.assignmentsByGroup.get(group.id);
+    rows.push([
+      {
+        html: `<span style="padding-left:${depth * 1.5}em">` +
+          `${escapeHtml(group.groupName)}</span>`,
+      },
+      group.groupSupervisorUnitId ?
+        unitLabel(group.groupSupervisorUnitId) :
+        "",
+      units.length,
+    ]);
+    childrenOf(group.id).forEach((child) => addRows(child, depth + 1));
+  };
+  childrenOf(null).forEach((group) => addRows(group, 0));
+
+  const commandRows = [[
+    "Incident Commander",
+    currentCommander ? currentCommander.name : "",
+  ]];
+
+  return `
+    <h2>Command Staff</h2>
+    ${toHtmlTable(["Position", "Name"], commandRows, "")}
+    <h2>Groups / Divisions</h2>
+    ${toHtmlTable(["Group", "Supervisor", "Resources Assigned"], rows,
+      "No groups have been created.")}`;
+}
+
+/**
+ * Renders the body of an ICS-204 Assignment List, one page per group.
+ * @param {object} ctx The form context built by generateIcsForm.
+ * @return {string} The form body markup.
+ */
+function renderIcs204(ctx) {
+  const {org, formatTime, unitLabel, describeUnit, groupId} = ctx;
+  const groups = groupId ?
+    org.groups.filter((g) => g.id === groupId) :
+    org.groups;
+  if (groups.length === 0) {
+    return "<p class=\"empty\">No groups have been created.</p>";
+  }
+
+  return groups.map((group) => {
+    const parent = org.groupsById.get(group.parentGroupId);
+    const unitRows = org.assignmentsByGroup.get(group.id)
+        .sort((a, b) => a.assignmentTime.toMillis() -
+          b.assignmentTime.toMillis())
+        .map((assignment) => {
+          const unit = describeUnit(assignment.unitId);
+          return [
+            unit.unit, unit.unitName, unit.typeName, unit.departmentName,
+            formatTime(assignment.assignmentTime),
+          ];
+        });
+    const benchmarkRows = getGroupBenchmarks(group)
+        .map((benchmark) => [benchmark.label, benchmark.status]);
+
+    const leadershipRows = [[
+      group.groupSupervisorUnitId ?
+        unitLabel(group.groupSupervisorUnitId) :
+        "",
+      parent ? parent.groupName : "Incident Commander",
+      group.parStatus || "Idle",
+    ]];
+
+    return `
+      <section class="page">
+        <h2>${escapeHtml(group.groupName)}</h2>
+        ${toHtmlTable(["Supervisor", "Reports To", "PAR Status"],
+      leadershipRows, "")}
+        <h3>Resources Assigned</h3>
+        ${toHtmlTable(["Unit", "Name", "Type", "Agency", "Assigned"],
+      unitRows, "No resources assigned.")}
+        <h3>Work Assignments</h3>
+        ${toHtmlTable(["Benchmark", "Status"], benchmarkRows, "")}
+      </section>`;
+  }).join("");
+}
+
+/**
+ * Renders the body of an ICS-211 Check-In List, one row per unit using its
+ * first assignment as the check-in.
+ * @param {object} ctx The form context built by generateIcsForm.
+ * @return {string} The form body markup.
+ */
+function renderIcs211(ctx) {
+  const {record, formatTime, describeUnit} = ctx;
+  const groupNames = new Map(record.groups.map((g) => [g.id, g.groupName]));
+
+  const byUnit = new Map();
+  record.assignments
+      .sort((a, b) => a.assignmentTime.toMillis() - b.assignmentTime.toMillis())
+      .forEach((assignment) => {
+        if (!byUnit.has(assignment.unitId)) {
+          byUnit.set(assignment.unitId, []);
+        }
+        byUnit.get(assignment.unitId).push(assignment);
+      });
+
+  const rows = [...byUnit.entries()].map(([unitId, assignments]) => {
+    const unit = describeUnit(unitId);
+    const first = assignments[0];
+    const stillAssigned = assignments.some((a) => !a.releaseTime);
+    const lastRelease = stillAssigned ? null :
+      assignments[assignments.length - 1].releaseTime;
+    return [
+      unit.unit, unit.unitName, unit.typeName, unit.departmentName,
+      parseRoster(first.roster).length,
+      formatTime(first.assignmentTime),
+      groupNames.get(first.groupId) || "",
+      formatTime(lastRelease),
+    ];
+  });
+
+  return toHtmlTable([
+    "Unit", "Name", "Type", "Agency", "Personnel", "Check-In",
+    "Initial Assignment", "Released",
+  ], rows, "No units have checked in.");
+}
+
+/**
+ * Generates a print-ready ICS form from an incident's board data. The form
+ * is returned as a standalone HTML document which the browser can print or
+ * save as PDF.
+ * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The ID of the incident.
+ * @param {string} query.formType One of "201", "203", "204" or "211".
+ * @param {string} [query.groupId] Limits an ICS-204 to a single group.
+ * @param {string} [query.timeZone] IANA time zone used to print times.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} An object with {fileName, mimeType, title,
+ *     content}.
+ */
+async function generateIcsForm(query, customerId) {
+  const {incidentId, formType, groupId} = query;
+  if (!incidentId || !ICS_FORM_TITLES[formType]) {
+    const errorMsg =
+      "Incident ID and a form type of 201, 203, 204 or 211 are required.";
+    throw new functions.https.HttpsError("invalid-argument", errorMsg);
+  }
+
+  let timeZone = query.timeZone || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone});
+  } catch (error) {
+    timeZone = "UTC";
+  }
+
+  const [record, unitTypes, departments] = await Promise.all([
+    getIncidentRecord(incidentId, customerId),
+    getCollectionData("unitTypes", customerId),
+    getCollectionData("departments", customerId),
+  ]);
+  const typeNames = new Map(unitTypes.map((t) => [t.id, t.typeName]));
+  const deptNames = new Map(departments.map((d) => [d.id, d.departmentName]));
+
+  const formatTime = (value) => {
+    if (!value) return "";
+    const date = typeof value === "string" ?
+      new Date(value) :
+      new Date(toIsoString(value));
+    return date.toLocaleString("en-US", {timeZone, hour12: false});
+  };
+  const describeUnit = (unitId) => {
+    const unit = record.unitsById.get(unitId) || {};
+    return {
+      unit: unit.unit || "Unknown unit",
+      unitName: unit.unitName || "",
+      typeName: typeNames.get(unit.unitTypeId) || "",
+      departmentName: deptNames.get(unit.departmentId) || "",
+    };
+  };
+
+  const ctx = {
+    record,
+    groupId,
+    formatTime,
+    describeUnit,
+    unitLabel: (unitId) => describeUnit(unitId).unit,
+    org: getIcsOrganization(record),
+    commanders: await getIncidentCommanders(record.incidentLog),
+  };
+  const renderers = {
+    "201": renderIcs201,
+    "203": renderIcs203,
+    "204": renderIcs204,
+    "211": renderIcs211,
+  };
+
+  const {incident} = record;
+  const title = `ICS ${formType} - ${ICS_FORM_TITLES[formType]}`;
+  const period = `${formatTime(incident.startTime)} to ` +
+    `${incident.endTime ? formatTime(incident.endTime) : "Present"}`;
+  const incidentName = escapeHtml(incident.incidentName || "Unnamed");
+  const incidentNumber = escapeHtml(incident.incidentNumber);
+  const preparedAt = escapeHtml(`${formatTime(new Date())} (${timeZone})`);
+  const content = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - ${incidentNumber}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 11pt;
+    margin: 1.5em; color: #000; }
+  h1 { font-size: 16pt; margin: 0 0 0.5em; }
+  h2 { font-size: 13pt; margin: 1.2em 0 0.4em; }
+  h3 { font-size: 11pt; margin: 1em 0 0.3em; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 0.5em; }
+  th, td { border: 1px solid #000; padding: 3px 6px; text-align: left;
+    vertical-align: top; }
+  th { background: #e6e6e6; }
+  .form-header td { border: 1px solid #000; }
+  .empty { font-style: italic; }
+  .page + .page { page-break-before: always; }
+  .toolbar { margin-bottom: 1em; }
+  footer { margin-top: 2em; font-size: 9pt; }
+  @media print { .toolbar { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<div class="toolbar">
+  <button type="button" onclick="window.print()">Print / Save as PDF</button>
+</div>
+<h1>${escapeHtml(title)}</h1>
+<table class="form-header"><tbody><tr>
+  <td><strong>1. Incident Name:</strong> ${incidentName}</td>
+  <td><strong>Incident Number:</strong> ${incidentNumber}</td>
+  <td><strong>2. Operational Period:</strong> ${escapeHtml(period)}</td>
+</tr></tbody></table>
+${renderers[formType](ctx)}
+<footer>Prepared ${preparedAt} from NetResponders board data.</footer>
+</body>
+</html>`;
+
+  const baseName = `incident-${incident.incidentNumber}-ics-${formType}`
+      .replace(/[^A-Za-z0-9_-]/g, "_");
+  return {
+    fileName: `${baseName}.html`,
+    mimeType: "text/html",
+    title,
+    content,
+  };
+}
+
+// ===================================================================
+//
+//  USER MANAGEMENT (ADMIN ONLY)
+//
+// ===================================================================
+
+/**
+ * A secure helper to verify that the caller is the designated Super Admin.
+ * @param {object} authContext The context object from a callable function.
+ * @throws {Error} If the caller is not the Super Admin.
+ */
+function verifySuperAdmin(authContext) {
+  if (authContext.isSuperAdmin !== true) { // <-- This is correct
+    const errorMsg =
+      "You must be a Super Admin to perform this action.";
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        errorMsg,
+    );
+  }
+}
+
+/**
+ * An API action to fetch all users from Firebase Auth and Firestore.
+ * @param {object} query The request query parameters (empty).
+ * @param {object} authContext The authorization context of the caller.
+ * @return {Promise<Array<object>>} A list of all users with merged data.
+ */
+async function getAllUsers(query, authContext) {
+  verifySuperAdmin(authContext);
+
+  try {
+    const listUsersResult = await admin.auth().listUsers(1000);
+    const allFirestoreUsers = await db.collection("users").get();
+
+    const firestoreUserMap = new Map();
+    allFirestoreUsers.forEach((doc) => {
+      firestoreUserMap.set(doc.id, doc.data());
+    });
+
+    const combinedUsers = listUsersResult.users.map((userRecord) => {
+      const firestoreProfile = firestoreUserMap.get(userRecord.uid) || {};
+      return {
+        uid: userRecord.uid,
+        email: userRecord.email,
+        disabled: userRecord.disabled,
+        creationTime: userRecord.metadata.creationTime,
+        lastSignInTime: userRecord.metadata.lastSignInTime,
+        ...firestoreProfile,
+      };
+    });
+
+    return combinedUsers;
+  } catch (error) {
+    console.error("Error fetching all users:", error);
+    const errorMsg = "Failed to fetch user list.";
+    throw new functions.https.HttpsError("internal", errorMsg);
+  }
+}
+
+/**
+ * An API action to allow a Super Admin to set a new password for any user.
+ * @param {object} query The request query parameters.
+ * @param {string} query.targetUid The UID of the user to update.
+ * @param {string} query.newPassword The new password to set.
+ * @param {object} authContext The authorization context of the caller.
+ * @return {Promise<object>} A success message.
+ */
+async function setNewPasswordForUser(query, authContext) {
+  verifySuperAdmin(authContext);
+  const {targetUid, newPassword} = query;
+  const passTooShort = !newPassword || newPassword.length < 6;
+  if (!targetUid || passTooShort) {
+    const errorMsg =
+      "UID and a password of at least 6 characters are required.";
+    throw new functions.https.HttpsError("invalid-argument", errorMsg);
+  }
+  try {
+    await admin.auth().updateUser(targetUid, {password: newPassword});
+    const successMsg = `Password updated for UID: ${targetUid}`;
+    return {success: true, message: successMsg};
+  } catch (error) {
+    console.error("Failed to update password:", error);
+    const errorMsg = "Could not update password.";
+    throw new functions.https.HttpsError("internal", errorMsg);
+  }
+}
+
+/**
+ * An API action for a Super Admin to revoke all active refresh tokens for
+ * a user, forcing them to log in again on all devices.
+ * @param {object} query The request query parameters.
+ * @param {string} query.targetUid The UID of the user to sign out.
+ * @param {object} authContext The authorization context of the caller.
+ * @return {Promise<object>} A success message.
+ */
+async function revokeUserSessions(query, authContext) {
+  verifySuperAdmin(authContext);
+  const {targetUid} = query;
+  if (!targetUid) {
+    throw new functions.https.HttpsError(
+        "invalid-argument", "A target UID is required.",
+    );
+  }
+  try {
+    await admin.auth().revokeRefreshTokens(targetUid);
+    const userProfileRef = db.collection("users").doc(targetUid);
+    await userProfileRef.update({
+      tokensValidAfterTime: new Date(),
+    });
+    const successMsg =
+      `Successfully revoked all sessions for user UID: ${targetUid}.`;
+    console.log(successMsg);
+    return {success: true, message: successMsg};
+  } catch (error) {
+    console.error("Failed to revoke refresh tokens:", error);
+    const errorMsg = "Could not revoke user sessions.";
+    throw new functions.https.HttpsError("internal", errorMsg);
+  }
+}
+
+// ===================================================================
+//
+//  MUTUAL AID
+//
+// ===================================================================
+
+/**
+ * The actions a user of an invited agency may run on a shared incident, and
+ * the access level each one needs. Every other action stays scoped to the
+ * user's own customer.
+ */
+const SHARED_INCIDENT_ACTIONS = {
+  getAllAvailableUnitsGroupedByDept: "view",
+  getGroupsForIncident: "view",
+  getIncidentDetails: "view",
+  getRehabUnitsForIncident: "view",
+  getSplitUnitsForIncident: "view",
+  getStagingAreasForIncident: "view",
+  declareMayday: "view",
+  acknowledgeUnitPar: "assign",
+  assignUnitsToGroup: "assign",
+  checkUnitsIntoStaging: "assign",
+  moveMultipleUnits: "assign",
+  moveUnitToNewGroup: "assign",
+  moveUnitsToRehab: "assign",
+  releaseMultipleUnits: "assign",
+  releaseUnitToAvailable: "assign",
+  setUnitStatus: "assign",
+  startUnitAirTimer: "assign",
+  stopUnitAirTimer: "assign",
+  updateRehabVitals: "assign",
+  updateUnitRoster: "assign",
+};
+
+const SHARE_ACCESS_LEVELS = ["view", "assign"];
+
+/**
+ * Gets the reference of the share granting a partner access to an incident.
+ * There is at most one share per incident and partner.
+ * @param {string} incidentId The shared incident.
+ * @param {string} partnerCustomerId The invited customer.
+ * @return {object} The incidentShares document reference.
+ */
+function getIncidentShareRef(incidentId, partnerCustomerId) {
+  return db.collection("incidentShares")
+      .doc(`${incidentId}_${partnerCustomerId}`);
+}
+
+/**
+ * Gets a customer's display name for mutual-aid labels.
+ * @param {string} customerId The customer's ID.
+ * @return {Promise<string>} The customer's name, or its ID if it has none.
+ */
+async function getCustomerName(customerId) {
+  const customerDoc = await db.collection("customers").doc(customerId).get();
+  return (customerDoc.exists && customerDoc.data().name) || customerId;
+}
+
+/**
+ * Gets the active shares the owner of an incident has granted.
+ * @param {string} incidentId The shared incident.
+ * @param {string} customerId The owning customer's ID.
+ * @param {string} [accessLevel] Only return shares with this access level.
+ * @return {Promise<Array<object>>} The share documents.
+ */
+async function getIncidentPartners(incidentId, customerId, accessLevel) {
+  const snapshot = await db.collection("incidentShares")
+      .where("ownerCustomerId", "==", customerId)
+      .where("incidentId", "==", incidentId)
+      .where("status", "==", "Active")
+      .get();
+  return snapshot.docs
+      .map((doc) => ({id: doc.id, ...doc.data()}))
+      .filter((share) => !accessLevel || share.accessLevel === accessLevel);
+}
+
+/**
+ * Gets the units that can appear on an incident's board: the customer's own
+ * units plus the units of every agency the incident is shared with.
+ * @param {string} [incidentId] The incident. Without one, only the
+ *     customer's own units are returned.
+ * @param {string} customerId The owning customer's ID.
+ * @param {Array<object>} [partners] The shares to include; defaults to every
+ *     active share on the incident.
+ * @return {Promise<Array<object>>} The unit documents.
+ */
+async function getIncidentUnits(incidentId, customerId, partners) {
+  if (!incidentId) return getCollectionData("units", customerId);
+  const shares = partners || await getIncidentPartners(incidentId, customerId);
+  const unitLists = await Promise.all([customerId, ...shares
+      .map((share) => share.customerId)]
+      .map((id) => getCollectionData("units", id)));
+  return unitLists.flat();
+}
+
+/**
+ * Finds every incident an action's parameters point at: the incident itself
+ * and the incidents of the groups, staging area and units it names.
+ * @param {object} params The request parameters.
+ * @return {Promise<Set<string>>} The incident IDs.
+ */
+async function getActionIncidentIds(params) {
+  const incidentIds = new Set();
+  if (params.incidentId) incidentIds.add(params.incidentId);
+
+  const splitIds = (ids) => (ids ? String(ids).split(",") : []);
+  const groupIds = [
+    params.groupId, params.newGroupId, params.childGroupId,
+    params.parentGroupId, ...splitIds(params.groupIds),
+  ];
+  const unitIds =
+    [params.unitId, params.parentUnitId, ...splitIds(params.unitIds)];
+  const refs = [
+    ...groupIds.filter(Boolean).map((id) => db.collection("groups").doc(id)),
+    ...unitIds.filter(Boolean).map((id) => db.collection("units").doc(id)),
+  ];
+  if (params.stagingAreaId) {
+    refs.push(db.collection("stagingAreas").doc(params.stagingAreaId));
+  }
+
+  const docs = refs.length ? await db.getAll(...refs) : [];
+  docs.forEach((doc) => {
+    if (!doc.exists) return;
+    const data = doc.data();
+    const incidentId = data.incidentId || data.statusIncidentId;
+    if (incidentId) incidentIds.add(incidentId);
+  });
+  return incidentIds;
+}
+
+/**
+ * Works out which customer an API action runs as. An action on an incident
+ * another agency has shared with the user's customer runs against the
+ * owner's data, carrying the acting agency for attribution; anything else
+ * runs as the user's own customer.
+ * @param {string} action The API action.
+ * @param {object} params The request parameters.
+ * @param {object} userAuthContext The caller's own authorization context.
+ * @return {Promise<object>} The authorization context to run the action with.
+ */
+async function resolveSharedIncidentContext(action, params, userAuthContext) {
+  const requiredAccess = SHARED_INCIDENT_ACTIONS[action];
+  if (!requiredAccess) return userAuthContext;
+
+  const incidentIds = await getActionIncidentIds(params);
+  if (incidentIds.size !== 1) return userAuthContext;
+  const [incidentId] = incidentIds;
+
+  const incidentDoc = await db.collection("incidents").doc(incidentId).get();
+  if (!incidentDoc.exists ||
+      incidentDoc.data().customerId === userAuthContext.customerId) {
+    return userAuthContext;
+  }
+  const shareDoc =
+    await getIncidentShareRef(incidentId, userAuthContext.customerId).get();
+  if (!shareDoc.exists || shareDoc.data().status !== "Active") {
+    return userAuthContext;
+  }
+  const share = shareDoc.data();
+  if (requiredAccess === "assign" && share.accessLevel !== "assign") {
+    const errorMsg = `${share.ownerName} has shared this incident with ` +
+      "your agency as view only.";
+    // Not "permission-denied": the owner may have downgraded the share while
+    // the partner's board was open, and a 403 would sign them out.
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  return {
+    ...userAuthContext,
+    customerId: share.ownerCustomerId,
+    actingCustomerId: userAuthContext.customerId,
+    actingAgency: share.partnerName,
+  };
+}
+
+/**
+ * Records a change a mutual-aid agency made on a shared incident, so the
+ * owner's log shows who acted.
+ * @param {string} action The API action that ran.
+ * @param {object} params The request parameters.
+ * @param {object} authContext The shared authorization context.
+ * @return {Promise<void>}
+ */
+async function logMutualAidAction(action, params, authContext) {
+  if (SHARED_INCIDENT_ACTIONS[action] !== "assign") return;
+  const [incidentId] = await getActionIncidentIds(params);
+  await logIncidentAction({
+    customerId: authContext.customerId,
+    incidentId,
+    eventType: "MUTUAL_AID_ACTION",
+    details: `${authContext.actingAgency} (${authContext.name}): ${action}`,
+    metadata: {
+      action,
+      actingCustomerId: authContext.actingCustomerId,
+      actingAgency: authContext.actingAgency,
+      uid: authContext.uid,
+    },
+  });
+}
+
+/**
+ * Throws if any of a partner's units are still working an incident. A share
+ * can't be revoked or reduced to view only until its units are released.
+ * @param {string} incidentId The shared incident.
+ * @param {object} share The share document data.
+ * @return {Promise<void>}
+ */
+async function assertNoPartnerUnitsWorking(incidentId, share) {
+  const snapshot = await db.collection("units")
+      .where("customerId", "==", share.customerId)
+      .where("statusIncidentId", "==", incidentId)
+      .limit(1)
+      .get();
+  if (!snapshot.empty) {
+    const errorMsg =
+      `Release ${share.partnerName}'s units from the incident first.`;
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+}
+
+/**
+ * Invites another customer to an active incident, or changes the access of
+ * an existing invitation. "view" lets the partner's users watch the board
+ * and declare a Mayday; "assign" also lets them work units and makes the
+ * partner's units assignable on the board.
+ * @param {object} query The request body.
+ * @param {string} query.incidentId The incident to share.
+ * @param {string} query.partnerCustomerId The customer to invite.
+ * @param {string} query.accessLevel "view" or "assign".
+ * @param {object} authContext The authorization context of the caller.
+ * @return {Promise<object>} The share.
+ */
+async function shareIncident(query, authContext) {
+  const {incidentId, accessLevel} = query;
+  const {uid, customerId, name} = authContext;
+  const partnerCustomerId = String(query.partnerCustomerId || "").trim();
+  if (!incidentId || !partnerCustomerId) {
+    throw new Error("Incident ID and partner agency ID are required.");
+  }
+  if (!SHARE_ACCESS_LEVELS.includes(accessLevel)) {
+    const errorMsg = `Access level must be one of: ${
+      SHARE_ACCESS_LEVELS.join(", ")}.`;
+    throw new functions.https.HttpsError("invalid-argument", errorMsg);
+  }
+  if (partnerCustomerId === customerId) {
+    const errorMsg = "An incident can't be shared with your own agency.";
+    throw new functions.https.HttpsError("invalid-argument", errorMsg);
+  }
+  const {data: incidentData} =
+    await getAndVerifyDoc("incidents", incidentId, customerId);
+  if (incidentData.status !== "Active") {
+    const errorMsg = "Only active incidents can be shared.";
+    throw new functions.https.HttpsError("failed-precondition", errorMsg);
+  }
+  const partnerDoc =
+    await db.collection("customers").doc(partnerCustomerId).get();
+  if (!partnerDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Agency not found.");
+  }
 
-  // 5. Log the action
-  const logRef = db.collection("unitActionLogs").doc();
-  batch.set(logRef, {
+  const shareRef = getIncidentShareRef(incidentId, partnerCustomerId);
+  const existingDoc = await shareRef.get();
+  const existing = existingDoc.exists ? existingDoc.data() : null;
+  if (existing && existing.status === "Active" &&
+      existing.accessLevel === "assign" && accessLevel === "view") {
+    await assertNoPartnerUnitsWorking(incidentId, existing);
+  }
+
+  const share = {
+    incidentId,
+    incidentName: incidentData.incidentName || "",
+    ownerCustomerId: customerId,
+    ownerName: await getCustomerName(customerId),
+    customerId: partnerCustomerId,
+    partnerName: partnerDoc.data().name || partnerCustomerId,
+    accessLevel,
+    status: "Active",
+    invitedByUid: uid,
+    updatedAt: new Date(),
+  };
+  if (!existing || existing.status !== "Active") share.createdAt = new Date();
+  await shareRef.set(share, {merge: true});
+
+  await logIncidentAction({
     customerId,
     incidentId,
-    unitId: parentUnitId,
-    action: "unsplit",
-    timestamp: now,
-    details: "Reformed unit",
+    eventType: "INCIDENT_SHARED",
+    details: `Shared with ${share.partnerName} (${accessLevel}) by ${name}.`,
+    metadata: {partnerCustomerId, accessLevel, uid},
   });
-
-  await batch.commit();
-  return {message: "Unit reformed successfully."};
+  return {id: shareRef.id, ...share};
 }
 
 /**
- * Splits multiple units into subunits.
- * This version uses a resilient check for old data.
- * @param {object} query The request query parameters.
- * @param {string} customerId The authenticated customer's ID.
+ * Revokes a partner's access to an incident.
+ * @param {object} query The request body.
+ * @param {string} query.incidentId The shared incident.
+ * @param {string} query.partnerCustomerId The invited customer.
+ * @param {object} authContext The authorization context of the caller.
  * @return {Promise<object>} A success message.
  */
-async function splitMultipleUnits(query, customerId) {
-  const {unitIds, groupId, incidentId} = query;
-  if (!unitIds || !groupId || !incidentId) {
-    throw new Error("Unit, Group, and Incident IDs are required.");
+async function revokeIncidentShare(query, authContext) {
+  const {incidentId, partnerCustomerId} = query;
+  const {uid, customerId, name} = authContext;
+  if (!incidentId || !partnerCustomerId) {
+    throw new Error("Incident ID and partner agency ID are required.");
   }
-
-  const unitIdArray = unitIds.split(",");
-  const now = new Date();
-  const batch = db.batch();
-
-  for (const unitId of unitIdArray) {
-    const {ref: originalUnitRef, data: originalUnitData} =
-      await getAndVerifyDoc("units", unitId, customerId);
-
-    // --- START: THIS IS THE CORRECTED VALIDATION ---
-    if (
-      originalUnitData.isSplit ||
-      (originalUnitData.splitStatus ?? "Original") !== "Original"
-    ) {
-      console.warn(`Unit ${unitId} cannot be split. Skipping.`);
-      continue;
-    }
-    // --- END: THIS IS THE CORRECTED VALIDATION ---
-
-    // 1. Mark original unit as split
-    batch.update(originalUnitRef, {isSplit: true});
-
-    // 2. Create subunits
-    const subunitAData = {
-      ...originalUnitData,
-      unit: `${originalUnitData.unit}-A`,
-      splitStatus: "Subunit",
-      parentUnitId: unitId,
-      isSplit: false,
-    };
-    const subunitARef = db.collection("units").doc();
-    batch.set(subunitARef, subunitAData);
-
-    const subunitBData = {
-      ...originalUnitData,
-      unit: `${originalUnitData.unit}-B`,
-      splitStatus: "Subunit",
-      parentUnitId: unitId,
-      isSplit: false,
-    };
-    const subunitBRef = db.collection("units").doc();
-    batch.set(subunitBRef, subunitBData);
-
-    // 3. End assignment for original unit
-    const assignRef = db.collection("assignments");
-    const oldAssignSnap = await assignRef.where("unitId", "==", unitId)
-        .where("releaseTime", "==", null).limit(1).get();
-    if (!oldAssignSnap.empty) {
-      batch.update(oldAssignSnap.docs[0].ref, {
-        releaseTime: now,
-        notes: "Unit split",
-      });
-    }
-
-    // 4. Create new assignments for subunits
-    const assignA = {
-      incidentId: incidentId,
-      groupId: groupId,
-      unitId: subunitARef.id,
-      assignmentTime: now,
-      releaseTime: null,
-      notes: "Split from parent",
-      customerId: customerId,
-    };
-    batch.set(assignRef.doc(), assignA);
-    const assignB = {
-      incidentId: incidentId,
-      groupId: groupId,
-      unitId: subunitBRef.id,
-      assignmentTime: now,
-      releaseTime: null,
-      notes: "Split from parent",
-      customerId: customerId,
-    };
-    batch.set(assignRef.doc(), assignB);
-
-    // 5. Log the action
-    const logRef = db.collection("unitActionLogs").doc();
-    const part1 = `Split into ${subunitAData.unit}`;
-    const logDetails = `${part1} and ${subunitBData.unit}`;
-    batch.set(logRef, {
-      customerId: customerId,
-      incidentId: incidentId,
-      unitId: unitId,
-      action: "split",
-      timestamp: now,
-      details: logDetails,
-    });
+  await getAndVerifyDoc("incidents", incidentId, customerId);
+  const shareRef = getIncidentShareRef(incidentId, partnerCustomerId);
+  const shareDoc = await shareRef.get();
+  if (!shareDoc.exists || shareDoc.data().ownerCustomerId !== customerId) {
+    throw new functions.https.HttpsError("not-found", "Share not found.");
   }
+  const share = shareDoc.data();
+  await assertNoPartnerUnitsWorking(incidentId, share);
+  await shareRef.update({status: "Revoked", updatedAt: new Date()});
 
-  await batch.commit();
-  return {message: "Selected units split successfully."};
+  await logIncidentAction({
+    customerId,
+    incidentId,
+    eventType: "INCIDENT_SHARE_REVOKED",
+    details: `Access for ${share.partnerName} revoked by ${name}.`,
+    metadata: {partnerCustomerId, uid},
+  });
+  return {success: true, message: `Access for ${share.partnerName} revoked.`};
 }
 
 /**
- * Updates the displayOrder for a list of groups in a single transaction.
+ * Lists the agencies an incident is shared with.
  * @param {object} query The request query parameters.
+ * @param {string} query.incidentId The incident.
  * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} A success message.
+ * @return {Promise<Array<object>>} The active shares.
  */
-async function updateGroupOrder(query, customerId) {
-  const {incidentId, groupIds} = query;
-  if (!incidentId || !groupIds) {
-    const errorMessage =
-      "Incident ID and an ordered list of Group IDs are required.";
-    throw new Error(errorMessage);
-  }
-
-  // First, verify the user has permission to modify this incident.
+async function getIncidentShares(query, customerId) {
+  const {incidentId} = query;
+  if (!incidentId) throw new Error("Incident ID is required.");
   await getAndVerifyDoc("incidents", incidentId, customerId);
-
-  const groupIdArray = groupIds.split(",");
-  const batch = db.batch();
-
-  // Loop through the received IDs, using their new index as the displayOrder.
-  groupIdArray.forEach((groupId, index) => {
-    // We trust the front-end has sent valid IDs for this incident. A full
-    // implementation might re-verify each group ID belongs to the customer.
-    const groupRef = db.collection("groups").doc(groupId);
-    batch.update(groupRef, {displayOrder: index});
-  });
-
-  await batch.commit();
-
-  const successMessage =
-    `Group order updated for ${groupIdArray.length} groups.`;
-  return {message: successMessage};
+  const shares = await getIncidentPartners(incidentId, customerId);
+  return shares.map(serializeForExport);
 }
 
 /**
- * Sets the parent for a given group.
+ * Lists the active incidents other agencies have shared with the customer.
+ * Each one carries the incident's data and the access level granted.
  * @param {object} query The request query parameters.
  * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} A success message.
+ * @return {Promise<Array<object>>} The shared incidents.
  */
-async function setGroupParent(query, customerId) {
-  const {incidentId, childGroupId, parentGroupId} = query;
-  if (!incidentId || !childGroupId || !parentGroupId) {
-    const errorMessage =
-      "Incident, Child Group, and Parent Group IDs are required.";
-    throw new Error(errorMessage);
-  }
+async function getSharedIncidents(query, customerId) {
+  const snapshot = await db.collection("incidentShares")
+      .where("customerId", "==", customerId)
+      .where("status", "==", "Active")
+      .get();
+  if (snapshot.empty) return [];
 
-  // Verify ownership of all related documents
-  await getAndVerifyDoc("incidents", incidentId, customerId);
-  const {ref: childRef} = await getAndVerifyDoc(
-      "groups", childGroupId, customerId);
-  await getAndVerifyDoc("groups", parentGroupId, customerId);
+  const shares = snapshot.docs.map((doc) => doc.data());
+  const incidentDocs = await db.getAll(...shares
+      .map((share) => db.collection("incidents").doc(share.incidentId)));
+  return incidentDocs
+      .map((doc, index) => ({doc, share: shares[index]}))
+      .filter(({doc}) => doc.exists && doc.data().status === "Active")
+      .map(({doc, share}) => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          ...data,
+          commanderUid: data.commanderUid || null,
+          startTime: toIsoString(data.startTime),
+          sharedBy: share.ownerName,
+          accessLevel: share.accessLevel,
+        };
+      });
+}
 
-  // Update the child document with the parent's ID
-  await childRef.update({parentGroupId: parentGroupId});
+// ===================================================================
+//
+//  CAD INTEGRATION
+//
+// ===================================================================
 
-  return {message: "Group parent assigned successfully."};
+/**
+ * Hashes a CAD API key for storage and lookup. Only the hash is kept, so a
+ * lost key has to be replaced with rotateCadApiKey.
+ * @param {string} apiKey The plaintext key.
+ * @return {string} The hex-encoded SHA-256 hash.
+ */
+function hashCadApiKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
 }
 
 /**
- * Clears the parent from a given group, making it a top-level group.
+ * Fetches a customer's CAD integration: whether a key has been issued, and
+ * the mapping from CAD unit IDs to board units.
  * @param {object} query The request query parameters.
  * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} A success message.
+ * @return {Promise<object>} With {hasKey, keyHint, unitMap}.
  */
-async function clearGroupParent(query, customerId) {
-  const {incidentId, childGroupId} = query;
-  if (!incidentId || !childGroupId) {
-    throw new Error("Incident and Child Group IDs are required.");
-  }
-
-  // Verify ownership
-  await getAndVerifyDoc("incidents", incidentId, customerId);
-  const {ref: childRef} = await getAndVerifyDoc(
-      "groups", childGroupId, customerId);
-
-  // Update the child, setting the parent to null
-  await childRef.update({parentGroupId: null});
-
-  return {message: "Group parent cleared successfully."};
+async function getCadIntegration(query, customerId) {
+  const [doc, units] = await Promise.all([
+    db.collection("cadIntegrations").doc(customerId).get(),
+    getCollectionData("units", customerId),
+  ]);
+  const integration = doc.exists ? doc.data() : {};
+  const unitsById = new Map(units.map((unit) => [unit.id, unit]));
+  return {
+    hasKey: !!integration.keyHash,
+    keyHint: integration.keyHint || null,
+    unitMap: Object.entries(integration.unitMap || {})
+        .map(([cadId, unitId]) => ({
+          cadId,
+          unitId,
+          unit: unitsById.get(unitId)?.unit || "Unknown unit",
+        }))
+        .sort((a, b) => a.cadId.localeCompare(b.cadId)),
+  };
 }
 
 /**
- * Disbands a group from an incident after verifying it is empty and not a
- * parent. This action is non-destructive; it marks the group as
- * "Disbanded" and creates a log entry instead of deleting the document.
+ * Issues a new CAD API key for the customer, replacing any previous key.
  * @param {object} query The request query parameters.
  * @param {string} customerId The authenticated customer's ID.
- * @return {Promise<object>} A success message.
+ * @return {Promise<object>} With {apiKey, keyHint}. The key is only ever
+ *     returned here.
  */
-async function disbandGroup(query, customerId) {
-  const {groupId, incidentId} = query;
-  if (!groupId || !incidentId) {
-    throw new Error("Group ID and Incident ID are required.");
-  }
+async function rotateCadApiKey(query, customerId) {
+  const apiKey = `cad_${crypto.randomBytes(24).toString("hex")}`;
+  const keyHint = apiKey.slice(-4);
+  await db.collection("cadIntegrations").doc(customerId).set({
+    customerId,
+    keyHash: hashCadApiKey(apiKey),
+    keyHint,
+    keyCreatedAt: new Date(),
+  }, {merge: true});
+  return {apiKey, keyHint};
+}
 
-  // First, verify ownership of the group and incident.
-  const {ref: groupRef, data: groupData} =
-    await getAndVerifyDoc("groups", groupId, customerId);
-  await getAndVerifyDoc("incidents", incidentId, customerId);
+/**
+ * Replaces the customer's CAD unit mapping. CAD unit IDs without an entry
+ * are matched to a board unit with the same designator.
+ * @param {object} query The request body.
+ * @param {Array<object>} query.unitMap Entries of {cadId, unit}, where unit is
+ *     the board unit's designator.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The saved integration, as getCadIntegration.
+ */
+async function updateCadUnitMap(query, customerId) {
+  const {unitMap} = query;
+  if (!Array.isArray(unitMap)) throw new Error("A unit map is required.");
+  const units = await getCollectionData("units", customerId);
+  const unitsByDesignator = new Map(units
+      .map((unit) => [(unit.unit || "").toLowerCase(), unit]));
+
+  const mapping = {};
+  unitMap.forEach((entry) => {
+    const cadId = String(entry.cadId || "").trim();
+    const designator = String(entry.unit || "").trim();
+    if (!cadId || !designator) return;
+    const unit = unitsByDesignator.get(designator.toLowerCase());
+    if (!unit) throw new Error(`No unit named "${designator}" was found.`);
+    // Firestore treats dots in map keys as field paths.
+    if (cadId.includes(".")) {
+      throw new Error(`CAD unit ID "${cadId}" cannot contain a period.`);
+    }
+    mapping[cadId] = unit.id;
+  });
 
-  // --- VALIDATION CHECKS ---
-  // 1. Check for assigned units in this group.
-  const assignmentsSnap = await db.collection("assignments")
-      .where("customerId", "==", customerId)
-      .where("groupId", "==", groupId)
-      .where("releaseTime", "==", null)
-      .limit(1)
-      .get();
-  if (!assignmentsSnap.empty) {
-    throw new Error("Cannot disband group. Reassign all units first.");
-  }
+  const integrationRef = db.collection("cadIntegrations").doc(customerId);
+  await integrationRef.set({customerId}, {merge: true});
+  await integrationRef.update({unitMap: mapping});
+  return getCadIntegration({}, customerId);
+}
 
-  // 2. Check if this group is a parent to any other groups.
-  const childrenSnap = await db.collection("groups")
+/**
+ * Finds the customer's active incident for a CAD incident number, creating
+ * it if there is none. CAD incidents start without a commander; an officer
+ * takes command from the board as usual.
+ * @param {object} dispatch The validated CAD dispatch.
+ * @param {string} customerId The customer the CAD key belongs to.
+ * @return {Promise<object>} With {incidentId, created}.
+ */
+async function upsertCadIncident(dispatch, customerId) {
+  const {incidentNumber, incidentType, address} = dispatch;
+  const incidentName = [incidentType, address].filter(Boolean).join(" - ");
+  const existing = await db.collection("incidents")
       .where("customerId", "==", customerId)
-      .where("parentGroupId", "==", groupId)
+      .where("incidentNumber", "==", incidentNumber)
+      .where("status", "==", "Active")
       .limit(1)
       .get();
-  if (!childrenSnap.empty) {
-    const errorMsg = "Cannot disband group. It is a parent to other groups.";
-    throw new Error(errorMsg);
+
+  if (!existing.empty) {
+    const incidentDoc = existing.docs[0];
+    const data = incidentDoc.data();
+    const changes = {};
+    if (incidentType && incidentType !== data.incidentType) {
+      changes.incidentType = incidentType;
+    }
+    if (address && address !== data.address) changes.address = address;
+    if (Object.keys(changes).length > 0) {
+      await incidentDoc.ref.update({...changes, incidentName});
+      await logIncidentAction({
+        customerId,
+        incidentId: incidentDoc.id,
+        eventType: "CAD_UPDATED",
+        details: `CAD updated incident ${incidentNumber}: ${incidentName}.`,
+        metadata: changes,
+      });
+    }
+    return {incidentId: incidentDoc.id, created: false};
   }
-  // --- END: VALIDATION CHECKS ---
 
-  // Instead of deleting, we now update the status.
-  await groupRef.update({
-    status: "Disbanded",
-    disbandTime: new Date(),
+  const docRef = await db.collection("incidents").add({
+    incidentNumber,
+    incidentName: incidentName || null,
+    incidentType: incidentType || null,
+    address: address || null,
+    source: "CAD",
+    startTime: new Date(),
+    status: "Active",
+    endTime: null,
+    customerId,
+    commanderUid: null,
+    commanderSessionId: null,
   });
-
-  // Create a permanent log of the disband action.
-  const details = "Group " + groupData.groupName + " was disbanded.";
   await logIncidentAction({
     customerId,
-    incidentId,
-    eventType: "GROUP_DISBANDED",
-    details: details,
-    metadata: {groupId, groupName: groupData.groupName},
-  });
-
-  return {message: "Group disbanded successfully."};
+    incidentId: docRef.id,
+    eventType: "INCIDENT_STARTED",
+    details: `Incident ${incidentNumber} created from CAD.`,
+    metadata: {source: "CAD"},
+  });
+  return {incidentId: docRef.id, created: true};
 }
 
 /**
- * Deletes an incident and all of its associated data after verifying admin
- * authorization and ensuring the incident is closed.
- * @param {object} query The request query parameters.
- * @param {object} authContext The full authorization context.
- * @return {Promise<object>} A success message.
+ * Marks the board units matching a CAD dispatch as Dispatched on the
+ * incident. Units already working the incident are left alone, and units
+ * that cannot be dispatched (e.g. busy on another incident) are skipped
+ * rather than failing the whole dispatch.
+ * @param {Array<string>} cadUnitIds The dispatched CAD unit IDs.
+ * @param {string} incidentId The ID of the incident.
+ * @param {string} customerId The customer the CAD key belongs to.
+ * @return {Promise<object>} With {dispatched, skipped, unmatched}.
  */
-async function deleteIncident(query, authContext) {
-  const {incidentId, adminCode} = query;
-  if (!incidentId || !adminCode) {
-    throw new Error("Incident ID and Admin Code are required.");
-  }
+async function dispatchCadUnits(cadUnitIds, incidentId, customerId) {
+  const [integrationDoc, units] = await Promise.all([
+    db.collection("cadIntegrations").doc(customerId).get(),
+    getCollectionData("units", customerId),
+  ]);
+  const unitMap = integrationDoc.data().unitMap || {};
+  const unitsByDesignator = new Map(units
+      .map((unit) => [(unit.unit || "").toLowerCase(), unit.id]));
+
+  const unmatched = [];
+  const unitIds = new Set();
+  cadUnitIds.forEach((cadId) => {
+    const unitId = unitMap[cadId] || unitsByDesignator.get(cadId.toLowerCase());
+    if (unitId) {
+      unitIds.add(unitId);
+    } else {
+      unmatched.push(cadId);
+    }
+  });
 
-  // Use the secure UID from the token to look up the user's profile.
-  const userRef = db.collection("users").doc(authContext.uid);
-  const userDoc = await userRef.get();
+  const dispatched = [];
+  const skipped = [];
+  const dispatchedChanges = [];
+  await db.runTransaction(async (transaction) => {
+    dispatched.length = 0;
+    skipped.length = 0;
+    dispatchedChanges.length = 0;
+    const unitDocs = await Promise.all([...unitIds].map((unitId) =>
+      transaction.get(db.collection("units").doc(unitId))));
+    const now = new Date();
+    unitDocs.forEach((unitDoc) => {
+      if (!unitDoc.exists) {
+        skipped.push({unit: unitDoc.id, reason: "Mapped unit not found."});
+        return;
+      }
+      const unitData = unitDoc.data();
+      if (unitData.statusIncidentId === incidentId) {
+        skipped.push({unit: unitData.unit, reason: "Already on incident."});
+        return;
+      }
+      let unitUpdate;
+      try {
+        unitUpdate =
+          getUnitStatusUpdate(unitData, "Dispatched", now, incidentId);
+      } catch (error) {
+        skipped.push({unit: unitData.unit, reason: error.message});
+        return;
+      }
+      transaction.update(unitDoc.ref, unitUpdate);
+      transaction.set(db.collection("unitActionLogs").doc(),
+          buildUnitStatusLog({
+            unitId: unitDoc.id,
+            unitData,
+            newStatus: "Dispatched",
+            now,
+            incidentId,
+            customerId,
+          }));
+      dispatched.push(unitData.unit);
+      dispatchedChanges.push({
+        path: unitDoc.ref.path,
+        before: {status: unitData.status || null,
+          statusIncidentId: unitData.statusIncidentId || null},
+        after: {status: "Dispatched", statusIncidentId: incidentId},
+      });
+    });
+  });
 
-  if (!userDoc.exists || userDoc.data().adminCode !== adminCode) {
-    throw new functions.https.HttpsError(
-        "permission-denied", "Invalid Admin Code.",
-    );
+  if (dispatchedChanges.length > 0) {
+    await writeSystemAuditEvent({
+      customerId,
+      incidentId,
+      action: "cadDispatch",
+      actorName: "CAD",
+      params: {
+        incidentId,
+        unitIds: dispatchedChanges
+            .map((change) => change.path.split("/")[1]).join(","),
+      },
+      changes: dispatchedChanges,
+    });
   }
 
-  // Verify the incident belongs to the customer and is closed.
-  const {ref: incidentRef, data: incidentData} =
-    await getAndVerifyDoc("incidents", incidentId, authContext.customerId);
-  if (incidentData.status !== "Closed") {
-    // --- THE FIX IS HERE ---
-    const errorMsg =
-      "Cannot delete an active incident. It must be closed first.";
-    throw new Error(errorMsg);
-    // --- END OF FIX ---
+  return {dispatched, skipped, unmatched};
+}
+
+/**
+ * Inbound endpoint for CAD dispatches. It is authenticated with a customer's
+ * CAD API key rather than a user token, so it sits outside the api router.
+ *
+ * POST a JSON body of {incidentNumber, incidentType, address, unitIds} with
+ * the header "Authorization: Bearer <CAD API key>". The incident is created,
+ * or updated if it is already active, and the matching units are marked
+ * Dispatched. scripts/cad-simulator.js posts sample dispatches for testing.
+ */
+exports.cadIngest = functions.https.onRequest(async (req, res) => {
+  if (req.method !== "POST") {
+    res.status(405).json({success: false, message: "Use POST."});
+    return;
   }
 
-  // Prepare a batch to delete all associated data.
-  const batch = db.batch();
-  const collectionsToDeleteFrom = [
-    "groups", "assignments", "parLogs", "unitActionLogs",
-  ];
-  for (const collectionName of collectionsToDeleteFrom) {
-    const snapshot = await db.collection(collectionName)
-        .where("incidentId", "==", incidentId)
-        .where("customerId", "==", authContext.customerId)
+  try {
+    const authHeader = req.headers.authorization || "";
+    const apiKey = authHeader.startsWith("Bearer ") ?
+      authHeader.split("Bearer ")[1] :
+      null;
+    if (!apiKey) {
+      const errorMsg = "No CAD API key was provided.";
+      throw new functions.https.HttpsError("unauthenticated", errorMsg);
+    }
+    const integrationSnapshot = await db.collection("cadIntegrations")
+        .where("keyHash", "==", hashCadApiKey(apiKey))
+        .limit(1)
         .get();
-    if (!snapshot.empty) {
-      snapshot.forEach((doc) => batch.delete(doc.ref));
+    if (integrationSnapshot.empty) {
+      const errorMsg = "The CAD API key is invalid.";
+      throw new functions.https.HttpsError("unauthenticated", errorMsg);
     }
-  }
+    const customerId = integrationSnapshot.docs[0].data().customerId;
 
-  batch.delete(incidentRef);
-  await batch.commit();
+    const body = req.body || {};
+    const incidentNumber = String(body.incidentNumber || "").trim();
+    if (!incidentNumber) {
+      const errorMsg = "An incident number is required.";
+      throw new functions.https.HttpsError("invalid-argument", errorMsg);
+    }
+    const rawUnitIds = body.unitIds || [];
+    const cadUnitIds = (Array.isArray(rawUnitIds) ?
+      rawUnitIds :
+      String(rawUnitIds).split(","))
+        .map((id) => String(id).trim())
+        .filter(Boolean);
+    const dispatch = {
+      incidentNumber,
+      incidentType: String(body.incidentType || "").trim(),
+      address: String(body.address || "").trim(),
+    };
 
-  const successMsg = "Incident and all associated data deleted successfully.";
-  return {message: successMsg};
-}
+    const {incidentId, created} =
+      await upsertCadIncident(dispatch, customerId);
+    const units = await dispatchCadUnits(cadUnitIds, incidentId, customerId);
+    console.log(`CAD dispatch for customer ${customerId}, incident ` +
+      `${incidentNumber}: ${units.dispatched.length} unit(s) dispatched.`);
+    res.status(200).json({
+      success: true,
+      data: {incidentId, created, ...units},
+    });
+  } catch (error) {
+    console.error("CAD ingest error:", error);
+    const status = error instanceof functions.https.HttpsError ?
+      error.httpErrorCode.status :
+      500;
+    res.status(status).json({success: false, message: error.message});
+  }
+});
 
 // ===================================================================
 //
-//  USER MANAGEMENT (ADMIN ONLY)
+//  WEBHOOKS
 //
 // ===================================================================
 
 /**
- * A secure helper to verify that the caller is the designated Super Admin.
- * @param {object} authContext The context object from a callable function.
- * @throws {Error} If the caller is not the Super Admin.
+ * Minutes to wait before each retry of a failed webhook delivery. A delivery
+ * that still fails after the last retry is marked Failed; it can be sent
+ * again from the admin view with replayWebhookDelivery.
  */
-function verifySuperAdmin(authContext) {
-  if (authContext.isSuperAdmin !== true) { // <-- This is correct
-    const errorMsg =
-      "You must be a Super Admin to perform this action.";
-    throw new functions.https.HttpsError(
-        "permission-denied",
-        errorMsg,
-    );
-  }
-}
+const WEBHOOK_RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
 
 /**
- * An API action to fetch all users from Firebase Auth and Firestore.
- * @param {object} query The request query parameters (empty).
- * @param {object} authContext The authorization context of the caller.
- * @return {Promise<Array<object>>} A list of all users with merged data.
+ * Validates a webhook subscription's URL and event filter.
+ * @param {object} query The request body.
+ * @param {string} query.url The HTTPS endpoint to POST events to.
+ * @param {string|Array<string>} [query.eventTypes] Event types to send, as a
+ *     list or a comma-separated string. Empty sends every event.
+ * @return {object} The subscription fields.
  */
-async function getAllUsers(query, authContext) {
-  verifySuperAdmin(authContext);
-
+function getWebhookSubscriptionFields(query) {
+  const url = String(query.url || "").trim();
+  let parsedUrl;
   try {
-    const listUsersResult = await admin.auth().listUsers(1000);
-    const allFirestoreUsers = await db.collection("users").get();
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error("A valid webhook URL is required.");
+  }
+  if (parsedUrl.protocol !== "https:") {
+    throw new Error("Webhook URLs must use HTTPS.");
+  }
+  const rawEventTypes = query.eventTypes || [];
+  const eventTypes = (Array.isArray(rawEventTypes) ?
+    rawEventTypes :
+    String(rawEventTypes).split(","))
+      .map((type) => String(type).trim().toUpperCase())
+      .filter(Boolean);
+  return {url, eventTypes: [...new Set(eventTypes)]};
+}
 
-    const firestoreUserMap = new Map();
-    allFirestoreUsers.forEach((doc) => {
-      firestoreUserMap.set(doc.id, doc.data());
-    });
+/**
+ * Fetches the customer's webhook subscriptions, including their signing
+ * secrets.
+ * @param {object} query The request query parameters.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<Array<object>>} The subscriptions, oldest first.
+ */
+async function getWebhookSubscriptions(query, customerId) {
+  const subscriptions = await getCollectionData(
+      "webhookSubscriptions", customerId);
+  return subscriptions
+      .map((subscription) => ({
+        ...subscription,
+        createdAt: toIsoString(subscription.createdAt),
+      }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
 
-    const combinedUsers = listUsersResult.users.map((userRecord) => {
-      const firestoreProfile = firestoreUserMap.get(userRecord.uid) || {};
-      return {
-        uid: userRecord.uid,
-        email: userRecord.email,
-        disabled: userRecord.disabled,
-        creationTime: userRecord.metadata.creationTime,
-        lastSignInTime: userRecord.metadata.lastSignInTime,
-        ...firestoreProfile,
-      };
-    });
+/**
+ * Adds a webhook subscription with a new signing secret.
+ * @param {object} query The request body; see getWebhookSubscriptionFields.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The new subscription.
+ */
+async function addWebhookSubscription(query, customerId) {
+  const subscription = {
+    ...getWebhookSubscriptionFields(query),
+    secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+    isActive: true,
+    createdAt: new Date(),
+    customerId,
+  };
+  const docRef = await db.collection("webhookSubscriptions").add(subscription);
+  return {
+    id: docRef.id,
+    ...subscription,
+    createdAt: subscription.createdAt.toISOString(),
+  };
+}
 
-    return combinedUsers;
-  } catch (error) {
-    console.error("Error fetching all users:", error);
-    const errorMsg = "Failed to fetch user list.";
-    throw new functions.https.HttpsError("internal", errorMsg);
+/**
+ * Updates a webhook subscription's URL, event filter or active flag.
+ * @param {object} query The request body.
+ * @param {string} query.subscriptionId The ID of the subscription.
+ * @param {boolean|string} [query.isActive] Whether events are sent.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} A success message.
+ */
+async function updateWebhookSubscription(query, customerId) {
+  const {subscriptionId} = query;
+  if (!subscriptionId) throw new Error("Subscription ID is required.");
+  const {ref} =
+    await getAndVerifyDoc("webhookSubscriptions", subscriptionId, customerId);
+  const update = query.url !== undefined ?
+    getWebhookSubscriptionFields(query) :
+    {};
+  if (query.isActive !== undefined) {
+    update.isActive = query.isActive === true || query.isActive === "true";
   }
+  await ref.update(update);
+  return {message: "Webhook updated successfully."};
 }
 
 /**
- * An API action to allow a Super Admin to set a new password for any user.
+ * Deletes a webhook subscription. Its delivery log is kept.
  * @param {object} query The request query parameters.
- * @param {string} query.targetUid The UID of the user to update.
- * @param {string} query.newPassword The new password to set.
- * @param {object} authContext The authorization context of the caller.
+ * @param {string} query.subscriptionId The ID of the subscription.
+ * @param {string} customerId The authenticated customer's ID.
  * @return {Promise<object>} A success message.
  */
-async function setNewPasswordForUser(query, authContext) {
-  verifySuperAdmin(authContext);
-  const {targetUid, newPassword} = query;
-  const passTooShort = !newPassword || newPassword.length < 6;
-  if (!targetUid || passTooShort) {
-    const errorMsg =
-      "UID and a password of at least 6 characters are required.";
-    throw new functions.https.HttpsError("invalid-argument", errorMsg);
-  }
+async function deleteWebhookSubscription(query, customerId) {
+  const {subscriptionId} = query;
+  if (!subscriptionId) throw new Error("Subscription ID is required.");
+  const {ref} =
+    await getAndVerifyDoc("webhookSubscriptions", subscriptionId, customerId);
+  await ref.delete();
+  return {message: "Webhook deleted successfully."};
+}
+
+/**
+ * Fetches the most recent deliveries for a webhook subscription.
+ * @param {object} query The request query parameters.
+ * @param {string} query.subscriptionId The ID of the subscription.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<Array<object>>} Up to 50 deliveries, newest first.
+ */
+async function getWebhookDeliveries(query, customerId) {
+  const {subscriptionId} = query;
+  if (!subscriptionId) throw new Error("Subscription ID is required.");
+  const snapshot = await db.collection("webhookDeliveries")
+      .where("customerId", "==", customerId)
+      .where("subscriptionId", "==", subscriptionId)
+      .orderBy("createdAt", "desc")
+      .limit(50)
+      .get();
+  return snapshot.docs.map((doc) => {
+    const delivery = doc.data();
+    return {
+      id: doc.id,
+      eventType: delivery.event.eventType,
+      details: delivery.event.details,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      responseStatus: delivery.responseStatus || null,
+      lastError: delivery.lastError || null,
+      replayOf: delivery.replayOf || null,
+      createdAt: toIsoString(delivery.createdAt),
+      lastAttemptAt: toIsoString(delivery.lastAttemptAt),
+    };
+  });
+}
+
+/**
+ * Sends a past delivery's event again as a new delivery.
+ * @param {object} query The request query parameters.
+ * @param {string} query.deliveryId The ID of the delivery to replay.
+ * @param {string} customerId The authenticated customer's ID.
+ * @return {Promise<object>} The new delivery's ID.
+ */
+async function replayWebhookDelivery(query, customerId) {
+  const {deliveryId} = query;
+  if (!deliveryId) throw new Error("Delivery ID is required.");
+  const {data} =
+    await getAndVerifyDoc("webhookDeliveries", deliveryId, customerId);
+  const docRef = await db.collection("webhookDeliveries").add({
+    ...buildWebhookDelivery(data.subscriptionId, data.event, customerId),
+    replayOf: deliveryId,
+  });
+  return {deliveryId: docRef.id};
+}
+
+/**
+ * Builds a new, pending delivery of an event to one subscription.
+ * @param {string} subscriptionId The ID of the subscription.
+ * @param {object} event The event, as queued by queueWebhookEvent.
+ * @param {string} customerId The customer the event belongs to.
+ * @return {object} The delivery document data.
+ */
+function buildWebhookDelivery(subscriptionId, event, customerId) {
+  return {
+    customerId,
+    subscriptionId,
+    event,
+    status: "Pending",
+    attempts: 0,
+    createdAt: new Date(),
+    lastAttemptAt: null,
+    nextAttemptAt: null,
+  };
+}
+
+/**
+ * Queues an incident event for every active webhook subscription that wants
+ * it. The deliveries are sent by the deliverwebhook trigger, so a slow or
+ * failing endpoint never holds up the action that raised the event.
+ * @param {object} event The event.
+ * @param {string} event.customerId The customer the event belongs to.
+ * @param {string} event.incidentId The incident the event belongs to.
+ * @param {string} event.eventType The standardized event type.
+ * @param {Date} event.timestamp When the event happened.
+ * @param {string} event.details A human-readable description of the event.
+ * @param {object} [event.metadata] Related IDs and data.
+ * @return {Promise<void>}
+ */
+async function queueWebhookEvent(event) {
   try {
-    await admin.auth().updateUser(targetUid, {password: newPassword});
-    const successMsg = `Password updated for UID: ${targetUid}`;
-    return {success: true, message: successMsg};
+    const snapshot = await db.collection("webhookSubscriptions")
+        .where("customerId", "==", event.customerId)
+        .where("isActive", "==", true)
+        .get();
+    const subscriptions = snapshot.docs.filter((doc) => {
+      const eventTypes = doc.data().eventTypes || [];
+      return eventTypes.length === 0 || eventTypes.includes(event.eventType);
+    });
+    if (subscriptions.length === 0) return;
+
+    const payload = {
+      eventType: event.eventType,
+      incidentId: event.incidentId,
+      occurredAt: event.timestamp,
+      details: event.details || "",
+      metadata: event.metadata || {},
+    };
+    const batch = db.batch();
+    subscriptions.forEach((doc) => {
+      batch.set(db.collection("webhookDeliveries").doc(),
+          buildWebhookDelivery(doc.id, payload, event.customerId));
+    });
+    await batch.commit();
   } catch (error) {
-    console.error("Failed to update password:", error);
-    const errorMsg = "Could not update password.";
-    throw new functions.https.HttpsError("internal", errorMsg);
+    console.error(`Failed to queue webhooks for ${event.eventType}:`, error);
   }
 }
 
 /**
- * An API action for a Super Admin to revoke all active refresh tokens for
- * a user, forcing them to log in again on all devices.
- * @param {object} query The request query parameters.
- * @param {string} query.targetUid The UID of the user to sign out.
- * @param {object} authContext The authorization context of the caller.
- * @return {Promise<object>} A success message.
+ * Makes one attempt at a webhook delivery and records the outcome. The body
+ * is signed with the subscription's secret: the X-CommandBoard-Signature
+ * header is "t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">".
+ * @param {object} deliveryRef The delivery document reference.
+ * @param {object} delivery The delivery document data.
+ * @return {Promise<void>}
  */
-async function revokeUserSessions(query, authContext) {
-  verifySuperAdmin(authContext);
-  const {targetUid} = query;
-  if (!targetUid) {
-    throw new functions.https.HttpsError(
-        "invalid-argument", "A target UID is required.",
-    );
+async function attemptWebhookDelivery(deliveryRef, delivery) {
+  const subscriptionDoc = await db.collection("webhookSubscriptions")
+      .doc(delivery.subscriptionId).get();
+  if (!subscriptionDoc.exists) {
+    await deliveryRef.update({
+      status: "Failed",
+      lastError: "The subscription was deleted.",
+      nextAttemptAt: null,
+    });
+    return;
   }
+  const {url, secret} = subscriptionDoc.data();
+
+  const body = JSON.stringify({
+    id: deliveryRef.id,
+    replayOf: delivery.replayOf || null,
+    ...serializeForExport(delivery.event),
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+
+  const attempts = (delivery.attempts || 0) + 1;
+  const now = new Date();
+  let responseStatus = null;
+  let lastError = null;
   try {
-    await admin.auth().revokeRefreshTokens(targetUid);
-    const userProfileRef = db.collection("users").doc(targetUid);
-    await userProfileRef.update({
-      tokensValidAfterTime: new Date(),
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-CommandBoard-Event": delivery.event.eventType,
+        "X-CommandBoard-Delivery": deliveryRef.id,
+        "X-CommandBoard-Signature": `t=${timestamp},v1=${signature}`,
+      },
+      body,
+      signal: AbortSignal.timeout(10000),
     });
-    const successMsg =
-      `Successfully revoked all sessions for user UID: ${targetUid}.`;
-    console.log(successMsg);
-    return {success: true, message: successMsg};
+    responseStatus = response.status;
+    if (!response.ok) lastError = `HTTP ${response.status}`;
   } catch (error) {
-    console.error("Failed to revoke refresh tokens:", error);
-    const errorMsg = "Could not revoke user sessions.";
-    throw new functions.https.HttpsError("internal", errorMsg);
+    lastError = error.message;
+  }
+
+  if (!lastError) {
+    await deliveryRef.update({
+      status: "Delivered",
+      attempts,
+      responseStatus,
+      lastError: null,
+      lastAttemptAt: now,
+      nextAttemptAt: null,
+    });
+    return;
   }
+  const retryDelay = WEBHOOK_RETRY_DELAYS_MINUTES[attempts - 1];
+  await deliveryRef.update({
+    status: retryDelay ? "Retrying" : "Failed",
+    attempts,
+    responseStatus,
+    lastError,
+    lastAttemptAt: now,
+    nextAttemptAt: retryDelay ?
+      new Date(now.getTime() + retryDelay * 60000) :
+      null,
+  });
 }
 
+/**
+ * Sends each webhook delivery as soon as it is queued.
+ */
+exports.deliverwebhook = onDocumentCreated(
+    "webhookDeliveries/{deliveryId}", async (event) => {
+      const snapshot = event.data;
+      if (!snapshot) return;
+      await attemptWebhookDelivery(snapshot.ref, snapshot.data());
+    });
+
+/**
+ * A scheduled function (v2) that retries webhook deliveries whose retry time
+ * has come.
+ */
+exports.retrywebhookdeliveries = onSchedule(
+    "every 1 minutes", async (event) => {
+      const dueSnapshot = await db.collection("webhookDeliveries")
+          .where("status", "==", "Retrying")
+          .where("nextAttemptAt", "<=", new Date())
+          .get();
+      for (const doc of dueSnapshot.docs) {
+        await attemptWebhookDelivery(doc.ref, doc.data());
+      }
+      if (!dueSnapshot.empty) {
+        console.log(`Retried ${dueSnapshot.size} webhook delivery(ies).`);
+      }
+    });
+
 /**
  * A scheduled function (v2) that runs periodically to clean up abandoned
  * command sessions. This "smart" cleanup only removes stale sessions that are
@@ -3152,6 +9037,106 @@ exports.cleanupstalecommandsessions = onSchedule(
       return null;
     });
 
+/**
+ * A scheduled function (v2) that runs every minute to find PARs that have
+ * gone past the customer's PAR duration without an acknowledgment. The PAR
+ * log and its group are marked "Expired" and a PAR_OVERDUE event is logged,
+ * so missed PARs are recorded even when nobody has the board open.
+ */
+exports.checkoverduepars = onSchedule(
+    "every 1 minutes", async (event) => {
+      const now = new Date();
+      const activeLogsSnapshot = await db.collection("parLogs")
+          .where("status", "==", "Active")
+          .get();
+
+      if (activeLogsSnapshot.empty) return null;
+
+      const durationByCustomer = new Map();
+      const getParDurationMs = async (customerId) => {
+        if (!durationByCustomer.has(customerId)) {
+          const settings = await getSettings({}, customerId);
+          const minutes = settings.parTimerDurationMinutes || 10;
+          durationByCustomer.set(customerId, minutes * 60 * 1000);
+        }
+        return durationByCustomer.get(customerId);
+      };
+
+      let expiredCount = 0;
+      for (const logDoc of activeLogsSnapshot.docs) {
+        // One PAR failing, e.g. a transaction lost to contention or a log
+        // without a start time, must not hold up the rest until next run.
+        try {
+          const parLog = logDoc.data();
+          const durationMs = await getParDurationMs(parLog.customerId);
+          const startMs = parLog.parStartTime.toMillis();
+          const overdueTime = new Date(startMs + durationMs);
+          if (overdueTime > now) continue;
+
+          const groupRef = db.collection("groups").doc(parLog.groupId);
+          const incidentRef = db.collection("incidents").doc(parLog.incidentId);
+          // The PAR may be acknowledged, or its incident closed, between the
+          // query and this write, so re-check inside a transaction.
+          // Resolves to null if nothing expired, else whether the group's own
+          // PAR fields changed too.
+          const expiry = await db.runTransaction(async (transaction) => {
+            const [freshLogDoc, groupDoc, incidentDoc] = await Promise.all([
+              transaction.get(logDoc.ref),
+              transaction.get(groupRef),
+              transaction.get(incidentRef),
+            ]);
+            if (freshLogDoc.data().status !== "Active") return null;
+            const isIncidentActive =
+              incidentDoc.exists && incidentDoc.data().status === "Active";
+            if (!isIncidentActive) return null;
+
+            transaction.update(logDoc.ref, {status: "Expired", overdueTime});
+            const group = groupDoc.exists ? groupDoc.data() : null;
+            const isSamePar = Boolean(group && group.parStatus === "Active" &&
+              group.parStartTime && group.parStartTime.toMillis() === startMs);
+            if (isSamePar) {
+              transaction.update(groupRef, {
+                parStatus: "Expired",
+                parOverdueTime: overdueTime,
+              });
+            }
+            return {isSamePar};
+          });
+          if (!expiry) continue;
+
+          expiredCount++;
+          await writeSystemAuditEvent({
+            customerId: parLog.customerId,
+            incidentId: parLog.incidentId,
+            action: "expirePar",
+            actorName: "PAR timer",
+            params: {incidentId: parLog.incidentId, groupId: parLog.groupId},
+            changes: expiry.isSamePar ? [{
+              path: groupRef.path,
+              before: {parStatus: "Active", parOverdueTime: null},
+              after: {parStatus: "Expired", parOverdueTime: overdueTime},
+            }] : [],
+          });
+          await logIncidentAction({
+            customerId: parLog.customerId,
+            incidentId: parLog.incidentId,
+            eventType: "PAR_OVERDUE",
+            details: `PAR for ${parLog.groupName} is overdue.`,
+            metadata: {
+              groupId: parLog.groupId,
+              parLogId: logDoc.id,
+              overdueTime,
+            },
+          });
+        } catch (error) {
+          console.error(`Failed to check PAR log ${logDoc.id}:`, error);
+        }
+      }
+
+      console.log(`Marked ${expiredCount} overdue PAR(s) as expired.`);
+      return null;
+    });
+
 /**
  * A scheduled function (v2) that runs daily as a "janitor" to clean up
  * any session documents that are very old and truly abandoned, regardless
@@ -52,6 +52,10 @@ function setupAdminEventListeners() {
       if (button.id === 'addUnitBtn') openUnitModal();
       if (button.matches('.js-edit-unit')) openUnitModal(button.dataset.id);
       if (button.matches('.js-delete-unit')) handleDeleteUnitClick(button.dataset.id, button.dataset.name);
+      if (button.id === 'exportUnitsBtn') handleExportUnits();
+      if (button.id === 'importUnitsBtn') openUnitImportModal();
+      if (button.id === 'previewUnitImportBtn') handleUnitImport(true);
+      if (button.id === 'confirmUnitImportBtn') handleUnitImport(false);
 
       // Unit Type Actions
       if (button.id === 'addUnitTypeBtn') openUnitTypeModal();
@@ -74,6 +78,17 @@ function setupAdminEventListeners() {
 
       // Settings Actions
       if (button.id === 'saveSettingsBtn') handleSaveSettings();
+      if (button.id === 'addBenchmarkSetBtn') addBenchmarkSetToList();
+      if (button.matches('.js-remove-benchmark-set')) button.closest('.js-benchmark-set').remove();
+      if (button.id === 'saveBenchmarkSetsBtn') handleSaveBenchmarkSets();
+      if (button.id === 'rotateCadApiKeyBtn') handleRotateCadApiKey();
+      if (button.id === 'saveCadUnitMapBtn') handleSaveCadUnitMap();
+      if (button.id === 'addWebhookBtn') handleAddWebhook();
+      if (button.matches('.js-delete-webhook')) handleDeleteWebhook(button.dataset.id);
+      if (button.matches('.js-webhook-deliveries')) loadWebhookDeliveries(button.dataset.id, button.dataset.url);
+      if (button.matches('.js-replay-webhook')) handleReplayWebhook(button);
+      if (button.id === 'exportConfigBtn') handleExportConfig();
+      if (button.id === 'importConfigBtn') handleImportConfig();
 
       // Table Sorting Header
       const sortableHeader = target.closest('.sortable-header-admin');
@@ -94,6 +109,7 @@ function setupAdminEventListeners() {
       if (target.id === 'closedIncidentSelect') {
           handleAdminIncidentSelect();
       }
+      if (target.matches('.js-webhook-active')) handleWebhookActiveChange(target);
   });
 }
 
@@ -120,7 +136,7 @@ function renderAdminView(container, data) {
         <div class="mt-3"><h4>Fire Departments</h4><button class="btn btn-success mb-2" id="addDepartmentBtn">Add Department</button><div id="departmentsTableContainer" class="table-responsive"></div></div>
       </div>
       <div class="tab-pane fade" id="adminUnits" role="tabpanel">
-        <div class="mt-3"><h4>Manage Units</h4><div class="form-row align-items-end"><div class="form-group col-md-4"><label for="adminUnitDeptFilter">Filter by Department:</label><select id="adminUnitDeptFilter" class="form-control"></select></div><div class="form-group col-md-4 ml-auto text-right"><button class="btn btn-success mb-0" id="addUnitBtn">Add Unit</button></div></div><div id="unitsTableContainer" class="table-responsive mt-3"></div></div>
+        <div class="mt-3"><h4>Manage Units</h4><div class="form-row align-items-end"><div class="form-group col-md-4"><label for="adminUnitDeptFilter">Filter by Department:</label><select id="adminUnitDeptFilter" class="form-control"></select></div><div class="form-group col-md-6 ml-auto text-right"><button class="btn btn-outline-secondary mb-0 mr-1" id="exportUnitsBtn">Export CSV</button><button class="btn btn-outline-primary mb-0 mr-1" id="importUnitsBtn">Import CSV</button><button class="btn btn-success mb-0" id="addUnitBtn">Add Unit</button></div></div><div id="unitsTableContainer" class="table-responsive mt-3"></div></div>
       </div>
       <div class="tab-pane fade" id="adminUnitTypes" role="tabpanel">
         <div class="mt-3"><h4>Unit Types</h4><p class="text-muted small">Define unit types, e.g., Engine, Ladder.</p><button class="btn btn-success mb-2" id="addUnitTypeBtn">Add Unit Type</button><div id="unitTypesTableContainer" class="table-responsive"></div></div>
@@ -769,7 +785,8 @@ async function openUnitModal(unitId = null) {
       stationName: "",
       unitName: "",
       status: "Available",
-      notes: ""
+      notes: "",
+      roster: []
   };
 
   if (unitId) {
@@ -797,10 +814,19 @@ async function openUnitModal(unitId = null) {
   document.getElementById("unitCallSignInput").value = unitData.unit;
   document.getElementById("unitNameInput").value = unitData.unitName;
   document.getElementById("unitNotesInput").value = unitData.notes || "";
+  document.getElementById("unitRosterShiftInput").value = (unitData.roster || []).join("\n");
   document.getElementById("unitStationInput").value = unitData.stationName || "";
   deptSelect.value = unitData.departmentId;
   typeSelect.value = unitData.unitTypeId;
-  document.getElementById("unitStatusSelect").value = unitData.status;
+  const statusSelect = document.getElementById("unitStatusSelect");
+  // Units working an incident show their live status so it is saved unchanged.
+  [...statusSelect.options].filter(o => o.dataset.liveStatus).forEach(o => o.remove());
+  if (![...statusSelect.options].some(o => o.value === unitData.status)) {
+    const liveOption = new Option(unitData.status, unitData.status);
+    liveOption.dataset.liveStatus = "true";
+    statusSelect.appendChild(liveOption);
+  }
+  statusSelect.value = unitData.status;
 
   $('#unitModal').modal('show');
 }
@@ -821,6 +847,7 @@ async function handleSaveUnit() {
     status: document.getElementById("unitStatusSelect").value,
     notes: document.getElementById("unitNotesInput").value,
     stationName: document.getElementById("unitStationInput").value,
+    roster: document.getElementById("unitRosterShiftInput").value,
   };
 
   const requiredFields = [
@@ -913,6 +940,147 @@ async function handleDeleteUnitClick(unitId, unitName) {
   }
 }
 
+// --- Unit CSV Import & Export ---
+
+// The unit fields a CSV column can be mapped to. The labels match the headers
+// of the export, so an exported file maps itself.
+const UNIT_IMPORT_FIELDS = [
+  { field: 'unit', label: 'Unit', required: true },
+  { field: 'unitName', label: 'Unit Name' },
+  { field: 'department', label: 'Department' },
+  { field: 'unitType', label: 'Unit Type' },
+  { field: 'status', label: 'Status' },
+  { field: 'stationName', label: 'Station' },
+  { field: 'notes', label: 'Notes' },
+  { field: 'roster', label: 'Roster' },
+];
+
+// The parsed file while the import modal is open: { headers, rows }.
+let unitImportFile = null;
+
+async function handleExportUnits() {
+  showLoader();
+  try {
+    const response = await callApi('exportUnits');
+    response.data.files.forEach(file => downloadFile(file.fileName, file.content, file.mimeType));
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+function openUnitImportModal() {
+  unitImportFile = null;
+  const fileInput = document.getElementById('unitImportFileInput');
+  fileInput.value = '';
+  fileInput.onchange = handleUnitImportFileChange;
+  document.getElementById('unitImportMapping').innerHTML = '';
+  document.getElementById('unitImportPreview').innerHTML = '';
+  document.getElementById('previewUnitImportBtn').disabled = true;
+  document.getElementById('confirmUnitImportBtn').disabled = true;
+  $('#unitImportModal').modal('show');
+}
+
+/**
+ * Reads the chosen file and offers a column mapping, pre-selecting the
+ * column whose header matches each field's label or name.
+ */
+async function handleUnitImportFileChange(event) {
+  const file = event.target.files[0];
+  const mapping = document.getElementById('unitImportMapping');
+  document.getElementById('unitImportPreview').innerHTML = '';
+  document.getElementById('confirmUnitImportBtn').disabled = true;
+  if (!file) return;
+
+  const [headers, ...rows] = parseCsv(await file.text());
+  if (!headers || rows.length === 0) {
+    unitImportFile = null;
+    mapping.innerHTML = '<p class="text-danger">The file has no rows below its header.</p>';
+    document.getElementById('previewUnitImportBtn').disabled = true;
+    return;
+  }
+  unitImportFile = { headers, rows };
+
+  const normalize = (value) => value.toLowerCase().replace(/[^a-z]/g, '');
+  const options = headers.map((header, index) => `<option value="${index}">${escapeHtml(header)}</option>`).join('');
+  mapping.innerHTML = `
+    <p class="mb-2"><strong>${rows.length}</strong> rows. Map the file's columns:</p>
+    <div class="form-row">
+      ${UNIT_IMPORT_FIELDS.map(({ field, label, required }) => `
+        <div class="form-group col-md-3">
+          <label class="small mb-0" for="unitImportMap-${field}">${label}${required ? ' *' : ''}</label>
+          <select id="unitImportMap-${field}" class="form-control form-control-sm js-unit-import-map" data-field="${field}">
+            <option value="">-- Not in file --</option>${options}
+          </select>
+        </div>`).join('')}
+    </div>`;
+  UNIT_IMPORT_FIELDS.forEach(({ field, label }) => {
+    const match = headers.findIndex(h => [normalize(label), normalize(field)].includes(normalize(h)));
+    if (match >= 0) document.getElementById(`unitImportMap-${field}`).value = String(match);
+  });
+  document.getElementById('previewUnitImportBtn').disabled = false;
+}
+
+/**
+ * Sends the mapped rows to importUnits, first as a dry run whose preview
+ * lists the creates, updates and errors, then for real once it is clean.
+ * @param {boolean} dryRun Whether to only preview the import.
+ */
+async function handleUnitImport(dryRun) {
+  if (!unitImportFile) return;
+  const columns = [...document.querySelectorAll('.js-unit-import-map')]
+    .filter(select => select.value !== '')
+    .map(select => ({ field: select.dataset.field, index: Number(select.value) }));
+  if (!columns.some(column => column.field === 'unit')) {
+    alert("Map a column to Unit.");
+    return;
+  }
+  const rows = unitImportFile.rows.map(cells => Object.fromEntries(
+    columns.map(({ field, index }) => [field, cells[index] || ''])));
+
+  showLoader();
+  try {
+    const response = await callApi('importUnits', { rows, dryRun }, 'POST');
+    renderUnitImportPreview(response.data);
+    if (response.data.applied) {
+      unitImportFile = null;
+      document.getElementById('previewUnitImportBtn').disabled = true;
+      appState.initialData.departmentsWithStations = null;
+      await loadAdminUnits(document.getElementById('adminUnitDeptFilter').value);
+    }
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+function renderUnitImportPreview(result) {
+  const preview = document.getElementById('unitImportPreview');
+  const canImport = !result.applied && result.errors.length === 0 &&
+    (result.creates.length + result.updates.length) > 0;
+  document.getElementById('confirmUnitImportBtn').disabled = !canImport;
+
+  const listRows = (items, label, rowClass) => items.map(item => `
+    <tr class="${rowClass}"><td>${item.row || ''}</td><td>${label}</td><td>${escapeHtml(item.unit || '')} ${escapeHtml(item.unitName || item.message || '')}</td></tr>`).join('');
+  const summary = result.applied
+    ? `Imported: ${result.creates.length} created, ${result.updates.length} updated.`
+    : `Preview: ${result.creates.length} to create, ${result.updates.length} to update, ${result.unchanged} unchanged, ${result.errors.length} errors.`;
+  preview.innerHTML = `
+    <div class="alert ${result.errors.length > 0 ? 'alert-warning' : 'alert-success'} py-2">${summary}</div>
+    <div class="unit-import-preview table-responsive">
+      <table class="table table-sm">
+        <thead><tr><th>Row</th><th>Action</th><th>Unit</th></tr></thead>
+        <tbody>
+          ${listRows(result.errors, 'Error', 'table-danger')}
+          ${listRows(result.creates, 'Create', '')}
+          ${listRows(result.updates, 'Update', '')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
 // --- LIBRARY MANAGEMENT ---
 async function loadAdminLibraryData() {
     const commonGroupsContainer = document.getElementById("commonGroupsTableContainer");
@@ -948,12 +1116,17 @@ function openCommonGroupModal(groupId = null) {
   const editingIdInput = document.getElementById("editingCommonGroupId");
   const nameInput = document.getElementById("commonGroupNameInput");
   const colorInput = document.getElementById("commonGroupColorInput");
+  const benchmarkSetSelect = document.getElementById("commonGroupBenchmarkSetSelect");
+  const benchmarkSets = (appState.initialData && appState.initialData.settings && appState.initialData.settings.benchmarkSets) || [];
+  benchmarkSetSelect.innerHTML = '<option value="">-- Default Benchmark Set --</option>' +
+    benchmarkSets.map(set => `<option value="${escapeHtml(set.id)}">${escapeHtml(set.name)}</option>`).join('');
   const commonGroups = (appState.initialData && appState.initialData.commonGroups) ? appState.initialData.commonGroups : [];
   if (groupId) {
     const group = commonGroups.find(g => g.id === groupId);
     if (group) {
       modalLabel.textContent = "Edit Common Group"; editingIdInput.value = group.id;
       nameInput.value = group.name; colorInput.value = group.color || "#6c757d";
+      benchmarkSetSelect.value = group.benchmarkSetId || "";
     }
   } else {
     modalLabel.textContent = "Add New Common Group";
@@ -970,6 +1143,7 @@ async function handleSaveCommonGroup() {
   const groupId = document.getElementById("editingCommonGroupId").value;
   const name = document.getElementById("commonGroupNameInput").value;
   const color = document.getElementById("commonGroupColorInput").value;
+  const benchmarkSetId = document.getElementById("commonGroupBenchmarkSetSelect").value;
   if (!name || name.trim() === "") {
     alert("Group Name is required.");
     return;
@@ -978,7 +1152,8 @@ async function handleSaveCommonGroup() {
   const params = {
     id: appState.launchId,
     name,
-    color
+    color,
+    benchmarkSetId
   };
   if (groupId) {
     params.groupId = groupId;
@@ -1181,7 +1356,289 @@ function renderSettingsView(settings) {
   const container = document.getElementById("settingsContainer");
   if (!container) return;
   const duration = (settings && settings.parTimerDurationMinutes) ? settings.parTimerDurationMinutes : 10;
-  container.innerHTML = `<div class="card my-3"><div class="card-header">PAR Timer</div><div class="card-body"><div class="form-row align-items-end"><div class="form-group col-md-4 mb-0"><label for="parDurationInput">Duration (minutes)</label><input type="number" class="form-control" id="parDurationInput" min="1" value="${duration}"></div><div class="form-group col-md-3 mb-0"><button class="btn btn-primary btn-block" id="saveSettingsBtn">Save</button></div></div></div></div>`;
+  const milestones = ((settings && settings.timeMilestoneMinutes) || [10, 20, 30]).join(", ");
+  const rehabWorkTime = (settings && settings.rehabWorkTimeMinutes) || 40;
+  const rehabRest = (settings && settings.rehabRestMinutes) || 20;
+  const cylinderMinutes = (settings && settings.scbaCylinderMinutes) || 30;
+  const airAlerts = ((settings && settings.scbaAlertPercents) || [50, 75]).join(", ");
+  container.innerHTML = `<div class="card my-3"><div class="card-header">Timers</div><div class="card-body"><div class="form-row align-items-end"><div class="form-group col-md-3 mb-0"><label for="parDurationInput">PAR Duration (minutes)</label><input type="number" class="form-control" id="parDurationInput" min="1" value="${duration}"></div><div class="form-group col-md-5 mb-0"><label for="timeMilestonesInput">Elapsed-Time Reminders (minutes)</label><input type="text" class="form-control" id="timeMilestonesInput" placeholder="10, 20, 30" value="${escapeHtml(milestones)}"></div><div class="form-group col-md-3 mb-0"><button class="btn btn-primary btn-block" id="saveSettingsBtn">Save</button></div></div><div class="form-row mt-3"><div class="form-group col-md-3 mb-0"><label for="rehabWorkTimeInput">Rotate to Rehab After (minutes)</label><input type="number" class="form-control" id="rehabWorkTimeInput" min="1" value="${rehabWorkTime}"></div><div class="form-group col-md-3 mb-0"><label for="rehabRestInput">Minimum Rehab Rest (minutes)</label><input type="number" class="form-control" id="rehabRestInput" min="1" value="${rehabRest}"></div><div class="form-group col-md-3 mb-0"><label for="scbaCylinderInput">SCBA Cylinder (minutes)</label><input type="number" class="form-control" id="scbaCylinderInput" min="1" value="${cylinderMinutes}"></div><div class="form-group col-md-3 mb-0"><label for="scbaAlertPercentsInput">Air Turnaround Alerts (%)</label><input type="text" class="form-control" id="scbaAlertPercentsInput" placeholder="50, 75" value="${escapeHtml(airAlerts)}"></div></div></div></div>
+    <div class="card my-3"><div class="card-header d-flex justify-content-between align-items-center">Benchmark Sets<button class="btn btn-sm btn-success" id="addBenchmarkSetBtn">Add Set</button></div><div class="card-body">
+      <p class="small text-muted">List one benchmark per line as <code>Label: State, State, ...</code>. States default to Pending, Started, Completed. Groups take the set assigned to their common group, or the default set. Groups already on a board keep the benchmarks they were created with.</p>
+      <div id="benchmarkSetsList"></div>
+      <button class="btn btn-primary" id="saveBenchmarkSetsBtn">Save Benchmark Sets</button>
+    </div></div>
+    <div class="card my-3"><div class="card-header">CAD Integration</div><div class="card-body" id="cadIntegrationContainer"><em>Loading...</em></div></div>
+    <div class="card my-3"><div class="card-header">Webhooks</div><div class="card-body">
+      <p class="small text-muted">Incident events are sent as signed JSON POSTs. Verify the <code>X-CommandBoard-Signature</code> header (<code>t=&lt;time&gt;,v1=&lt;HMAC-SHA256 of "time.body"&gt;</code>) with the webhook's secret. Failed deliveries are retried for about an hour.</p>
+      <div id="webhooksList"><em>Loading...</em></div>
+      <div class="form-row align-items-end mt-2">
+        <div class="form-group col-md-5 mb-0"><label for="webhookUrlInput">URL</label><input type="url" class="form-control form-control-sm" id="webhookUrlInput" placeholder="https://"></div>
+        <div class="form-group col-md-5 mb-0"><label for="webhookEventsInput">Events</label><input type="text" class="form-control form-control-sm" id="webhookEventsInput" placeholder="All events, or e.g. MAYDAY_DECLARED, PAR_OVERDUE"></div>
+        <div class="form-group col-md-2 mb-0"><button class="btn btn-sm btn-success btn-block" id="addWebhookBtn">Add Webhook</button></div>
+      </div>
+      <div id="webhookDeliveriesContainer" class="mt-3"></div>
+    </div></div>
+    <div class="card my-3"><div class="card-header">Configuration Backup</div><div class="card-body">
+      <p class="small text-muted">Departments, unit types, units, common groups, templates and settings as one JSON file. Restore a backup, or copy another agency's setup. CAD and webhook settings are not included.</p>
+      <button class="btn btn-outline-secondary btn-sm mb-3" id="exportConfigBtn">Download Backup</button>
+      <div class="form-row align-items-end">
+        <div class="form-group col-md-5 mb-0"><label for="configImportFileInput">Backup file</label><input type="file" class="form-control-file" id="configImportFileInput" accept=".json,application/json"></div>
+        <div class="form-group col-md-5 mb-0"><label for="configImportModeSelect">Mode</label><select id="configImportModeSelect" class="form-control form-control-sm">
+          <option value="merge">Merge: update matching names, add the rest</option>
+          <option value="replace">Replace: match the file exactly, deleting anything not in it</option>
+        </select></div>
+        <div class="form-group col-md-2 mb-0"><button class="btn btn-sm btn-warning btn-block" id="importConfigBtn">Restore</button></div>
+      </div>
+    </div></div>`;
+  const benchmarkSets = (settings && settings.benchmarkSets) || [];
+  benchmarkSets.forEach(set => addBenchmarkSetToList(set, set.id === settings.defaultBenchmarkSetId));
+  loadCadIntegration();
+  loadWebhooks();
+}
+
+async function loadCadIntegration() {
+  const container = document.getElementById("cadIntegrationContainer");
+  if (!container) return;
+  try {
+    const response = await callApi("getCadIntegration", { id: appState.launchId });
+    renderCadIntegration(response.data);
+  } catch (error) {
+    container.innerHTML = `<span class="text-danger">${escapeHtml(error.message)}</span>`;
+  }
+}
+
+/**
+ * Renders the CAD integration card: the API key status and the CAD unit
+ * mapping, one "CAD ID = Unit" pair per line.
+ * @param {object} integration The integration returned by getCadIntegration.
+ * @param {string} [newApiKey] A key that was just issued, shown once.
+ */
+function renderCadIntegration(integration, newApiKey = null) {
+  const container = document.getElementById("cadIntegrationContainer");
+  if (!container) return;
+  const keyStatus = integration.hasKey
+    ? `An API key ending in <code>${escapeHtml(integration.keyHint)}</code> is active.`
+    : "No API key has been issued.";
+  const newKeyHtml = newApiKey
+    ? `<div class="alert alert-warning mt-2 mb-0">Copy this key into your CAD now; it will not be shown again.<br><code>${escapeHtml(newApiKey)}</code></div>`
+    : "";
+  const mapLines = integration.unitMap.map(entry => `${entry.cadId} = ${entry.unit}`).join("\n");
+  container.innerHTML = `
+    <p class="small text-muted">Your CAD posts dispatches to the <code>cadIngest</code> endpoint with this key as a Bearer token. Incidents are created or updated by incident number, and dispatched units are marked Dispatched.</p>
+    <div class="d-flex align-items-center"><span>${keyStatus}</span><button class="btn btn-sm btn-outline-danger ml-3" id="rotateCadApiKeyBtn">${integration.hasKey ? "Replace Key" : "Generate Key"}</button></div>
+    ${newKeyHtml}
+    <label for="cadUnitMapInput" class="mt-3">Unit Mapping</label>
+    <p class="small text-muted mb-1">One per line as <code>CAD ID = Unit</code>. CAD IDs not listed are matched to the unit with the same name.</p>
+    <textarea class="form-control form-control-sm" id="cadUnitMapInput" rows="4" placeholder="E101 = Engine 1">${escapeHtml(mapLines)}</textarea>
+    <button class="btn btn-primary mt-2" id="saveCadUnitMapBtn">Save Unit Mapping</button>`;
+}
+
+async function loadWebhooks() {
+  const list = document.getElementById("webhooksList");
+  if (!list) return;
+  try {
+    const response = await callApi("getWebhookSubscriptions", { id: appState.launchId });
+    const rows = response.data.map(webhook => `
+      <tr>
+        <td class="text-break">${escapeHtml(webhook.url)}</td>
+        <td><small>${webhook.eventTypes.length > 0 ? webhook.eventTypes.map(escapeHtml).join(", ") : "All events"}</small></td>
+        <td><input type="checkbox" class="js-webhook-active" data-id="${webhook.id}" ${webhook.isActive ? "checked" : ""}></td>
+        <td><details><summary class="small">Secret</summary><code class="small">${escapeHtml(webhook.secret)}</code></details></td>
+        <td class="text-nowrap">
+          <button class="btn btn-sm btn-outline-secondary js-webhook-deliveries" data-id="${webhook.id}" data-url="${escapeHtml(webhook.url)}">Deliveries</button>
+          <button class="btn btn-sm btn-outline-danger js-delete-webhook" data-id="${webhook.id}">Delete</button>
+        </td>
+      </tr>`).join("");
+    list.innerHTML = response.data.length === 0
+      ? '<p class="mb-0"><em>No webhooks configured.</em></p>'
+      : `<table class="table table-sm"><thead><tr><th>URL</th><th>Events</th><th>Active</th><th>Secret</th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+  } catch (error) {
+    list.innerHTML = `<span class="text-danger">${escapeHtml(error.message)}</span>`;
+  }
+}
+
+async function handleAddWebhook() {
+  const url = document.getElementById("webhookUrlInput").value.trim();
+  const eventTypes = document.getElementById("webhookEventsInput").value;
+  if (!url) {
+    showError("A webhook URL is required.");
+    return;
+  }
+  showLoader();
+  try {
+    await callApi("addWebhookSubscription", { id: appState.launchId, url, eventTypes }, "POST");
+    document.getElementById("webhookUrlInput").value = "";
+    document.getElementById("webhookEventsInput").value = "";
+    await loadWebhooks();
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+async function handleWebhookActiveChange(checkbox) {
+  try {
+    await callApi("updateWebhookSubscription", {
+      id: appState.launchId,
+      subscriptionId: checkbox.dataset.id,
+      isActive: checkbox.checked,
+    }, "POST");
+  } catch (error) {
+    checkbox.checked = !checkbox.checked;
+    showError(error.message);
+  }
+}
+
+async function handleDeleteWebhook(subscriptionId) {
+  if (!confirm("Delete this webhook? Its events will stop immediately.")) return;
+  showLoader();
+  try {
+    await callApi("deleteWebhookSubscription", { id: appState.launchId, subscriptionId }, "POST");
+    document.getElementById("webhookDeliveriesContainer").innerHTML = "";
+    await loadWebhooks();
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+/**
+ * Shows the delivery log for one webhook, newest first, with a Replay button
+ * on each delivery.
+ * @param {string} subscriptionId The ID of the webhook subscription.
+ * @param {string} url The webhook's URL, for the log's heading.
+ */
+async function loadWebhookDeliveries(subscriptionId, url) {
+  const container = document.getElementById("webhookDeliveriesContainer");
+  if (!container) return;
+  container.innerHTML = "<em>Loading deliveries...</em>";
+  try {
+    const response = await callApi("getWebhookDeliveries", { id: appState.launchId, subscriptionId });
+    const statusClasses = { Delivered: "badge-success", Pending: "badge-secondary", Retrying: "badge-warning", Failed: "badge-danger" };
+    const rows = response.data.map(delivery => `
+      <tr>
+        <td class="text-nowrap"><small>${new Date(delivery.createdAt).toLocaleString()}</small></td>
+        <td><small>${escapeHtml(delivery.eventType)}</small>${delivery.replayOf ? ' <span class="badge badge-light">Replay</span>' : ""}</td>
+        <td><span class="badge ${statusClasses[delivery.status] || "badge-secondary"}">${escapeHtml(delivery.status)}</span></td>
+        <td>${delivery.attempts}</td>
+        <td><small>${escapeHtml(delivery.lastError || (delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : ""))}</small></td>
+        <td><button class="btn btn-sm btn-outline-primary py-0 js-replay-webhook" data-id="${delivery.id}" data-subscription-id="${subscriptionId}" data-url="${escapeHtml(url)}">Replay</button></td>
+      </tr>`).join("");
+    container.innerHTML = `
+      <h6>Deliveries to ${escapeHtml(url)}</h6>
+      ${response.data.length === 0
+        ? "<p><em>No deliveries yet.</em></p>"
+        : `<table class="table table-sm"><thead><tr><th>Queued</th><th>Event</th><th>Status</th><th>Attempts</th><th>Result</th><th></th></tr></thead><tbody>${rows}</tbody></table>`}`;
+  } catch (error) {
+    container.innerHTML = `<span class="text-danger">${escapeHtml(error.message)}</span>`;
+  }
+}
+
+async function handleReplayWebhook(button) {
+  showLoader();
+  try {
+    await callApi("replayWebhookDelivery", { id: appState.launchId, deliveryId: button.dataset.id }, "POST");
+    await loadWebhookDeliveries(button.dataset.subscriptionId, button.dataset.url);
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+async function handleRotateCadApiKey() {
+  const message = "Issue a new CAD API key? The current key will stop working immediately.";
+  if (!confirm(message)) return;
+  showLoader();
+  try {
+    const response = await callApi("rotateCadApiKey", { id: appState.launchId }, "POST");
+    const integration = await callApi("getCadIntegration", { id: appState.launchId });
+    renderCadIntegration(integration.data, response.data.apiKey);
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+async function handleSaveCadUnitMap() {
+  const unitMap = document.getElementById("cadUnitMapInput").value
+    .split("\n")
+    .map(line => line.split("="))
+    .filter(parts => parts.length === 2)
+    .map(([cadId, unit]) => ({ cadId: cadId.trim(), unit: unit.trim() }));
+  showLoader();
+  try {
+    const response = await callApi("updateCadUnitMap", { id: appState.launchId, unitMap }, "POST");
+    renderCadIntegration(response.data);
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+/**
+ * Appends an editable benchmark set to the Settings view.
+ * @param {object} [set] The saved set to edit; omitted for a new, empty set.
+ * @param {boolean} [isDefault] Whether the set is the customer's default.
+ */
+function addBenchmarkSetToList(set = null, isDefault = false) {
+  const list = document.getElementById("benchmarkSetsList");
+  if (!list) return;
+  const benchmarkLines = set
+    ? set.benchmarks.map(bm => `${bm.label}: ${bm.states.join(", ")}`).join("\n")
+    : "";
+  const item = document.createElement("div");
+  item.className = "border rounded p-2 mb-2 js-benchmark-set";
+  item.dataset.setId = set ? set.id : "";
+  item.innerHTML = `
+    <div class="form-row align-items-center">
+      <div class="col-md-6"><input type="text" class="form-control form-control-sm js-benchmark-set-name" placeholder="Set name" value="${escapeHtml(set ? set.name : "")}"></div>
+      <div class="col-md-4"><div class="form-check"><label class="form-check-label"><input type="radio" class="form-check-input js-benchmark-set-default" name="defaultBenchmarkSet" ${isDefault ? "checked" : ""}> Default set</label></div></div>
+      <div class="col-md-2 text-right"><button class="btn btn-sm btn-outline-danger js-remove-benchmark-set">Remove</button></div>
+    </div>
+    <textarea class="form-control form-control-sm mt-2 js-benchmark-set-lines" rows="3" placeholder="Primary Search: Pending, Started, All Clear">${escapeHtml(benchmarkLines)}</textarea>`;
+  list.appendChild(item);
+}
+
+/**
+ * Saves the benchmark sets from the Settings view. The server assigns IDs to
+ * new sets and keys to new benchmarks, so the view is re-rendered from its
+ * response.
+ */
+async function handleSaveBenchmarkSets() {
+  const benchmarkSets = [...document.querySelectorAll("#benchmarkSetsList .js-benchmark-set")].map(item => {
+    const benchmarks = item.querySelector(".js-benchmark-set-lines").value
+      .split("\n")
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const separator = line.indexOf(":");
+        const label = separator === -1 ? line : line.slice(0, separator);
+        const states = separator === -1 ? [] : line.slice(separator + 1).split(",").map(state => state.trim()).filter(Boolean);
+        return { label: label.trim(), states: states.length > 0 ? states : ["Pending", "Started", "Completed"] };
+      });
+    return {
+      id: item.dataset.setId || null,
+      name: item.querySelector(".js-benchmark-set-name").value,
+      isDefault: item.querySelector(".js-benchmark-set-default").checked,
+      benchmarks,
+    };
+  });
+
+  showLoader();
+  try {
+    const response = await callApi("updateBenchmarkSets", { benchmarkSets }, "POST");
+    Object.assign(appState.initialData.settings, response.data);
+    renderSettingsView(appState.initialData.settings);
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
 }
 
 /**
@@ -1191,17 +1648,34 @@ function renderSettingsView(settings) {
  */
 async function handleSaveSettings() {
   const newDuration = document.getElementById("parDurationInput").value;
+  const newMilestones = document.getElementById("timeMilestonesInput").value;
+  const newRehabWorkTime = document.getElementById("rehabWorkTimeInput").value;
+  const newRehabRest = document.getElementById("rehabRestInput").value;
+  const newCylinderMinutes = document.getElementById("scbaCylinderInput").value;
+  const newAirAlerts = document.getElementById("scbaAlertPercentsInput").value;
   showLoader();
   try {
     const response = await callApi("updateSettings", {
       id: appState.launchId,
       parTimerDurationMinutes: newDuration,
+      timeMilestoneMinutes: newMilestones,
+      rehabWorkTimeMinutes: newRehabWorkTime,
+      rehabRestMinutes: newRehabRest,
+      scbaCylinderMinutes: newCylinderMinutes,
+      scbaAlertPercents: newAirAlerts,
     });
 
     if (response.success) {
       // THE FIX: The alert("Settings saved!") has been removed.
       // We still update the local state so the app uses the new timer value.
       appState.initialData.settings.parTimerDurationMinutes = parseInt(newDuration, 10);
+      appState.initialData.settings.timeMilestoneMinutes = newMilestones.split(",")
+        .map(value => parseInt(value, 10)).filter(value => value > 0).sort((a, b) => a - b);
+      appState.initialData.settings.rehabWorkTimeMinutes = parseInt(newRehabWorkTime, 10);
+      appState.initialData.settings.rehabRestMinutes = parseInt(newRehabRest, 10);
+      appState.initialData.settings.scbaCylinderMinutes = parseInt(newCylinderMinutes, 10);
+      appState.initialData.settings.scbaAlertPercents = newAirAlerts.split(",")
+        .map(value => parseInt(value, 10)).filter(value => value > 0).sort((a, b) => a - b);
     } else {
       showError(response.message);
     }
@@ -1283,4 +1757,53 @@ function handleSortAdminUnits(header) {
       delete th.dataset.sortDir;
     }
   });
-}
\ No newline at end of file
+}
+
+// --- Configuration Backup ---
+
+async function handleExportConfig() {
+  showLoader();
+  try {
+    const response = await callApi("exportCustomerConfig", { id: appState.launchId });
+    response.data.files.forEach(file => downloadFile(file.fileName, file.content, file.mimeType));
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+async function handleImportConfig() {
+  const file = document.getElementById("configImportFileInput").files[0];
+  const mode = document.getElementById("configImportModeSelect").value;
+  if (!file) {
+    alert("Choose a backup file to restore.");
+    return;
+  }
+  let config;
+  try {
+    config = JSON.parse(await file.text());
+  } catch (error) {
+    showError("The file is not valid JSON.");
+    return;
+  }
+  const message = mode === "replace"
+    ? "Update your configuration to match this file? Departments, unit types, units, groups and templates that are not in the file will be deleted."
+    : "Merge this file into your current configuration?";
+  if (!confirm(message)) return;
+
+  showLoader();
+  try {
+    const response = await callApi("importCustomerConfig", { id: appState.launchId, config, mode }, "POST");
+    const counts = ["departments", "unitTypes", "units", "commonGroups", "templates"]
+      .map(name => `${name}: ${response.data[name].created} created, ${response.data[name].updated} updated, ${response.data[name].deleted} deleted`);
+    const initialData = await callApi("getInitialData");
+    appState.initialData = initialData.data;
+    showView("adminView");
+    alert(`Configuration restored.\n${counts.join("\n")}\n\n${response.data.note}`);
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
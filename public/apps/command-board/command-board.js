@@ -16,6 +16,15 @@ let commandRequestListener = null;
 let myRequestStatusListener = null;
 let groupsListener = null;
 let assignmentsListener = null;
+let stagingAreasListener = null;
+let incidentUnitsListener = null;
+let maydayElapsedInterval = null;
+let maydayMinimizedFor = null;
+let evacuationCountdownInterval = null;
+let incidentClockInterval = null;
+let announcedTimeMilestone = null;
+// The highest turnaround percentage already sounded for each unit on air.
+const announcedAirAlerts = new Map();
 
 // ===================================================================
 //
@@ -81,6 +90,8 @@ function renderCommandBoardView(container, data) {
         <div class="sidebar">
           ${renderIncidentControl(data.activeIncidents || [])}
           <div id="available-units-section"></div>
+          <div id="staging-section"></div>
+          <div id="rehab-section"></div>
           <div id="split-units-section"></div>
         </div>
       </div>
@@ -114,6 +125,15 @@ function renderIncidentContent() {
     return;
   }
   const isDisabled = appState.isViewOnly ? 'disabled' : '';
+  // Partner agencies work units on a shared incident; running the incident
+  // stays with the owner.
+  const sharedIncident = getSharedIncident(incident.id);
+  const ownerOnlyDisabled = appState.isViewOnly || sharedIncident ? 'disabled' : '';
+  const mutualAidHtml = sharedIncident
+    ? `<span class="badge badge-info mr-3" title="Shared with your agency">Mutual Aid: ${escapeHtml(sharedIncident.sharedBy)}</span>`
+    : `<button id="mutualAidBtn" class="btn btn-outline-info btn-sm" title="Share this incident with another agency" ${isDisabled}>
+            <i class="fas fa-handshake"></i> Mutual Aid
+          </button>`;
   container.innerHTML = `
     <div class="main-content">
       <div id="current-incident-summary" class="d-flex flex-wrap align-items-center mb-2 p-2 border rounded bg-light">
@@ -121,15 +141,31 @@ function renderIncidentContent() {
         <span class="text-muted mr-3">${incident.incidentName || ""}</span>
         <span class="mr-3">Started: ${new Date(incident.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
         <span class="font-weight-bold mr-3">${incident.status}</span>
+        ${sharedIncident ? mutualAidHtml : ''}
+        <span id="personnelOnScene" class="mr-3" title="Personnel riding on assigned units"></span>
+        <span id="incidentClock" class="incident-clock mr-3" title="Time since the incident started"></span>
+        <span id="timeMilestoneAlert" class="time-milestone-alert mr-3" style="display:none;">
+          <i class="fas fa-bell"></i> <span id="timeMilestoneText"></span>
+          <button id="ackTimeMilestoneBtn" class="btn btn-light btn-sm py-0 ml-1" ${isDisabled}>Acknowledge</button>
+        </span>
         <div class="btn-group ml-auto">
+          ${renderIcsFormMenu('btn-outline-primary btn-sm')}
+          ${sharedIncident ? '' : mutualAidHtml}
+          ${sharedIncident ? '' : `<button id="auditTrailBtn" class="btn btn-outline-secondary btn-sm" title="Who changed what on this incident">
+            <i class="fas fa-history"></i> Audit Trail
+          </button>`}
+          <button id="declareEvacuationBtn" class="btn btn-warning btn-sm" title="Order an evacuation and PAR every group" ${ownerOnlyDisabled}>
+            <i class="fas fa-running"></i> Evacuate
+          </button>
           <button id="incidentViewRefreshBtn" class="btn btn-secondary btn-sm" title="Back to Incident List">
             <i class="fas fa-list-ul"></i> Back to List
           </button>
-          <button id="closeIncidentBtn" class="btn btn-danger btn-sm" ${isDisabled}>
+          <button id="closeIncidentBtn" class="btn btn-danger btn-sm" ${ownerOnlyDisabled}>
             Close Incident
           </button>
         </div>
       </div>
+      <div id="incidentBenchmarkStrip" class="d-flex flex-wrap align-items-center mb-2">${renderIncidentBenchmarkStrip(incident.benchmarks)}</div>
       <div id="incident-content-area">
         <div class="card shadow-sm mb-3">
           <div class="card-header"><h5>Add Groups to Incident</h5></div>
@@ -138,22 +174,22 @@ function renderIncidentContent() {
               <div class="col-md-4 form-group">
                 <label><small><strong>1. Apply Template</strong></small></label>
                 <div class="input-group">
-                  <select id="templateSelect" class="form-control form-control-sm" ${isDisabled}></select>
+                  <select id="templateSelect" class="form-control form-control-sm" ${ownerOnlyDisabled}></select>
                   <div class="input-group-append">
-                    <button class="btn btn-info btn-sm" id="applyTemplateBtn" ${isDisabled}>Apply</button>
+                    <button class="btn btn-info btn-sm" id="applyTemplateBtn" ${ownerOnlyDisabled}>Apply</button>
                   </div>
                 </div>
               </div>
               <div class="col-md-4 form-group">
                 <label><small><strong>2. Add Common Group</strong></small></label>
-                <select id="commonGroupSelect" class="form-control form-control-sm" ${isDisabled}></select>
+                <select id="commonGroupSelect" class="form-control form-control-sm" ${ownerOnlyDisabled}></select>
               </div>
               <div class="col-md-4 form-group">
                 <label><small><strong>3. Add Custom Group</strong></small></label>
                 <div class="input-group">
-                  <input type="text" id="newGroupName" class="form-control form-control-sm" placeholder="Type Custom Name" ${isDisabled}>
+                  <input type="text" id="newGroupName" class="form-control form-control-sm" placeholder="Type Custom Name" ${ownerOnlyDisabled}>
                   <div class="input-group-append">
-                    <button class="btn btn-success btn-sm" id="addGroupBtn" ${isDisabled}>Add</button>
+                    <button class="btn btn-success btn-sm" id="addGroupBtn" ${ownerOnlyDisabled}>Add</button>
                   </div>
                 </div>
               </div>
@@ -163,7 +199,7 @@ function renderIncidentContent() {
         <div class="d-flex justify-content-between align-items-center mb-2">
           <h4>Command Groups</h4>
           <div id="reorder-buttons-container">
-            <button id="reorderGroupsBtn" class="btn btn-outline-secondary btn-sm" ${isDisabled}>
+            <button id="reorderGroupsBtn" class="btn btn-outline-secondary btn-sm" ${ownerOnlyDisabled}>
                 <i class="fas fa-sort"></i> Reorder Groups
             </button>
             <button id="cancelReorderBtn" class="btn btn-danger btn-sm" style="display: none;">
@@ -179,20 +215,38 @@ function renderIncidentContent() {
   populateCommonGroupsDropdown(appState.initialData.commonGroups || []);
   renderGroupCards(appState.currentIncident.groups || []);
   setIncidentActiveUI(true);
+  startIncidentClock();
 }
 
 /**
  * Renders all group cards and initializes their client-side PAR timers.
+ * @param {Array<object>} allGroups The groups, as from getGroupsForIncident.
+ * @param {object} [replay] Renders a read-only board for incident replay
+ *     instead: {container, time}, where time stands in for the current time.
  */
-function renderGroupCards(allGroups) {
-  const container = document.getElementById("groupsContainer");
+function renderGroupCards(allGroups, replay = null) {
+  const container = replay ? replay.container : document.getElementById("groupsContainer");
   if (!container) return;
   if (!allGroups || allGroups.length === 0) {
     container.innerHTML = '<p class="text-muted col-12">No groups created yet.</p>';
     return;
   }
-  container.innerHTML = buildGroupHierarchy(allGroups).map(node => renderGroupNode(node, new Map(allGroups.map(g => [g.id, g.groupName])))).join('');
+  const replayTime = replay ? replay.time : null;
+  container.innerHTML = buildGroupHierarchy(allGroups).map(node => renderGroupNode(node, new Map(allGroups.map(g => [g.id, g.groupName])), replayTime)).join('');
+  if (replay) return;
   initializeParTimers(allGroups);
+  updatePersonnelOnScene(allGroups);
+}
+
+/**
+ * Shows the incident-wide personnel total in the summary bar.
+ * @param {Array<object>} groups The incident's groups with their units.
+ */
+function updatePersonnelOnScene(groups) {
+  const display = document.getElementById('personnelOnScene');
+  if (!display) return;
+  const total = (groups || []).reduce((sum, group) => sum + (group.personnelCount || 0), 0);
+  display.innerHTML = `<i class="fas fa-users"></i> ${total} on scene`;
 }
 
 /**
@@ -224,10 +278,10 @@ function buildGroupHierarchy(allGroups) {
 /**
  * A recursive function that renders a single group and all of its descendants.
  */
-function renderGroupNode(groupNode, groupNameMap) {
+function renderGroupNode(groupNode, groupNameMap, replayTime) {
   const hasChildren = groupNode.children && groupNode.children.length > 0;
   const childrenHtml = hasChildren
-    ? `<div class="child-groups-container">${groupNode.children.map(child => renderGroupNode(child, groupNameMap)).join('')}</div>`
+    ? `<div class="child-groups-container">${groupNode.children.map(child => renderGroupNode(child, groupNameMap, replayTime)).join('')}</div>`
     : '';
 
   let wrapperStyle = '';
@@ -239,14 +293,14 @@ function renderGroupNode(groupNode, groupNameMap) {
   if (!groupNode.parentGroupId) {
     return `
       <div class="col-md-3 mb-3 parent-group-wrapper ${hasChildren ? 'has-children' : ''}" ${wrapperStyle}>
-        ${renderSingleGroupCard(groupNode, groupNameMap)}
+        ${renderSingleGroupCard(groupNode, groupNameMap, replayTime)}
         ${childrenHtml}
       </div>
     `;
   } else {
     return `
       <div class="mb-3 parent-group-wrapper ${hasChildren ? 'has-children' : ''}" ${wrapperStyle}>
-        ${renderSingleGroupCard(groupNode, groupNameMap)}
+        ${renderSingleGroupCard(groupNode, groupNameMap, replayTime)}
         ${childrenHtml}
       </div>
     `;
@@ -255,8 +309,9 @@ function renderGroupNode(groupNode, groupNameMap) {
 
 /**
  * Renders the HTML for a single group card, disabling controls if in view-only mode.
+ * A replayTime renders the card read-only, with elapsed times as of that moment.
  */
-function renderSingleGroupCard(group, groupMap) {
+function renderSingleGroupCard(group, groupMap, replayTime = null) {
   if (group.units && group.units.length > 0) {
     group.units.sort((a, b) => {
       const isASupervisor = a.unitId === group.groupSupervisorUnitId;
@@ -270,14 +325,24 @@ function renderSingleGroupCard(group, groupMap) {
     });
   }
 
-  const isDisabled = appState.isViewOnly ? 'disabled' : '';
+  const isReadOnly = appState.isViewOnly || !!replayTime;
+  const now = replayTime || new Date();
+  const isDisabled = isReadOnly ? 'disabled' : '';
   const parStatus = group.parStatus || "Idle";
   let parButtonClass = "par-btn-idle";
   if (parStatus === "Active") parButtonClass = "par-btn-active";
   if (parStatus === "Expired") parButtonClass = "par-btn-expired";
   const parBtnData = `data-group-id="${group.id}" data-par-status="${parStatus}"`;
-  const parButtonHtml = `<button class="btn par-btn ${parButtonClass} js-par-btn" ${parBtnData} ${isDisabled}>PAR</button>`;
-  const multiUnitActionsHtml = appState.isViewOnly ? '' : `
+  const isParRunning = parStatus === "Active" || parStatus === "Expired";
+  const parExpectedUnitIds = isParRunning ? (group.parExpectedUnitIds || []) : [];
+  const parUnitResponses = group.parUnitResponses || {};
+  const parProgress = parExpectedUnitIds.length > 0
+    ? ` ${parExpectedUnitIds.filter(id => parUnitResponses[id]).length}/${parExpectedUnitIds.length}`
+    : '';
+  const parButtonHtml = `<button class="btn par-btn ${parButtonClass} js-par-btn" ${parBtnData} ${isDisabled}>PAR${parProgress}</button>`;
+  // Mayday stays available in view-only mode: anyone watching the board can raise it.
+  const maydayButtonHtml = replayTime ? '' : `<button class="btn mayday-btn mr-1 js-mayday-btn" data-group-id="${group.id}" title="Declare Mayday">MAYDAY</button>`;
+  const multiUnitActionsHtml = isReadOnly ? '' : `
     <div class="multi-unit-actions mt-2" style="display: none;">
       <div class="d-flex justify-content-between align-items-center bg-light p-1 rounded">
         <span class="multi-unit-selection-count small font-weight-bold pl-2"></span>
@@ -293,7 +358,7 @@ function renderSingleGroupCard(group, groupMap) {
   if (group.groupSupervisorName) {
     let elapsedTimeHtml = "";
     if (group.supervisorAssignmentTime) {
-      const durationMs = new Date().getTime() - new Date(group.supervisorAssignmentTime).getTime();
+      const durationMs = now.getTime() - new Date(group.supervisorAssignmentTime).getTime();
       const totalMinutes = Math.floor(durationMs / 60000);
       elapsedTimeHtml = ` <small>(${formatDuration(totalMinutes)})</small>`;
     }
@@ -301,21 +366,22 @@ function renderSingleGroupCard(group, groupMap) {
     supervisorHtml = `<div style="font-size: 0.8em;">${supText}${elapsedTimeHtml}</div>`;
   }
 
-  const benchmarks = [
-    { name: "Fire", status: group.fireBenchmark || "Pending" },
-    { name: "Search", status: group.searchBenchmark || "Pending" },
-    { name: "Extension", status: group.extensionBenchmark || "Pending" },
-  ];
-  const benchmarkButtonsHtml = benchmarks.map(bm => {
-    const btnClass = bm.status === 'Completed' ? 'btn-success' : bm.status === 'Started' ? 'btn-warning' : 'btn-light';
-    const benchmarkName = `${bm.name.toLowerCase()}Benchmark`;
-    const btnData = `data-group-id="${group.id}" data-benchmark-name="${benchmarkName}" data-current-status="${bm.status}"`;
-    return `<button class="btn btn-sm ${btnClass} py-0 px-2 js-benchmark-btn" ${btnData} ${isDisabled}>${bm.name}</button>`;
+  const benchmarkButtonsHtml = (group.benchmarks || []).map(bm => {
+    const stateIndex = bm.states.indexOf(bm.status);
+    const isLastState = stateIndex === bm.states.length - 1;
+    const btnClass = isLastState ? 'btn-success' : stateIndex > 0 ? 'btn-warning' : 'btn-light';
+    // Clicking moves the benchmark to its next state, wrapping back to the first.
+    const nextStatus = bm.states[(stateIndex + 1) % bm.states.length];
+    const btnData = `data-group-id="${group.id}" data-benchmark-key="${escapeHtml(bm.key)}" data-next-status="${escapeHtml(nextStatus)}"`;
+    const title = `${bm.label}: ${bm.status}`;
+    return `<button class="btn btn-sm ${btnClass} py-0 px-2 js-benchmark-btn" ${btnData} title="${escapeHtml(title)}" ${isDisabled}>${escapeHtml(bm.label)}</button>`;
   }).join('');
 
+  const rehabWorkTimeMinutes = appState.initialData.settings?.rehabWorkTimeMinutes || 40;
   const unitsHtml = (group.units && group.units.length > 0) ? group.units.map(unit => {
-    const totalMinutes = Math.floor((new Date().getTime() - new Date(unit.assignmentTime).getTime()) / 60000);
+    const totalMinutes = Math.floor((now.getTime() - new Date(unit.assignmentTime).getTime()) / 60000);
     const elapsedTimeDisplay = formatDuration(totalMinutes);
+    const needsRotation = totalMinutes >= rehabWorkTimeMinutes;
     const safeUnitName = (unit.unit || "").replace(/'/g, "\\'");
     const isSupervisor = unit.unitId === group.groupSupervisorUnitId;
     const isSubunit = unit.parentUnitId != null;
@@ -335,20 +401,40 @@ function renderSingleGroupCard(group, groupMap) {
       `<span class="badge badge-warning badge-pill ml-2" title="Group Supervisor">Sup</span>` :
       '';
     const checkboxData = `data-unit-id="${unit.unitId}" data-group-id="${group.id}" ${isChecked}`;
-    const checkboxHtml = appState.isViewOnly ? '' : `<input type="checkbox" class="mr-2 group-unit-checkbox" id="${checkboxId}" ${checkboxData}>`;
-    const labelHtml = `<label for="${checkboxId}" class="mb-0"><strong class="mr-2">${unit.unit}</strong>${supervisorBadgeHtml}<small class="text-muted ml-2">(${elapsedTimeDisplay})</small></label>`;
-    const singleUnitActions = appState.isViewOnly ? '' : `
+    const checkboxHtml = isReadOnly ? '' : `<input type="checkbox" class="mr-2 group-unit-checkbox" id="${checkboxId}" ${checkboxData}>`;
+    let unitParHtml = '';
+    if (parExpectedUnitIds.includes(unit.unitId)) {
+      const response = parUnitResponses[unit.unitId];
+      unitParHtml = response
+        ? `<span class="badge badge-success ml-2" title="PAR reported at ${new Date(response.ackTime).toLocaleTimeString()}"><i class="fas fa-check"></i> ${response.personnelCount}</span>`
+        : `<button class="btn btn-sm btn-outline-danger py-0 px-1 ml-2 js-unit-par-btn" data-group-id="${group.id}" data-unit-id="${unit.unitId}" data-unit-name="${safeUnitName}" title="Record this unit's PAR" ${isDisabled}>PAR</button>`;
+    }
+    const roster = unit.roster || [];
+    const airTimer = unit.airTimer;
+    const airBadgeHtml = airTimer ?
+      `<span class="badge badge-info ml-2 js-air-remaining" data-unit-id="${unit.unitId}" data-air-start="${airTimer.startTime}" data-air-minutes="${airTimer.cylinderMinutes}" title="${airTimer.cylinderMinutes} min cylinder"></span>` :
+      '';
+    const rotationBadgeHtml = needsRotation ?
+      `<span class="badge badge-danger ml-2" title="Working longer than ${rehabWorkTimeMinutes} minutes">Rotate</span>` :
+      '';
+    const personnelBadgeHtml = `<span class="badge badge-light ml-2" title="Personnel"><i class="fas fa-user"></i> ${roster.length}</span>`;
+    const rosterHtml = roster.length > 0 ? `<div class="unit-roster small text-muted">${roster.map(escapeHtml).join(', ')}</div>` : '';
+    const labelHtml = `<label for="${checkboxId}" class="mb-0"><strong class="mr-2">${unit.unit}</strong>${supervisorBadgeHtml}${personnelBadgeHtml}<small class="text-muted ml-2">(${elapsedTimeDisplay})</small>${airBadgeHtml}${rotationBadgeHtml}</label>${unitParHtml}${rosterHtml}`;
+    const singleUnitActions = isReadOnly ? '' : `
       <div class="single-unit-actions">
         <div class="btn-group">
           ${supervisorButton}
           ${splitButtonHtml}
+          <button class="btn btn-sm btn-outline-secondary py-0 px-1 js-edit-roster" data-unit-id="${unit.unitId}" title="Edit Crew"><i class="fas fa-users"></i></button>
           <button class="btn btn-sm btn-outline-secondary py-0 px-1 js-move-unit" data-id="${unit.unitId}" data-name="${safeUnitName}" title="Move Unit"><i class="fas fa-arrows-alt"></i></button>
+          <button class="btn btn-sm ${airTimer ? 'btn-info' : 'btn-outline-info'} py-0 px-1 js-unit-air" data-unit-id="${unit.unitId}" data-on-air="${airTimer ? 'true' : 'false'}" title="${airTimer ? 'Off Air' : 'On Air'}"><i class="fas fa-lungs"></i></button>
+          <button class="btn btn-sm ${needsRotation ? 'btn-danger' : 'btn-outline-danger'} py-0 px-1 js-unit-rehab" data-unit-id="${unit.unitId}" title="Move to Rehab"><i class="fas fa-heartbeat"></i></button>
           ${releaseButtonHtml}
         </div>
       </div>`;
     return `
-      <div class="unit-in-group list-group-item d-flex justify-content-between align-items-center py-1 px-2">
-        <div class="d-flex align-items-center">${checkboxHtml}${labelHtml}</div>
+      <div class="unit-in-group list-group-item d-flex${needsRotation ? ' unit-needs-rotation' : ''} justify-content-between align-items-center py-1 px-2">
+        <div class="d-flex align-items-center">${checkboxHtml}<div class="d-flex flex-wrap align-items-center">${labelHtml}</div></div>
         ${singleUnitActions}
       </div>`;
   }).join('') : '<p class="text-muted p-2 no-units-assigned"><em>No units assigned.</em></p>';
@@ -356,20 +442,25 @@ function renderSingleGroupCard(group, groupMap) {
   let reportsToHtml = '';
   if (group.parentGroupId) {
     const parentName = groupMap.get(group.parentGroupId) || 'Unknown';
-    const clearParentBtn = appState.isViewOnly ? '' : `<button class="btn-clear-parent js-clear-parent" title="Remove from Group" data-child-group-id="${group.id}">×</button>`;
+    const clearParentBtn = isReadOnly ? '' : `<button class="btn-clear-parent js-clear-parent" title="Remove from Group" data-child-group-id="${group.id}">×</button>`;
     reportsToHtml = `<div class="reports-to-bar d-flex justify-content-between align-items-center"><span>Reports to: <strong>${parentName}</strong></span>${clearParentBtn}</div>`;
   }
-  const assignParentButton = appState.isViewOnly || group.parentGroupId ? '' : `<button class="btn btn-sm btn-outline-info py-0 px-1 js-assign-parent" data-group-id="${group.id}" title="Assign to Group"><i class="fas fa-sitemap"></i></button>`;
+  const assignParentButton = isReadOnly || group.parentGroupId ? '' : `<button class="btn btn-sm btn-outline-info py-0 px-1 js-assign-parent" data-group-id="${group.id}" title="Assign to Group"><i class="fas fa-sitemap"></i></button>`;
   const safeGroupName = group.groupName.replace(/'/g, "\\'");
   const disbandBtnData = `data-group-id="${group.id}" data-group-name="${safeGroupName}"`;
-  const disbandButton = appState.isViewOnly ? '' : `<button class="btn btn-sm btn-outline-secondary py-0 px-1 js-disband-group" ${disbandBtnData} title="Disband Group"><i class="fas fa-trash"></i></button>`;
+  const disbandButton = isReadOnly ? '' : `<button class="btn btn-sm btn-outline-secondary py-0 px-1 js-disband-group" ${disbandBtnData} title="Disband Group"><i class="fas fa-trash"></i></button>`;
 
-  const headerContent = `<div class="d-flex justify-content-between align-items-start"><div><h5 class="card-title mb-0">${group.groupName}</h5>${supervisorHtml}</div>${parButtonHtml}</div>${reportsToHtml}${multiUnitActionsHtml}`;
-  const footerContent = `<div class="d-flex justify-content-between align-items-center w-100"><div style="flex-basis: 60px;" class="d-flex">${assignParentButton}</div><div class="btn-group btn-group-sm mx-auto">${benchmarkButtonsHtml}</div><div style="flex-basis: 60px;" class="d-flex justify-content-end">${disbandButton}</div></div>`;
+  const personnelHtml = `<div style="font-size: 0.8em;">Personnel: <strong>${group.personnelCount || 0}</strong></div>`;
+  const queuedHtml = group.hasQueuedChanges && !replayTime ? ' <i class="fas fa-cloud-upload-alt small" title="Changes waiting to be sent"></i>' : '';
+  const headerContent = `<div class="d-flex justify-content-between align-items-start"><div><h5 class="card-title mb-0">${group.groupName}${queuedHtml}</h5>${supervisorHtml}${personnelHtml}</div><div class="d-flex">${maydayButtonHtml}${parButtonHtml}</div></div>${reportsToHtml}${multiUnitActionsHtml}`;
+  const footerContent = `<div class="d-flex justify-content-between align-items-center w-100"><div style="flex-basis: 60px;" class="d-flex">${assignParentButton}</div><div class="btn-group btn-group-sm mx-auto flex-wrap">${benchmarkButtonsHtml}</div><div style="flex-basis: 60px;" class="d-flex justify-content-end">${disbandButton}</div></div>`;
   const headerStyle = `style="background-color: ${group.headerColor || '#6c757d'}; color: ${getContrastYIQ(group.headerColor)};"`;
-  const cardData = `id="group-card-${group.id}" data-group-id="${group.id}" data-is-child="${!!group.parentGroupId}"`;
+  // Replayed cards sit outside the live board, so they take no part in its clicks or lookups.
+  const cardData = replayTime
+    ? `data-is-child="${!!group.parentGroupId}"`
+    : `id="group-card-${group.id}" data-group-id="${group.id}" data-is-child="${!!group.parentGroupId}" onclick="handleGroupCardClick('${group.id}')"`;
 
-  return `<div class="card shadow-sm group-card" ${cardData} onclick="handleGroupCardClick('${group.id}')"><div class="card-header" ${headerStyle}>${headerContent}</div><div class="card-body p-0"><div class="list-group list-group-flush">${unitsHtml}</div></div><div class="card-footer text-center p-1">${footerContent}</div></div>`;
+  return `<div class="card shadow-sm group-card" ${cardData}><div class="card-header" ${headerStyle}>${headerContent}</div><div class="card-body p-0"><div class="list-group list-group-flush">${unitsHtml}</div></div><div class="card-footer text-center p-1">${footerContent}</div></div>`;
 }
 
 // ===================================================================
@@ -405,10 +496,22 @@ function setupCommandBoardEventListeners() {
         // Main Incident Content Actions
         if (button.id === 'incidentViewRefreshBtn') handleManualRefresh();
         if (button.id === 'closeIncidentBtn') handleCloseIncident();
+        if (button.id === 'declareEvacuationBtn') handleDeclareEvacuation();
+        if (button.id === 'mutualAidBtn') openMutualAidModal();
+        if (button.id === 'auditTrailBtn') openAuditTrailModal();
+        if (button.id === 'ackTimeMilestoneBtn') handleAcknowledgeTimeMilestone(button);
         if (button.id === 'applyTemplateBtn') handleApplyTemplate();
         if (button.id === 'addGroupBtn') handleAddGroup();
         if (button.id === 'reorderGroupsBtn') toggleReorderMode();
         if (button.id === 'cancelReorderBtn') toggleReorderMode();
+        if (button.matches('.js-ics-form')) handleIcsFormClick(button, appState.currentIncident.id);
+        if (button.matches('.js-incident-benchmark-btn')) handleIncidentBenchmarkClick(button);
+        if (button.id === 'addStagingAreaBtn') openStagingAreaModal();
+        if (button.matches('.js-edit-staging-area')) openStagingAreaModal(button.dataset.stagingAreaId);
+        if (button.matches('.js-close-staging-area')) handleCloseStagingArea(button.dataset.stagingAreaId);
+        if (button.matches('.js-staging-checkin')) handleStagingCheckIn(button.dataset.stagingAreaId);
+        if (button.matches('.js-unit-rehab')) handleMoveUnitToRehab(button.dataset.unitId);
+        if (button.matches('.js-unit-air')) handleUnitAirClick(button);
 
         // Group Card and Unit Actions (using class selectors)
         if (button.matches('.js-set-supervisor')) handleSetSupervisor(button.dataset.groupId, button.dataset.unitId);
@@ -416,8 +519,11 @@ function setupCommandBoardEventListeners() {
         if (button.matches('.js-split-unit')) splitUnit(button);
         if (button.matches('.js-release-unit')) handleReleaseUnitClick(button.dataset.id, button.dataset.name);
         if (button.matches('.js-move-unit')) handleMoveUnitClick(button.dataset.id, button.dataset.name);
-        if (button.matches('.js-benchmark-btn')) handleBenchmarkClick(button.dataset.groupId, button.dataset.benchmarkName, button.dataset.currentStatus);
+        if (button.matches('.js-edit-roster')) openUnitRosterModal(button.dataset.unitId);
+        if (button.matches('.js-benchmark-btn')) handleBenchmarkClick(button.dataset.groupId, button.dataset.benchmarkKey, button.dataset.nextStatus);
         if (button.matches('.js-par-btn')) handleParButtonClick(button);
+        if (button.matches('.js-unit-par-btn')) handleUnitParClick(button);
+        if (button.matches('.js-mayday-btn')) handleDeclareMayday(button);
         if (button.matches('.js-disband-group')) handleDisbandGroupClick(button);
         if (button.matches('.js-assign-parent')) handleAssignParentClick(button);
         if (button.matches('.js-clear-parent')) handleClearParentClick(button);
@@ -437,6 +543,8 @@ function setupCommandBoardEventListeners() {
         if (target.id === 'commonGroupSelect') handleAddGroup(); // For selecting a common group
         if (target.matches('.available-unit-checkbox')) handleAvailableUnitCheckboxChange(target);
         if (target.matches('.group-unit-checkbox')) handleGroupUnitCheckboxChange(target);
+        if (target.matches('.js-unit-status-select')) handleUnitStatusChange(target);
+        if (target.matches('.js-rehab-vitals-select')) handleRehabVitalsChange(target);
     });
 }
 
@@ -538,7 +646,9 @@ async function loadAndDisplayIncident(incidentData, isViewOnly = false) {
     await Promise.all([
       loadGroupsForCurrentIncident(),
       loadSplitUnits(),
-      loadAvailableUnits()
+      loadAvailableUnits(),
+      loadStagingAreas(),
+      loadRehabUnits()
     ]);
 
     renderIncidentContent();
@@ -570,7 +680,9 @@ async function reloadCurrentIncidentView() {
     if (!response.success) throw new Error(response.message);
     const latestIncidentData = response.data;
     const amINowTheCommander = latestIncidentData.commanderUid === appState.currentUser.uid;
-    await loadAndDisplayIncident(latestIncidentData, !amINowTheCommander);
+    const sharedIncident = getSharedIncident(incidentId);
+    const isViewOnly = sharedIncident ? sharedIncident.accessLevel !== 'assign' : !amINowTheCommander;
+    await loadAndDisplayIncident(latestIncidentData, isViewOnly);
   } catch (error) {
     showError("Failed to reload the incident view. You may need to return to the list and re-select the incident.");
   }
@@ -584,7 +696,7 @@ async function loadGroupsForCurrentIncident() {
         });
         if (response.success) {
             if (appState.currentIncident) {
-                appState.currentIncident.groups = response.data;
+                appState.currentIncident.groups = applyOfflineQueue({ groups: response.data }).groups;
             }
         } else {
             showError(response.message);
@@ -601,6 +713,10 @@ function clearIncidentDetails() {
   appState.currentIncident = null;
   appState.isViewOnly = false;
   appState.isCommandRequestPending = false;
+  updateMaydayAlert(null);
+  updateEvacuationBanner(null);
+  hideUndoToast();
+  stopIncidentClock();
   const mainContent = document.getElementById("commandMainContent");
   if (mainContent) mainContent.innerHTML = "";
   setIncidentActiveUI(false);
@@ -612,11 +728,15 @@ function clearAllIncidentListeners() {
     if (myRequestStatusListener) myRequestStatusListener();
     if (groupsListener) groupsListener();
     if (assignmentsListener) assignmentsListener();
+    if (stagingAreasListener) stagingAreasListener();
+    if (incidentUnitsListener) incidentUnitsListener();
     mainIncidentListener = null;
     commandRequestListener = null;
     myRequestStatusListener = null;
     groupsListener = null;
     assignmentsListener = null;
+    stagingAreasListener = null;
+    incidentUnitsListener = null;
 }
 
 /**
@@ -651,6 +771,15 @@ async function handleActiveIncidentSelect() {
     appState.currentIncident = response.data;
     const incident = appState.currentIncident;
 
+    // Command of a mutual-aid incident stays with the agency that shared it,
+    // so the board opens straight away at the granted access level.
+    const sharedIncident = getSharedIncident(incidentId);
+    if (sharedIncident) {
+      actionButtons.style.display = "none";
+      await loadAndDisplayIncident(incident, sharedIncident.accessLevel !== 'assign');
+      return;
+    }
+
     // --- THIS IS THE FINAL, CORRECTED LOGIC HIERARCHY ---
     const isCommanded = !!incident.commanderUid;
     const isCommandedByMyUser = isCommanded && incident.commanderUid === appState.currentUser.uid;
@@ -666,7 +795,13 @@ async function handleActiveIncidentSelect() {
       takeCommandBtn.disabled = false;
     } else {
       // Incident is commanded by someone.
-      if (isCommandedByThisSession) {
+      if (isCommandedByThisSession && offlineState.isOffline) {
+        // Command cannot be re-established offline, but this session still
+        // holds it, so the board opens from the offline cache.
+        actionButtons.style.display = "none";
+        await loadAndDisplayIncident(incident, false);
+        return;
+      } else if (isCommandedByThisSession) {
         // SCENARIO 2: Commanded by a dead session on this device.
         takeCommandBtn.textContent = "Re-establish Command";
         takeCommandBtn.disabled = false;
@@ -724,7 +859,8 @@ function listenForIncidentChanges() {
 
   const db = firebase.firestore();
   const incidentId = appState.currentIncident.id;
-  const customerId = appState.initialData.customerId;
+  // A mutual-aid incident's records belong to the agency that shared it.
+  const customerId = appState.currentIncident.customerId || appState.initialData.customerId;
 
   mainIncidentListener = db.collection("incidents").doc(incidentId)
     .onSnapshot(async (doc) => {
@@ -756,9 +892,12 @@ function listenForIncidentChanges() {
       } else {
         // If our command status hasn't changed, update the incident data
         // in the background without a full redraw.
-        appState.currentIncident = { id: doc.id, ...freshData };
+        appState.currentIncident = { id: doc.id, ...freshData, groups: appState.currentIncident.groups };
       }
       // --- END OF NEW LOGIC ---
+      updateMaydayAlert(freshData.mayday);
+      updateEvacuationBanner(freshData.evacuation);
+      updateIncidentBenchmarkStrip(freshData.benchmarks);
     });
 
   const refreshTacticalView = async () => {
@@ -776,6 +915,776 @@ function listenForIncidentChanges() {
     .where("incidentId", "==", incidentId)
     .where("customerId", "==", customerId)
     .onSnapshot(refreshTacticalView);
+
+  stagingAreasListener = db.collection("stagingAreas")
+    .where("incidentId", "==", incidentId)
+    .where("customerId", "==", customerId)
+    .onSnapshot(() => loadStagingAreas());
+
+  // Status changes (dispatch, staging, rehab) and air timers only touch the
+  // unit documents. Not scoped by customer, so mutual-aid units are included.
+  incidentUnitsListener = db.collection("units")
+    .where("statusIncidentId", "==", incidentId)
+    .onSnapshot(() => Promise.all([refreshTacticalView(), loadAvailableUnits(), loadStagingAreas(), loadRehabUnits()]));
+}
+
+// ===================================================================
+//
+//  MAYDAY
+//
+// ===================================================================
+
+/**
+ * Declares a Mayday from a group card. No confirmation is asked for; the
+ * incident listener raises the alert on every connected device, where the
+ * LUNAR details can then be recorded.
+ */
+async function handleDeclareMayday(button) {
+  if (!appState.currentIncident) return;
+  showLoader();
+  try {
+    await callApi('declareMayday', {
+      incidentId: appState.currentIncident.id,
+      groupId: button.dataset.groupId,
+    });
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+/**
+ * Shows, updates or hides the full-screen Mayday alert to match the
+ * incident's Mayday record. Called on every incident snapshot.
+ */
+function updateMaydayAlert(mayday) {
+  const overlay = document.getElementById('maydayOverlay');
+  const banner = document.getElementById('maydayBanner');
+  if (!overlay || !banner) return;
+  if (maydayElapsedInterval) {
+    clearInterval(maydayElapsedInterval);
+    maydayElapsedInterval = null;
+  }
+  if (!mayday || !mayday.active) {
+    overlay.style.display = 'none';
+    banner.style.display = 'none';
+    maydayMinimizedFor = null;
+    return;
+  }
+
+  const declaredAt = mayday.declaredAt.toDate ? mayday.declaredAt.toDate() : new Date(mayday.declaredAt);
+  const lunar = [
+    ['Location', mayday.location],
+    ['Unit', mayday.unitName],
+    ['Name', mayday.name],
+    ['Assignment', mayday.assignment],
+    ['Resources Needed', mayday.resourcesNeeded],
+  ];
+  document.getElementById('maydayLunarDetails').innerHTML = lunar
+    .map(([label, value]) => `<dt>${label}</dt><dd>${value ? escapeHtml(value) : '<em>Unknown</em>'}</dd>`)
+    .join('');
+  document.getElementById('maydayBannerSummary').textContent =
+    [mayday.unitName, mayday.location].filter(Boolean).join(' - ');
+  document.getElementById('clearMaydayBtn').style.display = appState.isViewOnly ? 'none' : 'inline-block';
+
+  const elapsedDisplay = document.getElementById('maydayElapsed');
+  const declaredText = `Declared ${declaredAt.toLocaleTimeString()} by ${escapeHtml(mayday.declaredByName)}`;
+  const updateElapsed = () => {
+    const totalSeconds = Math.max(0, Math.floor((Date.now() - declaredAt.getTime()) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    elapsedDisplay.innerHTML = `${declaredText} &middot; <strong>${minutes}:${seconds}</strong> elapsed`;
+  };
+  updateElapsed();
+  maydayElapsedInterval = setInterval(updateElapsed, 1000);
+
+  const isMinimized = maydayMinimizedFor === declaredAt.getTime();
+  overlay.style.display = isMinimized ? 'none' : 'flex';
+  banner.style.display = isMinimized ? 'flex' : 'none';
+}
+
+/**
+ * Collapses the alert to a banner so the board can be worked, or brings the
+ * full-screen alert back. Only affects this device.
+ */
+function setMaydayMinimized(isMinimized) {
+  const mayday = appState.currentIncident?.mayday;
+  if (!mayday || !mayday.active) return;
+  const declaredAt = mayday.declaredAt.toDate ? mayday.declaredAt.toDate() : new Date(mayday.declaredAt);
+  maydayMinimizedFor = isMinimized ? declaredAt.getTime() : null;
+  updateMaydayAlert(mayday);
+}
+
+function openMaydayModal() {
+  const mayday = appState.currentIncident?.mayday;
+  if (!mayday || !mayday.active) return;
+  const unitSelect = document.getElementById('maydayUnitSelect');
+  unitSelect.innerHTML = '<option value="">-- Unknown --</option>';
+  (appState.currentIncident.groups || []).forEach(group => {
+    (group.units || []).forEach(unit => {
+      unitSelect.appendChild(new Option(`${unit.unit} (${group.groupName})`, unit.unitId));
+    });
+  });
+  unitSelect.value = mayday.unitId || '';
+  document.getElementById('maydayLocation').value = mayday.location || '';
+  document.getElementById('maydayName').value = mayday.name || '';
+  document.getElementById('maydayAssignment').value = mayday.assignment || '';
+  document.getElementById('maydayResourcesNeeded').value = mayday.resourcesNeeded || '';
+  document.getElementById('maydayCreateRitGroup').checked = false;
+  document.getElementById('maydayRitGroupOption').style.display = mayday.ritGroupId ? 'none' : 'block';
+  $('#maydayModal').modal('show');
+}
+
+async function handleSaveMayday() {
+  if (!appState.currentIncident) return;
+  showLoader();
+  $('#maydayModal').modal('hide');
+  try {
+    await callApi('updateMayday', {
+      incidentId: appState.currentIncident.id,
+      location: document.getElementById('maydayLocation').value,
+      unitId: document.getElementById('maydayUnitSelect').value,
+      name: document.getElementById('maydayName').value,
+      assignment: document.getElementById('maydayAssignment').value,
+      resourcesNeeded: document.getElementById('maydayResourcesNeeded').value,
+      createRitGroup: document.getElementById('maydayCreateRitGroup').checked,
+    });
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+async function handleClearMayday() {
+  if (!appState.currentIncident || appState.isViewOnly) return;
+  if (!confirm("Clear the Mayday? Only do this once the member is accounted for.")) return;
+  showLoader();
+  try {
+    await callApi('clearMayday', { incidentId: appState.currentIncident.id });
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+// ===================================================================
+//
+//  MUTUAL AID
+//
+// ===================================================================
+
+/**
+ * Finds an incident another agency has shared with this one.
+ * @param {string} incidentId The incident's ID.
+ * @return {object|undefined} The shared incident, with its sharedBy and
+ *     accessLevel.
+ */
+function getSharedIncident(incidentId) {
+  return (appState.initialData?.sharedIncidents || []).find(inc => inc.id === incidentId);
+}
+
+async function openMutualAidModal() {
+  if (appState.isViewOnly || !appState.currentIncident) return;
+  document.getElementById('mutualAidForm').reset();
+  document.getElementById('mutualAidAgencyId').textContent = appState.initialData.customerId;
+  $('#mutualAidModal').modal('show');
+  await loadIncidentShares();
+}
+
+async function loadIncidentShares() {
+  const list = document.getElementById('mutualAidShareList');
+  list.innerHTML = '<li class="list-group-item text-muted"><em>Loading...</em></li>';
+  try {
+    const response = await callApi('getIncidentShares', { incidentId: appState.currentIncident.id });
+    list.innerHTML = response.data.length === 0
+      ? '<li class="list-group-item text-muted"><em>Not shared with any agency.</em></li>'
+      : response.data.map(share => `
+        <li class="list-group-item d-flex justify-content-between align-items-center">
+          <span>${escapeHtml(share.partnerName)} <small class="text-muted">(${share.accessLevel === 'assign' ? 'View and assign' : 'View only'})</small></span>
+          <button class="btn btn-sm btn-outline-danger py-0 js-revoke-share" data-partner-customer-id="${share.customerId}">Revoke</button>
+        </li>`).join('');
+  } catch (error) {
+    list.innerHTML = `<li class="list-group-item text-danger"><em>${error.message}</em></li>`;
+  }
+}
+
+async function handleShareIncident() {
+  const partnerCustomerId = document.getElementById('mutualAidPartnerIdInput').value.trim();
+  if (!partnerCustomerId) {
+    alert("Enter the agency ID of the agency to invite.");
+    return;
+  }
+  showLoader();
+  try {
+    await callApi('shareIncident', {
+      incidentId: appState.currentIncident.id,
+      partnerCustomerId,
+      accessLevel: document.getElementById('mutualAidAccessSelect').value,
+    }, 'POST');
+    document.getElementById('mutualAidForm').reset();
+    await Promise.all([loadIncidentShares(), loadAvailableUnits()]);
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+async function handleRevokeIncidentShare(button) {
+  if (!confirm("Revoke this agency's access to the incident?")) return;
+  showLoader();
+  try {
+    await callApi('revokeIncidentShare', {
+      incidentId: appState.currentIncident.id,
+      partnerCustomerId: button.dataset.partnerCustomerId,
+    }, 'POST');
+    await Promise.all([loadIncidentShares(), loadAvailableUnits()]);
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+// ===================================================================
+//
+//  EVACUATION ROLL CALL
+//
+// ===================================================================
+
+async function handleDeclareEvacuation() {
+  if (appState.isViewOnly || !appState.currentIncident) return;
+  if (!confirm("Order an evacuation? A PAR will be started on every active group.")) return;
+  showLoader();
+  try {
+    await callApi('declareEvacuation', { incidentId: appState.currentIncident.id });
+    await reloadCurrentIncidentView();
+  } catch (error) {
+    showError(error.message);
+    hideLoader();
+  }
+}
+
+async function handleEndEvacuation() {
+  if (appState.isViewOnly || !appState.currentIncident) return;
+  if (!confirm("End the roll call before every group has reported?")) return;
+  showLoader();
+  try {
+    await callApi('endEvacuation', { incidentId: appState.currentIncident.id });
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+/**
+ * Shows the evacuation banner with a countdown to the PAR deadline and the
+ * groups that have not yet acknowledged, or hides it once the roll call is
+ * over. Called on every incident snapshot.
+ */
+function updateEvacuationBanner(evacuation) {
+  const banner = document.getElementById('evacuationBanner');
+  if (!banner) return;
+  if (evacuationCountdownInterval) {
+    clearInterval(evacuationCountdownInterval);
+    evacuationCountdownInterval = null;
+  }
+  if (!evacuation || !evacuation.active) {
+    banner.style.display = 'none';
+    return;
+  }
+
+  const outstanding = evacuation.groupIds
+    .filter(id => !evacuation.acknowledgedGroupIds.includes(id))
+    .map(id => escapeHtml(evacuation.groupNames[id]));
+  document.getElementById('evacuationOutstanding').innerHTML =
+    `<strong>${outstanding.join(', ')}</strong> (${outstanding.length} of ${evacuation.groupIds.length})`;
+  document.getElementById('endEvacuationBtn').style.display = appState.isViewOnly ? 'none' : 'inline-block';
+
+  const deadline = evacuation.deadline.toDate ? evacuation.deadline.toDate() : new Date(evacuation.deadline);
+  const countdown = document.getElementById('evacuationCountdown');
+  const updateCountdown = () => {
+    const remainingSeconds = Math.round((deadline.getTime() - Date.now()) / 1000);
+    const isOverdue = remainingSeconds < 0;
+    const totalSeconds = Math.abs(remainingSeconds);
+    const clock = `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    countdown.textContent = isOverdue ? `OVERDUE by ${clock}` : `${clock} remaining`;
+    banner.classList.toggle('evacuation-overdue', isOverdue);
+  };
+  updateCountdown();
+  evacuationCountdownInterval = setInterval(updateCountdown, 1000);
+  banner.style.display = 'flex';
+}
+
+// ===================================================================
+//
+//  INCIDENT CLOCK
+//
+// ===================================================================
+
+/**
+ * Starts the elapsed-time clock in the incident summary bar. Each tick reads
+ * the current incident, so acknowledgements from any device are picked up
+ * without restarting it.
+ */
+function startIncidentClock() {
+  stopIncidentClock();
+  tickIncidentClock();
+  incidentClockInterval = setInterval(tickIncidentClock, 1000);
+}
+
+function stopIncidentClock() {
+  if (incidentClockInterval) clearInterval(incidentClockInterval);
+  incidentClockInterval = null;
+  announcedTimeMilestone = null;
+}
+
+/**
+ * Updates the clock and shows a prompt for the latest elapsed-time milestone
+ * that has passed and not been acknowledged. Earlier unacknowledged
+ * milestones are skipped so the commander only sees the current one.
+ */
+function tickIncidentClock() {
+  const incident = appState.currentIncident;
+  const clock = document.getElementById('incidentClock');
+  const alert = document.getElementById('timeMilestoneAlert');
+  if (!incident || !incident.startTime || !clock || !alert) return;
+
+  const startTime = incident.startTime.toDate ? incident.startTime.toDate() : new Date(incident.startTime);
+  const totalSeconds = Math.max(0, Math.floor((Date.now() - startTime.getTime()) / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  clock.innerHTML = `<i class="far fa-clock"></i> ${hours}:${minutes}:${seconds}`;
+  updateBoardDurations();
+
+  const elapsedMinutes = totalSeconds / 60;
+  const acknowledged = incident.acknowledgedTimeMilestones || [];
+  const lastAcknowledged = Math.max(0, ...acknowledged);
+  const milestones = appState.initialData.settings.timeMilestoneMinutes || [];
+  const due = milestones.filter(m => m <= elapsedMinutes && m > lastAcknowledged).pop();
+
+  if (!due) {
+    alert.style.display = 'none';
+    return;
+  }
+  document.getElementById('timeMilestoneText').textContent = `${due} MINUTES ELAPSED`;
+  document.getElementById('ackTimeMilestoneBtn').dataset.minutes = due;
+  alert.style.display = 'inline-flex';
+  if (announcedTimeMilestone !== due) {
+    announcedTimeMilestone = due;
+    playMilestoneTone();
+  }
+}
+
+/**
+ * Plays a short two-tone alert. Browsers may block audio until the user has
+ * interacted with the page, in which case the visual prompt still shows.
+ */
+function playMilestoneTone() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  try {
+    const context = new AudioContextClass();
+    [880, 660].forEach((frequency, index) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(context.currentTime + index * 0.3);
+      oscillator.stop(context.currentTime + index * 0.3 + 0.25);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch (error) {
+    console.warn("Could not play milestone tone:", error);
+  }
+}
+
+async function handleAcknowledgeTimeMilestone(button) {
+  if (appState.isViewOnly) return;
+  try {
+    await callApi('acknowledgeTimeMilestone', {
+      incidentId: appState.currentIncident.id,
+      minutes: button.dataset.minutes,
+    });
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+// ===================================================================
+//
+//  STAGING
+//
+// ===================================================================
+
+async function loadStagingAreas() {
+  const container = document.getElementById("staging-section");
+  if (!container || !appState.currentIncident) {
+    if (container) container.innerHTML = "";
+    return;
+  }
+  try {
+    const response = await callApi("getStagingAreasForIncident", {
+      incidentId: appState.currentIncident.id,
+    });
+    appState.stagingAreas = response.data;
+    container.innerHTML = renderStagingPanel(response.data);
+    updateBoardDurations();
+  } catch (error) {
+    container.innerHTML = `<div class="p-2 text-danger"><em>${error.message}</em></div>`;
+  }
+}
+
+/**
+ * Renders the staging panel. Staged units use the same checkboxes as the
+ * available units list, so they are assigned by selecting them and clicking
+ * a group card.
+ * @param {Array<object>} areas The incident's open staging areas.
+ * @return {string} The panel markup.
+ */
+function renderStagingPanel(areas) {
+  const isDisabled = appState.isViewOnly ? 'disabled' : '';
+  const addButton = appState.isViewOnly ? '' : '<button id="addStagingAreaBtn" class="btn btn-sm btn-outline-primary py-0">New Area</button>';
+  const areasHtml = areas.length === 0
+    ? '<div class="p-2 text-muted"><em>No staging areas.</em></div>'
+    : areas.map(area => {
+      const details = [`Level ${area.level}`, area.location, area.managerName ? `Mgr: ${area.managerName}` : null]
+        .filter(Boolean).map(escapeHtml).join(' &middot; ');
+      const unitRows = area.units.map(unit => `
+        <tr>
+          <td><input type="checkbox" class="available-unit-checkbox" data-unit-id="${unit.id}" ${appState.selectedAvailableUnits.has(unit.id) ? 'checked' : ''} ${isDisabled}></td>
+          <td>${escapeHtml(unit.unit)}</td>
+          <td><i class="fas fa-user"></i> ${unit.personnelCount}</td>
+          <td class="text-right"><small class="js-elapsed-since" data-since="${unit.stagedAt || ''}"></small></td>
+        </tr>`).join('');
+      const actions = appState.isViewOnly ? '' : `
+        <div class="btn-group btn-group-sm">
+          <button class="btn btn-outline-success py-0 js-staging-checkin" data-staging-area-id="${area.id}" title="Check in the selected units">Check In</button>
+          <button class="btn btn-outline-secondary py-0 js-edit-staging-area" data-staging-area-id="${area.id}" title="Edit"><i class="fas fa-edit"></i></button>
+          <button class="btn btn-outline-danger py-0 js-close-staging-area" data-staging-area-id="${area.id}" title="Close"><i class="fas fa-times"></i></button>
+        </div>`;
+      return `
+        <div class="card mb-1">
+          <div class="card-header p-2 d-flex justify-content-between align-items-center">
+            <div><strong>${escapeHtml(area.name)}</strong> <span class="badge badge-primary badge-pill">${area.units.length}</span><div class="small text-muted">${details}</div></div>
+            ${actions}
+          </div>
+          ${area.units.length > 0 ? `<table class="table table-sm mb-0 staging-units-table"><tbody>${unitRows}</tbody></table>` : '<div class="p-2 small text-muted"><em>No units staged.</em></div>'}
+        </div>`;
+    }).join('');
+  return `<div class="mt-2"><div class="d-flex justify-content-between align-items-center"><h4>Staging</h4>${addButton}</div>${areasHtml}</div>`;
+}
+
+/**
+ * Refreshes the staging and rehab durations and the air countdowns. Called
+ * from the incident clock's tick.
+ */
+function updateBoardDurations() {
+  document.querySelectorAll('.js-elapsed-since').forEach(el => {
+    if (!el.dataset.since) return;
+    const minutes = Math.floor((Date.now() - new Date(el.dataset.since).getTime()) / 60000);
+    el.textContent = formatDuration(Math.max(0, minutes));
+  });
+  document.querySelectorAll('.js-rest-remaining').forEach(el => {
+    const remainingMs = new Date(el.dataset.restUntil).getTime() - Date.now();
+    el.textContent = remainingMs > 0 ? `Rest ${formatDuration(Math.ceil(remainingMs / 60000))}` : 'Rested';
+    el.classList.toggle('badge-warning', remainingMs > 0);
+    el.classList.toggle('badge-success', remainingMs <= 0);
+  });
+  document.querySelectorAll('.js-air-remaining').forEach(updateAirCountdown);
+}
+
+/**
+ * Updates one unit's air countdown, and sounds the turnaround alert the
+ * first time the crew passes each configured percentage of its cylinder.
+ * @param {HTMLElement} el The countdown badge.
+ */
+function updateAirCountdown(el) {
+  const cylinderSeconds = Number(el.dataset.airMinutes) * 60;
+  const usedSeconds = Math.floor((Date.now() - new Date(el.dataset.airStart).getTime()) / 1000);
+  const remainingSeconds = Math.max(0, cylinderSeconds - usedSeconds);
+  const minutes = Math.floor(remainingSeconds / 60);
+  const seconds = String(remainingSeconds % 60).padStart(2, '0');
+  el.innerHTML = `<i class="fas fa-lungs"></i> ${minutes}:${seconds}`;
+
+  const usedPercent = (usedSeconds / cylinderSeconds) * 100;
+  const alertPercents = appState.initialData.settings?.scbaAlertPercents || [50, 75];
+  const passed = alertPercents.filter(percent => percent <= usedPercent).pop();
+  el.classList.toggle('badge-info', !passed);
+  el.classList.toggle('badge-warning', !!passed && remainingSeconds > 0);
+  el.classList.toggle('badge-danger', remainingSeconds === 0);
+  el.classList.toggle('air-turnaround', !!passed);
+  if (passed && (announcedAirAlerts.get(el.dataset.unitId) || 0) < passed) {
+    announcedAirAlerts.set(el.dataset.unitId, passed);
+    playMilestoneTone();
+  }
+}
+
+async function handleUnitAirClick(button) {
+  if (appState.isViewOnly) return;
+  const { unitId, onAir } = button.dataset;
+  let cylinderMinutes;
+  if (onAir !== 'true') {
+    const defaultMinutes = appState.initialData.settings?.scbaCylinderMinutes || 30;
+    cylinderMinutes = prompt("Cylinder duration (minutes):", defaultMinutes);
+    if (cylinderMinutes === null) return;
+  }
+  showLoader();
+  try {
+    if (onAir === 'true') {
+      await callApi('stopUnitAirTimer', { unitId });
+      announcedAirAlerts.delete(unitId);
+    } else {
+      await callApi('startUnitAirTimer', { unitId, cylinderMinutes });
+    }
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+function openStagingAreaModal(stagingAreaId = null) {
+  if (appState.isViewOnly) return;
+  document.getElementById('stagingAreaForm').reset();
+  const area = (appState.stagingAreas || []).find(a => a.id === stagingAreaId);
+  document.getElementById('editingStagingAreaId').value = area ? area.id : '';
+  document.getElementById('stagingAreaModalLabel').textContent = area ? 'Edit Staging Area' : 'New Staging Area';
+  if (area) {
+    document.getElementById('stagingAreaNameInput').value = area.name;
+    document.getElementById('stagingAreaLevelSelect').value = area.level;
+    document.getElementById('stagingAreaLocationInput').value = area.location || '';
+    document.getElementById('stagingAreaManagerInput').value = area.managerName || '';
+  }
+  $('#stagingAreaModal').modal('show');
+}
+
+async function handleSaveStagingArea() {
+  const stagingAreaId = document.getElementById('editingStagingAreaId').value;
+  const params = {
+    name: document.getElementById('stagingAreaNameInput').value,
+    level: document.getElementById('stagingAreaLevelSelect').value,
+    location: document.getElementById('stagingAreaLocationInput').value,
+    managerName: document.getElementById('stagingAreaManagerInput').value,
+  };
+  if (!params.name.trim()) {
+    alert("A staging area name is required.");
+    return;
+  }
+  showLoader();
+  try {
+    if (stagingAreaId) {
+      await callApi('updateStagingArea', { stagingAreaId, ...params });
+    } else {
+      await callApi('createStagingArea', { incidentId: appState.currentIncident.id, ...params });
+    }
+    $('#stagingAreaModal').modal('hide');
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+async function handleCloseStagingArea(stagingAreaId) {
+  if (appState.isViewOnly || !confirm("Close this staging area?")) return;
+  showLoader();
+  try {
+    await callApi('closeStagingArea', { stagingAreaId });
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+/**
+ * Checks the units selected in the available units list into a staging
+ * area.
+ * @param {string} stagingAreaId The staging area to check into.
+ */
+async function handleStagingCheckIn(stagingAreaId) {
+  if (appState.isViewOnly) return;
+  const selectedIds = Array.from(appState.selectedAvailableUnits);
+  if (selectedIds.length === 0) {
+    showError("Select units in the available units list first.");
+    return;
+  }
+  showLoader();
+  try {
+    await callApi('checkUnitsIntoStaging', {
+      incidentId: appState.currentIncident.id,
+      stagingAreaId,
+      unitIds: selectedIds.join(','),
+    });
+    appState.selectedAvailableUnits.clear();
+    updateAssignmentModeUI();
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+// ===================================================================
+//
+//  REHAB
+//
+// ===================================================================
+
+const REHAB_VITALS_STATUSES = ["Pending", "Cleared", "Recheck", "Medical"];
+
+async function loadRehabUnits() {
+  const container = document.getElementById("rehab-section");
+  if (!container || !appState.currentIncident) {
+    if (container) container.innerHTML = "";
+    return;
+  }
+  try {
+    const response = await callApi("getRehabUnitsForIncident", {
+      incidentId: appState.currentIncident.id,
+    });
+    container.innerHTML = renderRehabPanel(response.data);
+    updateBoardDurations();
+  } catch (error) {
+    container.innerHTML = `<div class="p-2 text-danger"><em>${error.message}</em></div>`;
+  }
+}
+
+/**
+ * Renders the rehab panel. Like staged units, rested units are reassigned by
+ * selecting them and clicking a group card; the server refuses units that
+ * have not finished their minimum rest.
+ * @param {Array<object>} units The units in rehab.
+ * @return {string} The panel markup.
+ */
+function renderRehabPanel(units) {
+  if (units.length === 0) return '';
+  const isDisabled = appState.isViewOnly ? 'disabled' : '';
+  const rows = units.map(unit => {
+    const vitalsOptions = REHAB_VITALS_STATUSES.map(status =>
+      `<option value="${status}" ${status === unit.vitalsStatus ? 'selected' : ''}>${status}</option>`).join('');
+    const vitalsTitle = unit.vitalsCheckedAt ? `Checked at ${new Date(unit.vitalsCheckedAt).toLocaleTimeString()}` : 'Vitals not checked';
+    return `
+      <tr>
+        <td><input type="checkbox" class="available-unit-checkbox" data-unit-id="${unit.id}" ${appState.selectedAvailableUnits.has(unit.id) ? 'checked' : ''} ${isDisabled}></td>
+        <td>${escapeHtml(unit.unit)} <small class="text-muted js-elapsed-since" data-since="${unit.enteredAt || ''}"></small></td>
+        <td>${unit.restUntil ? `<span class="badge js-rest-remaining" data-rest-until="${unit.restUntil}"></span>` : ''}</td>
+        <td><select class="form-control form-control-sm py-0 js-rehab-vitals-select" data-unit-id="${unit.id}" title="${vitalsTitle}" ${isDisabled}>${vitalsOptions}</select></td>
+      </tr>`;
+  }).join('');
+  return `
+    <div class="mt-2">
+      <h4>Rehab <span class="badge badge-primary badge-pill">${units.length}</span></h4>
+      <table class="table table-sm mb-0 rehab-units-table"><tbody>${rows}</tbody></table>
+    </div>`;
+}
+
+async function handleMoveUnitToRehab(unitId) {
+  if (appState.isViewOnly) return;
+  showLoader();
+  try {
+    await callApi('moveUnitsToRehab', {
+      incidentId: appState.currentIncident.id,
+      unitIds: unitId,
+    });
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
+}
+
+async function handleRehabVitalsChange(select) {
+  if (appState.isViewOnly) return;
+  try {
+    await callApi('updateRehabVitals', {
+      unitId: select.dataset.unitId,
+      vitalsStatus: select.value,
+    });
+  } catch (error) {
+    showError(error.message);
+    await loadRehabUnits();
+  }
+}
+
+// ===================================================================
+//
+//  INCIDENT BENCHMARKS
+//
+// ===================================================================
+
+// Keep in sync with INCIDENT_BENCHMARKS in functions/index.js.
+const INCIDENT_BENCHMARKS = [
+  { key: "waterSupply", label: "Water Supply Established" },
+  { key: "ritInPlace", label: "RIT In Place" },
+  { key: "utilitiesSecured", label: "Utilities Secured" },
+  { key: "allClear", label: "All Clear" },
+  { key: "underControl", label: "Under Control" },
+  { key: "lossStop", label: "Loss Stop" },
+];
+
+/**
+ * Renders the command strip of incident-level benchmarks. Completed
+ * benchmarks show the time they were reached.
+ * @param {object} [benchmarks] The incident's completed benchmarks, by key.
+ * @param {boolean} [isReadOnly] Disables the buttons; defaults to view-only mode.
+ * @return {string} The strip's inner markup.
+ */
+function renderIncidentBenchmarkStrip(benchmarks, isReadOnly = appState.isViewOnly) {
+  const completed = benchmarks || {};
+  const isDisabled = isReadOnly ? 'disabled' : '';
+  const buttons = INCIDENT_BENCHMARKS.map(benchmark => {
+    const entry = completed[benchmark.key];
+    if (!entry) {
+      return `<button class="btn btn-sm btn-outline-secondary mr-1 mb-1 js-incident-benchmark-btn" data-benchmark-key="${benchmark.key}" data-is-complete="false" ${isDisabled}><i class="far fa-square"></i> ${benchmark.label}</button>`;
+    }
+    const completedAt = entry.completedAt && entry.completedAt.toDate ? entry.completedAt.toDate() : new Date(entry.completedAt);
+    const time = completedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const title = `Completed ${completedAt.toLocaleTimeString()} by ${entry.completedByName || 'Unknown'}`;
+    return `<button class="btn btn-sm btn-success mr-1 mb-1 js-incident-benchmark-btn" data-benchmark-key="${benchmark.key}" data-is-complete="true" title="${escapeHtml(title)}" ${isDisabled}><i class="fas fa-check-square"></i> ${benchmark.label} <small>${time}</small></button>`;
+  }).join('');
+  return `<small class="text-muted font-weight-bold mr-2 mb-1">COMMAND</small>${buttons}`;
+}
+
+/**
+ * Re-renders the command strip from a fresh incident snapshot.
+ * @param {object} [benchmarks] The incident's completed benchmarks, by key.
+ */
+function updateIncidentBenchmarkStrip(benchmarks) {
+  const strip = document.getElementById('incidentBenchmarkStrip');
+  if (strip) strip.innerHTML = renderIncidentBenchmarkStrip(benchmarks);
+}
+
+/**
+ * Toggles an incident benchmark. Clearing one asks for confirmation since its
+ * original time is lost; the incident listener redraws the strip.
+ * @param {HTMLElement} button The clicked strip button.
+ */
+async function handleIncidentBenchmarkClick(button) {
+  if (appState.isViewOnly) return;
+  const { benchmarkKey, isComplete } = button.dataset;
+  const wasComplete = isComplete === 'true';
+  if (wasComplete && !confirm("Clear this benchmark? Its completion time will be removed.")) return;
+
+  showLoader();
+  try {
+    await callApi('updateIncidentBenchmark', {
+      incidentId: appState.currentIncident.id,
+      benchmarkKey,
+      isComplete: !wasComplete,
+    });
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    hideLoader();
+  }
 }
 
 // ===================================================================
@@ -888,6 +1797,106 @@ async function handleDenyCommandRequest() {
   }
 }
 
+// ===================================================================
+//
+//  AUDIT TRAIL
+//
+// ===================================================================
+
+async function openAuditTrailModal() {
+  if (!appState.currentIncident) return;
+  const tbody = document.getElementById('auditTrailTableBody');
+  tbody.innerHTML = '<tr><td colspan="4" class="text-muted"><em>Loading...</em></td></tr>';
+  $('#auditTrailModal').modal('show');
+  try {
+    const response = await callApi('getAuditTrail', { incidentId: appState.currentIncident.id });
+    tbody.innerHTML = response.data.length === 0
+      ? '<tr><td colspan="4" class="text-muted"><em>No changes recorded.</em></td></tr>'
+      : response.data.map(renderAuditEventRow).join('');
+  } catch (error) {
+    tbody.innerHTML = `<tr><td colspan="4" class="text-danger"><em>${escapeHtml(error.message)}</em></td></tr>`;
+  }
+}
+
+/**
+ * Renders one audit event: when, who, which action, and each changed field
+ * as before → after.
+ */
+function renderAuditEventRow(event) {
+  const actor = event.actor || {};
+  const agency = actor.actingAgency ? ` <small class="text-muted">(${escapeHtml(actor.actingAgency)})</small>` : '';
+  const formatValue = (value) => value === null || value === undefined
+    ? '<em>none</em>'
+    : escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  const changes = (event.changes || []).map(change => {
+    const fields = Object.keys(change.after || change.before || {});
+    const label = escapeHtml(change.path);
+    if (!change.after) return `<div><code>${label}</code> deleted</div>`;
+    return fields.map(field => `
+      <div><code>${label}</code> ${escapeHtml(field)}: ${formatValue(change.before?.[field])} &rarr; ${formatValue(change.after[field])}</div>`).join('');
+  }).join('');
+  const outcome = event.outcome === 'error'
+    ? `<div class="text-danger"><small>Failed: ${escapeHtml(event.errorMessage || '')}</small></div>`
+    : '';
+  return `
+    <tr>
+      <td class="text-nowrap"><small>${new Date(event.timestamp).toLocaleString()}</small></td>
+      <td>${escapeHtml(actor.name || 'Unknown')}${agency}
+        <div><small class="text-muted" title="Session / request">${escapeHtml(actor.sessionId || 'no session')} / ${escapeHtml(actor.requestId || '')}</small></div>
+      </td>
+      <td>${escapeHtml(event.action)}${outcome}</td>
+      <td class="audit-trail-changes"><small>${changes || '<em class="text-muted">No field changes</em>'}</small></td>
+    </tr>`;
+}
+
+// ===================================================================
+//
+//  UNDO
+//
+// ===================================================================
+
+const UNDO_TOAST_SECONDS = 10;
+let undoToastTimeout = null;
+
+/**
+ * Offers to undo the board action that just succeeded. Only the commander
+ * can undo, and the server keeps a stack of recent actions, so repeated
+ * undos walk back through them.
+ * @param {string} text What the action did, e.g. "Unit moved.".
+ */
+function showUndoToast(text) {
+  const toast = document.getElementById('undoToast');
+  const incident = appState.currentIncident;
+  if (!toast || !incident || incident.commanderUid !== appState.currentUser.uid) return;
+  // Undo works on what the server has done, so it waits for queued actions.
+  if (getOfflineQueue().length > 0) return;
+  document.getElementById('undoToastText').textContent = text;
+  toast.style.display = 'flex';
+  clearTimeout(undoToastTimeout);
+  undoToastTimeout = setTimeout(hideUndoToast, UNDO_TOAST_SECONDS * 1000);
+}
+
+function hideUndoToast() {
+  clearTimeout(undoToastTimeout);
+  undoToastTimeout = null;
+  const toast = document.getElementById('undoToast');
+  if (toast) toast.style.display = 'none';
+}
+
+async function handleUndoTacticalAction() {
+  if (!appState.currentIncident) return;
+  hideUndoToast();
+  showLoader();
+  try {
+    const response = await callApi('undoTacticalAction', { incidentId: appState.currentIncident.id }, 'POST');
+    showUndoToast(response.data.message);
+    await reloadCurrentIncidentView();
+  } catch (error) {
+    showError(error.message);
+    hideLoader();
+  }
+}
+
 // ===================================================================
 //
 //  TACTICAL GROUP AND UNIT HANDLERS
@@ -918,6 +1927,7 @@ async function handleGroupCardClick(clickedGroupId) {
                 childGroupId,
                 parentGroupId,
             });
+            showUndoToast("Group parent set.");
             appState.isAssignParentModeActive = false;
             appState.groupToAssignParent = null;
             updateAssignParentModeUI();
@@ -943,6 +1953,7 @@ async function handleGroupCardClick(clickedGroupId) {
                 newGroupId: clickedGroupId,
                 unitIds: unitIds.join(','),
             });
+            showUndoToast(`${unitIds.length} units moved.`);
             clearGroupSelectionState();
             appState.isMultiMoveActive = false;
             appState.unitsToMultiMove = null;
@@ -975,6 +1986,7 @@ async function handleGroupCardAssignment(groupId) {
       groupId,
       unitIds: selectedIds.join(",")
     });
+    showUndoToast(`${selectedIds.length} unit(s) assigned.`);
     appState.selectedAvailableUnits.clear();
     updateAssignmentModeUI();
     await reloadCurrentIncidentView();
@@ -995,6 +2007,7 @@ async function handleGroupCardMoveClick(newGroupId) {
       unitId: unitToMove.unitId,
       newGroupId,
     });
+    showUndoToast("Unit moved.");
     appState.unitToMove = null;
     updateMoveModeUI();
     clearGroupSelectionState();
@@ -1054,6 +2067,7 @@ async function handleSetSupervisor(groupId, unitId) {
       unitId: unitId,
       incidentId: appState.currentIncident.id,
     });
+    showUndoToast("Supervisor set.");
     clearGroupSelectionState();
     await reloadCurrentIncidentView();
   } catch (error) {
@@ -1104,6 +2118,7 @@ async function handleReleaseUnitClick(unitId, unitName) {
       incidentId: appState.currentIncident.id,
       unitId: unitId,
     });
+    showUndoToast(`${unitName || "Unit"} released.`);
     clearGroupSelectionState();
     await reloadCurrentIncidentView();
   } catch (error) {
@@ -1135,6 +2150,42 @@ async function handleMultiSplitClick(button) {
   }
 }
 
+function openUnitRosterModal(unitId) {
+  if (appState.isViewOnly) return;
+  const unit = findAssignedUnit(unitId);
+  if (!unit) return;
+  document.getElementById('rosterUnitId').value = unitId;
+  document.getElementById('unitRosterModalLabel').textContent = `Crew - ${unit.unit}`;
+  document.getElementById('unitRosterInput').value = (unit.roster || []).join('\n');
+  document.getElementById('unitRosterSaveShift').checked = false;
+  $('#unitRosterModal').modal('show');
+}
+
+/**
+ * Saves the crew for the unit in the roster modal. It always applies to the
+ * unit's assignment on this incident, and optionally to its shift roster.
+ */
+async function handleSaveUnitRoster() {
+  const unitId = document.getElementById('rosterUnitId').value;
+  if (!unitId || !appState.currentIncident) return;
+  const roster = document.getElementById('unitRosterInput').value
+    .split('\n').map(name => name.trim()).filter(Boolean);
+  showLoader();
+  try {
+    await callApi('updateUnitRoster', {
+      unitId,
+      incidentId: appState.currentIncident.id,
+      roster,
+      saveAsShiftRoster: document.getElementById('unitRosterSaveShift').checked,
+    }, 'POST');
+    $('#unitRosterModal').modal('hide');
+    await reloadCurrentIncidentView();
+  } catch (error) {
+    showError(error.message);
+    hideLoader();
+  }
+}
+
 async function splitUnit(button) {
   const { unitId, groupId } = button.dataset;
   if (!unitId || !groupId || appState.isViewOnly) return;
@@ -1156,7 +2207,7 @@ async function splitUnit(button) {
 async function handleDisbandGroupClick(button) {
     if (appState.isViewOnly) return;
     const { groupId, groupName } = button.dataset;
-    const confirmationMessage = `Are you sure you want to permanently disband the "${groupName}" group? This action cannot be undone.`;
+    const confirmationMessage = `Are you sure you want to disband the "${groupName}" group?`;
     if (!confirm(confirmationMessage)) return;
     showLoader();
     try {
@@ -1164,6 +2215,7 @@ async function handleDisbandGroupClick(button) {
             incidentId: appState.currentIncident.id,
             groupId: groupId,
         });
+        showUndoToast(`${groupName} disbanded.`);
         await reloadCurrentIncidentView();
     } catch (error) {
         showError(error.message);
@@ -1241,14 +2293,12 @@ async function handleApplyTemplate() {
   }
 }
 
-async function handleBenchmarkClick(groupId, benchmarkName, currentStatus) {
+async function handleBenchmarkClick(groupId, benchmarkKey, newStatus) {
   if (appState.isViewOnly) return;
-  const statusCycle = { "Pending": "Started", "Started": "Completed", "Completed": "Pending" };
-  const newStatus = statusCycle[currentStatus];
   showLoader();
   try {
     await callApi("updateGroupBenchmark", {
-      groupId, benchmarkName, newStatus,
+      groupId, benchmarkKey, newStatus,
     });
     await reloadCurrentIncidentView();
   } catch (error) {
@@ -1265,12 +2315,17 @@ function renderIncidentControl(activeIncidents) {
     }
     return `<option value="${inc.id}">${inc.incidentNumber} - ${inc.incidentName || "Unnamed"} [${statusText}]</option>`;
   }).join("");
+  const sharedIncidents = appState.initialData?.sharedIncidents || [];
+  const sharedOptions = sharedIncidents.length === 0 ? '' : `
+    <optgroup label="Mutual Aid">
+      ${sharedIncidents.map(inc => `<option value="${inc.id}">${inc.incidentNumber} - ${escapeHtml(inc.incidentName || "Unnamed")} [${escapeHtml(inc.sharedBy)}, ${inc.accessLevel === 'assign' ? 'Assign' : 'View'}]</option>`).join("")}
+    </optgroup>`;
 
   return `
     <div class="card mb-2 shadow-sm">
       <div class="card-header p-0"><h5 class="mb-0"><button class="btn btn-light btn-block text-left d-flex justify-content-between align-items-center py-2 px-3" type="button" data-toggle="collapse" data-target="#collapseIncidentControl" aria-expanded="true"><span>Incident Setup & Selection</span></button></h5></div>
       <div id="collapseIncidentControl" class="collapse show"><div class="card-body p-3">
-        <div class="form-group"><label><b>Select Active Incident:</b></label><select id="activeIncidentsSelect" class="form-control"><option value="">-- Select or Create --</option>${options}</select></div>
+        <div class="form-group"><label><b>Select Active Incident:</b></label><select id="activeIncidentsSelect" class="form-control"><option value="">-- Select or Create --</option>${options}${sharedOptions}</select></div>
 
         <div id="incident-action-buttons" class="mt-2" style="display:none;">
             <button id="takeCommandBtn" class="btn btn-success btn-block">Take Command</button>
@@ -1298,9 +2353,12 @@ async function loadAvailableUnits() {
   if (!container) return;
   container.innerHTML = `<p class="text-muted p-2"><em>Loading...</em></p>`;
   try {
-    const response = await callApi("getAllAvailableUnitsGroupedByDept", {});
+    const response = await callApi("getAllAvailableUnitsGroupedByDept", {
+      incidentId: appState.currentIncident?.id,
+    });
     if (response.success) {
-      appState.departmentsWithAvailableUnits = response.data.departmentsWithUnits;
+      appState.departmentsWithAvailableUnits =
+        applyOfflineQueue({ departments: response.data.departmentsWithUnits }).departments;
       container.innerHTML = renderAvailableUnitsAccordion(
         appState.departmentsWithAvailableUnits,
       );
@@ -1344,6 +2402,7 @@ function renderAvailableUnitsAccordion(departmentsWithUnits) {
               <th scope="col">Unit</th>
               <th scope="col">Name</th>
               <th scope="col">Station</th>
+              <th scope="col">Status</th>
             </tr>
           </thead>
           <tbody>
@@ -1355,6 +2414,7 @@ function renderAvailableUnitsAccordion(departmentsWithUnits) {
                 <td>${unit.unit}</td>
                 <td>${unit.unitName || ''}</td>
                 <td>${unit.stationName || ''}</td>
+                <td>${renderUnitStatusSelect(unit, isDisabled)}</td>
               </tr>
             `).join('')}
           </tbody>
@@ -1379,6 +2439,39 @@ function renderAvailableUnitsAccordion(departmentsWithUnits) {
   return `<div class="mt-2"><h4>Available Units</h4><div class="accordion" id="${accordionId}">${accordionHtml}</div></div>`;
 }
 
+// Statuses a unit can be given from the available units list. "Assigned" is
+// set by adding the unit to a group.
+const UNASSIGNED_UNIT_STATUSES = ["Available", "Dispatched", "En Route", "On Scene", "Staged", "Rehab", "Out of Service"];
+
+function renderUnitStatusSelect(unit, isDisabled) {
+  const options = UNASSIGNED_UNIT_STATUSES.map(status =>
+    `<option value="${status}" ${status === unit.status ? 'selected' : ''}>${status}</option>`).join('');
+  return `<select class="form-control form-control-sm py-0 js-unit-status-select" data-unit-id="${unit.id}" data-current-status="${unit.status}" ${isDisabled}>${options}</select>`;
+}
+
+/**
+ * Sends a unit's new status to the server, which checks the transition.
+ * The list is reloaded either way so it shows the unit's actual status.
+ * @param {HTMLSelectElement} select The changed status select.
+ */
+async function handleUnitStatusChange(select) {
+  if (appState.isViewOnly || !appState.currentIncident) return;
+  const { unitId } = select.dataset;
+  showLoader();
+  try {
+    await callApi('setUnitStatus', {
+      unitId,
+      status: select.value,
+      incidentId: appState.currentIncident.id,
+    });
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    await loadAvailableUnits();
+    hideLoader();
+  }
+}
+
 async function handleStartNewIncident() {
   const incidentNumberInput = document.getElementById("incidentNumber");
   const incidentNameInput = document.getElementById("incidentName");
@@ -1667,6 +2760,43 @@ async function stopParTimer(groupId) {
     }
 }
 
+/**
+ * Finds a unit currently assigned to one of the incident's groups.
+ * @param {string} unitId The unit's ID.
+ * @return {object|undefined} The unit as returned by getGroupsForIncident.
+ */
+function findAssignedUnit(unitId) {
+    return (appState.currentIncident?.groups || [])
+        .flatMap(group => group.units || [])
+        .find(unit => unit.unitId === unitId);
+}
+
+async function handleUnitParClick(button) {
+    if (appState.isViewOnly) return;
+    const { groupId, unitId, unitName } = button.dataset;
+    // Suggest the crew on the roster; the officer confirms the actual count.
+    const rosterCount = (findAssignedUnit(unitId)?.roster || []).length;
+    const answer = prompt(`Personnel count for ${unitName}:`, rosterCount || '');
+    if (answer === null) return;
+    const personnelCount = parseInt(answer, 10);
+    if (isNaN(personnelCount) || personnelCount < 0) {
+        showError("Please enter a valid personnel count.");
+        return;
+    }
+    showLoader();
+    try {
+        const response = await callApi('acknowledgeUnitPar', { groupId, unitId, personnelCount });
+        if (response.data.isComplete && appState.parTimerIntervals[groupId]) {
+            clearInterval(appState.parTimerIntervals[groupId]);
+            delete appState.parTimerIntervals[groupId];
+        }
+        await reloadCurrentIncidentView();
+    } catch (error) {
+        showError(error.message);
+        hideLoader();
+    }
+}
+
 function initializeParTimers(groups) {
     const parDurationMinutes = appState.initialData.settings?.parTimerDurationMinutes || 10;
     const parDurationMs = parDurationMinutes * 60 * 1000;
@@ -5,25 +5,52 @@
 function renderReportingView() {
   const container = document.getElementById("reportingView");
   if (!container) return;
-  const reportingHTML = `<h2>Incident Reporting</h2><hr><div class="row"><div class="col-md-12"><div class="form-row align-items-end"><div class="form-group col-md-6"><label for="closedIncidentSelect">Select Closed Incident:</label><select id="closedIncidentSelect" class="form-control"></select></div><div class="form-group col-md-3"><button id="generateReportBtn" class="btn btn-info btn-block">Generate Report</button></div><div class="form-group col-md-3"><button id="exportCsvBtn" class="btn btn-outline-secondary btn-block" style="display:none;">Export to CSV</button></div></div><hr><div id="reportIncidentDetailsDisplay" class="mb-3 p-3 border rounded bg-light" style="display:none;"></div><div id="reportOutputArea" class="table-responsive"><p><em>Select an incident to generate a report.</em></p></div></div></div>`;
+  const reportingHTML = `<h2>Incident Reporting</h2><hr><div class="row"><div class="col-md-12"><div class="form-row align-items-end"><div class="form-group col-md-3"><label for="reportIncidentSelect">Select Closed Incident:</label><select id="reportIncidentSelect" class="form-control"></select></div><div class="form-group col-md-3"><div class="btn-group d-flex"><button id="generateReportBtn" class="btn btn-info w-100">Generate Report</button><button id="replayIncidentBtn" class="btn btn-outline-info w-100" title="Scrub through the board as it was during the incident">Replay</button></div></div><div class="form-group col-md-2"><button id="exportCsvBtn" class="btn btn-outline-secondary btn-block" style="display:none;">Export to CSV</button></div><div class="form-group col-md-2"><button id="exportJsonBtn" class="btn btn-outline-secondary btn-block" style="display:none;">Export to JSON</button></div><div class="form-group col-md-2">${renderIcsFormMenu("btn-outline-primary btn-block")}</div></div><hr><div id="reportIncidentDetailsDisplay" class="mb-3 p-3 border rounded bg-light" style="display:none;"></div><div id="reportOutputArea" class="table-responsive"><p><em>Select an incident to generate a report.</em></p></div></div></div>`;
   container.innerHTML = reportingHTML;
-  // ... reporting listeners will be attached here later ...
+  attachReportingListeners();
+  loadClosedIncidentsForReporting();
 }
 
 /**
- * Attaches event listeners for the Reporting view.
+ * Attaches a single delegated click listener for the Reporting view.
+ * The view is re-rendered on every visit, so the listener lives on the
+ * container and is only attached once.
  */
 function attachReportingListeners() {
-    console.log("Attaching reporting listeners...");
-    // In the future, we will add listeners here, like this:
-    // const generateBtn = document.getElementById('generateReportBtn');
-    // if (generateBtn) {
-    //     generateBtn.addEventListener('click', handleGenerateReport);
-    // }
+  const container = document.getElementById("reportingView");
+  if (!container || container.dataset.listenersAttached === "true") return;
+  container.dataset.listenersAttached = "true";
+
+  container.addEventListener("change", (event) => {
+    if (event.target.id === "reportIncidentSelect") setReportExportButtonsVisible(false);
+  });
+
+  container.addEventListener("input", (event) => {
+    if (event.target.id === "replaySlider") renderReplayAt(Number(event.target.value));
+  });
+
+  container.addEventListener("click", (event) => {
+    const button = event.target.closest("button");
+    if (!button) return;
+    if (button.id === "generateReportBtn") handleGenerateReport();
+    if (button.id === "exportCsvBtn") handleExportReport("csv");
+    if (button.id === "exportJsonBtn") handleExportReport("json");
+    if (button.id === "replayIncidentBtn") handleReplayIncident();
+    if (button.id === "replayPrevEventBtn") stepReplayToEvent(-1);
+    if (button.id === "replayNextEventBtn") stepReplayToEvent(1);
+    if (button.matches(".js-ics-form")) {
+      const select = document.getElementById("reportIncidentSelect");
+      if (!select || !select.value) {
+        showError("Please select a closed incident first.");
+        return;
+      }
+      handleIcsFormClick(button, select.value);
+    }
+  });
 }
 
 async function loadClosedIncidentsForReporting() {
-    const select = document.getElementById('closedIncidentSelect');
+    const select = document.getElementById('reportIncidentSelect');
     if (!select) return;
     select.innerHTML = '<option value="">-- Loading Closed Incidents --</option>';
 
@@ -46,3 +73,379 @@ async function loadClosedIncidentsForReporting() {
         showError(error.message);
     }
 }
+
+/**
+ * Fetches the timeline report for the selected closed incident and renders
+ * its header and event table.
+ */
+async function handleGenerateReport() {
+  const select = document.getElementById('reportIncidentSelect');
+  if (!select || !select.value) {
+    showError("Please select a closed incident first.");
+    return;
+  }
+
+  showLoader();
+  try {
+    const response = await callApi('getIncidentReport', { incidentId: select.value });
+    renderReportHeader(response.data.incident);
+    renderReportTimeline(response.data.timeline);
+    setReportExportButtonsVisible(true);
+  } catch (error) {
+    console.error("Failed to generate report:", error);
+  } finally {
+    hideLoader();
+  }
+}
+
+/**
+ * Shows or hides the export buttons, which only apply once a report has been
+ * generated for the selected incident.
+ * @param {boolean} isVisible Whether the buttons should be shown.
+ */
+function setReportExportButtonsVisible(isVisible) {
+  ['exportCsvBtn', 'exportJsonBtn'].forEach(id => {
+    const button = document.getElementById(id);
+    if (button) button.style.display = isVisible ? 'block' : 'none';
+  });
+}
+
+/**
+ * Requests a server-side export of the selected incident and saves each
+ * returned file. CSV exports arrive as one file per sheet.
+ * @param {string} format Either "csv" or "json".
+ */
+async function handleExportReport(format) {
+  const select = document.getElementById('reportIncidentSelect');
+  if (!select || !select.value) return;
+
+  showLoader();
+  try {
+    const response = await callApi('exportIncidentReport', { incidentId: select.value, format });
+    response.data.files.forEach(file => downloadFile(file.fileName, file.content, file.mimeType));
+  } catch (error) {
+    console.error("Failed to export report:", error);
+  } finally {
+    hideLoader();
+  }
+}
+
+/**
+ * Renders the incident summary into reportIncidentDetailsDisplay.
+ * @param {object} incident The incident header returned by getIncidentReport.
+ */
+function renderReportHeader(incident) {
+  const display = document.getElementById('reportIncidentDetailsDisplay');
+  if (!display) return;
+
+  const formatTime = (iso) => iso ? new Date(iso).toLocaleString() : 'N/A';
+  const duration = incident.durationMinutes !== null ? formatDuration(incident.durationMinutes) : 'N/A';
+  const commanders = incident.commanders.length > 0
+    ? incident.commanders.map(c => `${escapeHtml(c.name)} <small class="text-muted">(from ${formatTime(c.since)})</small>`).join(', ')
+    : '<em>Not recorded</em>';
+  const benchmarks = (incident.benchmarks || []).map(b => b.completedAt
+    ? `<span class="badge badge-success">${escapeHtml(b.label)} ${formatTime(b.completedAt)}</span>`
+    : `<span class="badge badge-light">${escapeHtml(b.label)}: not reached</span>`).join(' ');
+
+  display.innerHTML = `
+    <h5 class="mb-2">Incident ${escapeHtml(incident.incidentNumber)} - ${escapeHtml(incident.incidentName || 'Unnamed')}</h5>
+    <div class="row small">
+      <div class="col-md-4"><strong>Start:</strong> ${formatTime(incident.startTime)}</div>
+      <div class="col-md-4"><strong>End:</strong> ${formatTime(incident.endTime)}</div>
+      <div class="col-md-4"><strong>Duration:</strong> ${duration}</div>
+    </div>
+    <div class="small mt-1"><strong>Commanders:</strong> ${commanders}</div>
+    <div class="small mt-1"><strong>Benchmarks:</strong> ${benchmarks}</div>`;
+  display.style.display = 'block';
+}
+
+/**
+ * Renders the merged chronological timeline into reportOutputArea.
+ * @param {Array<object>} timeline The timeline entries, oldest first.
+ */
+function renderReportTimeline(timeline) {
+  const outputArea = document.getElementById('reportOutputArea');
+  if (!outputArea) return;
+
+  if (!timeline || timeline.length === 0) {
+    outputArea.innerHTML = '<p><em>No events were recorded for this incident.</em></p>';
+    return;
+  }
+
+  const rows = timeline.map(entry => `
+    <tr>
+      <td class="text-nowrap">${new Date(entry.time).toLocaleTimeString()}</td>
+      <td><span class="badge badge-secondary">${escapeHtml(entry.source)}</span></td>
+      <td class="text-nowrap"><small>${escapeHtml(entry.eventType)}</small></td>
+      <td>${escapeHtml(entry.details)}</td>
+    </tr>`).join('');
+
+  outputArea.innerHTML = `
+    <table class="table table-sm table-striped">
+      <thead class="thead-light"><tr><th>Time</th><th>Source</th><th>Event</th><th>Details</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// The getIncidentReplay response for the incident being replayed.
+let incidentReplay = null;
+
+/**
+ * Loads the selected incident's replay data and shows the board as it was
+ * when the incident started.
+ */
+async function handleReplayIncident() {
+  const select = document.getElementById('reportIncidentSelect');
+  if (!select || !select.value) {
+    showError("Please select a closed incident first.");
+    return;
+  }
+
+  showLoader();
+  try {
+    const response = await callApi('getIncidentReplay', { incidentId: select.value });
+    incidentReplay = response.data;
+    setReportExportButtonsVisible(false);
+    document.getElementById('reportIncidentDetailsDisplay').style.display = 'none';
+    renderReplayPanel();
+  } catch (error) {
+    console.error("Failed to load replay:", error);
+  } finally {
+    hideLoader();
+  }
+}
+
+/**
+ * Renders the replay controls into reportOutputArea: a slider over the
+ * incident in seconds from its start, with buttons that jump between events.
+ */
+function renderReplayPanel() {
+  const outputArea = document.getElementById('reportOutputArea');
+  if (!outputArea) return;
+  const { incident } = incidentReplay;
+  const startTime = new Date(incident.startTime);
+  const endTime = incident.endTime ? new Date(incident.endTime) : new Date();
+  const durationSeconds = Math.max(0, Math.ceil((endTime - startTime) / 1000));
+
+  outputArea.innerHTML = `
+    <div class="incident-replay">
+      <h5>Replay: ${escapeHtml(incident.incidentNumber)} - ${escapeHtml(incident.incidentName || 'Unnamed')}</h5>
+      <div class="d-flex align-items-center mb-2">
+        <button id="replayPrevEventBtn" class="btn btn-sm btn-outline-secondary" title="Previous event"><i class="fas fa-step-backward"></i></button>
+        <input type="range" id="replaySlider" class="custom-range mx-2" min="0" max="${durationSeconds}" step="1" value="0">
+        <button id="replayNextEventBtn" class="btn btn-sm btn-outline-secondary" title="Next event"><i class="fas fa-step-forward"></i></button>
+        <span id="replayClock" class="replay-clock ml-3"></span>
+      </div>
+      <div id="replayBenchmarkStrip" class="d-flex flex-wrap align-items-center mb-2"></div>
+      <div id="replayGroupsContainer" class="row"></div>
+      <h6 class="mt-2">Latest Events</h6>
+      <ul id="replayEventList" class="list-unstyled small replay-event-list"></ul>
+    </div>`;
+  renderReplayAt(0);
+}
+
+/**
+ * Redraws the replayed board as it stood a number of seconds into the
+ * incident.
+ * @param {number} elapsedSeconds Seconds since the incident started.
+ */
+function renderReplayAt(elapsedSeconds) {
+  if (!incidentReplay) return;
+  const time = new Date(new Date(incidentReplay.incident.startTime).getTime() + elapsedSeconds * 1000);
+  const board = buildReplayBoard(incidentReplay, time);
+
+  const minutes = Math.floor(elapsedSeconds / 60);
+  const seconds = String(elapsedSeconds % 60).padStart(2, '0');
+  document.getElementById('replayClock').textContent = `T+${minutes}:${seconds} (${time.toLocaleTimeString()})`;
+  document.getElementById('replayBenchmarkStrip').innerHTML = renderIncidentBenchmarkStrip(board.benchmarks, true);
+  renderGroupCards(board.groups, { container: document.getElementById('replayGroupsContainer'), time });
+
+  const recentEvents = incidentReplay.timeline.filter(entry => new Date(entry.time) <= time).slice(-8).reverse();
+  document.getElementById('replayEventList').innerHTML = recentEvents.length === 0
+    ? '<li class="text-muted"><em>No events yet.</em></li>'
+    : recentEvents.map(entry => `
+      <li><span class="text-muted">${new Date(entry.time).toLocaleTimeString()}</span> ${escapeHtml(entry.details)}</li>`).join('');
+}
+
+/**
+ * Moves the replay slider to the previous or next recorded event.
+ * @param {number} direction -1 for the previous event, 1 for the next.
+ */
+function stepReplayToEvent(direction) {
+  const slider = document.getElementById('replaySlider');
+  if (!slider || !incidentReplay) return;
+  const startMs = new Date(incidentReplay.incident.startTime).getTime();
+  const current = Number(slider.value);
+  const eventSeconds = incidentReplay.timeline
+    .map(entry => Math.ceil((new Date(entry.time).getTime() - startMs) / 1000))
+    .filter(second => second >= 0 && second <= Number(slider.max));
+  const target = direction > 0
+    ? eventSeconds.find(second => second > current)
+    : eventSeconds.filter(second => second < current).pop();
+  if (target === undefined) return;
+  slider.value = target;
+  renderReplayAt(target);
+}
+
+/**
+ * Reconstructs the board at a moment of the incident from its replay data.
+ * A unit is on the board from its assignment until its release, a group
+ * from its creation until it is disbanded, and a PAR from its start until
+ * it was acknowledged.
+ * @param {object} replay The getIncidentReplay response.
+ * @param {Date} time The moment to reconstruct.
+ * @return {object} {groups, benchmarks}: the groups in the shape of
+ *     getGroupsForIncident, and the command benchmarks completed by then.
+ */
+function buildReplayBoard(replay, time) {
+  const hasHappened = (iso) => !!iso && new Date(iso) <= time;
+  const parDurationMs = (appState.initialData.settings?.parTimerDurationMinutes || 10) * 60 * 1000;
+
+  const groupStates = new Map(replay.groups.map(group => [group.id, {
+    status: 'Active',
+    parentGroupId: null,
+    groupSupervisorUnitId: null,
+    supervisorAssignmentTime: null,
+    benchmarkStatuses: {},
+  }]));
+  replay.groupChanges.filter(change => hasHappened(change.time)).forEach(change => {
+    const state = groupStates.get(change.groupId);
+    if (!state) return;
+    if (change.field.startsWith('benchmarks.')) {
+      state.benchmarkStatuses[change.field.slice('benchmarks.'.length)] = change.value;
+      return;
+    }
+    state[change.field] = change.value;
+    if (change.field === 'groupSupervisorUnitId') {
+      state.supervisorAssignmentTime = change.value ? change.time : null;
+    }
+  });
+
+  const visibleGroups = replay.groups.filter(group =>
+    hasHappened(group.creationTime) && groupStates.get(group.id).status !== 'Disbanded');
+  const visibleGroupIds = new Set(visibleGroups.map(group => group.id));
+  const activeAssignments = replay.assignments.filter(assignment =>
+    hasHappened(assignment.assignmentTime) && !hasHappened(assignment.releaseTime));
+
+  const groups = visibleGroups
+    .sort((a, b) => (a.displayOrder ?? 99) - (b.displayOrder ?? 99))
+    .map(group => {
+      const state = groupStates.get(group.id);
+      const units = activeAssignments
+        .filter(assignment => assignment.groupId === group.id)
+        .map(assignment => ({
+          unitId: assignment.unitId,
+          unit: assignment.unit,
+          parentUnitId: assignment.parentUnitId,
+          assignmentTime: assignment.assignmentTime,
+          roster: assignment.roster,
+          personnelCount: assignment.roster.length,
+          airTimer: null,
+        }));
+      const par = replay.parLogs.find(parLog => parLog.groupId === group.id &&
+        hasHappened(parLog.parStartTime) && !hasHappened(parLog.parAckTime || parLog.closedTime));
+      const supervisor = replay.assignments.find(assignment => assignment.unitId === state.groupSupervisorUnitId);
+      let parStatus = 'Idle';
+      if (par) parStatus = time - new Date(par.parStartTime) >= parDurationMs ? 'Expired' : 'Active';
+      return {
+        id: group.id,
+        groupName: group.groupName,
+        headerColor: group.headerColor,
+        // A parent that no longer shows would hide the child from the hierarchy.
+        parentGroupId: visibleGroupIds.has(state.parentGroupId) ? state.parentGroupId : null,
+        groupSupervisorUnitId: state.groupSupervisorUnitId,
+        groupSupervisorName: state.groupSupervisorUnitId ? (supervisor ? supervisor.unit : 'Unknown') : null,
+        supervisorAssignmentTime: state.supervisorAssignmentTime,
+        units,
+        personnelCount: units.reduce((total, unit) => total + unit.personnelCount, 0),
+        benchmarks: group.benchmarks.map(benchmark => ({
+          ...benchmark,
+          status: state.benchmarkStatuses[benchmark.key] || benchmark.states[0],
+        })),
+        parStatus,
+        parExpectedUnitIds: par ? par.expectedUnitIds : [],
+        parUnitResponses: par
+          ? Object.fromEntries(Object.entries(par.unitResponses).filter(([, response]) => hasHappened(response.ackTime)))
+          : {},
+      };
+    });
+
+  const benchmarks = {};
+  replay.incidentBenchmarkChanges.filter(change => hasHappened(change.time)).forEach(change => {
+    if (change.isComplete) {
+      benchmarks[change.benchmarkKey] = { completedAt: change.time, completedByName: change.completedByName };
+    } else {
+      delete benchmarks[change.benchmarkKey];
+    }
+  });
+
+  return { groups, benchmarks };
+}
+
+const ICS_FORMS = [
+  { type: "201", label: "ICS 201 - Incident Briefing" },
+  { type: "203", label: "ICS 203 - Organization Assignment List" },
+  { type: "204", label: "ICS 204 - Assignment List" },
+  { type: "211", label: "ICS 211 - Check-In List" },
+];
+
+/**
+ * Renders the ICS forms dropdown. It is shared by the Reporting view and the
+ * command board summary bar; each view's click listener supplies the incident.
+ * @param {string} buttonClasses Extra classes for the toggle button.
+ * @return {string} The dropdown markup.
+ */
+function renderIcsFormMenu(buttonClasses) {
+  const items = (output) => ICS_FORMS.map(form => `
+    <button type="button" class="dropdown-item js-ics-form" data-form-type="${form.type}" data-ics-output="${output}">${form.label}</button>`).join('');
+  return `
+    <div class="btn-group" role="group">
+      <button type="button" class="btn ${buttonClasses} dropdown-toggle" data-toggle="dropdown" aria-haspopup="true" aria-expanded="false">
+        <i class="fas fa-file-alt"></i> ICS Forms
+      </button>
+      <div class="dropdown-menu dropdown-menu-right">
+        <h6 class="dropdown-header">Print / Save as PDF</h6>${items('print')}
+        <div class="dropdown-divider"></div>
+        <h6 class="dropdown-header">Download HTML</h6>${items('download')}
+      </div>
+    </div>`;
+}
+
+/**
+ * Generates the ICS form picked from an ICS forms dropdown item, then either
+ * opens it for printing or saves it as an HTML file.
+ * @param {HTMLElement} button The clicked dropdown item.
+ * @param {string} incidentId The incident the form is for.
+ */
+async function handleIcsFormClick(button, incidentId) {
+  const { formType, icsOutput } = button.dataset;
+  // The print window has to be opened while still handling the click, or
+  // the browser will treat it as a pop-up.
+  const printWindow = icsOutput === 'print' ? window.open('', '_blank') : null;
+  if (icsOutput === 'print' && !printWindow) {
+    showError("Please allow pop-ups for this site to print ICS forms.");
+    return;
+  }
+
+  showLoader();
+  try {
+    const response = await callApi('generateIcsForm', {
+      incidentId,
+      formType,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    });
+    const form = response.data;
+    if (printWindow) {
+      printWindow.document.open();
+      printWindow.document.write(form.content);
+      printWindow.document.close();
+    } else {
+      downloadFile(form.fileName, form.content, form.mimeType);
+    }
+  } catch (error) {
+    if (printWindow) printWindow.close();
+    console.error("Failed to generate ICS form:", error);
+  } finally {
+    hideLoader();
+  }
+}
@@ -70,6 +70,7 @@ document.addEventListener("DOMContentLoaded", () => {
       }
 
       firebase.initializeApp(firebaseConfig);
+      enableOfflinePersistence();
       console.log("Firebase has been initialized successfully.");
       
       if (typeof initializeLoginForm === 'function') {
@@ -111,6 +112,7 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // Start the entire process
+  registerAppShellCache();
   initializeFirebase();
 
   // --- END: NEW ROBUST DYNAMIC CONFIG LOGIC ---
@@ -144,7 +146,11 @@ async function initializeApp(user) {
   appState.sessionId = currentSessionId;
 
   try {
-    appState.idToken = await user.getIdToken(true);
+    // Offline, the cached token is used; the board loads from the offline
+    // cache, and the token is refreshed once the connection returns.
+    appState.idToken = navigator.onLine
+      ? await user.getIdToken(true)
+      : await user.getIdToken().catch(() => null);
 
     // --- START: CORRECTED LOGIC ---
     // STEP 1: Fetch the user's Firestore document
@@ -181,6 +187,7 @@ async function initializeApp(user) {
     setupGlobalEventListeners();
     manageHeartbeat();
     attachActiveIncidentsListener();
+    startOfflineMonitor();
     const authStatus = document.getElementById("auth-status");
     if (authStatus) authStatus.textContent = `Authenticated: ${user.email}`;
     showView("commandBoardView");
@@ -207,13 +214,19 @@ async function manageHeartbeat() {
     try {
       appState.idToken = await user.getIdToken(true);
     } catch (error) {
+      // A dropped connection is not an auth failure; the offline monitor
+      // refreshes the token once it is back.
+      if (isNetworkError(error)) {
+        setOfflineMode(true);
+        return;
+      }
       console.error("Failed to refresh auth token, logging out.", error);
       await firebase.auth().signOut();
       return;
     }
     if (!appState.sessionHeartbeatInterval) {
       appState.sessionHeartbeatInterval = setInterval(() => {
-        if (appState.sessionId) {
+        if (appState.sessionId && !offlineState.isOffline) {
           callApi("sessionHeartbeat", {sessionId: appState.sessionId}, 'POST')
             .catch(err => console.warn("Heartbeat failed:", err.message));
         }
@@ -270,8 +283,11 @@ async function handleLogout() {
   if (isUserCommanding) {
     if (!confirm("Warning: You are commanding an active incident. Logging out will NOT close the incident. Are you sure?")) return;
   }
+  const queuedCount = getOfflineQueue().length;
+  if (queuedCount > 0 && !confirm(`${queuedCount} board action(s) have not been sent yet and will be lost. Log out anyway?`)) return;
   showLoader();
   try {
+    clearOfflineData();
     sessionStorage.removeItem('sessionId');
     clearAllIncidentListeners();
     if (activeIncidentsMasterListener) activeIncidentsMasterListener();
@@ -322,6 +338,22 @@ function setupGlobalEventListeners() {
         case "approveCommandRequestBtn": handleApproveCommandRequest(); break;
         case "denyCommandRequestBtn": handleDenyCommandRequest(); break;
         case "confirmUnsplitBtn": handleConfirmUnsplit(); break;
+        case "saveMaydayBtn": handleSaveMayday(); break;
+        case "saveUnitRosterBtn": handleSaveUnitRoster(); break;
+        case "saveStagingAreaBtn": handleSaveStagingArea(); break;
+        case "shareIncidentBtn": handleShareIncident(); break;
+
+        // Mayday Alert Buttons
+        case "recordMaydayLunarBtn": openMaydayModal(); break;
+        case "minimizeMaydayBtn": setMaydayMinimized(true); break;
+        case "expandMaydayBtn": setMaydayMinimized(false); break;
+        case "clearMaydayBtn": handleClearMayday(); break;
+        case "endEvacuationBtn": handleEndEvacuation(); break;
+        case "undoTacticalActionBtn": handleUndoTacticalAction(); break;
+
+        // Offline Buttons
+        case "showOfflineFailuresBtn": openOfflineFailuresModal(); break;
+        case "dismissOfflineFailuresBtn": handleDismissOfflineFailures(); break;
 
         // Admin Modal "Save" Buttons
         case "saveDepartmentBtn": handleSaveDepartment(); break;
@@ -331,6 +363,8 @@ function setupGlobalEventListeners() {
         case "saveTemplateBtn": handleSaveTemplate(); break;
       }
     }
+    // Share rows are rendered per partner, so they are matched by class.
+    if (button.matches('.js-revoke-share')) handleRevokeIncidentShare(button);
   });
 }
 
@@ -391,15 +425,47 @@ function showView(viewId) {
 }
 
 /**
- * A secure, centralized function for making all API calls.
+ * A secure, centralized function for making all API calls. When the API
+ * cannot be reached, board reads are answered from the offline cache and
+ * board actions are queued (see offline.js).
  */
 async function callApi(action, params = {}, method = 'GET') {
-  
+  if (shouldQueueOfflineAction(action)) return queueOfflineAction(action, params, method);
+  const cachedResponse = offlineState.isOffline ? getCachedApiResponse(action, params) : null;
+  if (cachedResponse) return cachedResponse;
+
+  try {
+    const responseData = await sendApiRequest(action, params, method);
+    cacheApiResponse(action, params, responseData);
+    return responseData;
+  } catch (error) {
+    if (isNetworkError(error)) {
+      setOfflineMode(true);
+      const offlineResponse = getCachedApiResponse(action, params);
+      if (offlineResponse) return offlineResponse;
+      if (shouldQueueOfflineAction(action)) return queueOfflineAction(action, params, method);
+      error.message = "You are offline. This is not available until the connection returns.";
+    }
+    console.error(`API call error for action "${action}":`, error);
+    showError(error.message);
+    throw error;
+  }
+}
+
+/**
+ * Sends one request to the API and returns its parsed response, throwing on
+ * any error response. Network failures are thrown as fetch() throws them.
+ * A 401/403 signs the user out unless keepSession is set, for callers such
+ * as the offline sync where one refused request says nothing about the rest.
+ */
+async function sendApiRequest(action, params, method, { keepSession = false } = {}) {
   const url = new URL(API_URL);
   const headers = {
     'Authorization': `Bearer ${appState.idToken}`,
     'Content-Type': 'application/json'
   };
+  // Lets the server attribute the audit trail to this browser session.
+  if (appState.sessionId) headers['X-Session-Id'] = appState.sessionId;
 
   let options = {
     method,
@@ -415,29 +481,23 @@ async function callApi(action, params = {}, method = 'GET') {
     }
   }
 
-  try {
-    const response = await fetch(url, options);
-
-    if (response.status === 401 || response.status === 403) {
-      console.warn("Authentication error detected. Forcing logout.");
-      await firebase.auth().signOut();
-      throw new Error("Your session has expired. Please log in again.");
-    }
+  const response = await fetch(url, options);
 
-    const responseData = await response.json();
-
-    if (!response.ok) {
-        const msg = responseData.message || `Network error: ${response.statusText}`;
-        throw new Error(msg);
-    }
+  if ((response.status === 401 || response.status === 403) && !keepSession) {
+    console.warn("Authentication error detected. Forcing logout.");
+    await firebase.auth().signOut();
+    throw new Error("Your session has expired. Please log in again.");
+  }
 
-    return responseData;
+  const responseData = await response.json();
 
-  } catch (error) {
-    console.error(`API call error for action "${action}":`, error);
-    showError(error.message);
-    throw error;
+  if (!response.ok) {
+      const msg = responseData.message || `Network error: ${response.statusText}`;
+      throw new Error(msg);
   }
+
+  recordServerContact(responseData);
+  return responseData;
 }
 
 function showError(message) {
@@ -0,0 +1,539 @@
+/**
+ * offline.js - Keeps the command board usable when the connection drops.
+ * The last board data read from the API is cached, so the board still draws
+ * while offline. Board actions taken offline are queued, shown on the board
+ * straight away and sent in order once the connection returns. The server
+ * refuses a queued action if someone else changed the same units or groups
+ * in the meantime; those are listed for the commander instead of retried.
+ */
+
+// Reads answered from the cache when the API cannot be reached.
+const OFFLINE_CACHED_ACTIONS = new Set([
+  'getInitialData', 'checkSessionStatus', 'getIncidentDetails',
+  'getGroupsForIncident', 'getAllAvailableUnitsGroupedByDept',
+  'getSplitUnitsForIncident', 'getStagingAreasForIncident',
+  'getRehabUnitsForIncident',
+]);
+const OFFLINE_RETRY_SECONDS = 30;
+const OFFLINE_ID_PREFIX = 'offline-';
+
+let offlineState = { isOffline: false, isSyncing: false, retryInterval: null };
+
+// ===================================================================
+//
+//  LOCAL STORAGE
+//
+// ===================================================================
+
+/**
+ * Builds a localStorage key. Keys are per user, so a shared command post
+ * device never shows one user's queue to another.
+ * @param {string} name The item name.
+ * @return {string} The key.
+ */
+function getOfflineStorageKey(name) {
+  return `fcb_offline_${appState.currentUser?.uid}_${name}`;
+}
+
+function readOfflineItem(name, fallback) {
+  try {
+    const value = localStorage.getItem(getOfflineStorageKey(name));
+    return value === null ? fallback : JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function writeOfflineItem(name, value) {
+  try {
+    localStorage.setItem(getOfflineStorageKey(name), JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save offline ${name}:`, error);
+  }
+}
+
+function getOfflineQueue() { return readOfflineItem('queue', []); }
+function getOfflineFailures() { return readOfflineItem('failures', []); }
+
+function saveOfflineQueue(queue) {
+  writeOfflineItem('queue', queue);
+  updateOfflineBanner();
+}
+
+function saveOfflineFailures(failures) {
+  writeOfflineItem('failures', failures);
+  updateOfflineBanner();
+}
+
+/**
+ * Removes everything this user has stored for offline use. Called on
+ * logout; anything still queued is dropped.
+ */
+function clearOfflineData() {
+  const prefix = getOfflineStorageKey('');
+  Object.keys(localStorage)
+    .filter(key => key.startsWith(prefix))
+    .forEach(key => localStorage.removeItem(key));
+}
+
+// ===================================================================
+//
+//  APP SHELL AND READ CACHE
+//
+// ===================================================================
+
+function registerAppShellCache() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js')
+    .catch(error => console.warn("Service worker registration failed:", error));
+}
+
+/**
+ * Lets Firestore answer from its local cache, so the user's profile and the
+ * board listeners still load while offline. Must run before any other
+ * Firestore call.
+ */
+function enableOfflinePersistence() {
+  firebase.firestore().enablePersistence({ synchronizeTabs: true })
+    .catch(error => console.warn("Firestore offline persistence unavailable:", error.code));
+}
+
+function getReadCacheName(action, params) {
+  return `read_${action}_${JSON.stringify(params)}`;
+}
+
+function getCachedApiResponse(action, params) {
+  if (!OFFLINE_CACHED_ACTIONS.has(action)) return null;
+  return readOfflineItem(getReadCacheName(action, params), null);
+}
+
+function cacheApiResponse(action, params, responseData) {
+  if (!OFFLINE_CACHED_ACTIONS.has(action)) return;
+  writeOfflineItem(getReadCacheName(action, params), responseData);
+}
+
+/**
+ * Notes the server time of a successful response. A queued action is checked
+ * for conflicts against everything that changed after this time.
+ * @param {object} responseData The parsed API response.
+ */
+function recordServerContact(responseData) {
+  if (responseData && responseData.serverTime) writeOfflineItem('serverTime', responseData.serverTime);
+}
+
+/**
+ * fetch() rejects with a TypeError when the request never reached the
+ * server; any HTTP response, even an error, means the server was reached.
+ */
+function isNetworkError(error) {
+  return error instanceof TypeError || error?.code === 'auth/network-request-failed';
+}
+
+function setOfflineMode(isOffline) {
+  if (offlineState.isOffline === isOffline) return;
+  offlineState.isOffline = isOffline;
+  updateOfflineBanner();
+}
+
+// ===================================================================
+//
+//  QUEUED BOARD ACTIONS
+//
+// ===================================================================
+
+// A group's PAR fields once its PAR is complete.
+const OFFLINE_PAR_IDLE = {
+  parStatus: 'Idle', parStartTime: null, parOverdueTime: null,
+  parExpectedUnitIds: [], parUnitResponses: {},
+};
+
+/**
+ * The board actions that can be queued. Each describes itself for the
+ * failure list and applies itself to the board data the client holds:
+ * {groups} from getGroupsForIncident and {departments} from
+ * getAllAvailableUnitsGroupedByDept. Either may be missing, as they load
+ * separately. Mayday and evacuation are left out on purpose: they must reach
+ * the other devices at once or be seen to fail.
+ */
+const OFFLINE_BOARD_ACTIONS = {
+  assignUnitsToGroup: {
+    describe: (p, names) => `Assign ${names.units(p.unitIds)} to ${names.group(p.groupId)}`,
+    apply: (board, p, entry) => splitOfflineIds(p.unitIds).forEach(unitId =>
+      moveOfflineUnitToGroup(board, entry, unitId, p.groupId)),
+  },
+  moveUnitToNewGroup: {
+    describe: (p, names) => `Move ${names.units(p.unitId)} to ${names.group(p.newGroupId)}`,
+    apply: (board, p, entry) => moveOfflineUnitToGroup(board, entry, p.unitId, p.newGroupId),
+  },
+  moveMultipleUnits: {
+    describe: (p, names) => `Move ${names.units(p.unitIds)} to ${names.group(p.newGroupId)}`,
+    apply: (board, p, entry) => splitOfflineIds(p.unitIds).forEach(unitId =>
+      moveOfflineUnitToGroup(board, entry, unitId, p.newGroupId)),
+  },
+  releaseUnitToAvailable: {
+    describe: (p, names) => `Release ${names.units(p.unitId)}`,
+    apply: (board, p, entry) => releaseOfflineUnit(board, entry, p.unitId),
+  },
+  releaseMultipleUnits: {
+    describe: (p, names) => `Release ${names.units(p.unitIds)}`,
+    apply: (board, p, entry) => splitOfflineIds(p.unitIds).forEach(unitId =>
+      releaseOfflineUnit(board, entry, unitId)),
+  },
+  setGroupSupervisor: {
+    describe: (p, names) => `Set ${names.units(p.unitId)} as ${names.group(p.groupId)} supervisor`,
+    apply: (board, p, entry) => updateOfflineGroup(board, p.groupId, {
+      groupSupervisorUnitId: p.unitId,
+      groupSupervisorName: entry.context.units[p.unitId]?.unit || 'Unknown',
+      supervisorAssignmentTime: entry.queuedAt,
+    }),
+  },
+  clearGroupSupervisor: {
+    describe: (p, names) => `Clear the ${names.group(p.groupId)} supervisor`,
+    apply: (board, p) => updateOfflineGroup(board, p.groupId, {
+      groupSupervisorUnitId: null, groupSupervisorName: null, supervisorAssignmentTime: null,
+    }),
+  },
+  updateGroupBenchmark: {
+    describe: (p, names) => `Set ${names.group(p.groupId)} ${p.benchmarkKey} to ${p.newStatus}`,
+    apply: (board, p, entry) => {
+      const benchmark = findOfflineGroup(board, p.groupId)?.benchmarks?.find(b => b.key === p.benchmarkKey);
+      if (!benchmark) return;
+      benchmark.status = p.newStatus;
+      benchmark.stateTimes = { ...benchmark.stateTimes, [p.newStatus]: entry.queuedAt };
+      updateOfflineGroup(board, p.groupId, {});
+    },
+  },
+  startParTimer: {
+    describe: (p, names) => `Start PAR for ${names.group(p.groupId)}`,
+    apply: (board, p, entry) => {
+      const group = findOfflineGroup(board, p.groupId);
+      if (!group) return;
+      updateOfflineGroup(board, p.groupId, {
+        parStatus: 'Active', parStartTime: entry.queuedAt, parOverdueTime: null,
+        parExpectedUnitIds: (group.units || []).map(unit => unit.unitId), parUnitResponses: {},
+      });
+    },
+  },
+  stopParTimer: {
+    describe: (p, names) => `Acknowledge PAR for ${names.group(p.groupId)}`,
+    apply: (board, p) => updateOfflineGroup(board, p.groupId, OFFLINE_PAR_IDLE),
+  },
+  acknowledgeUnitPar: {
+    describe: (p, names) => `Record PAR of ${p.personnelCount} for ${names.units(p.unitId)}`,
+    apply: (board, p, entry) => {
+      const group = findOfflineGroup(board, p.groupId);
+      if (!group) return;
+      const responses = {
+        ...group.parUnitResponses,
+        [p.unitId]: { ackTime: entry.queuedAt, personnelCount: parseInt(p.personnelCount, 10) },
+      };
+      const allReported = (group.parExpectedUnitIds || []).every(id => responses[id]);
+      updateOfflineGroup(board, p.groupId, allReported ? OFFLINE_PAR_IDLE : { parUnitResponses: responses });
+    },
+  },
+  setGroupParent: {
+    describe: (p, names) => `Put ${names.group(p.childGroupId)} under ${names.group(p.parentGroupId)}`,
+    apply: (board, p) => updateOfflineGroup(board, p.childGroupId, { parentGroupId: p.parentGroupId }),
+  },
+  clearGroupParent: {
+    describe: (p, names) => `Take ${names.group(p.childGroupId)} out of its parent group`,
+    apply: (board, p) => updateOfflineGroup(board, p.childGroupId, { parentGroupId: null }),
+  },
+  disbandGroup: {
+    describe: (p, names) => `Disband ${names.group(p.groupId)}`,
+    apply: (board, p) => {
+      if (board.groups) board.groups = board.groups.filter(group => group.id !== p.groupId);
+    },
+  },
+  createGroupForIncident: {
+    describe: (p) => `Add the ${p.groupName} group`,
+    // Until it is sent the group goes by the queue entry's ID; later entries
+    // naming it are rewritten with the real ID when it is created.
+    apply: (board, p, entry) => {
+      if (!board.groups) return;
+      const commonGroup = (appState.initialData?.commonGroups || []).find(g => g.name === p.groupName);
+      board.groups.push({
+        id: entry.id, groupName: p.groupName, status: 'Active', displayOrder: 99,
+        creationTime: entry.queuedAt, headerColor: commonGroup?.color || '#6c757d',
+        units: [], personnelCount: 0, benchmarks: [], hasQueuedChanges: true,
+        ...OFFLINE_PAR_IDLE,
+      });
+    },
+  },
+};
+
+function splitOfflineIds(ids) {
+  return String(ids || '').split(',').filter(Boolean);
+}
+
+function findOfflineGroup(board, groupId) {
+  return (board.groups || []).find(group => group.id === groupId);
+}
+
+function updateOfflineGroup(board, groupId, changes) {
+  const group = findOfflineGroup(board, groupId);
+  if (group) Object.assign(group, changes, { hasQueuedChanges: true });
+}
+
+/**
+ * Takes a unit off the board wherever it is: out of its group, or out of the
+ * available units list.
+ */
+function removeOfflineUnit(board, unitId) {
+  (board.groups || []).forEach(group => {
+    if (!(group.units || []).some(unit => unit.unitId === unitId)) return;
+    group.units = group.units.filter(unit => unit.unitId !== unitId);
+    group.personnelCount = group.units.reduce((total, unit) => total + (unit.roster || []).length, 0);
+    group.hasQueuedChanges = true;
+  });
+  (board.departments || []).forEach(dept => {
+    dept.units = (dept.units || []).filter(unit => unit.id !== unitId);
+  });
+}
+
+function moveOfflineUnitToGroup(board, entry, unitId, groupId) {
+  const unit = entry.context.units[unitId];
+  removeOfflineUnit(board, unitId);
+  const group = findOfflineGroup(board, groupId);
+  if (!unit || !group) return;
+  const roster = Array.isArray(unit.roster) ? unit.roster : [];
+  group.units = [...(group.units || []), {
+    ...unit, unitId, roster, personnelCount: roster.length,
+    // A unit moving between groups keeps its time on the incident.
+    assignmentTime: unit.assignmentTime || entry.queuedAt,
+  }];
+  group.personnelCount = (group.personnelCount || 0) + roster.length;
+  group.hasQueuedChanges = true;
+}
+
+function releaseOfflineUnit(board, entry, unitId) {
+  const unit = entry.context.units[unitId];
+  removeOfflineUnit(board, unitId);
+  const dept = unit && (board.departments || []).find(d => d.id === unit.departmentId);
+  if (!dept) return;
+  dept.units = [...dept.units, { ...unit, id: unitId, status: 'Available' }]
+    .sort((a, b) => (a.unit || '').localeCompare(b.unit || ''));
+}
+
+/**
+ * Finds the units an action names on the current board, from the groups or
+ * the available units list. Kept with the queued action, so it can still be
+ * drawn after the board is reloaded from the cache.
+ * @param {object} params The action's parameters.
+ * @return {object} The units, keyed by ID.
+ */
+function getOfflineUnitContext(params) {
+  const boardUnits = [
+    ...(appState.currentIncident?.groups || []).flatMap(group => group.units || []),
+    ...(appState.departmentsWithAvailableUnits || []).flatMap(dept =>
+      (dept.units || []).map(unit => ({ ...unit, unitId: unit.id, assignmentTime: null }))),
+  ];
+  const unitIds = [...splitOfflineIds(params.unitIds), params.unitId].filter(Boolean);
+  return Object.fromEntries(unitIds
+    .map(unitId => [unitId, boardUnits.find(unit => unit.unitId === unitId)])
+    .filter(([, unit]) => unit));
+}
+
+function getOfflineNameLookup(context) {
+  const groups = appState.currentIncident?.groups || [];
+  return {
+    group: (groupId) => groups.find(group => group.id === groupId)?.groupName || 'a group',
+    units: (unitIds) => splitOfflineIds(unitIds)
+      .map(unitId => context.units[unitId]?.unit || 'a unit').join(', '),
+  };
+}
+
+/**
+ * Whether a board action should be queued instead of sent. Once anything is
+ * queued, later actions queue behind it so they reach the server in order.
+ */
+function shouldQueueOfflineAction(action) {
+  if (!OFFLINE_BOARD_ACTIONS[action] || !appState.currentIncident) return false;
+  return offlineState.isOffline || !navigator.onLine || getOfflineQueue().length > 0;
+}
+
+/**
+ * Queues a board action and answers the way the API would, so the caller
+ * carries on as normal and redraws the board with the action applied.
+ * @param {string} action The API action.
+ * @param {object} params The action's parameters.
+ * @param {string} method The HTTP method to send it with.
+ * @return {object} A successful API response.
+ */
+function queueOfflineAction(action, params, method) {
+  if (!navigator.onLine) setOfflineMode(true);
+  const queuedAt = new Date().toISOString();
+  const entryParams = { incidentId: appState.currentIncident.id, ...params };
+  const context = { units: getOfflineUnitContext(entryParams) };
+  const entry = {
+    id: `${OFFLINE_ID_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    action, method, params: entryParams, queuedAt, context,
+    // Changes made by others after this time are conflicts.
+    syncedAt: readOfflineItem('serverTime', null) || queuedAt,
+    description: OFFLINE_BOARD_ACTIONS[action].describe(entryParams, getOfflineNameLookup(context)),
+  };
+  saveOfflineQueue([...getOfflineQueue(), entry]);
+  return { success: true, data: { queued: true, id: entry.id, message: "Queued until the connection returns." } };
+}
+
+/**
+ * Applies the queued actions for the current incident to freshly loaded
+ * board data.
+ * @param {object} board {groups} or {departments}, modified in place.
+ */
+function applyOfflineQueue(board) {
+  const incidentId = appState.currentIncident?.id;
+  getOfflineQueue()
+    .filter(entry => entry.params.incidentId === incidentId)
+    .forEach(entry => {
+      try {
+        OFFLINE_BOARD_ACTIONS[entry.action].apply(board, entry.params, entry);
+      } catch (error) {
+        console.warn(`Could not show queued ${entry.action} on the board:`, error);
+      }
+    });
+  return board;
+}
+
+/**
+ * The IDs an entry's parameters name, from every parameter ending in Id or
+ * Ids.
+ */
+function getOfflineEntryIdParams(entry) {
+  return Object.keys(entry.params).filter(key => /Ids?$/.test(key));
+}
+
+function replaceOfflineGroupId(queue, offlineId, groupId) {
+  return queue.map(entry => {
+    const params = { ...entry.params };
+    getOfflineEntryIdParams(entry).forEach(key => {
+      params[key] = splitOfflineIds(params[key]).map(id => (id === offlineId ? groupId : id)).join(',');
+    });
+    return { ...entry, params };
+  });
+}
+
+// ===================================================================
+//
+//  SYNC
+//
+// ===================================================================
+
+/**
+ * Sends the queued actions one at a time, oldest first. Actions the server
+ * refuses, even with a 401/403, are moved to the failure list without
+ * signing out; a network error stops the sync with the rest still queued.
+ * The board is reloaded from the server after.
+ */
+async function syncOfflineQueue() {
+  if (offlineState.isSyncing) return;
+  offlineState.isSyncing = true;
+  updateOfflineBanner();
+  const failureCount = getOfflineFailures().length;
+  let entry;
+  try {
+    // Re-read each time: actions taken during the sync queue behind the rest.
+    while ((entry = getOfflineQueue()[0])) {
+      try {
+        const hasUncreatedGroup = getOfflineEntryIdParams(entry).some(key =>
+          splitOfflineIds(entry.params[key]).some(id => id.startsWith(OFFLINE_ID_PREFIX)));
+        if (hasUncreatedGroup) {
+          throw new Error("It depends on a group that could not be created.");
+        }
+        const response = await sendApiRequest(entry.action, { ...entry.params, offlineSyncedAt: entry.syncedAt }, entry.method, { keepSession: true });
+        let queue = getOfflineQueue().filter(e => e.id !== entry.id);
+        if (entry.action === 'createGroupForIncident') {
+          queue = replaceOfflineGroupId(queue, entry.id, response.data.id);
+        }
+        saveOfflineQueue(queue);
+      } catch (error) {
+        if (isNetworkError(error)) {
+          setOfflineMode(true);
+          return;
+        }
+        saveOfflineFailures([...getOfflineFailures(), {
+          description: entry.description, queuedAt: entry.queuedAt, reason: error.message,
+        }]);
+        saveOfflineQueue(getOfflineQueue().filter(e => e.id !== entry.id));
+      }
+    }
+  } finally {
+    offlineState.isSyncing = false;
+    updateOfflineBanner();
+  }
+  if (appState.currentIncident) await reloadCurrentIncidentView();
+  if (getOfflineFailures().length > failureCount) openOfflineFailuresModal();
+}
+
+/**
+ * Checks whether the server can be reached again and, if so, leaves offline
+ * mode and sends anything queued. The token is refreshed first, as it may
+ * have expired while offline.
+ */
+async function checkOfflineConnection() {
+  if (!appState.currentUser || offlineState.isSyncing || !navigator.onLine) return;
+  const hasQueue = getOfflineQueue().length > 0;
+  if (!offlineState.isOffline && !hasQueue) return;
+  try {
+    appState.idToken = await appState.currentUser.getIdToken(true);
+    if (!hasQueue) await sendApiRequest("sessionHeartbeat", { sessionId: appState.sessionId }, 'POST');
+  } catch (error) {
+    if (!isNetworkError(error)) console.warn("Reconnection check failed:", error.message);
+    return;
+  }
+  setOfflineMode(false);
+  await syncOfflineQueue();
+}
+
+function startOfflineMonitor() {
+  if (offlineState.retryInterval) return;
+  window.addEventListener('online', checkOfflineConnection);
+  window.addEventListener('offline', () => setOfflineMode(true));
+  offlineState.retryInterval = setInterval(checkOfflineConnection, OFFLINE_RETRY_SECONDS * 1000);
+  updateOfflineBanner();
+  // Anything left queued when the page was closed is sent now.
+  checkOfflineConnection();
+}
+
+// ===================================================================
+//
+//  UI
+//
+// ===================================================================
+
+function updateOfflineBanner() {
+  const banner = document.getElementById('offlineBanner');
+  if (!banner || !appState.currentUser) return;
+  const queuedCount = getOfflineQueue().length;
+  const failureCount = getOfflineFailures().length;
+  let text = '';
+  if (offlineState.isSyncing) {
+    text = `Back online. Sending ${queuedCount} queued action(s)...`;
+  } else if (offlineState.isOffline) {
+    text = `Offline. Showing the board as last loaded. ${queuedCount} action(s) queued.`;
+  } else if (queuedCount > 0) {
+    text = `${queuedCount} action(s) waiting to be sent.`;
+  }
+  document.getElementById('offlineBannerText').textContent = text;
+  document.getElementById('showOfflineFailuresBtn').style.display = failureCount > 0 ? 'inline-block' : 'none';
+  document.getElementById('showOfflineFailuresBtn').textContent = `${failureCount} not applied`;
+  banner.classList.toggle('offline-banner-syncing', offlineState.isSyncing);
+  banner.style.display = text || failureCount > 0 ? 'flex' : 'none';
+}
+
+function openOfflineFailuresModal() {
+  const tbody = document.getElementById('offlineFailuresTableBody');
+  if (!tbody) return;
+  tbody.innerHTML = getOfflineFailures().map(failure => `
+    <tr>
+      <td class="text-nowrap">${new Date(failure.queuedAt).toLocaleTimeString()}</td>
+      <td>${escapeHtml(failure.description)}</td>
+      <td>${escapeHtml(failure.reason)}</td>
+    </tr>`).join('');
+  $('#offlineFailuresModal').modal('show');
+}
+
+function handleDismissOfflineFailures() {
+  saveOfflineFailures([]);
+  $('#offlineFailuresModal').modal('hide');
+}
@@ -30,4 +30,80 @@ function getContrastYIQ(hexcolor) {
   return (yiq >= 128) ? "black" : "white";
 }
 
+/**
+ * Escapes a value for safe insertion into an HTML template string.
+ * @param {*} value The value to escape. Null and undefined become "".
+ * @return {string} The escaped string.
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) return "";
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Saves text content to the user's device as a file download.
+ * @param {string} fileName The suggested file name.
+ * @param {string} content The file content.
+ * @param {string} mimeType The MIME type, e.g. "text/csv".
+ */
+function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells containing commas,
+ * doubled quotes and line breaks, and skips blank lines.
+ * @param {string} text The CSV text.
+ * @return {Array<Array<string>>} The rows, header row first.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
 // We can add other global helpers here in the future, like showLoader/hideLoader
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * sw.js - Caches the command board's app shell so the board still loads
+ * when a command post loses its connection. API and Firestore traffic is
+ * left alone; the app caches board data and queues actions itself (see
+ * /apps/common/offline.js).
+ */
+const SHELL_CACHE = 'fcb-shell-v1';
+
+const SHELL_URLS = [
+  '/index.html',
+  '/login.html',
+  '/firebase-config-dev.js',
+  '/firebase-config-prod.js',
+  '/apps/common/main.css',
+  '/apps/common/utils.js',
+  '/apps/common/offline.js',
+  '/apps/common/auth.js',
+  '/apps/common/app.js',
+  '/apps/command-board/admin.js',
+  '/apps/command-board/reporting.js',
+  '/apps/command-board/command-board.js',
+  '/apps/command-board/super-admin.js',
+  'https://stackpath.bootstrapcdn.com/bootstrap/4.5.2/css/bootstrap.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/5.15.4/css/all.min.css',
+  'https://code.jquery.com/jquery-3.5.1.min.js',
+  'https://cdn.jsdelivr.net/npm/popper.js@1.16.1/dist/umd/popper.min.js',
+  'https://stackpath.bootstrapcdn.com/bootstrap/4.5.2/js/bootstrap.min.js',
+  'https://www.gstatic.com/firebasejs/8.10.1/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/8.10.1/firebase-auth.js',
+  'https://www.gstatic.com/firebasejs/8.10.1/firebase-database.js',
+  'https://www.gstatic.com/firebasejs/8.10.1/firebase-firestore.js',
+  'https://www.gstatic.com/firebasejs/8.10.1/firebase-functions.js',
+];
+
+// Hosts of the libraries the shell loads, including the icon fonts that
+// Font Awesome pulls in at runtime.
+const SHELL_CDN_HOSTS = [
+  'stackpath.bootstrapcdn.com',
+  'cdnjs.cloudflare.com',
+  'code.jquery.com',
+  'cdn.jsdelivr.net',
+  'www.gstatic.com',
+];
+
+self.addEventListener('install', (event) => {
+  // One missing file should not stop the rest of the shell being cached.
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => Promise.all(
+    SHELL_URLS.map(url => cache.add(url).catch(error => console.warn(`Could not cache ${url}:`, error)))
+  )));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+/**
+ * Fetches from the network, keeping a copy for offline use, and falls back
+ * to that copy when the network fails.
+ * @param {Request} request The request.
+ * @param {string} [fallbackUrl] A cached page to use when there is no copy.
+ * @return {Promise<Response>} The response.
+ */
+async function fromNetworkFirst(request, fallbackUrl) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = (await cache.match(request)) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serves a cached copy when there is one. Used for the CDN libraries, whose
+ * URLs are pinned to a version and so never change.
+ * @param {Request} request The request.
+ * @return {Promise<Response>} The response.
+ */
+async function fromCacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Plain <script> tags fetch cross-origin files without CORS, which gives
+  // an opaque response.
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Hosting serves index.html for every app path, so it stands in for any
+  // page that was never cached.
+  if (request.mode === 'navigate') {
+    event.respondWith(fromNetworkFirst(request, '/index.html'));
+    return;
+  }
+  // Files under /__/ belong to Firebase Hosting (auth handlers and config).
+  if (url.origin === self.location.origin && !url.pathname.startsWith('/__/')) {
+    event.respondWith(fromNetworkFirst(request));
+    return;
+  }
+  if (SHELL_CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(fromCacheFirst(request));
+  }
+});
@@ -0,0 +1,68 @@
+// scripts/cad-simulator.js
+// A stand-in CAD for testing the cadIngest endpoint. It posts one dispatch
+// as JSON, the same way a real CAD would, and prints the response.
+//
+// Usage:
+//   CAD_INGEST_URL=http://127.0.0.1:5001/<project-id>/us-central1/cadIngest \
+//   CAD_API_KEY=cad_... \
+//   node scripts/cad-simulator.js --incident 2026-0412 --type "Structure Fire" \
+//     --address "120 Main St" --units E101,L4,BC1
+//
+// Generate the API key under Admin > Settings > CAD Integration. Running the
+// same incident number again updates the incident and dispatches any new
+// units. Use --file to post a saved payload instead of the flags.
+
+const fs = require('fs');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+}
+
+function buildPayload(args) {
+  if (args.file) {
+    return JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  }
+  const now = new Date();
+  return {
+    incidentNumber: args.incident || `SIM-${now.toISOString().slice(0, 16).replace(/[-:T]/g, '')}`,
+    incidentType: args.type || 'Structure Fire',
+    address: args.address || '100 Test St',
+    unitIds: (args.units || '').split(',').map(id => id.trim()).filter(Boolean),
+  };
+}
+
+async function postDispatch() {
+  const args = parseArgs(process.argv.slice(2));
+  const url = args.url || process.env.CAD_INGEST_URL;
+  const apiKey = args.key || process.env.CAD_API_KEY;
+  if (!url || !apiKey) {
+    console.error('Set CAD_INGEST_URL and CAD_API_KEY (or pass --url and --key).');
+    process.exit(1);
+  }
+
+  const payload = buildPayload(args);
+  console.log('Posting dispatch:', JSON.stringify(payload, null, 2));
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify(payload),
+  });
+  const result = await response.json();
+  console.log(`Response (${response.status}):`, JSON.stringify(result, null, 2));
+  if (!response.ok) process.exit(1);
+}
+
+postDispatch().catch(error => {
+  console.error('CAD simulation failed:', error);
+  process.exit(1);
+});